@@ -0,0 +1,612 @@
+/**
+ * i18n Build - Renders the static site with its locale variants
+ *
+ * The Japanese pages at the site root are the source of truth. The build
+ * writes the site to publish into dist/ and never touches the sources:
+ * - dist/<page>.html                   root pages, with their hreflang alternates
+ * - dist/components, styles, ...       the other public files (PUBLIC_ENTRIES), copied
+ * - dist/<locale>/<page>.html          translated copy of each root page
+ * - dist/components/<locale>/<name>.html  translated copy of each component
+ * for every locale catalog in i18n/locales/<locale>.json.
+ *
+ * Catalogs are keyed by the Japanese source text (whitespace collapsed), so
+ * pages need no extra markup. Text nodes, translatable attributes (alt,
+ * title, placeholder, aria-label, SEO meta content) and JSON-LD string values
+ * are looked up; anything without a translation stays in Japanese.
+ *
+ * A locale only gets the pages its catalog covers: a page is rendered when at
+ * least MIN_COVERAGE of its strings are translated. Pages below the threshold
+ * are not written and get no hreflang alternate for that locale; the
+ * components are only written for a locale with at least one page. Pages only
+ * published in Japanese get no alternates block.
+ *
+ * Usage:
+ *   node i18n/build.js            Build dist/
+ *   node i18n/build.js --missing  Print untranslated strings per locale (JSON)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const COMPONENTS_DIR = path.join(ROOT_DIR, 'components');
+const OUTPUT_DIR = path.join(ROOT_DIR, 'dist');
+
+const CONFIG = {
+    SITE_URL: 'https://azenflow.jp',
+    DEFAULT_LOCALE: 'ja',
+    // Root pages that are not rendered per locale
+    EXCLUDED_PAGES: [],
+    // Root files and directories published as is, next to the pages
+    PUBLIC_ENTRIES: ['components', 'fonts', 'images', 'scripts', 'styles', 'videos', 'llms.txt', 'robots.txt', 'sitemap.xml'],
+    // Share of a page's strings that must be translated to publish it
+    MIN_COVERAGE: 0.9
+};
+
+// Text that needs translating contains Japanese script
+const JAPANESE_TEXT = /[぀-ヿ㐀-䶿一-鿿＀-￯]/;
+
+// Attributes whose value is shown to visitors
+const TEXT_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label'];
+
+// <meta> tags whose content is translated
+const TRANSLATABLE_META = [
+    'description', 'keywords', 'og:title', 'og:description', 'og:site_name',
+    'twitter:title', 'twitter:description'
+];
+
+// Attributes holding URLs that may point to site assets
+const URL_ATTRIBUTES = ['src', 'href', 'poster', 'data-src'];
+
+const ALTERNATES_START = '<!-- i18n:alternates -->';
+const ALTERNATES_END = '<!-- /i18n:alternates -->';
+
+// =============================================
+// HTML TOKENIZER
+// =============================================
+
+/**
+ * Split HTML into text, tag, comment and raw (script/style body) tokens
+ * @param {string} html - HTML source
+ * @returns {Array<{ type: string, value: string, tagName?: string }>}
+ */
+function tokenize(html) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < html.length) {
+        if (html.startsWith('<!--', index)) {
+            const end = html.indexOf('-->', index + 4);
+            const stop = end === -1 ? html.length : end + 3;
+            tokens.push({ type: 'comment', value: html.slice(index, stop) });
+            index = stop;
+            continue;
+        }
+
+        if (html[index] === '<' && /[a-zA-Z\/!]/.test(html[index + 1] || '')) {
+            // Find the end of the tag, skipping quoted attribute values
+            let position = index + 1;
+            let quote = null;
+            while (position < html.length) {
+                const char = html[position];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === '\'') {
+                    quote = char;
+                } else if (char === '>') {
+                    break;
+                }
+                position++;
+            }
+
+            const value = html.slice(index, position + 1);
+            const nameMatch = value.match(/^<\/?([a-zA-Z0-9-]+)/);
+            const tagName = nameMatch ? nameMatch[1].toLowerCase() : '';
+            tokens.push({ type: 'tag', value, tagName, closing: value.startsWith('</') });
+            index = position + 1;
+
+            // Script and style bodies are kept verbatim
+            if ((tagName === 'script' || tagName === 'style') && !value.startsWith('</')) {
+                const closeIndex = html.toLowerCase().indexOf(`</${tagName}`, index);
+                const stop = closeIndex === -1 ? html.length : closeIndex;
+                tokens.push({ type: 'raw', value: html.slice(index, stop), tagName, openTag: value });
+                index = stop;
+            }
+            continue;
+        }
+
+        const next = html.indexOf('<', index + 1);
+        const stop = next === -1 ? html.length : next;
+        tokens.push({ type: 'text', value: html.slice(index, stop) });
+        index = stop;
+    }
+
+    return tokens;
+}
+
+/**
+ * Read an attribute value from a tag
+ * @param {string} tag - Tag source
+ * @param {string} name - Attribute name
+ * @returns {string|null}
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    if (!match) return null;
+    return match[2] !== undefined ? match[2] : match[3];
+}
+
+/**
+ * Replace attribute values in a tag
+ * @param {string} tag - Tag source
+ * @param {Function} replacer - (name, value) => new value
+ * @returns {string}
+ */
+function mapAttributes(tag, replacer) {
+    return tag.replace(/(\s)([a-zA-Z:-]+)(\s*=\s*)(["'])([\s\S]*?)\4/g, (match, space, name, equals, quote, value) => {
+        const replaced = replacer(name.toLowerCase(), value);
+        return replaced === value ? match : `${space}${name}${equals}${quote}${replaced}${quote}`;
+    });
+}
+
+// =============================================
+// TRANSLATION
+// =============================================
+
+/**
+ * Collapse whitespace to build a catalog key
+ * @param {string} text - Source text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escape text for use inside an HTML attribute or text node
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Create a translator for a catalog that records translated and missing strings
+ * @param {object} messages - Catalog messages
+ * @returns {{ translate: Function, translated: Set<string>, missing: Set<string> }}
+ */
+function createTranslator(messages) {
+    const translated = new Set();
+    const missing = new Set();
+
+    return {
+        translated,
+        missing,
+
+        /**
+         * Translate a source string, keeping surrounding whitespace
+         * @param {string} text - Source text (HTML-escaped)
+         * @param {boolean} escape - Escape the translation for HTML output
+         * @returns {string}
+         */
+        translate(text, escape = true) {
+            const key = normalizeText(text);
+            if (!key || !JAPANESE_TEXT.test(key)) return text;
+
+            const translation = messages[key];
+            if (typeof translation !== 'string' || translation === '') {
+                missing.add(key);
+                return text;
+            }
+            translated.add(key);
+
+            const leading = text.match(/^\s*/)[0];
+            const trailing = text.match(/\s*$/)[0];
+            return leading + (escape ? escapeHtml(translation) : translation) + trailing;
+        }
+    };
+}
+
+// =============================================
+// URL REWRITING
+// =============================================
+
+/**
+ * Build the public URL of a page for a locale
+ * @param {string} page - Page file name (e.g. "faq.html")
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function pageUrl(page, locale) {
+    const prefix = locale === CONFIG.DEFAULT_LOCALE ? '' : `${locale}/`;
+    const file = page === 'index.html' ? '' : page;
+    return `${CONFIG.SITE_URL}/${prefix}${file}`;
+}
+
+/**
+ * Check whether a URL is relative to the current directory
+ * @param {string} url - URL value
+ * @returns {boolean}
+ */
+function isRelativeUrl(url) {
+    return Boolean(url) && !/^([a-z][a-z0-9+.-]*:|\/|#|\{)/i.test(url.trim());
+}
+
+/**
+ * Rewrite a URL for a page one directory below the root
+ * Site assets move up one level, links to other pages stay in the locale.
+ * @param {string} url - Original URL
+ * @param {string} locale - Target locale
+ * @returns {string}
+ */
+function rewriteUrl(url, locale) {
+    const trimmed = url.trim();
+
+    if (isRelativeUrl(trimmed)) {
+        const isPage = /^[^/?#]+\.html([?#].*)?$/.test(trimmed);
+        return isPage ? url : `../${trimmed}`;
+    }
+
+    // Absolute links to our own pages point to the locale version
+    const siteMatch = trimmed.match(/^https:\/\/azenflow\.jp\/([^/?#]*\.html)?([?#].*)?$/);
+    if (siteMatch && (siteMatch[1] || trimmed.endsWith('/') || siteMatch[2])) {
+        return pageUrl(siteMatch[1] || 'index.html', locale) + (siteMatch[2] || '');
+    }
+
+    return url;
+}
+
+/**
+ * Rewrite every URL in a srcset value
+ * @param {string} srcset - srcset attribute value
+ * @param {string} locale - Target locale
+ * @returns {string}
+ */
+function rewriteSrcset(srcset, locale) {
+    return srcset.split(',').map(candidate => {
+        const match = candidate.match(/^(\s*)(\S+)(.*)$/);
+        return match ? match[1] + rewriteUrl(match[2], locale) + match[3] : candidate;
+    }).join(',');
+}
+
+/**
+ * Rewrite url(...) references inside CSS
+ * @param {string} css - CSS text
+ * @param {string} locale - Target locale
+ * @returns {string}
+ */
+function rewriteCssUrls(css, locale) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+        return `url(${quote}${rewriteUrl(url, locale)}${quote})`;
+    });
+}
+
+// =============================================
+// RENDERING
+// =============================================
+
+/**
+ * Build the hreflang alternates block for a page
+ * @param {string} page - Page file name
+ * @param {string[]} locales - Locale codes the page is published in (default first)
+ * @param {string} indent - Indentation of the block
+ * @returns {string}
+ */
+function buildAlternates(page, locales, indent = '    ') {
+    const links = locales.map(locale =>
+        `${indent}<link rel="alternate" hreflang="${locale}" href="${pageUrl(page, locale)}">`
+    );
+    links.push(`${indent}<link rel="alternate" hreflang="x-default" href="${pageUrl(page, CONFIG.DEFAULT_LOCALE)}">`);
+
+    return `${ALTERNATES_START}\n${links.join('\n')}\n${indent}${ALTERNATES_END}`;
+}
+
+/**
+ * Insert or replace the hreflang alternates block in a page
+ * The block is removed when the page is only published in the default locale.
+ * @param {string} html - Page HTML
+ * @param {string} page - Page file name
+ * @param {string[]} locales - Locale codes the page is published in
+ * @returns {string}
+ */
+function applyAlternates(html, page, locales) {
+    const start = html.indexOf(ALTERNATES_START);
+    const end = html.indexOf(ALTERNATES_END);
+
+    if (locales.length < 2) {
+        if (start === -1 || end === -1) return html;
+        // Remove the block with the line it starts on
+        return html.slice(0, html.lastIndexOf('\n', start)) + html.slice(end + ALTERNATES_END.length);
+    }
+
+    const block = buildAlternates(page, locales);
+
+    if (start !== -1 && end !== -1) {
+        return html.slice(0, start) + block + html.slice(end + ALTERNATES_END.length);
+    }
+
+    // Place after the canonical link, or at the end of <head>
+    const canonical = html.match(/\n([ \t]*)<link rel="canonical"[^>]*>/);
+    if (canonical) {
+        const insertAt = canonical.index + canonical[0].length;
+        return `${html.slice(0, insertAt)}\n${canonical[1]}${block}${html.slice(insertAt)}`;
+    }
+
+    return html.replace('</head>', `    ${block}\n</head>`);
+}
+
+/**
+ * Translate string values of a JSON-LD block
+ * @param {string} json - JSON-LD source
+ * @param {object} translator - From createTranslator()
+ * @param {string} locale - Target locale
+ * @returns {string}
+ */
+function translateJsonLd(json, translator, locale) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        return json;
+    }
+
+    const visit = (value) => {
+        if (typeof value === 'string') {
+            const translated = translator.translate(value, false);
+            return /^https:\/\/azenflow\.jp\//.test(translated) ? rewriteUrl(translated, locale) : translated;
+        }
+        if (Array.isArray(value)) return value.map(visit);
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = key === 'inLanguage' ? locale : visit(item);
+            }
+            return result;
+        }
+        return value;
+    };
+
+    const indent = (json.match(/\n([ \t]*)\S/) || [null, '    '])[1];
+    return `\n${indent}${JSON.stringify(visit(data), null, 2).replace(/\n/g, `\n${indent}`)}\n${indent}`;
+}
+
+/**
+ * Translate one tag's attributes and rewrite its URLs
+ * @param {object} token - Tag token
+ * @param {object} translator - From createTranslator()
+ * @param {object} catalog - Locale catalog
+ * @param {string} page - Page file name (null for components)
+ * @returns {string}
+ */
+function renderTag(token, translator, catalog, page) {
+    const { tagName } = token;
+    let tag = token.value;
+
+    if (tagName === 'html') {
+        return mapAttributes(tag, (name, value) => (name === 'lang' ? catalog.htmlLang : value));
+    }
+
+    const rel = (getAttribute(tag, 'rel') || '').toLowerCase();
+    const metaName = (getAttribute(tag, 'name') || getAttribute(tag, 'property') || '').toLowerCase();
+
+    return mapAttributes(tag, (name, value) => {
+        if (TEXT_ATTRIBUTES.includes(name)) {
+            return translator.translate(value);
+        }
+
+        if (name === 'content' && tagName === 'meta') {
+            if (metaName === 'og:locale') return catalog.ogLocale || value;
+            if (metaName === 'og:url' && page) return pageUrl(page, catalog.locale);
+            if (TRANSLATABLE_META.includes(metaName)) return translator.translate(value);
+            // Only absolute URLs (og:image, ...); other content is not a URL
+            return /^https?:\/\//.test(value.trim()) ? rewriteUrl(value, catalog.locale) : value;
+        }
+
+        // Alternates already list every locale explicitly
+        if (name === 'href' && tagName === 'link' && rel === 'alternate') {
+            return value;
+        }
+
+        if (URL_ATTRIBUTES.includes(name)) return rewriteUrl(value, catalog.locale);
+        if (name === 'srcset') return rewriteSrcset(value, catalog.locale);
+        if (name === 'style') return rewriteCssUrls(value, catalog.locale);
+
+        return value;
+    });
+}
+
+/**
+ * Render a page or component for a locale
+ * @param {string} html - Japanese source
+ * @param {object} catalog - Locale catalog
+ * @param {object} translator - From createTranslator()
+ * @param {string|null} page - Page file name, null for components
+ * @returns {string}
+ */
+function renderHtml(html, catalog, translator, page) {
+    return tokenize(html).map(token => {
+        switch (token.type) {
+            case 'text':
+                return translator.translate(token.value);
+            case 'tag':
+                return renderTag(token, translator, catalog, page);
+            case 'raw':
+                if (token.tagName === 'style') return rewriteCssUrls(token.value, catalog.locale);
+                if (/application\/ld\+json/i.test(token.openTag)) {
+                    return translateJsonLd(token.value, translator, catalog.locale);
+                }
+                return token.value;
+            default:
+                return token.value;
+        }
+    }).join('');
+}
+
+/**
+ * Share of a page's strings the catalog translates
+ * @param {object} translator - From createTranslator(), after rendering the page
+ * @returns {number} Between 0 and 1 (1 for a page without Japanese text)
+ */
+function getCoverage(translator) {
+    const total = translator.translated.size + translator.missing.size;
+    return total === 0 ? 1 : translator.translated.size / total;
+}
+
+// =============================================
+// BUILD
+// =============================================
+
+/**
+ * Load every locale catalog
+ * @returns {object[]} Catalogs with a `locale` code
+ */
+function loadCatalogs() {
+    return fs.readdirSync(LOCALES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const catalog = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+            const locale = path.basename(file, '.json');
+            return { htmlLang: locale, messages: {}, ...catalog, locale };
+        });
+}
+
+/**
+ * List the root pages to render
+ * @returns {string[]}
+ */
+function listPages() {
+    return fs.readdirSync(ROOT_DIR)
+        .filter(file => file.endsWith('.html') && !CONFIG.EXCLUDED_PAGES.includes(file))
+        .sort();
+}
+
+/**
+ * List the injected components
+ * @returns {string[]}
+ */
+function listComponents() {
+    return fs.readdirSync(COMPONENTS_DIR).filter(file => file.endsWith('.html')).sort();
+}
+
+/**
+ * Build dist/: the root pages, the public files and all locales
+ * @param {object} options - { write: boolean, minCoverage: number }
+ * @returns {object} Missing strings per locale
+ */
+function build({ write = true, minCoverage = CONFIG.MIN_COVERAGE } = {}) {
+    const catalogs = loadCatalogs();
+    const pages = listPages();
+    const components = listComponents();
+    const sources = new Map(pages.map(page => [page, fs.readFileSync(path.join(ROOT_DIR, page), 'utf8')]));
+    const missing = {};
+    const published = {};
+
+    // Measure each page's coverage before anything links to it
+    for (const catalog of catalogs) {
+        missing[catalog.locale] = new Set();
+        published[catalog.locale] = pages.filter(page => {
+            const translator = createTranslator(catalog.messages);
+            renderHtml(sources.get(page), catalog, translator, page);
+            translator.missing.forEach(text => missing[catalog.locale].add(text));
+
+            const coverage = getCoverage(translator);
+            if (write && coverage < minCoverage) {
+                console.log(`[i18n] ${catalog.locale}: ${page} not published, ` +
+                            `${Math.floor(coverage * 100)}% translated (${translator.missing.size} strings missing)`);
+            }
+            return coverage >= minCoverage;
+        });
+    }
+
+    const localesOf = (page) => [CONFIG.DEFAULT_LOCALE, ...catalogs
+        .filter(catalog => published[catalog.locale].includes(page))
+        .map(catalog => catalog.locale)];
+
+    for (const page of pages) {
+        sources.set(page, applyAlternates(sources.get(page), page, localesOf(page)));
+    }
+
+    if (write) {
+        // Start over so unpublished pages and removed files disappear
+        fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+        for (const entry of CONFIG.PUBLIC_ENTRIES) {
+            const source = path.join(ROOT_DIR, entry);
+            if (fs.existsSync(source)) {
+                fs.cpSync(source, path.join(OUTPUT_DIR, entry), { recursive: true });
+            }
+        }
+        for (const page of pages) {
+            fs.writeFileSync(path.join(OUTPUT_DIR, page), sources.get(page));
+        }
+        console.log(`[i18n] ${CONFIG.DEFAULT_LOCALE}: ${pages.length} pages`);
+    }
+
+    for (const catalog of catalogs) {
+        const translator = createTranslator(catalog.messages);
+        const pageDir = path.join(OUTPUT_DIR, catalog.locale);
+        const componentDir = path.join(OUTPUT_DIR, 'components', catalog.locale);
+        const localePages = published[catalog.locale];
+
+        for (const component of components) {
+            renderHtml(fs.readFileSync(path.join(COMPONENTS_DIR, component), 'utf8'), catalog, translator, null);
+        }
+        translator.missing.forEach(text => missing[catalog.locale].add(text));
+        missing[catalog.locale] = Array.from(missing[catalog.locale]).sort();
+
+        if (!write) continue;
+
+        if (localePages.length === 0) {
+            console.log(`[i18n] ${catalog.locale}: no page reaches ${minCoverage * 100}% coverage, locale not published`);
+            continue;
+        }
+
+        fs.mkdirSync(pageDir, { recursive: true });
+        fs.mkdirSync(componentDir, { recursive: true });
+
+        for (const page of localePages) {
+            const output = renderHtml(sources.get(page), catalog, createTranslator(catalog.messages), page);
+            fs.writeFileSync(path.join(pageDir, page), output);
+        }
+
+        for (const component of components) {
+            const source = fs.readFileSync(path.join(COMPONENTS_DIR, component), 'utf8');
+            const output = renderHtml(source, catalog, createTranslator(catalog.messages), null);
+            fs.writeFileSync(path.join(componentDir, component), output);
+        }
+
+        console.log(`[i18n] ${catalog.locale}: ${localePages.length}/${pages.length} pages, ` +
+                    `${components.length} components, ${missing[catalog.locale].length} untranslated strings`);
+    }
+
+    return missing;
+}
+
+if (require.main === module) {
+    if (process.argv.includes('--missing')) {
+        process.stdout.write(`${JSON.stringify(build({ write: false }), null, 2)}\n`);
+    } else {
+        build();
+    }
+}
+
+module.exports = {
+    OUTPUT_DIR,
+    build,
+    tokenize,
+    getAttribute,
+    renderHtml,
+    createTranslator,
+    getCoverage,
+    rewriteUrl,
+    buildAlternates,
+    applyAlternates,
+    normalizeText
+};
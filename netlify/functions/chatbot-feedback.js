@@ -0,0 +1,267 @@
+/**
+ * Chatbot Feedback - Netlify Function
+ *
+ * Collects thumbs up/down ratings (with an optional comment) on chatbot
+ * answers and forwards them to a webhook, to measure and tune the quality
+ * of the n8n workflow.
+ *
+ * Request (POST, JSON):
+ *   { sessionId, messageIndex, rating: 'up' | 'down', comment?, language?,
+ *     message?, question? }
+ * messageIndex is the position of the rated answer in the widget history;
+ * message and question are the rated answer and the visitor's question.
+ * A visitor may rate the same answer again (e.g. to add a comment): the
+ * webhook should keep the latest rating per sessionId + messageIndex.
+ *
+ * Security:
+ * - Rate limiting (20 ratings/min per IP, shared store via ../lib/rate-limiter)
+ * - Input validation and sanitization
+ * - HMAC-signed requests, plus X-API-Key (N8N_API_KEY) during the migration
+ *   (see ../lib/webhook-signature)
+ * - Origin allow-list and request tokens (see ../lib/request-guard)
+ * - Logs through ../lib/logger (client IPs hashed, comments left out)
+ *
+ * Environment:
+ * - CHATBOT_FEEDBACK_WEBHOOK_URL: where ratings are forwarded
+ * - CHATBOT_FEEDBACK_WEBHOOK_SECRET: signing secret (defaults to the n8n
+ *   secrets, N8N_WEBHOOK_SECRET and N8N_WEBHOOK_SECRET_PREVIOUS)
+ */
+
+const { createRateLimiter, rateLimitHeaders } = require('../lib/rate-limiter');
+const { getSigningSecrets, signRequest, apiKeyHeaders } = require('../lib/webhook-signature');
+const { createRequestGuard } = require('../lib/request-guard');
+const { createLogger } = require('../lib/logger');
+
+// Configuration
+const CONFIG = {
+    WEBHOOK_URL: process.env.CHATBOT_FEEDBACK_WEBHOOK_URL,
+    SIGNING_SECRETS: process.env.CHATBOT_FEEDBACK_WEBHOOK_SECRET
+        ? [process.env.CHATBOT_FEEDBACK_WEBHOOK_SECRET]
+        : getSigningSecrets(),
+    API_KEY_HEADERS: apiKeyHeaders(),
+    RATE_LIMIT_PER_MINUTE: parseInt(process.env.FEEDBACK_RATE_LIMIT_PER_MINUTE || '20'),
+    REQUEST_TIMEOUT: 10000, // 10 seconds
+    RATINGS: ['up', 'down'],
+    MAX_MESSAGE_INDEX: 1000,
+    MAX_COMMENT_LENGTH: 500,
+    MAX_MESSAGE_LENGTH: 2000,
+    SUPPORTED_LANGUAGES: ['ja', 'en', 'zh', 'ko', 'fr']
+};
+
+const logger = createLogger('Chatbot Feedback');
+
+// Shared sliding-window rate limiter (storage backend set by RATE_LIMIT_STORE)
+const rateLimiter = createRateLimiter({
+    policies: {
+        feedback: { limit: CONFIG.RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 }
+    }
+});
+
+// Origin allow-list and request tokens (issued by request-token)
+const requestGuard = createRequestGuard();
+
+/**
+ * Trim and cap an optional string
+ * @param {*} value - Candidate string
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function optionalString(value, maxLength) {
+    return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
+/**
+ * Validate and sanitize input
+ * @param {object} body - Request body
+ * @returns {object} - { valid: boolean, error?: string, data?: object }
+ */
+function validateInput(body) {
+    if (!body || typeof body !== 'object') {
+        return { valid: false, error: 'Invalid request format' };
+    }
+
+    if (!body.sessionId || typeof body.sessionId !== 'string' || body.sessionId.length > 100) {
+        return { valid: false, error: 'Session ID is required' };
+    }
+
+    if (!Number.isInteger(body.messageIndex) || body.messageIndex < 0 || body.messageIndex > CONFIG.MAX_MESSAGE_INDEX) {
+        return { valid: false, error: 'Message index must be a non-negative integer' };
+    }
+
+    if (!CONFIG.RATINGS.includes(body.rating)) {
+        return { valid: false, error: `Rating must be one of: ${CONFIG.RATINGS.join(', ')}` };
+    }
+
+    if (body.comment !== undefined && typeof body.comment !== 'string') {
+        return { valid: false, error: 'Comment must be a string' };
+    }
+
+    if (body.comment && body.comment.length > CONFIG.MAX_COMMENT_LENGTH) {
+        return { valid: false, error: `Comment too long (max ${CONFIG.MAX_COMMENT_LENGTH} characters)` };
+    }
+
+    return {
+        valid: true,
+        data: {
+            sessionId: body.sessionId.trim(),
+            messageIndex: body.messageIndex,
+            rating: body.rating,
+            comment: optionalString(body.comment, CONFIG.MAX_COMMENT_LENGTH),
+            language: CONFIG.SUPPORTED_LANGUAGES.includes(body.language) ? body.language : 'ja',
+            message: optionalString(body.message, CONFIG.MAX_MESSAGE_LENGTH),
+            question: optionalString(body.question, CONFIG.MAX_MESSAGE_LENGTH),
+            timestamp: new Date().toISOString(),
+            source: 'chatbot-feedback'
+        }
+    };
+}
+
+/**
+ * CORS headers
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Headers': 'Content-Type, X-Request-Token',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Expose-Headers': 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Main handler function
+ */
+exports.handler = async (event) => {
+    // Only allowed origins get CORS headers
+    const corsHeaders = { ...CORS_HEADERS, ...requestGuard.cors(event) };
+
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers: corsHeaders, body: '' };
+    }
+
+    // Only accept POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    // Check origin and request token
+    const guard = requestGuard.check(event);
+    if (!guard.allowed) {
+        logger.warn('Request rejected', { reason: guard.reason, origin: event.headers['origin'] });
+        return {
+            statusCode: guard.status,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: guard.error })
+        };
+    }
+
+    try {
+        // Get client IP for rate limiting
+        const clientIp = event.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+                        event.headers['client-ip'] ||
+                        'unknown';
+
+        const rateLimit = await rateLimiter.check('feedback', clientIp);
+        if (!rateLimit.allowed) {
+            logger.warn('Rate limit exceeded', { ip: clientIp, retryAfter: rateLimit.retryAfter });
+            return {
+                statusCode: 429,
+                headers: { ...corsHeaders, ...rateLimitHeaders(rateLimit) },
+                body: JSON.stringify({
+                    error: 'rate_limit_exceeded',
+                    retryAfter: rateLimit.retryAfter
+                })
+            };
+        }
+
+        // Parse request body
+        let body;
+        try {
+            body = JSON.parse(event.body || '{}');
+        } catch (error) {
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'invalid_json', message: 'Invalid JSON in request body' })
+            };
+        }
+
+        const validation = validateInput(body);
+        if (!validation.valid) {
+            logger.warn('Validation failed', { reason: validation.error });
+            return {
+                statusCode: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'validation_error', message: validation.error })
+            };
+        }
+
+        if (!CONFIG.WEBHOOK_URL) {
+            logger.error('CHATBOT_FEEDBACK_WEBHOOK_URL not configured');
+            return {
+                statusCode: 500,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'server_error', message: 'Feedback webhook not configured' })
+            };
+        }
+
+        // Forward to the webhook with timeout
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+
+        const payload = JSON.stringify(validation.data);
+        const requestHeaders = { 'Content-Type': 'application/json', ...CONFIG.API_KEY_HEADERS };
+        if (CONFIG.SIGNING_SECRETS.length > 0) {
+            Object.assign(requestHeaders, signRequest(payload, CONFIG.SIGNING_SECRETS).headers);
+        }
+
+        let response;
+        try {
+            response = await fetch(CONFIG.WEBHOOK_URL, {
+                method: 'POST',
+                headers: requestHeaders,
+                body: payload,
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        if (!response.ok) {
+            logger.error('Webhook error response', { status: response.status });
+            return {
+                statusCode: 502,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'server_error', message: 'Failed to record feedback' })
+            };
+        }
+
+        logger.info('Rating recorded', { rating: validation.data.rating, messageIndex: validation.data.messageIndex });
+        return {
+            statusCode: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({ success: true })
+        };
+
+    } catch (error) {
+        logger.error('Error forwarding feedback', { error });
+
+        // Handle timeout
+        if (error.name === 'AbortError') {
+            return {
+                statusCode: 504,
+                headers: corsHeaders,
+                body: JSON.stringify({ error: 'server_error', message: 'Request timeout' })
+            };
+        }
+
+        return {
+            statusCode: 500,
+            headers: corsHeaders,
+            body: JSON.stringify({ error: 'server_error', message: 'Internal server error' })
+        };
+    }
+};
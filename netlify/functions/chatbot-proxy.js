@@ -6,79 +6,145 @@
  * to the client.
  *
  * Security features:
- * - Rate limiting (10 req/min per IP)
+ * - Rate limiting (10 req/min per IP, shared store via ../lib/rate-limiter)
  * - Input validation and sanitization
- * - Webhook secret authentication
+ * - HMAC-signed requests to n8n and signed replies (../lib/webhook-signature)
  * - Request timeout (30s)
  * - Comprehensive error handling
- * - CORS headers
+ * - Origin allow-list and request tokens (../lib/request-guard)
+ * - Structured JSON logs without personal data, with a request ID echoed
+ *   in X-Request-Id (../lib/logger)
+ *
+ * Metrics (../lib/metrics, read by the health function):
+ * - Requests by status and duration, validation failures, rejected and
+ *   rate-limited requests
+ * - n8n calls by status ("timeout", "unreachable") and time to response
+ * - Degraded replies and circuit openings
+ * - Moderation decisions and site context passages sent per message
+ *
+ * Conversation memory (../lib/conversation-store):
+ * - Each exchange is stored by sessionId; n8n receives the stored turns as
+ *   `history` and older turns as a rolling `summary`
+ * - The client's history is only a fallback for conversations the store
+ *   does not know, without its assistant turns (they could be forged)
+ *
+ * Site context (../lib/site-context):
+ * - The site passages most relevant to the message (pages and llms.txt,
+ *   built by search/build.js) are sent to n8n as `context`:
+ *   [{ title, heading, url, text, score }], so that replies rely on the
+ *   current prices and service details and can cite the pages
+ *
+ * Moderation (../lib/moderation, local rules):
+ * - Messages with prompt injection, requests for personal data or abuse are
+ *   answered with a polite refusal, without calling n8n; attempts to get a
+ *   price promised are forwarded with `moderation: { flags }`
+ * - Replies are checked too: blocked or rewritten (unlisted prices,
+ *   discounts, contact details); streamed replies are checked once
+ *   complete and corrected in the "done" event
+ *
+ * Circuit breaker (../lib/circuit-breaker):
+ * - After repeated n8n failures (timeouts, connection errors, 5xx) the
+ *   function answers at once with 503 { error: "degraded", degraded: true,
+ *   retryAfter, fallback } and a Retry-After header instead of waiting for
+ *   the timeout; the widget answers from the FAQ or offers the contact form
+ * - Once the open delay is over, one request probes n8n and closes the
+ *   circuit when it succeeds
+ *
+ * Streaming:
+ * - Clients sending "Accept: text/event-stream" receive the AI reply as
+ *   Server-Sent Events when n8n streams (SSE or JSON lines); with
+ *   moderation on, text is sent a sentence at a time once it passed the
+ *   reply rules
+ * - Falls back to the single JSON response when n8n does not stream
+ *
+ * Human handoff:
+ * - n8n can ask the widget to offer a live operator with "handoff": true or
+ *   "intent": "handoff" in its reply (JSON body or any streamed item); the
+ *   widget receives it as "handoff": true in the JSON body or "done" event
+ *
+ * Rich messages:
+ * - n8n can add a typed "messages" array (text, quick_replies, card,
+ *   carousel, button), sanitized by ../lib/rich-messages before it reaches
+ *   the widget; "response" stays the plain-text reply
+ *
+ * Signatures:
+ * - Requests are signed with N8N_WEBHOOK_SECRET (and
+ *   N8N_WEBHOOK_SECRET_PREVIOUS during a key rotation), and carry X-API-Key
+ *   (N8N_API_KEY) while it is set, until the n8n workflows check the signature
+ * - Replies to signed requests must be signed by n8n with the request nonce
+ *   (N8N_VERIFY_RESPONSE_SIGNATURES=false turns this off during the
+ *   migration); a signature covers the whole body, so signed streams are
+ *   verified once complete, then relayed
+ * Migration steps: see ../lib/webhook-signature
  */
 
 const https = require('https');
 const http = require('http');
+const { PassThrough, Readable } = require('stream');
+const { stream } = require('@netlify/functions');
+const { createRateLimiter, rateLimitHeaders } = require('../lib/rate-limiter');
+const { sanitizeMessages, messagesToText, messagesVisibleText } = require('../lib/rich-messages');
+const { getSigningSecrets, signRequest, apiKeyHeaders, verifyResponse } = require('../lib/webhook-signature');
+const { createRequestGuard } = require('../lib/request-guard');
+const { createLogger, getRequestId, withRequestId } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+const { createCircuitBreaker } = require('../lib/circuit-breaker');
+const { createConversationMemory, reconcileHistory } = require('../lib/conversation-store');
+const { createModerator } = require('../lib/moderation');
+const { createSiteContext } = require('../lib/site-context');
 
 // Configuration from environment variables
 const CONFIG = {
     N8N_WEBHOOK_URL: process.env.N8N_WEBHOOK_URL,
-    N8N_WEBHOOK_SECRET: process.env.N8N_WEBHOOK_SECRET,
+    N8N_WEBHOOK_SECRETS: getSigningSecrets(),
+    VERIFY_RESPONSE_SIGNATURES: process.env.N8N_VERIFY_RESPONSE_SIGNATURES !== 'false',
+    API_KEY_HEADERS: apiKeyHeaders(),
     RATE_LIMIT_PER_MINUTE: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '10'),
     REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT || '30000'),
     MAX_MESSAGE_LENGTH: 500,
-    MAX_HISTORY_LENGTH: 5
+    MAX_HISTORY_LENGTH: 5,
+    SUPPORTED_LANGUAGES: ['ja', 'en', 'zh', 'ko', 'fr']
 };
 
-// In-memory rate limiting store (resets when function cold starts)
-// For production, consider using Redis or similar
-const rateLimitStore = new Map();
-
-/**
- * Clean up old rate limit entries
- */
-function cleanupRateLimitStore() {
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
+const logger = createLogger('Chatbot Proxy');
+const metrics = createMetrics('chatbot');
 
-    for (const [key, data] of rateLimitStore.entries()) {
-        if (data.timestamp < oneMinuteAgo) {
-            rateLimitStore.delete(key);
-        }
+// Fail fast while n8n is down (thresholds set by CIRCUIT_* variables)
+const circuitBreaker = createCircuitBreaker({
+    name: 'n8n',
+    onStateChange: (state) => {
+        if (state === 'open') metrics.increment('circuit_opened_total', { upstream: 'n8n' });
     }
-}
+});
 
-/**
- * Check rate limit for an IP address
- * @param {string} ip - Client IP address
- * @returns {boolean} - True if within limit, false if exceeded
- */
-function checkRateLimit(ip) {
-    cleanupRateLimitStore();
+// Server-side conversations (storage backend set by CONVERSATION_STORE)
+const conversations = createConversationMemory();
 
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
+// Content rules for messages and replies (MODERATION_* variables)
+const moderator = createModerator();
 
-    if (!rateLimitStore.has(ip)) {
-        rateLimitStore.set(ip, { count: 1, timestamp: now });
-        return true;
-    }
+// Site passages for the AI (SITE_CONTEXT_* variables)
+const siteContext = createSiteContext();
 
-    const data = rateLimitStore.get(ip);
+// Response streaming is only available inside the Lambda streaming runtime
+const STREAMING_SUPPORTED = typeof awslambda !== 'undefined';
 
-    // Reset counter if last request was more than 1 minute ago
-    if (data.timestamp < oneMinuteAgo) {
-        rateLimitStore.set(ip, { count: 1, timestamp: now });
-        return true;
+// Shared sliding-window rate limiter (storage backend set by RATE_LIMIT_STORE)
+const rateLimiter = createRateLimiter({
+    policies: {
+        chatbot: { limit: CONFIG.RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 }
     }
+});
 
-    // Check if within limit
-    if (data.count >= CONFIG.RATE_LIMIT_PER_MINUTE) {
-        return false;
-    }
+// Origin allow-list and request tokens (issued by request-token)
+const requestGuard = createRequestGuard();
 
-    // Increment counter
-    data.count++;
-    data.timestamp = now;
-    return true;
-}
+// Messages for rejected requests (see requestGuard.check)
+const GUARD_MESSAGES = {
+    forbidden_origin: 'Request not allowed',
+    invalid_token: 'Invalid or expired request token',
+    not_configured: 'Request token secret not configured'
+};
 
 /**
  * Validate and sanitize input
@@ -95,8 +161,11 @@ function validateInput(body) {
         return { valid: false, error: 'Message is required and must be a string' };
     }
 
-    if (!body.language || !['ja', 'en'].includes(body.language)) {
-        return { valid: false, error: 'Language must be "ja" or "en"' };
+    if (!body.language || !CONFIG.SUPPORTED_LANGUAGES.includes(body.language)) {
+        return {
+            valid: false,
+            error: `Language must be one of: ${CONFIG.SUPPORTED_LANGUAGES.join(', ')}`
+        };
     }
 
     if (!body.sessionId || typeof body.sessionId !== 'string') {
@@ -149,11 +218,24 @@ function validateInput(body) {
 }
 
 /**
- * Call n8n webhook with timeout
+ * Check whether an n8n response is streamed rather than a single JSON body
+ * @param {http.IncomingMessage} res - n8n response
+ * @returns {boolean}
+ */
+function isStreamingResponse(res) {
+    const contentType = res.headers['content-type'] || '';
+    return /text\/event-stream|application\/(x-)?ndjson|application\/jsonl/i.test(contentType);
+}
+
+/**
+ * Open a request to the n8n webhook
+ * Resolves as soon as a successful response starts; error statuses are
+ * buffered for logging and rejected.
  * @param {object} data - Data to send to webhook
- * @returns {Promise<object>} - Response from n8n
+ * @param {object} options - { acceptStream: boolean }
+ * @returns {Promise<{ res: http.IncomingMessage, req: http.ClientRequest, nonce: string|null }>}
  */
-function callN8nWebhook(data) {
+function openN8nRequest(data, { acceptStream = false } = {}) {
     return new Promise((resolve, reject) => {
         // Check if webhook URL is configured
         if (!CONFIG.N8N_WEBHOOK_URL) {
@@ -169,6 +251,7 @@ function callN8nWebhook(data) {
         // Prepare payload
         const payload = JSON.stringify({
             ...data,
+            stream: acceptStream,
             timestamp: new Date().toISOString(),
             source: 'azenflow-website'
         });
@@ -181,20 +264,51 @@ function callN8nWebhook(data) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': acceptStream
+                    ? 'text/event-stream, application/x-ndjson, application/json'
+                    : 'application/json',
                 'Content-Length': Buffer.byteLength(payload),
                 'User-Agent': 'AzenFlow-Chatbot/1.0'
             },
             timeout: CONFIG.REQUEST_TIMEOUT
         };
 
-        // Add secret header if configured
-        if (CONFIG.N8N_WEBHOOK_SECRET) {
-            options.headers['X-API-Key'] = CONFIG.N8N_WEBHOOK_SECRET;
+        // Sign the request if a secret is configured
+        let nonce = null;
+        if (CONFIG.N8N_WEBHOOK_SECRETS.length > 0) {
+            const signed = signRequest(payload, CONFIG.N8N_WEBHOOK_SECRETS);
+            nonce = signed.nonce;
+            Object.assign(options.headers, signed.headers);
         }
+        Object.assign(options.headers, CONFIG.API_KEY_HEADERS);
 
-        console.log(`[Chatbot Proxy] Calling n8n webhook: ${url.hostname}${url.pathname}`);
+        logger.info('Calling n8n webhook', { host: url.hostname, path: url.pathname });
+
+        // One outcome per call (a timeout also ends in a request error)
+        const startedAt = Date.now();
+        let recorded = false;
+        const recordUpstream = (status) => {
+            if (recorded) return;
+            recorded = true;
+            metrics.increment('upstream_requests_total', { upstream: 'n8n', status });
+            metrics.observe('upstream_duration_ms', Date.now() - startedAt, { upstream: 'n8n' });
+
+            if (typeof status === 'number' && status < 500) {
+                circuitBreaker.recordSuccess();
+            } else {
+                circuitBreaker.recordFailure();
+            }
+        };
 
         const req = httpModule.request(options, (res) => {
+            logger.info('n8n response', { status: res.statusCode });
+            recordUpstream(res.statusCode);
+
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                resolve({ res, req, nonce });
+                return;
+            }
+
             let responseData = '';
 
             res.on('data', (chunk) => {
@@ -202,31 +316,21 @@ function callN8nWebhook(data) {
             });
 
             res.on('end', () => {
-                console.log(`[Chatbot Proxy] n8n response status: ${res.statusCode}`);
-
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const parsedData = JSON.parse(responseData);
-                        resolve(parsedData);
-                    } catch (error) {
-                        console.error('[Chatbot Proxy] Failed to parse n8n response:', error);
-                        reject(new Error('Invalid response from AI service'));
-                    }
-                } else {
-                    console.error(`[Chatbot Proxy] n8n error response: ${responseData}`);
-                    reject(new Error(`AI service returned error: ${res.statusCode}`));
-                }
+                logger.error('n8n error response', { status: res.statusCode, body: responseData });
+                reject(new Error(`AI service returned error: ${res.statusCode}`));
             });
         });
 
         req.on('error', (error) => {
-            console.error('[Chatbot Proxy] Request error:', error);
+            recordUpstream('unreachable');
+            logger.error('n8n request error', { error });
             reject(new Error('Failed to connect to AI service'));
         });
 
         req.on('timeout', () => {
+            recordUpstream('timeout');
             req.destroy();
-            console.error('[Chatbot Proxy] Request timeout');
+            logger.error('n8n request timeout', { timeout: CONFIG.REQUEST_TIMEOUT });
             reject(new Error('AI service timeout'));
         });
 
@@ -235,28 +339,455 @@ function callN8nWebhook(data) {
     });
 }
 
+/**
+ * Buffer an n8n response body
+ * @param {http.IncomingMessage} res - n8n response
+ * @param {http.ClientRequest} req - Upstream request
+ * @returns {Promise<string>}
+ */
+function readResponseBody(res, req) {
+    return new Promise((resolve, reject) => {
+        let responseData = '';
+
+        req.on('timeout', () => {
+            reject(new Error('AI service timeout'));
+        });
+
+        res.on('data', (chunk) => {
+            responseData += chunk;
+        });
+
+        res.on('end', () => {
+            resolve(responseData);
+        });
+
+        res.on('error', () => {
+            reject(new Error('Failed to connect to AI service'));
+        });
+    });
+}
+
+/**
+ * Check the signature of an n8n reply (when the request was signed)
+ * @param {string} body - Raw response body
+ * @param {http.IncomingMessage} res - n8n response
+ * @param {string|null} nonce - Nonce of the signed request
+ * @throws {Error} - If the signature is missing or invalid
+ */
+function assertSignedResponse(body, res, nonce) {
+    if (!CONFIG.VERIFY_RESPONSE_SIGNATURES || !nonce) {
+        return;
+    }
+
+    const result = verifyResponse(body, res.headers, nonce, CONFIG.N8N_WEBHOOK_SECRETS);
+    if (!result.valid) {
+        logger.error('Rejected n8n response', { reason: result.reason });
+        throw new Error('Invalid response signature from AI service');
+    }
+}
+
+/**
+ * Buffer an n8n response and parse it as JSON
+ * n8n's "Streaming" response mode sends JSON lines even to clients that do
+ * not stream, so such a body is joined back into a single { response }.
+ * @param {http.IncomingMessage} res - n8n response
+ * @param {http.ClientRequest} req - Upstream request
+ * @param {string|null} nonce - Nonce of the signed request
+ * @returns {Promise<object>} - Parsed response
+ */
+function readJsonResponse(res, req, nonce) {
+    return readResponseBody(res, req).then((responseData) => {
+        assertSignedResponse(responseData, res, nonce);
+
+        try {
+            return JSON.parse(responseData);
+        } catch (error) {
+            const text = parseStreamChunks(responseData)
+                .map(chunk => chunk.text || '')
+                .join('');
+
+            if (text) {
+                return { response: text };
+            }
+
+            logger.error('Failed to parse n8n response', { error, body: responseData });
+            throw new Error('Invalid response from AI service');
+        }
+    });
+}
+
+/**
+ * Call n8n webhook with timeout
+ * @param {object} data - Data to send to webhook
+ * @returns {Promise<object>} - Response from n8n
+ */
+function callN8nWebhook(data) {
+    return openN8nRequest(data).then(({ res, req, nonce }) => readJsonResponse(res, req, nonce));
+}
+
+/**
+ * Check whether an n8n reply asks for a human operator
+ * @param {object} item - n8n JSON body or streamed item
+ * @returns {boolean}
+ */
+function isHandoffRequested(item) {
+    return Boolean(item) && typeof item === 'object' &&
+        (item.handoff === true || ['handoff', 'human_handoff'].includes(item.intent));
+}
+
+/**
+ * Normalize an n8n JSON reply for the widget
+ * @param {object} data - Parsed n8n body
+ * @returns {object} - { response, messages, handoff, ...other fields }
+ */
+function normalizeReply(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return data;
+    }
+
+    const messages = sanitizeMessages(data.messages);
+    const text = typeof data.response === 'string' && data.response ? data.response : messagesToText(messages);
+
+    return {
+        ...data,
+        response: text,
+        messages,
+        handoff: isHandoffRequested(data)
+    };
+}
+
+/**
+ * Extract text chunks from complete lines of an n8n stream
+ * Accepts SSE ("data: ..." lines) and JSON lines. Objects may use n8n's
+ * { type: 'begin' | 'item' | 'end' | 'error', content } format or carry a
+ * text/token/delta/response field.
+ * @param {string} lines - Complete lines from the stream
+ * @returns {Array<{ text?: string, error?: string, done?: boolean, handoff?: boolean, messages?: Array }>}
+ */
+function parseStreamChunks(lines) {
+    const chunks = [];
+
+    for (const rawLine of lines.split(/\r?\n/)) {
+        let line = rawLine.trim();
+
+        // Skip blank lines, SSE comments and SSE fields other than data
+        if (!line || line.startsWith(':') || /^(event|id|retry):/.test(line)) {
+            continue;
+        }
+
+        const isSseData = line.startsWith('data:');
+        if (isSseData) {
+            line = line.slice(5).trim();
+        }
+
+        if (line === '[DONE]') {
+            chunks.push({ done: true });
+            continue;
+        }
+
+        let item;
+        try {
+            item = JSON.parse(line);
+        } catch (error) {
+            // Plain SSE data is a text token, anything else is noise
+            if (isSseData) {
+                chunks.push({ text: line });
+            }
+            continue;
+        }
+
+        if (typeof item === 'string') {
+            chunks.push({ text: item });
+            continue;
+        }
+
+        if (!item || typeof item !== 'object') {
+            continue;
+        }
+
+        if (isHandoffRequested(item)) {
+            chunks.push({ handoff: true });
+        }
+
+        if (Array.isArray(item.messages)) {
+            chunks.push({ messages: item.messages });
+        }
+
+        if (item.type === 'begin') {
+            continue;
+        }
+
+        if (item.type === 'end') {
+            chunks.push({ done: true });
+        } else if (item.type === 'error') {
+            chunks.push({ error: item.content || 'AI service stream error' });
+        } else {
+            const text = [item.content, item.text, item.token, item.delta, item.response]
+                .find(value => typeof value === 'string');
+            if (text) {
+                chunks.push({ text });
+            }
+        }
+    }
+
+    return chunks;
+}
+
+/**
+ * Format a Server-Sent Event
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ * @returns {string}
+ */
+function formatSseEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * End of the last complete sentence in a text (0 if none)
+ * Periods only count before a space, so emails, URLs and amounts are not cut.
+ * @param {string} text
+ * @returns {number} - Index after the sentence end
+ */
+function lastSentenceEnd(text) {
+    let end = 0;
+    for (const match of text.matchAll(/[。！？\n]|[.!?](?=\s)/g)) {
+        end = match.index + 1;
+    }
+    return end;
+}
+
+/**
+ * Re-emit a streamed n8n response as Server-Sent Events for the widget
+ * Events: "token" { text }, "done" { response, handoff, messages }, "error" { error, message }
+ *
+ * With a `check`, text is sent a sentence at a time, once the reply up to
+ * that sentence passed it. After a sentence fails, no more tokens are sent:
+ * the "done" event carries the moderated reply, which replaces the streamed
+ * bubble in the widget.
+ * @param {stream.Readable} res - Streaming n8n response (or its verified body)
+ * @param {http.ClientRequest} req - Upstream request (destroyed on failure)
+ * @param {object} options - { review(reply) => reply, checks the complete reply
+ *   before the "done" event; check(text) => boolean, whether the reply so far
+ *   may be shown (all tokens are sent as they come without it);
+ *   onDone(text), called with the final text ('' after an error) and
+ *   awaited before the stream ends }
+ * @returns {PassThrough} - SSE body stream
+ */
+function createSseStream(res, req, { review = (reply) => reply, check = null, onDone = () => {} } = {}) {
+    const output = new PassThrough();
+    let buffer = '';
+    let fullText = '';
+    let sentLength = 0;
+    let withheld = false;
+    let handoff = false;
+    let richMessages = [];
+    let finished = false;
+
+    const finish = async (event, data) => {
+        if (finished) return;
+        finished = true;
+
+        const payload = event === 'done' ? review(data) : data;
+        output.write(formatSseEvent(event, payload));
+        try {
+            await onDone(event === 'done' ? payload.response : '');
+        } catch (error) {
+            logger.error('Stream completion failed', { error });
+        }
+        output.end();
+    };
+
+    const fail = (reason) => {
+        if (finished) return;
+        logger.error('Stream error', { reason });
+        req.destroy();
+        finish('error', {
+            error: 'stream_error',
+            message: {
+                ja: '申し訳ございません。後でお試しください。',
+                en: 'Sorry, please try again later.',
+                zh: '抱歉，请稍后再试。',
+                ko: '죄송합니다. 잠시 후 다시 시도해 주세요.',
+                fr: 'Désolé, veuillez réessayer plus tard.'
+            }
+        });
+    };
+
+    const handleChunks = (chunks) => {
+        for (const chunk of chunks) {
+            if (finished) return;
+
+            if (chunk.handoff) {
+                handoff = true;
+            } else if (chunk.messages) {
+                richMessages = sanitizeMessages(richMessages.concat(chunk.messages));
+            } else if (chunk.error) {
+                fail(chunk.error);
+            } else if (chunk.done) {
+                finish('done', { response: fullText, handoff, messages: richMessages });
+            } else if (chunk.text) {
+                fullText += chunk.text;
+                sendChecked();
+            }
+        }
+    };
+
+    // Send the text not sent yet, up to the last sentence that passed the check
+    const sendChecked = () => {
+        if (withheld) return;
+
+        const end = check ? lastSentenceEnd(fullText) : fullText.length;
+        if (end <= sentLength) return;
+
+        if (check && !check(fullText.slice(0, end))) {
+            withheld = true;
+            return;
+        }
+
+        output.write(formatSseEvent('token', { text: fullText.slice(sentLength, end) }));
+        sentLength = end;
+    };
+
+    res.setEncoding('utf8');
+
+    res.on('data', (data) => {
+        buffer += data;
+
+        // Only parse complete lines, keep the remainder for the next chunk
+        const lastNewline = buffer.lastIndexOf('\n');
+        if (lastNewline === -1) return;
+
+        handleChunks(parseStreamChunks(buffer.slice(0, lastNewline)));
+        buffer = buffer.slice(lastNewline + 1);
+    });
+
+    res.on('end', () => {
+        handleChunks(parseStreamChunks(buffer));
+        finish('done', { response: fullText, handoff, messages: richMessages });
+        logger.info('Stream completed', { length: fullText.length });
+    });
+
+    res.on('aborted', () => fail('upstream aborted'));
+    res.on('error', () => fail('upstream connection lost'));
+    req.on('timeout', () => fail('timeout'));
+
+    return output;
+}
+
+/**
+ * Log and count a moderation result
+ * @param {string} direction - "input" or "output"
+ * @param {object} review - Result of moderator.checkInput / checkOutput
+ */
+function recordModeration(direction, review) {
+    if (review.action === 'allow') return;
+
+    logger.warn('Moderation', { direction, action: review.action, categories: review.categories, rules: review.rules });
+    for (const category of review.categories) {
+        metrics.increment('moderation_total', { direction, category, action: review.action });
+    }
+}
+
+/**
+ * Check an AI reply before it reaches the visitor
+ * Flagged rich messages are dropped, the text is blocked or rewritten.
+ * @param {object} reply - { response, messages, ... }
+ * @param {string} language - Language of replacement messages
+ * @returns {object} - Reply, with `moderation` when changed
+ */
+function moderateReply(reply, language) {
+    if (!reply || typeof reply !== 'object' || typeof reply.response !== 'string') {
+        return reply;
+    }
+
+    const changed = (review) => review.action === 'block' || review.action === 'rewrite';
+    const textReview = moderator.checkOutput(reply.response, language);
+    const messagesReview = moderator.checkOutput(messagesVisibleText(reply.messages || []), language);
+    recordModeration('output', textReview);
+    recordModeration('output', messagesReview);
+
+    if (!changed(textReview) && !changed(messagesReview)) {
+        return reply;
+    }
+
+    const strongest = changed(textReview) ? textReview : messagesReview;
+    return {
+        ...reply,
+        response: changed(textReview) ? textReview.text : reply.response,
+        messages: changed(messagesReview) ? [] : reply.messages,
+        moderation: { action: strongest.action, categories: strongest.categories }
+    };
+}
+
+/**
+ * Whether a partial AI reply can be streamed as it is
+ * Not logged nor counted: the complete reply goes through moderateReply.
+ * @param {string} text - Reply so far
+ * @param {string} language - Language of the reply
+ * @returns {boolean}
+ */
+function isReplyAllowed(text, language) {
+    const { action } = moderator.checkOutput(text, language);
+    return action === 'allow' || action === 'flag';
+}
+
 /**
  * CORS headers
  */
 const CORS_HEADERS = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, X-Request-Token',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Expose-Headers': 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, X-Request-Id',
     'Content-Type': 'application/json'
 };
 
+/**
+ * Count a request and its duration
+ * @param {number} statusCode - Response status
+ * @param {number} startedAt - Start of the request (ms timestamp)
+ */
+function recordRequest(statusCode, startedAt) {
+    metrics.increment('requests_total', { status: statusCode });
+    metrics.observe('request_duration_ms', Date.now() - startedAt);
+}
+
 /**
  * Main handler function
+ * Every log line of the request carries its ID, also sent to the client.
  */
-exports.handler = async (event, context) => {
-    // Log function invocation (without sensitive data)
-    console.log(`[Chatbot Proxy] Request from ${event.headers['x-forwarded-for'] || 'unknown'}`);
+async function handler(event, context) {
+    const requestId = getRequestId(event);
+    const startedAt = Date.now();
+
+    return withRequestId(requestId, async () => {
+        const response = await handleRequest(event, requestId, startedAt);
+
+        // Streamed replies record their metrics themselves (see handleRequest)
+        if (event.httpMethod !== 'OPTIONS' && !(response.body instanceof PassThrough)) {
+            recordRequest(response.statusCode, startedAt);
+            await metrics.flush();
+        }
+
+        return response;
+    });
+}
+
+/**
+ * Handle a request
+ * @param {object} event - Netlify Function event
+ * @param {string} requestId - Request ID (X-Request-Id)
+ * @param {number} startedAt - Start of the request (ms timestamp)
+ */
+async function handleRequest(event, requestId, startedAt) {
+    // Only allowed origins get CORS headers
+    const corsHeaders = { ...CORS_HEADERS, ...requestGuard.cors(event), 'X-Request-Id': requestId };
 
     // Handle CORS preflight
     if (event.httpMethod === 'OPTIONS') {
         return {
             statusCode: 200,
-            headers: CORS_HEADERS,
+            headers: corsHeaders,
             body: ''
         };
     }
@@ -265,7 +796,7 @@ exports.handler = async (event, context) => {
     if (event.httpMethod !== 'POST') {
         return {
             statusCode: 405,
-            headers: CORS_HEADERS,
+            headers: corsHeaders,
             body: JSON.stringify({
                 error: 'Method not allowed',
                 message: 'Only POST requests are accepted'
@@ -273,23 +804,47 @@ exports.handler = async (event, context) => {
         };
     }
 
+    // Check origin and request token before using any quota
+    const guard = requestGuard.check(event);
+    if (!guard.allowed) {
+        logger.warn('Request rejected', { reason: guard.reason, origin: event.headers['origin'] });
+        metrics.increment('rejections_total', { reason: guard.error });
+        return {
+            statusCode: guard.status,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                error: guard.error,
+                message: GUARD_MESSAGES[guard.error]
+            })
+        };
+    }
+
     try {
         // Get client IP for rate limiting
         const clientIp = event.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
                         event.headers['client-ip'] ||
                         'unknown';
 
+        // Log function invocation (the IP is hashed)
+        logger.info('Request received', { ip: clientIp });
+
         // Check rate limit
-        if (!checkRateLimit(clientIp)) {
-            console.warn(`[Chatbot Proxy] Rate limit exceeded for IP: ${clientIp}`);
+        const rateLimit = await rateLimiter.check('chatbot', clientIp);
+        if (!rateLimit.allowed) {
+            logger.warn('Rate limit exceeded', { ip: clientIp, retryAfter: rateLimit.retryAfter });
+            metrics.increment('rate_limited_total');
             return {
                 statusCode: 429,
-                headers: CORS_HEADERS,
+                headers: { ...corsHeaders, ...rateLimitHeaders(rateLimit) },
                 body: JSON.stringify({
                     error: 'rate_limit_exceeded',
+                    retryAfter: rateLimit.retryAfter,
                     message: {
                         ja: 'しばらくお待ちください。リクエストが多すぎます。',
-                        en: 'Please wait a moment. Too many requests.'
+                        en: 'Please wait a moment. Too many requests.',
+                        zh: '请稍候。请求过于频繁。',
+                        ko: '잠시만 기다려 주세요. 요청이 너무 많습니다.',
+                        fr: 'Veuillez patienter un instant. Trop de requêtes.'
                     }
                 })
             };
@@ -300,9 +855,10 @@ exports.handler = async (event, context) => {
         try {
             body = JSON.parse(event.body || '{}');
         } catch (error) {
+            metrics.increment('validation_failures_total', { reason: 'invalid_json' });
             return {
                 statusCode: 400,
-                headers: CORS_HEADERS,
+                headers: corsHeaders,
                 body: JSON.stringify({
                     error: 'invalid_json',
                     message: 'Invalid JSON in request body'
@@ -313,10 +869,11 @@ exports.handler = async (event, context) => {
         // Validate input
         const validation = validateInput(body);
         if (!validation.valid) {
-            console.warn(`[Chatbot Proxy] Validation error: ${validation.error}`);
+            logger.warn('Validation error', { error: validation.error });
+            metrics.increment('validation_failures_total', { reason: 'invalid_input' });
             return {
                 statusCode: 400,
-                headers: CORS_HEADERS,
+                headers: corsHeaders,
                 body: JSON.stringify({
                     error: 'validation_error',
                     message: validation.error
@@ -324,55 +881,197 @@ exports.handler = async (event, context) => {
             };
         }
 
+        // Refuse injection, personal data requests and abuse without calling n8n
+        const { message, sessionId, language } = validation.data;
+        const inputReview = moderator.checkInput(message);
+        recordModeration('input', inputReview);
+        if (inputReview.action === 'block') {
+            return {
+                statusCode: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    response: moderator.message(inputReview.categories[0], language),
+                    messages: [],
+                    handoff: false,
+                    moderation: { action: 'block', categories: inputReview.categories }
+                })
+            };
+        }
+
+        // n8n failed repeatedly: answer now, the widget falls back to the FAQ
+        const circuit = circuitBreaker.check();
+        if (!circuit.allowed) {
+            logger.warn('Circuit open, degraded reply', { state: circuit.state, retryAfter: circuit.retryAfter });
+            metrics.increment('degraded_total');
+            return {
+                statusCode: 503,
+                headers: { ...corsHeaders, 'Retry-After': String(circuit.retryAfter) },
+                body: JSON.stringify({
+                    error: 'degraded',
+                    degraded: true,
+                    retryAfter: circuit.retryAfter,
+                    fallback: ['faq', 'contact'],
+                    message: {
+                        ja: '現在AIアシスタントが混み合っています。よくあるご質問からお答えするか、担当者からご連絡いたします。',
+                        en: 'Our AI assistant is temporarily unavailable. We can answer from our FAQ, or a team member will get back to you.',
+                        zh: 'AI助手暂时无法使用。我们可以从常见问题中为您解答，或由工作人员与您联系。',
+                        ko: 'AI 어시스턴트를 일시적으로 사용할 수 없습니다. 자주 묻는 질문에서 답변드리거나 담당자가 연락드리겠습니다.',
+                        fr: 'Notre assistant IA est momentanément indisponible. Nous pouvons répondre à partir de la FAQ, ou un membre de l’équipe vous recontactera.'
+                    }
+                })
+            };
+        }
+        if (circuit.probe) {
+            logger.info('Circuit half-open, probing n8n');
+        }
+
+        // Stream the reply when the client asks for it and the runtime allows it
+        const acceptHeader = event.headers['accept'] || '';
+        const wantsStream = STREAMING_SUPPORTED && acceptHeader.includes('text/event-stream');
+
+        // History from the stored conversation rather than the client
+        const conversation = await conversations.load(sessionId);
+        const reconciled = reconcileHistory(validation.data.history, conversation);
+        if (reconciled.ignored > 0) {
+            logger.info('Client assistant turns not in the stored conversation, ignored', { count: reconciled.ignored });
+        }
+
+        // Client turns were never checked: drop the ones that would be blocked
+        const history = conversation.turns.length > 0
+            ? reconciled.history
+            : reconciled.history.filter(item => moderator.checkInput(item.content).action !== 'block');
+
+        const requestData = { ...validation.data, history, summary: conversation.summary };
+        if (inputReview.action === 'flag') {
+            requestData.moderation = { flags: inputReview.categories };
+        }
+
+        // Ground the reply in the site's own content
+        const context = siteContext.retrieve(message);
+        if (context.length > 0) {
+            requestData.context = context;
+        }
+        metrics.increment('context_total', { passages: String(context.length) });
+        const remember = (reply) => conversations.append(sessionId, conversation, message, reply);
+
         // Call n8n webhook
-        console.log(`[Chatbot Proxy] Processing message (lang: ${validation.data.language})`);
-        const response = await callN8nWebhook(validation.data);
+        logger.info('Processing message', {
+            language: validation.data.language,
+            stream: wantsStream,
+            length: message.length,
+            historyLength: history.length,
+            storedTurns: conversation.turns.length,
+            contextPassages: context.length
+        });
+        let response;
+
+        if (wantsStream) {
+            const { res, req, nonce } = await openN8nRequest(requestData, { acceptStream: true });
+
+            if (isStreamingResponse(res)) {
+                // Signed streams are relayed once the whole body is verified
+                let source = res;
+                if (CONFIG.VERIFY_RESPONSE_SIGNATURES && nonce) {
+                    const streamedBody = await readResponseBody(res, req);
+                    assertSignedResponse(streamedBody, res, nonce);
+                    source = Readable.from([Buffer.from(streamedBody)], { objectMode: false });
+                }
+
+                // Timed to the start of the stream; flushed once the reply is
+                // moderated and remembered
+                logger.info('Streaming response to client');
+                recordRequest(200, startedAt);
+                return {
+                    statusCode: 200,
+                    headers: {
+                        ...corsHeaders,
+                        'Content-Type': 'text/event-stream; charset=utf-8',
+                        'Cache-Control': 'no-cache',
+                        'X-Accel-Buffering': 'no'
+                    },
+                    body: createSseStream(source, req, {
+                        review: (reply) => moderateReply(reply, language),
+                        check: moderator.enabled ? (text) => isReplyAllowed(text, language) : null,
+                        onDone: async (text) => {
+                            if (text) await remember(text);
+                            await metrics.flush();
+                        }
+                    })
+                };
+            }
+
+            // n8n answered with a single JSON body
+            response = await readJsonResponse(res, req, nonce);
+        } else {
+            response = await callN8nWebhook(requestData);
+        }
+
+        // Typed messages and handoff signal for the widget, then moderation
+        response = moderateReply(normalizeReply(response), language);
+
+        if (response && typeof response.response === 'string' && response.response) {
+            await remember(response.response);
+        }
 
         // Return successful response
-        console.log('[Chatbot Proxy] Successfully processed request');
+        logger.info('Successfully processed request', { handoff: response && response.handoff === true });
         return {
             statusCode: 200,
-            headers: CORS_HEADERS,
+            headers: corsHeaders,
             body: JSON.stringify(response)
         };
 
     } catch (error) {
-        console.error('[Chatbot Proxy] Error processing request:', error);
+        logger.error('Error processing request', { error });
 
         // Determine appropriate error response
         let statusCode = 500;
         let errorMessage = {
             ja: '申し訳ございません。後でお試しください。',
-            en: 'Sorry, please try again later.'
+            en: 'Sorry, please try again later.',
+            zh: '抱歉，请稍后再试。',
+            ko: '죄송합니다. 잠시 후 다시 시도해 주세요.',
+            fr: 'Désolé, veuillez réessayer plus tard.'
         };
 
         if (error.message.includes('timeout')) {
             statusCode = 504;
             errorMessage = {
                 ja: '応答に時間がかかっています。後でお試しください。',
-                en: 'Response is taking too long. Please try again later.'
+                en: 'Response is taking too long. Please try again later.',
+                zh: '响应时间过长。请稍后再试。',
+                ko: '응답에 시간이 걸리고 있습니다. 잠시 후 다시 시도해 주세요.',
+                fr: 'La réponse prend trop de temps. Veuillez réessayer plus tard.'
             };
         } else if (error.message.includes('connect')) {
             statusCode = 503;
             errorMessage = {
                 ja: '接続エラーが発生しました。後でお試しください。',
-                en: 'Connection error occurred. Please try again later.'
+                en: 'Connection error occurred. Please try again later.',
+                zh: '连接出错。请稍后再试。',
+                ko: '연결 오류가 발생했습니다. 잠시 후 다시 시도해 주세요.',
+                fr: 'Erreur de connexion. Veuillez réessayer plus tard.'
             };
         } else if (error.message.includes('not configured')) {
             statusCode = 500;
             errorMessage = {
                 ja: 'サービス設定エラー。管理者に連絡してください。',
-                en: 'Service configuration error. Please contact administrator.'
+                en: 'Service configuration error. Please contact administrator.',
+                zh: '服务配置错误。请联系管理员。',
+                ko: '서비스 설정 오류입니다. 관리자에게 문의해 주세요.',
+                fr: 'Erreur de configuration du service. Veuillez contacter l’administrateur.'
             };
         }
 
         return {
             statusCode: statusCode,
-            headers: CORS_HEADERS,
+            headers: corsHeaders,
             body: JSON.stringify({
                 error: 'server_error',
                 message: errorMessage
             })
         };
     }
-};
+}
+
+exports.handler = STREAMING_SUPPORTED ? stream(handler) : handler;
@@ -0,0 +1,154 @@
+/**
+ * Chatbot Status - Netlify Function
+ *
+ * Tells the chatbot widget whether a person can take over the conversation,
+ * so the header status and the handoff messages match reality.
+ *
+ * Status values:
+ * - available: business hours and operators are available
+ * - away:      business hours, but no operator is available right now
+ * - closed:    outside business hours (handoff requests are answered the next business day)
+ *
+ * Security:
+ * - CORS restricted to allowed origins (ALLOWED_ORIGINS, see ../lib/request-guard);
+ *   no request token needed for this read-only status
+ *
+ * Environment:
+ * - OPERATOR_AVAILABILITY: auto (default, available during business hours),
+ *   available or unavailable
+ * - BUSINESS_HOLIDAYS: comma-separated closed dates (YYYY-MM-DD, JST)
+ */
+
+const { createRequestGuard } = require('../lib/request-guard');
+
+// Configuration
+const CONFIG = {
+    OPERATOR_AVAILABILITY: (process.env.OPERATOR_AVAILABILITY || 'auto').toLowerCase(),
+    HOLIDAYS: (process.env.BUSINESS_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean),
+    TIMEZONE_OFFSET_HOURS: 9, // JST (no daylight saving time)
+    BUSINESS_DAYS: [1, 2, 3, 4, 5], // Monday - Friday
+    OPENING_HOUR: 9,
+    CLOSING_HOUR: 18,
+    CACHE_SECONDS: 60
+};
+
+/**
+ * Convert a date to Japan time (read with the getUTC* methods)
+ * @param {Date} date - Current time
+ * @returns {Date}
+ */
+function toJst(date) {
+    return new Date(date.getTime() + CONFIG.TIMEZONE_OFFSET_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether a JST day is a business day
+ * @param {Date} jst - Date from toJst()
+ * @returns {boolean}
+ */
+function isBusinessDay(jst) {
+    const isoDate = jst.toISOString().slice(0, 10);
+    return CONFIG.BUSINESS_DAYS.includes(jst.getUTCDay()) && !CONFIG.HOLIDAYS.includes(isoDate);
+}
+
+/**
+ * Check whether the office is open
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isBusinessHours(now = new Date()) {
+    const jst = toJst(now);
+    const hour = jst.getUTCHours();
+    return isBusinessDay(jst) && hour >= CONFIG.OPENING_HOUR && hour < CONFIG.CLOSING_HOUR;
+}
+
+/**
+ * Find the next opening time
+ * @param {Date} now - Current time
+ * @returns {string} - ISO timestamp
+ */
+function getNextOpening(now = new Date()) {
+    const jst = toJst(now);
+
+    // Today's opening if it is still ahead, otherwise the next business day
+    const candidate = new Date(Date.UTC(jst.getUTCFullYear(), jst.getUTCMonth(), jst.getUTCDate(), CONFIG.OPENING_HOUR));
+    if (jst >= candidate || !isBusinessDay(candidate)) {
+        do {
+            candidate.setUTCDate(candidate.getUTCDate() + 1);
+        } while (!isBusinessDay(candidate));
+    }
+
+    return new Date(candidate.getTime() - CONFIG.TIMEZONE_OFFSET_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Compute the operator status
+ * @param {Date} now - Current time
+ * @returns {object} - { status, businessHours, nextOpening }
+ */
+function getOperatorStatus(now = new Date()) {
+    const open = isBusinessHours(now);
+
+    let status;
+    if (CONFIG.OPERATOR_AVAILABILITY === 'available') {
+        status = 'available';
+    } else if (!open) {
+        status = 'closed';
+    } else {
+        status = CONFIG.OPERATOR_AVAILABILITY === 'unavailable' ? 'away' : 'available';
+    }
+
+    return {
+        status,
+        businessHours: {
+            open,
+            days: CONFIG.BUSINESS_DAYS,
+            opening: `${String(CONFIG.OPENING_HOUR).padStart(2, '0')}:00`,
+            closing: `${String(CONFIG.CLOSING_HOUR).padStart(2, '0')}:00`,
+            timezone: 'Asia/Tokyo'
+        },
+        nextOpening: open ? null : getNextOpening(now)
+    };
+}
+
+// Origin allow-list (CORS headers only)
+const requestGuard = createRequestGuard({ requireToken: false });
+
+/**
+ * CORS headers
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Main handler function
+ */
+exports.handler = async (event) => {
+    const headers = { ...CORS_HEADERS, ...requestGuard.cors(event) };
+
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    // Only accept GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    return {
+        statusCode: 200,
+        headers: {
+            ...headers,
+            'Cache-Control': `public, max-age=${CONFIG.CACHE_SECONDS}`
+        },
+        body: JSON.stringify(getOperatorStatus())
+    };
+};
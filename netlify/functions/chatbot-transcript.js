@@ -0,0 +1,294 @@
+/**
+ * Chatbot Transcript - Netlify Function
+ * Emails a copy of the chatbot conversation to the visitor
+ *
+ * The widget posts the address and the transcript; the function validates
+ * them like the contact form (see contact-form-proxy.js) and forwards them
+ * to an n8n webhook that sends the email.
+ *
+ * Security:
+ * - Hides n8n webhook URL from frontend
+ * - Signs requests with HMAC-SHA256, plus X-API-Key (N8N_API_KEY) during the
+ *   migration (see ../lib/webhook-signature)
+ * - Validates and sanitizes all input data
+ * - Rate limiting per IP (5 requests per hour) and per recipient
+ *   (3 emails per day), so the function cannot be used to spam an address
+ * - Origin allow-list and request tokens (see ../lib/request-guard)
+ * - Logs through ../lib/logger (client IPs hashed, n8n error bodies left out);
+ *   an n8n failure reaches the browser as a plain 502
+ */
+
+const crypto = require('crypto');
+const { createRateLimiter, rateLimitHeaders } = require('../lib/rate-limiter');
+const { EMAIL_REGEX, normalizeEmail, sanitizeTranscript } = require('../lib/form-validation');
+const { getSigningSecrets, signRequest, apiKeyHeaders } = require('../lib/webhook-signature');
+const { createRequestGuard } = require('../lib/request-guard');
+const { createLogger } = require('../lib/logger');
+
+// Configuration
+const CONFIG = {
+    N8N_WEBHOOK_URL: process.env.N8N_TRANSCRIPT_WEBHOOK_URL,
+    SIGNING_SECRETS: getSigningSecrets(),
+    API_KEY_HEADERS: apiKeyHeaders(),
+    RATE_LIMIT_WINDOW: 60 * 60 * 1000, // 1 hour
+    MAX_REQUESTS_PER_HOUR: 5,
+    RECIPIENT_WINDOW: 24 * 60 * 60 * 1000, // 1 day
+    MAX_EMAILS_PER_RECIPIENT: 3,
+    REQUEST_TIMEOUT: 30000, // 30 seconds
+    MAX_TRANSCRIPT_MESSAGES: 50,
+    MAX_TRANSCRIPT_MESSAGE_LENGTH: 2000,
+    SUPPORTED_LANGUAGES: ['ja', 'en', 'zh', 'ko', 'fr']
+};
+
+const logger = createLogger('Chatbot Transcript');
+
+// Shared sliding-window rate limiter (storage backend set by RATE_LIMIT_STORE)
+const rateLimiter = createRateLimiter({
+    policies: {
+        transcript: { limit: CONFIG.MAX_REQUESTS_PER_HOUR, windowMs: CONFIG.RATE_LIMIT_WINDOW },
+        transcriptRecipient: { limit: CONFIG.MAX_EMAILS_PER_RECIPIENT, windowMs: CONFIG.RECIPIENT_WINDOW }
+    }
+});
+
+// Origin allow-list and request tokens (issued by request-token)
+const requestGuard = createRequestGuard();
+
+// Errors for rejected requests (see requestGuard.check)
+const GUARD_ERRORS = {
+    forbidden_origin: 'Forbidden',
+    invalid_token: 'Invalid request token',
+    not_configured: 'Server configuration error'
+};
+
+// Input validation and sanitization
+function validateAndSanitize(data) {
+    const errors = [];
+
+    const normalizedData = {
+        email: data.email || '',
+        language: data.language || 'ja',
+        sessionId: data.sessionId || ''
+    };
+
+    // Required fields
+    if (typeof normalizedData.email !== 'string' || normalizedData.email.trim() === '') {
+        errors.push('Missing or invalid field: email');
+    } else if (!EMAIL_REGEX.test(normalizedData.email.trim())) {
+        errors.push('Invalid email format');
+    }
+
+    if (!CONFIG.SUPPORTED_LANGUAGES.includes(normalizedData.language)) {
+        errors.push(`Language must be one of: ${CONFIG.SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+
+    if (typeof normalizedData.sessionId !== 'string') {
+        errors.push('Invalid session ID');
+    }
+
+    // Conversation transcript (at least one message)
+    const transcriptCheck = sanitizeTranscript(data.transcript, {
+        maxMessages: CONFIG.MAX_TRANSCRIPT_MESSAGES,
+        maxMessageLength: CONFIG.MAX_TRANSCRIPT_MESSAGE_LENGTH
+    });
+    if (!transcriptCheck.valid) {
+        errors.push(transcriptCheck.error);
+    } else if (transcriptCheck.data.length === 0) {
+        errors.push('Transcript is empty');
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    return {
+        valid: true,
+        data: {
+            email: normalizeEmail(normalizedData.email),
+            language: normalizedData.language,
+            sessionId: normalizedData.sessionId.trim().substring(0, 100),
+            transcript: transcriptCheck.data,
+            timestamp: new Date().toISOString(),
+            source: 'chatbot-transcript'
+        }
+    };
+}
+
+/**
+ * Rate limit key for a recipient (the address itself is not stored)
+ * @param {string} email - Normalized address
+ * @returns {string}
+ */
+function recipientKey(email) {
+    return crypto.createHash('sha256').update(email).digest('hex');
+}
+
+// Main handler
+exports.handler = async (event) => {
+    // CORS headers (only allowed origins are echoed)
+    const headers = {
+        ...requestGuard.cors(event),
+        'Access-Control-Allow-Headers': 'Content-Type, X-Request-Token',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Expose-Headers': 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    // Only POST allowed
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    // Check origin and request token
+    const guard = requestGuard.check(event);
+    if (!guard.allowed) {
+        logger.warn('Request rejected', { reason: guard.reason, origin: event.headers['origin'] });
+        return {
+            statusCode: guard.status,
+            headers,
+            body: JSON.stringify({ error: GUARD_ERRORS[guard.error] })
+        };
+    }
+
+    try {
+        // Get client IP (first address of the forwarded chain)
+        const clientIp = event.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+                        event.headers['client-ip'] ||
+                        'unknown';
+
+        // Rate limiting (per IP)
+        const rateLimitCheck = await rateLimiter.check('transcript', clientIp);
+        if (!rateLimitCheck.allowed) {
+            logger.warn('Rate limit exceeded', { ip: clientIp, retryAfter: rateLimitCheck.retryAfter });
+            return {
+                statusCode: 429,
+                headers: { ...headers, ...rateLimitHeaders(rateLimitCheck) },
+                body: JSON.stringify({
+                    error: 'Too many requests',
+                    retryAfter: rateLimitCheck.retryAfter
+                })
+            };
+        }
+
+        // Parse request body
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body);
+        } catch (parseError) {
+            logger.warn('Invalid JSON', { error: parseError });
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Invalid JSON format' })
+            };
+        }
+
+        // Validate and sanitize
+        const validation = validateAndSanitize(requestData || {});
+        if (!validation.valid) {
+            logger.warn('Validation failed', { errors: validation.errors });
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Validation failed',
+                    details: validation.errors
+                })
+            };
+        }
+
+        const sanitizedData = validation.data;
+
+        // Rate limiting (per recipient)
+        const recipientCheck = await rateLimiter.check('transcriptRecipient', recipientKey(sanitizedData.email));
+        if (!recipientCheck.allowed) {
+            logger.warn('Rate limit exceeded for recipient', { retryAfter: recipientCheck.retryAfter });
+            return {
+                statusCode: 429,
+                headers: { ...headers, ...rateLimitHeaders(recipientCheck) },
+                body: JSON.stringify({
+                    error: 'Too many requests',
+                    retryAfter: recipientCheck.retryAfter
+                })
+            };
+        }
+
+        // Check configuration
+        if (!CONFIG.N8N_WEBHOOK_URL || CONFIG.SIGNING_SECRETS.length === 0) {
+            logger.error('Missing environment variables');
+            return {
+                statusCode: 500,
+                headers,
+                body: JSON.stringify({ error: 'Server configuration error' })
+            };
+        }
+
+        logger.info('Sending transcript to n8n', { messages: sanitizedData.transcript.length });
+
+        // Call n8n webhook with timeout (signed over the exact body sent)
+        const payload = JSON.stringify(sanitizedData);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+
+        const response = await fetch(CONFIG.N8N_WEBHOOK_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...signRequest(payload, CONFIG.SIGNING_SECRETS).headers,
+                ...CONFIG.API_KEY_HEADERS
+            },
+            body: payload,
+            signal: controller.signal
+        });
+
+        clearTimeout(timeout);
+
+        if (!response.ok) {
+            // n8n's status is logged, never passed to the browser
+            logger.error('n8n error response', { status: response.status });
+
+            return {
+                statusCode: 502,
+                headers,
+                body: JSON.stringify({ error: 'Failed to send transcript' })
+            };
+        }
+
+        logger.info('Transcript sent');
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: 'Transcript sent successfully'
+            })
+        };
+
+    } catch (error) {
+        logger.error('Error sending transcript', { error });
+
+        // Handle timeout
+        if (error.name === 'AbortError') {
+            return {
+                statusCode: 504,
+                headers,
+                body: JSON.stringify({ error: 'Request timeout' })
+            };
+        }
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'Internal server error' })
+        };
+    }
+};
@@ -4,52 +4,129 @@
  *
  * Security:
  * - Hides n8n webhook URL from frontend
- * - Adds X-API-Key authentication header
+ * - Signs requests with HMAC-SHA256, plus X-API-Key (N8N_API_KEY) during the
+ *   migration (see ../lib/webhook-signature)
  * - Validates and sanitizes all input data
- * - Rate limiting (10 requests per hour per IP)
- * - CORS headers for security
+ * - Rate limiting (10 requests per hour per IP, shared store via ../lib/rate-limiter)
+ * - Origin allow-list and request tokens (see ../lib/request-guard)
+ * - Bot protection: proof-of-work challenge, minimum time to submit,
+ *   honeypot and optional captcha (see ../lib/bot-protection)
+ * - Spam scoring: submissions are tagged with spamScore and spamReasons,
+ *   quarantined or rejected past the thresholds (see ../lib/spam-scoring)
+ * - Structured JSON logs: IPs and emails hashed, message content left out;
+ *   the request ID is echoed in X-Request-Id (see ../lib/logger)
+ *
+ * Delivery (see ../lib/lead-delivery):
+ * - Fanned out to the connectors in LEAD_CONNECTORS (n8n, webhook, SMTP,
+ *   Slack, LINE Notify; default: the n8n contact webhook), see
+ *   ../lib/lead-connectors
+ * - Retried with backoff per connector; a lead a connector still does not
+ *   take is kept in the dead-letter queue for `npm run replay:leads`, the
+ *   other connectors are not held up. Once the required connectors (n8n by
+ *   default) took it, the visitor gets 200 whatever the optional ones did;
+ *   otherwise 202 queued. Only a durable queue (LEAD_STORE=redis, or file
+ *   with LEAD_STORE_FILE_PATH) counts: with the memory store the visitor
+ *   gets the delivery error of a required connector
+ * - Idempotency-Key header: a resent submission gets the first response once
+ *   the lead was delivered or queued; after a failure the same key can retry
+ *
+ * Metrics (see ../lib/metrics, read by the health function): requests by
+ * status and duration, validation failures, rejections (origin, bot, spam),
+ * rate-limited requests, and each connector attempt by status and duration.
+ *
+ * Also receives chatbot handoff requests (source "chatbot-handoff"): the
+ * visitor's contact details plus the conversation transcript.
  */
 
+const crypto = require('crypto');
+const { createRateLimiter, rateLimitHeaders } = require('../lib/rate-limiter');
+const { EMAIL_REGEX, normalizeEmail, sanitizeTranscript } = require('../lib/form-validation');
+const { createRequestGuard } = require('../lib/request-guard');
+const { createBotProtection } = require('../lib/bot-protection');
+const { createSpamScorer } = require('../lib/spam-scoring');
+const {
+    createLeadStore,
+    readIdempotencyKey,
+    createIdempotencyStore,
+    createDeadLetterQueue,
+    createLeadDelivery
+} = require('../lib/lead-delivery');
+const { createConnectorsFromEnv } = require('../lib/lead-connectors');
+const { createLogger, getRequestId, withRequestId } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+
 // Utilisation du fetch natif de Node.js 18+ (pas besoin d'import)
 // Netlify Functions utilise Node.js 18+ où fetch est disponible globalement
 
 // Configuration
 const CONFIG = {
-    N8N_WEBHOOK_URL: process.env.N8N_CONTACT_WEBHOOK_URL,
-    API_KEY: process.env.N8N_WEBHOOK_SECRET,
     RATE_LIMIT_WINDOW: 60 * 60 * 1000, // 1 hour
     MAX_REQUESTS_PER_HOUR: 10,
-    REQUEST_TIMEOUT: 30000 // 30 seconds
+    REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT || '30000'), // 30 seconds
+    DELIVERY_MAX_ATTEMPTS: parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '3'),
+    DELIVERY_RETRY_DELAY: parseInt(process.env.DELIVERY_RETRY_DELAY || '500'), // Doubled on each retry
+    DELIVERY_BUDGET: parseInt(process.env.DELIVERY_BUDGET || '8000'), // All attempts, within the function timeout
+    MAX_TRANSCRIPT_MESSAGES: 50,
+    MAX_TRANSCRIPT_MESSAGE_LENGTH: 1000
 };
 
-// In-memory rate limiting store (simple implementation)
-const rateLimitStore = new Map();
+// Default message for chatbot handoffs sent without a note
+const HANDOFF_DEFAULT_MESSAGE = 'チャットボットからの担当者対応リクエスト / Chatbot handoff request';
 
-// Rate limiting function
-function checkRateLimit(ip) {
-    const now = Date.now();
-    const userRequests = rateLimitStore.get(ip) || [];
+const logger = createLogger('Contact Form');
+const metrics = createMetrics('contact');
 
-    // Clean old requests
-    const recentRequests = userRequests.filter(
-        timestamp => now - timestamp < CONFIG.RATE_LIMIT_WINDOW
-    );
-
-    if (recentRequests.length >= CONFIG.MAX_REQUESTS_PER_HOUR) {
-        const oldestRequest = Math.min(...recentRequests);
-        const retryAfter = Math.ceil((oldestRequest + CONFIG.RATE_LIMIT_WINDOW - now) / 1000);
-        return { allowed: false, retryAfter };
+// Shared sliding-window rate limiter (storage backend set by RATE_LIMIT_STORE)
+const rateLimiter = createRateLimiter({
+    policies: {
+        contact: { limit: CONFIG.MAX_REQUESTS_PER_HOUR, windowMs: CONFIG.RATE_LIMIT_WINDOW }
+    }
+});
+
+// Origin allow-list and request tokens (issued by request-token)
+const requestGuard = createRequestGuard();
+
+// Proof of work, time to submit, honeypot and captcha (challenges from form-challenge)
+const botProtection = createBotProtection();
+
+// Links, disposable emails, repeated emails and character-set anomalies
+const spamScorer = createSpamScorer();
+
+// Retried delivery, dead-letter queue and idempotency (storage backend set by LEAD_STORE)
+const leadStore = createLeadStore();
+const idempotency = createIdempotencyStore(leadStore);
+const deadLetters = createDeadLetterQueue(leadStore);
+const leadDelivery = createLeadDelivery({
+    connectors: createConnectorsFromEnv(),
+    timeout: CONFIG.REQUEST_TIMEOUT,
+    maxAttempts: CONFIG.DELIVERY_MAX_ATTEMPTS,
+    retryDelay: CONFIG.DELIVERY_RETRY_DELAY,
+    budget: CONFIG.DELIVERY_BUDGET,
+    onAttempt: (connector, result, durationMs) => {
+        // Real HTTP/SMTP status, or what prevented one
+        const status = ['timeout', 'unreachable'].includes(result.error) ? result.error : result.status;
+        metrics.increment('upstream_requests_total', { upstream: connector.name, status });
+        metrics.observe('upstream_duration_ms', durationMs, { upstream: connector.name });
     }
+});
 
-    recentRequests.push(now);
-    rateLimitStore.set(ip, recentRequests);
+// Errors for rejected requests (see requestGuard.check)
+const GUARD_ERRORS = {
+    forbidden_origin: 'Forbidden',
+    invalid_token: 'Invalid request token',
+    not_configured: 'Server configuration error'
+};
 
-    return { allowed: true };
-}
+// Errors when a lead could neither be delivered nor queued
+const DELIVERY_ERRORS = {
+    timeout: 'Request timeout',
+    unreachable: 'Service unavailable'
+};
 
 // Input validation and sanitization
 function validateAndSanitize(data) {
     const errors = [];
+    const isHandoff = data.source === 'chatbot-handoff';
 
     // Normaliser les noms de champs pour compatibilité (anciens → nouveaux)
     const normalizedData = {
@@ -58,7 +135,7 @@ function validateAndSanitize(data) {
         company: data.company || '',
         phone: data.phone || '',
         service: data.service || data.projectType || '',
-        message: data.message || '',
+        message: data.message || (isHandoff ? HANDOFF_DEFAULT_MESSAGE : ''),
         consent: data.consent,
         language: data.language || 'ja'
     };
@@ -72,8 +149,7 @@ function validateAndSanitize(data) {
     }
 
     // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (normalizedData.email && !emailRegex.test(normalizedData.email)) {
+    if (normalizedData.email && !EMAIL_REGEX.test(normalizedData.email)) {
         errors.push('Invalid email format');
     }
 
@@ -82,20 +158,34 @@ function validateAndSanitize(data) {
         errors.push('Message too long (max 2000 characters)');
     }
 
+    // Chatbot handoff: conversation transcript
+    let transcript = null;
+    if (isHandoff) {
+        const transcriptCheck = sanitizeTranscript(data.transcript || [], {
+            maxMessages: CONFIG.MAX_TRANSCRIPT_MESSAGES,
+            maxMessageLength: CONFIG.MAX_TRANSCRIPT_MESSAGE_LENGTH
+        });
+        if (transcriptCheck.valid) {
+            transcript = transcriptCheck.data;
+        } else {
+            errors.push(transcriptCheck.error);
+        }
+    }
+
     if (errors.length > 0) {
         return { valid: false, errors };
     }
 
     // Sanitize (trim whitespace, remove potentially harmful characters)
     // Allowed sources for validation
-    const allowedSources = ['website-contact-form', 'pdf-download'];
+    const allowedSources = ['website-contact-form', 'pdf-download', 'chatbot-handoff'];
     const requestedSource = data.source && allowedSources.includes(data.source)
         ? data.source
         : 'website-contact-form';
 
     const sanitized = {
         name: normalizedData.name.trim().substring(0, 100),
-        email: normalizedData.email.trim().toLowerCase().substring(0, 200),
+        email: normalizeEmail(normalizedData.email),
         company: normalizedData.company ? normalizedData.company.trim().substring(0, 200) : '',
         phone: normalizedData.phone ? normalizedData.phone.trim().substring(0, 50) : '',
         service: normalizedData.service ? normalizedData.service.trim().substring(0, 100) : '',
@@ -106,17 +196,134 @@ function validateAndSanitize(data) {
         source: requestedSource
     };
 
+    if (transcript) {
+        sanitized.transcript = transcript;
+        sanitized.sessionId = typeof data.sessionId === 'string' ? data.sessionId.trim().substring(0, 100) : '';
+    }
+
     return { valid: true, data: sanitized };
 }
 
-// Main handler
+/**
+ * Keep the connectors a lead failed for in the dead-letter queue
+ * @param {object} lead - Sanitized submission
+ * @param {string} leadId - Idempotency key (or a generated id)
+ * @param {object} result - From leadDelivery.deliver()
+ * @returns {Promise<boolean>} - false if the queue cannot hold the lead
+ */
+async function queueLead(lead, leadId, result) {
+    // A queue in the function instance is gone when the instance is recycled
+    if (!deadLetters.store.durable) {
+        logger.error('Dead-letter queue not durable, lead not saved', {
+            leadId,
+            store: deadLetters.store.name,
+            connectors: result.failed
+        });
+        return false;
+    }
+
+    try {
+        await deadLetters.add({ id: leadId, payload: lead, connectors: result.failed, results: result.results });
+    } catch (error) {
+        logger.error('Dead-letter queue unavailable, lead not saved', { leadId, error });
+        return false;
+    }
+
+    logger.warn('Lead queued for replay', { leadId, connectors: result.failed });
+    return true;
+}
+
+/**
+ * Deliver a lead to the connectors, keep what failed in the dead-letter queue
+ * @param {object} lead - Sanitized submission
+ * @param {string} leadId - Idempotency key (or a generated id)
+ * @returns {Promise<object>} - { statusCode, body }
+ */
+async function deliverLead(lead, leadId) {
+    logger.info('Sending lead', { leadId, connectors: leadDelivery.connectors.map(connector => connector.name) });
+
+    const result = await leadDelivery.deliver(lead, leadId);
+    for (const [name, outcome] of Object.entries(result.results)) {
+        const log = outcome.delivered ? logger.info : logger.warn;
+        log(outcome.delivered ? 'Lead delivered' : 'Lead delivery failed', {
+            leadId,
+            connector: name,
+            attempts: outcome.attempts,
+            status: outcome.status,
+            error: outcome.error
+        });
+    }
+
+    if (result.delivered) {
+        // Optional connectors that failed are replayed from the queue: the
+        // lead was accepted, a resend would duplicate it elsewhere
+        if (result.failed.length > 0) {
+            await queueLead(lead, leadId, result);
+        }
+        logger.info('Form submitted successfully', { leadId });
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                success: true,
+                message: 'Form submitted successfully'
+            })
+        };
+    }
+
+    // The lead may be lost: tell the visitor
+    if (!(await queueLead(lead, leadId, result))) {
+        const failure = result.results[result.failedRequired[0]];
+        return {
+            statusCode: failure.status,
+            body: JSON.stringify(DELIVERY_ERRORS[failure.error]
+                ? { error: DELIVERY_ERRORS[failure.error] }
+                : { error: 'Failed to process form', statusCode: failure.status })
+        };
+    }
+
+    return {
+        statusCode: 202,
+        body: JSON.stringify({
+            success: true,
+            queued: true,
+            message: 'Form received'
+        })
+    };
+}
+
+// Main handler (every log line of the request carries its ID, also sent to the client)
 exports.handler = async (event, context) => {
-    // CORS headers
+    const requestId = getRequestId(event);
+    const startedAt = Date.now();
+
+    return withRequestId(requestId, async () => {
+        const response = await handleRequest(event, requestId);
+
+        if (event.httpMethod !== 'OPTIONS') {
+            metrics.increment('requests_total', { status: response.statusCode });
+            metrics.observe('request_duration_ms', Date.now() - startedAt);
+            await metrics.flush();
+        }
+
+        return response;
+    });
+};
+
+/**
+ * Handle a submission
+ * @param {object} event - Netlify Function event
+ * @param {string} requestId - Request ID (X-Request-Id)
+ * @returns {Promise<object>} - Function response
+ */
+async function handleRequest(event, requestId) {
+    // CORS headers (only allowed origins are echoed)
     const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        ...requestGuard.cors(event),
+        'Access-Control-Allow-Headers': 'Content-Type, X-Request-Token, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Content-Type': 'application/json'
+        'Access-Control-Expose-Headers': 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, X-Request-Id',
+        'Content-Type': 'application/json',
+        'X-Request-Id': requestId
     };
 
     // Handle preflight
@@ -133,19 +340,62 @@ exports.handler = async (event, context) => {
         };
     }
 
+    // Check origin and request token
+    const guard = requestGuard.check(event);
+    if (!guard.allowed) {
+        logger.warn('Request rejected', { reason: guard.reason, origin: event.headers['origin'] });
+        metrics.increment('rejections_total', { reason: guard.error });
+        return {
+            statusCode: guard.status,
+            headers,
+            body: JSON.stringify({ error: GUARD_ERRORS[guard.error] })
+        };
+    }
+
+    // Same submission sent again (e.g. after a network error)
+    const idempotencyKey = readIdempotencyKey(event.headers);
+    if (!idempotencyKey.valid) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid Idempotency-Key' })
+        };
+    }
+
+    const key = idempotencyKey.key;
+    if (key) {
+        const previous = await idempotency.lookup(key);
+        if (previous && previous.state === 'done') {
+            logger.info('Repeated submission, returning the first response', { leadId: key });
+            return {
+                statusCode: previous.response.statusCode,
+                headers: { ...headers, 'Idempotent-Replayed': 'true' },
+                body: previous.response.body
+            };
+        }
+        if (previous) {
+            return {
+                statusCode: 409,
+                headers,
+                body: JSON.stringify({ error: 'Request already in progress' })
+            };
+        }
+    }
+
     try {
         // Get client IP
         const clientIP = event.headers['x-forwarded-for'] || event.headers['client-ip'] || 'unknown';
 
-        console.log(`[Contact Form] Request from IP: ${clientIP}`);
+        logger.info('Request received', { ip: clientIP });
 
         // Rate limiting
-        const rateLimitCheck = checkRateLimit(clientIP);
+        const rateLimitCheck = await rateLimiter.check('contact', clientIP);
         if (!rateLimitCheck.allowed) {
-            console.warn(`[Contact Form] Rate limit exceeded for IP: ${clientIP}`);
+            logger.warn('Rate limit exceeded', { ip: clientIP, retryAfter: rateLimitCheck.retryAfter });
+            metrics.increment('rate_limited_total');
             return {
                 statusCode: 429,
-                headers,
+                headers: { ...headers, ...rateLimitHeaders(rateLimitCheck) },
                 body: JSON.stringify({
                     error: 'Too many requests',
                     retryAfter: rateLimitCheck.retryAfter
@@ -158,7 +408,8 @@ exports.handler = async (event, context) => {
         try {
             requestData = JSON.parse(event.body);
         } catch (parseError) {
-            console.error('[Contact Form] Invalid JSON:', parseError);
+            logger.warn('Invalid JSON', { error: parseError });
+            metrics.increment('validation_failures_total', { reason: 'invalid_json' });
             return {
                 statusCode: 400,
                 headers,
@@ -169,7 +420,8 @@ exports.handler = async (event, context) => {
         // Validate and sanitize
         const validation = validateAndSanitize(requestData);
         if (!validation.valid) {
-            console.warn('[Contact Form] Validation errors:', validation.errors);
+            logger.warn('Validation failed', { errors: validation.errors });
+            metrics.increment('validation_failures_total', { reason: 'invalid_input' });
             return {
                 statusCode: 400,
                 headers,
@@ -182,78 +434,110 @@ exports.handler = async (event, context) => {
 
         const sanitizedData = validation.data;
 
-        // Check configuration
-        if (!CONFIG.N8N_WEBHOOK_URL || !CONFIG.API_KEY) {
-            console.error('[Contact Form] Missing environment variables');
+        // Bot protection (after validation, so a correctable form keeps its challenge)
+        const botCheck = await botProtection.verify(requestData, { ip: clientIP });
+        if (botCheck.honeypot) {
+            // Answer like a success so the bot does not adapt
+            logger.warn('Honeypot filled, dropping submission', { ip: clientIP });
+            metrics.increment('rejections_total', { reason: 'honeypot' });
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    success: true,
+                    message: 'Form submitted successfully'
+                })
+            };
+        }
+        if (botCheck.reason === 'not_configured') {
+            logger.error('Bot protection secret not configured');
             return {
                 statusCode: 500,
                 headers,
                 body: JSON.stringify({ error: 'Server configuration error' })
             };
         }
-
-        console.log('[Contact Form] Sending to n8n webhook...');
-
-        // Call n8n webhook with timeout
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
-
-        const response = await fetch(CONFIG.N8N_WEBHOOK_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': CONFIG.API_KEY
-            },
-            body: JSON.stringify(sanitizedData),
-            signal: controller.signal
-        });
-
-        clearTimeout(timeout);
-
-        console.log(`[Contact Form] n8n response status: ${response.status}`);
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('[Contact Form] n8n error:', errorText);
-
+        if (!botCheck.ok) {
+            logger.warn('Bot check failed', { reason: botCheck.reason, ip: clientIP });
+            metrics.increment('rejections_total', { reason: botCheck.reason });
             return {
-                statusCode: response.status,
+                statusCode: 400,
                 headers,
                 body: JSON.stringify({
-                    error: 'Failed to process form',
-                    statusCode: response.status
+                    error: 'Verification failed',
+                    reason: botCheck.reason
                 })
             };
         }
 
-        // Success
-        console.log('[Contact Form] Form submitted successfully');
+        // Spam scoring (quarantined submissions are still forwarded, flagged for review)
+        const spam = await spamScorer.score(sanitizedData);
+        if (spam.action === 'reject') {
+            logger.warn('Spam rejected', { spamScore: spam.spamScore, reasons: spam.reasons, ip: clientIP, email: sanitizedData.email });
+            metrics.increment('rejections_total', { reason: 'spam' });
+            return {
+                statusCode: 422,
+                headers,
+                body: JSON.stringify({ error: 'Submission rejected' })
+            };
+        }
+        if (spam.action === 'quarantine') {
+            logger.warn('Spam quarantined', { spamScore: spam.spamScore, reasons: spam.reasons, email: sanitizedData.email });
+        }
 
-        return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({
-                success: true,
-                message: 'Form submitted successfully'
-            })
-        };
+        sanitizedData.spamScore = spam.spamScore;
+        sanitizedData.spamReasons = spam.reasons;
+        sanitizedData.quarantined = spam.action === 'quarantine';
 
-    } catch (error) {
-        console.error('[Contact Form] Error:', error);
+        // Check configuration
+        if (!leadDelivery.configured) {
+            logger.error('Connectors not configured', {
+                connectors: leadDelivery.connectors.filter(connector => !connector.configured).map(connector => connector.name)
+            });
+            return {
+                statusCode: 500,
+                headers,
+                body: JSON.stringify({ error: 'Server configuration error' })
+            };
+        }
 
-        // Handle timeout
-        if (error.name === 'AbortError') {
+        // One request per key at a time (a parallel duplicate lost the race)
+        if (key && !(await idempotency.claim(key))) {
             return {
-                statusCode: 504,
+                statusCode: 409,
                 headers,
-                body: JSON.stringify({ error: 'Request timeout' })
+                body: JSON.stringify({ error: 'Request already in progress' })
             };
         }
 
+        const leadId = key || crypto.randomUUID();
+        let outcome;
+        try {
+            outcome = await deliverLead(sanitizedData, leadId);
+        } catch (error) {
+            if (key) await idempotency.release(key);
+            throw error;
+        }
+
+        // Only a delivered or queued lead is final: after a failure, the
+        // visitor's retry (same key) must be delivered, not get the error back
+        if (key) {
+            if (outcome.statusCode >= 200 && outcome.statusCode < 300) {
+                await idempotency.complete(key, outcome);
+            } else {
+                await idempotency.release(key);
+            }
+        }
+
+        return { ...outcome, headers };
+
+    } catch (error) {
+        logger.error('Error processing request', { error });
+
         return {
             statusCode: 500,
             headers,
             body: JSON.stringify({ error: 'Internal server error' })
         };
     }
-};
+}
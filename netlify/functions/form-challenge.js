@@ -0,0 +1,123 @@
+/**
+ * Form Challenge - Netlify Function
+ *
+ * Issues the proof-of-work challenges that the forms solve before they are
+ * sent to contact-form-proxy (see ../lib/bot-protection and
+ * scripts/form-protection.js). The issue time of the challenge is also the
+ * start of the minimum time to submit.
+ *
+ * Response (GET): { challenge, difficulty, expiresAt } (expiresAt in ms)
+ *
+ * Security:
+ * - Only issued to allowed origins (ALLOWED_ORIGINS)
+ * - Rate limiting (30 challenges/min per IP, shared store via ../lib/rate-limiter)
+ * - Logs through ../lib/logger (client IPs hashed)
+ */
+
+const { createRateLimiter, rateLimitHeaders } = require('../lib/rate-limiter');
+const { createRequestGuard } = require('../lib/request-guard');
+const { createBotProtection } = require('../lib/bot-protection');
+const { createLogger } = require('../lib/logger');
+
+// Configuration
+const CONFIG = {
+    RATE_LIMIT_PER_MINUTE: 30
+};
+
+const logger = createLogger('Form Challenge');
+
+// Shared sliding-window rate limiter (storage backend set by RATE_LIMIT_STORE)
+const rateLimiter = createRateLimiter({
+    policies: {
+        challenge: { limit: CONFIG.RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 }
+    }
+});
+
+// Origin allow-list (no request token needed to get a challenge)
+const requestGuard = createRequestGuard({ requireToken: false });
+
+const botProtection = createBotProtection();
+
+/**
+ * CORS headers
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Expose-Headers': 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+};
+
+/**
+ * Main handler function
+ */
+exports.handler = async (event) => {
+    const headers = { ...CORS_HEADERS, ...requestGuard.cors(event) };
+
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    // Only accept GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const guard = requestGuard.check(event);
+    if (!guard.allowed) {
+        logger.warn('Request rejected', { reason: guard.reason });
+        return {
+            statusCode: guard.status,
+            headers,
+            body: JSON.stringify({ error: guard.error })
+        };
+    }
+
+    if (!botProtection.secret) {
+        logger.error('REQUEST_TOKEN_SECRET not configured');
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'not_configured' })
+        };
+    }
+
+    try {
+        const clientIp = event.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+                        event.headers['client-ip'] ||
+                        'unknown';
+
+        const rateLimit = await rateLimiter.check('challenge', clientIp);
+        if (!rateLimit.allowed) {
+            logger.warn('Rate limit exceeded', { ip: clientIp, retryAfter: rateLimit.retryAfter });
+            return {
+                statusCode: 429,
+                headers: { ...headers, ...rateLimitHeaders(rateLimit) },
+                body: JSON.stringify({
+                    error: 'rate_limit_exceeded',
+                    retryAfter: rateLimit.retryAfter
+                })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(botProtection.issue())
+        };
+
+    } catch (error) {
+        logger.error('Error', { error });
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'server_error' })
+        };
+    }
+};
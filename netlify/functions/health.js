@@ -0,0 +1,282 @@
+/**
+ * Health - Netlify Function
+ *
+ * Status of the chatbot and contact pipelines for uptime monitors, and the
+ * metrics recorded by the functions (see ../lib/metrics).
+ *
+ * GET /.netlify/functions/health
+ *   Public: { status, time }
+ *   With "Authorization: Bearer <HEALTH_TOKEN>":
+ *     { status, time, config, upstream, metrics }
+ * GET /.netlify/functions/health?format=prometheus (token required)
+ *   Metrics in the Prometheus text format
+ *
+ * status:
+ * - error:    a function is missing configuration (e.g. N8N_WEBHOOK_URL)
+ * - degraded: an upstream did not answer the connectivity check
+ * - ok
+ * HTTP 200 when ok, 503 otherwise.
+ *
+ * Connectivity check: GET on n8n's /healthz (N8N_HEALTH_URL to override),
+ * any answer below 500 counts as reachable. No workflow is triggered and
+ * the result is cached for 30 s, so monitors polling the endpoint do not
+ * load n8n.
+ *
+ * Environment:
+ * - HEALTH_TOKEN: bearer token for the details and the metrics (without
+ *   it, details are only served under netlify dev)
+ * - N8N_HEALTH_URL: connectivity check URL
+ */
+
+const crypto = require('crypto');
+const { getTokenSecret } = require('../lib/request-guard');
+const { getSigningSecrets } = require('../lib/webhook-signature');
+const { createConnectorsFromEnv } = require('../lib/lead-connectors');
+const { createMetricsStore, summarize, formatPrometheus } = require('../lib/metrics');
+const { readStoreConfig } = require('../lib/storage');
+const { readLeadStoreConfig } = require('../lib/lead-delivery');
+const { loadSitePassages } = require('../lib/site-context');
+const { createLogger } = require('../lib/logger');
+
+// Configuration
+const CONFIG = {
+    HEALTH_TOKEN: process.env.HEALTH_TOKEN || '',
+    DEV: process.env.NETLIFY_DEV === 'true',
+    N8N_WEBHOOK_URL: process.env.N8N_WEBHOOK_URL,
+    N8N_CONTACT_WEBHOOK_URL: process.env.N8N_CONTACT_WEBHOOK_URL,
+    N8N_HEALTH_URL: process.env.N8N_HEALTH_URL,
+    CHECK_TIMEOUT: 3000,
+    CHECK_CACHE_TTL: 30 * 1000
+};
+
+const logger = createLogger('Health');
+const metricsStore = createMetricsStore();
+
+// Last connectivity check (per function instance)
+let cachedUpstream = null;
+
+const HEADERS = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+};
+
+/**
+ * Check the bearer token (constant time)
+ * @param {object} headers - Request headers
+ * @returns {boolean}
+ */
+function isAuthorized(headers = {}) {
+    if (!CONFIG.HEALTH_TOKEN) {
+        return CONFIG.DEV;
+    }
+
+    const match = (headers['authorization'] || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return false;
+    }
+
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1].trim()), digest(CONFIG.HEALTH_TOKEN));
+}
+
+/**
+ * Configuration status of each pipeline
+ * @param {object} env - Environment variables
+ * @returns {object} - { chatbot: { configured, missing }, contact: { configured, missing, connectors }, warnings }
+ */
+function checkConfig(env = process.env) {
+    const tokenSecret = getTokenSecret(env) ? [] : ['REQUEST_TOKEN_SECRET'];
+    const connectors = createConnectorsFromEnv(env);
+
+    const chatbotMissing = [
+        ...(env.N8N_WEBHOOK_URL ? [] : ['N8N_WEBHOOK_URL']),
+        ...tokenSecret
+    ];
+    const contactMissing = [
+        ...connectors.filter(connector => !connector.configured).map(connector => `connector:${connector.name}`),
+        ...tokenSecret
+    ];
+
+    const warnings = [];
+    if (getSigningSecrets(env).length === 0) {
+        warnings.push('N8N_WEBHOOK_SECRET not set: chatbot requests to n8n are not signed');
+    } else if (env.N8N_VERIFY_RESPONSE_SIGNATURES === 'false') {
+        warnings.push('N8N_VERIFY_RESPONSE_SIGNATURES is false: n8n replies are not verified');
+    }
+    const rateLimitStore = readStoreConfig('RATE_LIMIT', { env });
+    const leadStore = readLeadStoreConfig(env);
+    const stores = [
+        rateLimitStore,
+        leadStore,
+        readStoreConfig('METRICS', { env }),
+        readStoreConfig('CONVERSATION', { env })
+    ];
+    for (const store of stores) {
+        if (store.type === 'memory') {
+            warnings.push(`${store.variables.type} is memory: state is lost on cold start and not shared between instances`);
+        }
+    }
+    if (rateLimitStore.type === 'memory') {
+        warnings.push('Form challenges are only single-use per instance (set RATE_LIMIT_STORE=redis)');
+    }
+    if (!leadStore.durable) {
+        warnings.push('No durable lead store: leads that cannot be delivered are not queued for replay');
+    }
+    if (env.SITE_CONTEXT_ENABLED !== 'false' && loadSitePassages(env.SITE_CONTEXT_FILE).length === 0) {
+        warnings.push('No site passages (run "npm run build:search"): the chatbot sends n8n no site context');
+    }
+
+    return {
+        chatbot: { configured: chatbotMissing.length === 0, missing: chatbotMissing },
+        contact: {
+            configured: contactMissing.length === 0,
+            missing: contactMissing,
+            connectors: connectors.map(({ name, type, configured }) => ({ name, type, configured }))
+        },
+        warnings
+    };
+}
+
+/**
+ * Connectivity check URL of an n8n webhook
+ * @param {string} webhookUrl
+ * @returns {string|null}
+ */
+function healthUrlFor(webhookUrl) {
+    if (CONFIG.N8N_HEALTH_URL) return CONFIG.N8N_HEALTH_URL;
+    try {
+        return `${new URL(webhookUrl).origin}/healthz`;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * GET a URL with a short timeout
+ * @param {string} url
+ * @returns {Promise<object>} - { ok, status, durationMs, error? }
+ */
+async function probe(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.CHECK_TIMEOUT);
+    const startedAt = Date.now();
+
+    try {
+        const response = await fetch(url, { method: 'GET', signal: controller.signal });
+        await response.body?.cancel();
+        return { ok: response.status < 500, status: response.status, durationMs: Date.now() - startedAt };
+    } catch (error) {
+        return {
+            ok: false,
+            status: null,
+            durationMs: Date.now() - startedAt,
+            error: error.name === 'AbortError' ? 'timeout' : 'unreachable'
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Check the n8n instances of both pipelines (same URL checked once)
+ * @returns {Promise<object>} - { chatbot?, contact? }
+ */
+async function checkUpstream() {
+    if (cachedUpstream && Date.now() - cachedUpstream.checkedAt < CONFIG.CHECK_CACHE_TTL) {
+        return cachedUpstream.results;
+    }
+
+    const targets = {
+        chatbot: CONFIG.N8N_WEBHOOK_URL && healthUrlFor(CONFIG.N8N_WEBHOOK_URL),
+        contact: CONFIG.N8N_CONTACT_WEBHOOK_URL && healthUrlFor(CONFIG.N8N_CONTACT_WEBHOOK_URL)
+    };
+
+    const probes = new Map();
+    const results = {};
+    for (const [name, url] of Object.entries(targets)) {
+        if (!url) continue;
+        if (!probes.has(url)) probes.set(url, probe(url));
+        results[name] = await probes.get(url);
+    }
+
+    cachedUpstream = { checkedAt: Date.now(), results };
+    return results;
+}
+
+/**
+ * Read the metrics (null if the store is unavailable)
+ * @returns {Promise<object|null>}
+ */
+async function readMetrics() {
+    try {
+        return await metricsStore.read();
+    } catch (error) {
+        logger.error('Metrics store unavailable', { store: metricsStore.name, error });
+        return null;
+    }
+}
+
+// Read once, like the functions it reports on
+const configStatus = checkConfig();
+
+/**
+ * Main handler function
+ */
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers: HEADERS,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const authorized = isAuthorized(event.headers);
+    const query = event.queryStringParameters || {};
+
+    if (query.format === 'prometheus') {
+        if (!authorized) {
+            return { statusCode: 401, headers: HEADERS, body: JSON.stringify({ error: 'Unauthorized' }) };
+        }
+
+        const totals = await readMetrics();
+        return totals
+            ? { statusCode: 200, headers: { ...HEADERS, 'Content-Type': 'text/plain; version=0.0.4' }, body: formatPrometheus(totals) }
+            : { statusCode: 503, headers: HEADERS, body: JSON.stringify({ error: 'Metrics unavailable' }) };
+    }
+
+    const config = configStatus;
+    const upstream = await checkUpstream();
+
+    let status = 'ok';
+    if (!config.chatbot.configured || !config.contact.configured) {
+        status = 'error';
+    } else if (Object.values(upstream).some(result => !result.ok)) {
+        status = 'degraded';
+    }
+
+    if (status !== 'ok') {
+        logger.warn('Unhealthy', {
+            status,
+            missing: [...new Set(config.chatbot.missing.concat(config.contact.missing))],
+            upstream: Object.keys(upstream).filter(name => !upstream[name].ok)
+        });
+    }
+
+    const report = { status, time: new Date().toISOString() };
+
+    if (authorized) {
+        const totals = await readMetrics();
+        Object.assign(report, {
+            config,
+            upstream,
+            metrics: totals ? summarize(totals) : null
+        });
+    }
+
+    return {
+        statusCode: status === 'ok' ? 200 : 503,
+        headers: HEADERS,
+        body: JSON.stringify(report)
+    };
+};
@@ -0,0 +1,121 @@
+/**
+ * Request Token - Netlify Function
+ *
+ * Issues the short-lived tokens the chatbot widget and the contact form send
+ * in the X-Request-Token header. chatbot-proxy, contact-form-proxy,
+ * chatbot-feedback and chatbot-transcript reject requests without a valid
+ * token for their origin (see ../lib/request-guard).
+ *
+ * Response (GET): { token, expiresAt } (expiresAt in ms since the epoch)
+ *
+ * Security:
+ * - Only issued to allowed origins (ALLOWED_ORIGINS)
+ * - Rate limiting (30 tokens/min per IP, shared store via ../lib/rate-limiter)
+ * - Logs through ../lib/logger (client IPs hashed)
+ * - Tokens are bound to the origin and expire after 15 minutes
+ */
+
+const { createRateLimiter, rateLimitHeaders } = require('../lib/rate-limiter');
+const { createRequestGuard, issueToken } = require('../lib/request-guard');
+const { createLogger } = require('../lib/logger');
+
+// Configuration
+const CONFIG = {
+    RATE_LIMIT_PER_MINUTE: 30
+};
+
+const logger = createLogger('Request Token');
+
+// Shared sliding-window rate limiter (storage backend set by RATE_LIMIT_STORE)
+const rateLimiter = createRateLimiter({
+    policies: {
+        token: { limit: CONFIG.RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 }
+    }
+});
+
+// Origin allow-list (this endpoint is where tokens come from)
+const requestGuard = createRequestGuard({ requireToken: false });
+
+/**
+ * CORS headers
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Expose-Headers': 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+};
+
+/**
+ * Main handler function
+ */
+exports.handler = async (event) => {
+    const headers = { ...CORS_HEADERS, ...requestGuard.cors(event) };
+
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    // Only accept GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const guard = requestGuard.check(event);
+    if (!guard.allowed) {
+        logger.warn('Request rejected', { reason: guard.reason });
+        return {
+            statusCode: guard.status,
+            headers,
+            body: JSON.stringify({ error: guard.error })
+        };
+    }
+
+    if (!requestGuard.tokenSecret) {
+        logger.error('REQUEST_TOKEN_SECRET not configured');
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'not_configured' })
+        };
+    }
+
+    try {
+        const clientIp = event.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+                        event.headers['client-ip'] ||
+                        'unknown';
+
+        const rateLimit = await rateLimiter.check('token', clientIp);
+        if (!rateLimit.allowed) {
+            logger.warn('Rate limit exceeded', { ip: clientIp, retryAfter: rateLimit.retryAfter });
+            return {
+                statusCode: 429,
+                headers: { ...headers, ...rateLimitHeaders(rateLimit) },
+                body: JSON.stringify({
+                    error: 'rate_limit_exceeded',
+                    retryAfter: rateLimit.retryAfter
+                })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(issueToken(guard.origin, requestGuard.tokenSecret))
+        };
+
+    } catch (error) {
+        logger.error('Error', { error });
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'server_error' })
+        };
+    }
+};
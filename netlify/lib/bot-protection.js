@@ -0,0 +1,319 @@
+/**
+ * Bot Protection - shared by the Netlify Functions
+ *
+ * Server-side checks for the forms that reach contact-form-proxy (contact
+ * form, brochure download, chatbot handoff); the slider on the contact form
+ * is only the visible part.
+ *
+ * - Proof of work: the form-challenge function issues a signed challenge
+ *   when the form is shown. The browser (scripts/form-protection.js) finds
+ *   a solution such that SHA-256(`${challenge}.${solution}`) starts with
+ *   `difficulty` zero bits. Each challenge is accepted once; used
+ *   challenges are kept in the rate limiter store, so production needs
+ *   RATE_LIMIT_STORE=redis (a memory store only knows the challenges used
+ *   on its own function instance, and health warns about it).
+ * - Minimum time to submit: the challenge carries its issue time, so a form
+ *   submitted faster than a person could fill it is rejected.
+ * - Honeypot: a hidden "website" field people never fill.
+ * - Captcha (optional): Turnstile or hCaptcha tokens are checked with the
+ *   provider; the "stub" provider accepts a fixed token (local tests).
+ *
+ * Submission fields: { botCheck: { challenge, solution, captchaToken? }, website }
+ *
+ * Environment:
+ * - BOT_POW_DIFFICULTY: leading zero bits required (default 16)
+ * - BOT_MIN_SUBMIT_SECONDS: minimum time to submit (default 3)
+ * - CAPTCHA_PROVIDER: turnstile, hcaptcha or stub (default: none)
+ * - CAPTCHA_SECRET: provider secret key
+ * - CAPTCHA_VERIFY_URL: siteverify URL override
+ * - CAPTCHA_STUB_TOKEN: token accepted by the stub (default "stub-pass")
+ * The challenge secret is derived from the request token secret
+ * (see ./request-guard).
+ */
+
+const crypto = require('crypto');
+const { createRateLimiter } = require('./rate-limiter');
+const { getTokenSecret } = require('./request-guard');
+const { safeEqual } = require('./webhook-signature');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Bot Protection');
+
+const CHALLENGE_TTL = 60 * 60; // 1 hour, in seconds
+const DEFAULT_DIFFICULTY = 16;
+const DEFAULT_MIN_SUBMIT_SECONDS = 3;
+const CAPTCHA_TIMEOUT = 10000; // 10 seconds
+
+const CAPTCHA_PROVIDERS = {
+    turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    hcaptcha: 'https://api.hcaptcha.com/siteverify'
+};
+
+/**
+ * Secret used to sign challenges
+ * @param {object} env - Environment variables
+ * @returns {string|null}
+ */
+function getChallengeSecret(env = process.env) {
+    const secret = getTokenSecret(env);
+    return secret
+        ? crypto.createHmac('sha256', secret).update('azenflow-form-challenge').digest('hex')
+        : null;
+}
+
+/**
+ * Issue a signed challenge
+ * @param {string} secret - Challenge secret
+ * @param {object} options - { now: ms timestamp, difficulty, ttl: seconds }
+ * @returns {object} - { challenge, difficulty, expiresAt: ms timestamp }
+ */
+function issueChallenge(secret, { now = Date.now(), difficulty = DEFAULT_DIFFICULTY, ttl = CHALLENGE_TTL } = {}) {
+    const iat = Math.floor(now / 1000);
+    const payload = Buffer.from(JSON.stringify({
+        n: crypto.randomBytes(12).toString('hex'),
+        iat,
+        exp: iat + ttl
+    })).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    return {
+        challenge: `${payload}.${signature}`,
+        difficulty,
+        expiresAt: (iat + ttl) * 1000
+    };
+}
+
+/**
+ * Read and authenticate a challenge
+ * @param {string} challenge - Challenge from issueChallenge
+ * @param {string} secret - Challenge secret
+ * @returns {object|null} - Claims { n, iat, exp }, null if invalid
+ */
+function readChallenge(challenge, secret) {
+    if (typeof challenge !== 'string' || challenge.length > 500) return null;
+
+    const [payload, signature] = challenge.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    if (!safeEqual(signature, expected)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return claims && Number.isInteger(claims.iat) && Number.isInteger(claims.exp) ? claims : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Count the leading zero bits of a digest
+ * @param {Buffer} digest
+ * @returns {number}
+ */
+function leadingZeroBits(digest) {
+    let bits = 0;
+    for (const byte of digest) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+/**
+ * Check a proof-of-work solution
+ * @param {string} challenge - Challenge
+ * @param {*} solution - Candidate (non-negative integer)
+ * @param {number} difficulty - Leading zero bits required
+ * @returns {boolean}
+ */
+function isValidSolution(challenge, solution, difficulty) {
+    if (!Number.isSafeInteger(solution) || solution < 0) return false;
+
+    const digest = crypto.createHash('sha256').update(`${challenge}.${solution}`).digest();
+    return leadingZeroBits(digest) >= difficulty;
+}
+
+/**
+ * Find a proof-of-work solution (same search as scripts/form-protection.js)
+ * @param {string} challenge - Challenge
+ * @param {number} difficulty - Leading zero bits required
+ * @returns {number}
+ */
+function solveChallenge(challenge, difficulty) {
+    let solution = 0;
+    while (!isValidSolution(challenge, solution, difficulty)) {
+        solution++;
+    }
+    return solution;
+}
+
+/**
+ * Create a captcha verifier
+ * Verifier interface: verify(token, ip) => Promise<{ success, reason? }>
+ * @param {object} env - Environment variables
+ * @returns {object|null} - null when no provider is configured
+ */
+function createCaptchaVerifier(env = process.env) {
+    const provider = (env.CAPTCHA_PROVIDER || '').toLowerCase();
+
+    if (!provider || provider === 'none') {
+        return null;
+    }
+
+    if (provider === 'stub') {
+        const expected = env.CAPTCHA_STUB_TOKEN || 'stub-pass';
+        return {
+            provider,
+            async verify(token) {
+                return token === expected
+                    ? { success: true }
+                    : { success: false, reason: 'captcha_failed' };
+            }
+        };
+    }
+
+    const verifyUrl = env.CAPTCHA_VERIFY_URL || CAPTCHA_PROVIDERS[provider];
+    if (!verifyUrl) {
+        throw new Error(`Unknown CAPTCHA_PROVIDER: ${provider}`);
+    }
+
+    return {
+        provider,
+        async verify(token, ip) {
+            if (!env.CAPTCHA_SECRET) {
+                logger.error('CAPTCHA_SECRET not configured');
+                return { success: false, reason: 'captcha_not_configured' };
+            }
+
+            if (typeof token !== 'string' || !token || token.length > 4096) {
+                return { success: false, reason: 'captcha_missing' };
+            }
+
+            const params = new URLSearchParams({ secret: env.CAPTCHA_SECRET, response: token });
+            if (ip && ip !== 'unknown') {
+                params.set('remoteip', ip);
+            }
+
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), CAPTCHA_TIMEOUT);
+
+            try {
+                const response = await fetch(verifyUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: params.toString(),
+                    signal: controller.signal
+                });
+                const result = await response.json();
+
+                return result && result.success === true
+                    ? { success: true }
+                    : { success: false, reason: 'captcha_failed' };
+            } catch (error) {
+                logger.error('Captcha verification error', { provider, error });
+                return { success: false, reason: 'captcha_unavailable' };
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+    };
+}
+
+/**
+ * Create the bot protection for a function
+ * @param {object} options - { env, captchaVerifier, rateLimiter }
+ * @returns {object} - { secret, difficulty, captchaVerifier, issue(), verify(data, context) }
+ */
+function createBotProtection({ env = process.env, captchaVerifier = createCaptchaVerifier(env), rateLimiter } = {}) {
+    const secret = getChallengeSecret(env);
+    const difficulty = parseInt(env.BOT_POW_DIFFICULTY || String(DEFAULT_DIFFICULTY), 10);
+    const minSubmitSeconds = parseInt(env.BOT_MIN_SUBMIT_SECONDS || String(DEFAULT_MIN_SUBMIT_SECONDS), 10);
+
+    // Used challenges, in the rate limiter store (one use per challenge)
+    const usedChallenges = rateLimiter || createRateLimiter({
+        policies: {
+            botChallenge: { limit: 1, windowMs: CHALLENGE_TTL * 1000 }
+        }
+    });
+
+    return {
+        secret,
+        difficulty,
+        captchaVerifier,
+
+        /**
+         * Issue a challenge for a form
+         * @returns {object} - { challenge, difficulty, expiresAt }
+         */
+        issue(options = {}) {
+            return issueChallenge(secret, { difficulty, ...options });
+        },
+
+        /**
+         * Verify a submission
+         * @param {object} data - Parsed request body
+         * @param {object} context - { ip, now }
+         * @returns {Promise<object>} - { ok, reason?, honeypot? }
+         */
+        async verify(data, { ip, now = Date.now() } = {}) {
+            if (!secret) {
+                return { ok: false, reason: 'not_configured' };
+            }
+
+            // Honeypot filled: a bot (the caller answers as if it worked)
+            if (typeof data.website === 'string' && data.website.trim() !== '') {
+                return { ok: false, reason: 'honeypot', honeypot: true };
+            }
+
+            const botCheck = data.botCheck && typeof data.botCheck === 'object' ? data.botCheck : {};
+            const claims = readChallenge(botCheck.challenge, secret);
+            if (!claims) {
+                return { ok: false, reason: 'invalid_challenge' };
+            }
+
+            const nowSeconds = now / 1000;
+            if (claims.exp <= nowSeconds) {
+                return { ok: false, reason: 'expired_challenge' };
+            }
+
+            if (nowSeconds - claims.iat < minSubmitSeconds) {
+                return { ok: false, reason: 'too_fast' };
+            }
+
+            if (!isValidSolution(botCheck.challenge, botCheck.solution, difficulty)) {
+                return { ok: false, reason: 'invalid_solution' };
+            }
+
+            if (captchaVerifier) {
+                const captcha = await captchaVerifier.verify(botCheck.captchaToken, ip);
+                if (!captcha.success) {
+                    return { ok: false, reason: captcha.reason };
+                }
+            }
+
+            // Last, so a rejected attempt does not burn the challenge
+            const use = await usedChallenges.check('botChallenge', claims.n);
+            if (!use.allowed) {
+                return { ok: false, reason: 'challenge_reused' };
+            }
+
+            return { ok: true };
+        }
+    };
+}
+
+module.exports = {
+    getChallengeSecret,
+    issueChallenge,
+    isValidSolution,
+    solveChallenge,
+    createCaptchaVerifier,
+    createBotProtection
+};
@@ -0,0 +1,156 @@
+/**
+ * Circuit Breaker - fail fast while an upstream is down
+ *
+ * When n8n is unhealthy every chat message would otherwise wait for the
+ * full request timeout (and the widget retries), so visitors stare at a
+ * typing indicator for a minute and n8n gets hammered while it recovers.
+ *
+ * States:
+ * - closed:    requests go through; consecutive failures are counted
+ * - open:      after `failureThreshold` consecutive failures, requests are
+ *              refused at once for `openDuration` ms
+ * - half_open: once that delay is over, a single probe request goes
+ *              through; its success closes the circuit, its failure opens
+ *              it again for another `openDuration`
+ * A probe that never reports back (e.g. the function was stopped) frees
+ * its slot after `openDuration`, so the circuit cannot stay stuck.
+ *
+ * State is kept per function instance, like the circuit breakers of most
+ * HTTP clients: each warm instance learns about an outage from its own
+ * requests, which takes `failureThreshold` requests at most.
+ *
+ * Environment:
+ * - CIRCUIT_FAILURE_THRESHOLD: consecutive failures that open the circuit
+ *   (default 5)
+ * - CIRCUIT_OPEN_DURATION: time before a probe is let through, in ms
+ *   (default 30000)
+ */
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Circuit Breaker');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+const DEFAULTS = {
+    failureThreshold: 5,
+    openDuration: 30 * 1000
+};
+
+/**
+ * Read a positive integer setting
+ * @param {string|undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function positiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Create a circuit breaker
+ * @param {object} options - { name, failureThreshold, openDuration, env, now, onStateChange }
+ * @returns {object} - { check, recordSuccess, recordFailure, getState }
+ */
+function createCircuitBreaker({
+    name = 'upstream',
+    env = process.env,
+    failureThreshold = positiveInt(env.CIRCUIT_FAILURE_THRESHOLD, DEFAULTS.failureThreshold),
+    openDuration = positiveInt(env.CIRCUIT_OPEN_DURATION, DEFAULTS.openDuration),
+    now = Date.now,
+    onStateChange = () => {}
+} = {}) {
+    let state = STATES.CLOSED;
+    let failures = 0;
+    let openedAt = 0;
+    let probeStartedAt = null;
+
+    const setState = (next, fields = {}) => {
+        if (next === state) return;
+        const previous = state;
+        state = next;
+
+        const log = next === STATES.OPEN ? logger.warn : logger.info;
+        log(`Circuit ${next.replace('_', '-')}`, { circuit: name, previous, ...fields });
+        onStateChange(next, previous);
+    };
+
+    const open = () => {
+        openedAt = now();
+        probeStartedAt = null;
+        setState(STATES.OPEN, { failures, retryAfter: Math.ceil(openDuration / 1000) });
+    };
+
+    return {
+        /**
+         * Whether a request may go to the upstream now
+         * In half-open state, a caller that gets { allowed: true, probe: true }
+         * must report the outcome with recordSuccess / recordFailure.
+         * @returns {object} - { allowed, state, probe?, retryAfter? (seconds) }
+         */
+        check() {
+            const current = now();
+
+            if (state === STATES.CLOSED) {
+                return { allowed: true, state };
+            }
+
+            if (state === STATES.OPEN && current - openedAt >= openDuration) {
+                setState(STATES.HALF_OPEN);
+            }
+
+            if (state === STATES.HALF_OPEN &&
+                (probeStartedAt === null || current - probeStartedAt >= openDuration)) {
+                probeStartedAt = current;
+                return { allowed: true, state, probe: true };
+            }
+
+            // Open, or half-open with a probe in flight
+            const until = state === STATES.OPEN ? openedAt + openDuration : probeStartedAt + openDuration;
+            return {
+                allowed: false,
+                state,
+                retryAfter: Math.max(1, Math.ceil((until - current) / 1000))
+            };
+        },
+
+        /**
+         * The upstream answered: reset the failure count, close after a probe
+         */
+        recordSuccess() {
+            failures = 0;
+            probeStartedAt = null;
+            setState(STATES.CLOSED);
+        },
+
+        /**
+         * The upstream failed (timeout, connection error, 5xx)
+         */
+        recordFailure() {
+            failures++;
+
+            if (state === STATES.HALF_OPEN ||
+                (state === STATES.CLOSED && failures >= failureThreshold)) {
+                open();
+            }
+        },
+
+        /**
+         * Current state, for logs and tests
+         * @returns {object} - { state, failures }
+         */
+        getState() {
+            return { state, failures };
+        }
+    };
+}
+
+module.exports = {
+    STATES,
+    createCircuitBreaker
+};
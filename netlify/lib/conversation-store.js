@@ -0,0 +1,198 @@
+/**
+ * Conversation Store - server-side chat memory for chatbot-proxy
+ *
+ * The widget only posts its last few turns, and whatever it posts could be
+ * forged (e.g. an "assistant" turn promising a discount). The proxy keeps
+ * its own copy of each conversation, keyed by the widget's sessionId:
+ * - The history sent to n8n comes from the store; the client's history is
+ *   only used when the store has nothing (new or expired conversation), and
+ *   its assistant turns are dropped unless they match stored ones
+ * - Turns past `maxTurns` are folded into a rolling summary (the opening
+ *   of each turn, oldest lines dropped past `maxSummaryLength`), sent to
+ *   n8n as `summary`
+ * - Conversations expire `ttlMs` after their last message
+ *
+ * Session IDs are hashed before use as storage keys. Store errors are
+ * logged and never fail a chat request: the proxy falls back to the
+ * client's history.
+ *
+ * Storage backends (CONVERSATION_STORE, see ./storage):
+ * - memory: in-process Map (default, per function instance)
+ * - file:   JSON file (CONVERSATION_FILE_PATH, default in the OS temp dir)
+ * - redis:  any Redis-compatible server (CONVERSATION_REDIS_URL, default
+ *           RATE_LIMIT_REDIS_URL); the one to use in production
+ *
+ * Environment:
+ * - CONVERSATION_TTL: lifetime after the last message, in ms (default 24 hours)
+ * - CONVERSATION_MAX_TURNS: turns kept word for word (default 20)
+ *
+ * Uses get, set and delete of the storage adapter.
+ */
+
+const crypto = require('crypto');
+const { createStoreFromEnv } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Conversation Store');
+
+const KEY_PREFIX = 'azenflow:conversation:';
+
+const DEFAULTS = {
+    ttlMs: 24 * 60 * 60 * 1000,
+    maxTurns: 20,
+    maxSummaryLength: 2000,
+    maxTurnLength: 4000,     // Longer replies are cut before storage
+    summaryLineLength: 200   // Opening of each turn kept in the summary
+};
+
+const ROLE_LABELS = { user: 'User', assistant: 'Assistant' };
+
+/**
+ * Create the store selected by the environment (see ./storage)
+ * @param {object} env - Environment variables
+ */
+function createConversationStore(env = process.env) {
+    return createStoreFromEnv('CONVERSATION', { env });
+}
+
+// =============================================
+// CONVERSATIONS
+// =============================================
+
+/**
+ * Storage key of a session (the session ID itself is not stored)
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function conversationKey(sessionId) {
+    return KEY_PREFIX + crypto.createHash('sha256').update(String(sessionId)).digest('hex');
+}
+
+/**
+ * A conversation with no turns
+ * @returns {object} - { turns, summary }
+ */
+function emptyConversation() {
+    return { turns: [], summary: '' };
+}
+
+/**
+ * Fold turns into the rolling summary
+ * Each turn becomes one "Role: opening" line; the oldest lines go first
+ * when the summary grows past maxLength.
+ * @param {string} summary - Current summary
+ * @param {Array<object>} turns - Turns leaving the history ({ role, content })
+ * @param {object} options - { maxLength, lineLength }
+ * @returns {string}
+ */
+function summarizeTurns(summary, turns, {
+    maxLength = DEFAULTS.maxSummaryLength,
+    lineLength = DEFAULTS.summaryLineLength
+} = {}) {
+    const lines = (summary ? summary.split('\n') : []).concat(turns.map(turn => {
+        const text = turn.content.replace(/\s+/g, ' ').trim();
+        const opening = text.length > lineLength ? `${text.slice(0, lineLength)}…` : text;
+        return `${ROLE_LABELS[turn.role] || turn.role}: ${opening}`;
+    }));
+
+    while (lines.length > 1 && lines.join('\n').length > maxLength) {
+        lines.shift();
+    }
+
+    return lines.join('\n').slice(-maxLength);
+}
+
+/**
+ * History to send upstream
+ * The stored turns when there are any; otherwise the client's history,
+ * where assistant turns only count if a stored one has the same content.
+ * @param {Array<object>} clientHistory - Validated { role, content } items
+ * @param {object} conversation - Stored conversation
+ * @returns {object} - { history, ignored } (ignored: client assistant turns not stored)
+ */
+function reconcileHistory(clientHistory, conversation) {
+    const stored = new Set(conversation.turns
+        .filter(turn => turn.role === 'assistant')
+        .map(turn => turn.content));
+    const verified = clientHistory.filter(item => item.role === 'user' || stored.has(item.content));
+    const ignored = clientHistory.length - verified.length;
+
+    const history = conversation.turns.length > 0
+        ? conversation.turns.map(({ role, content }) => ({ role, content }))
+        : verified;
+
+    return { history, ignored };
+}
+
+/**
+ * Create the conversation memory of the chatbot
+ * @param {object} options - { env, store, ttlMs, maxTurns, maxSummaryLength }
+ * @returns {object} - { store, load, append }
+ */
+function createConversationMemory({
+    env = process.env,
+    store = createConversationStore(env),
+    ttlMs = parseInt(env.CONVERSATION_TTL || '', 10) || DEFAULTS.ttlMs,
+    maxTurns = parseInt(env.CONVERSATION_MAX_TURNS || '', 10) || DEFAULTS.maxTurns,
+    maxSummaryLength = DEFAULTS.maxSummaryLength
+} = {}) {
+    return {
+        store,
+
+        /**
+         * Read a conversation (empty if unknown, expired or unreadable)
+         * @param {string} sessionId
+         * @returns {Promise<object>} - { turns, summary }
+         */
+        async load(sessionId) {
+            try {
+                const stored = await store.get(conversationKey(sessionId));
+                if (stored && Array.isArray(stored.turns)) {
+                    return { turns: stored.turns, summary: typeof stored.summary === 'string' ? stored.summary : '' };
+                }
+            } catch (error) {
+                logger.error('Store error, using the client history', { store: store.name, error });
+            }
+            return emptyConversation();
+        },
+
+        /**
+         * Add an exchange and save (the TTL restarts)
+         * @param {string} sessionId
+         * @param {object} conversation - As returned by load()
+         * @param {string} message - Visitor's message
+         * @param {string} reply - AI reply text
+         * @returns {Promise<object>} - Updated conversation
+         */
+        async append(sessionId, conversation, message, reply) {
+            const now = new Date().toISOString();
+            const turns = conversation.turns.concat(
+                { role: 'user', content: message.slice(0, DEFAULTS.maxTurnLength), at: now },
+                { role: 'assistant', content: String(reply || '').slice(0, DEFAULTS.maxTurnLength), at: now }
+            );
+
+            const overflow = Math.max(0, turns.length - maxTurns);
+            const updated = {
+                turns: turns.slice(overflow),
+                summary: overflow > 0
+                    ? summarizeTurns(conversation.summary, turns.slice(0, overflow), { maxLength: maxSummaryLength })
+                    : conversation.summary
+            };
+
+            try {
+                await store.set(conversationKey(sessionId), updated, { ttlMs });
+            } catch (error) {
+                logger.error('Store error, conversation not saved', { store: store.name, error });
+            }
+            return updated;
+        }
+    };
+}
+
+module.exports = {
+    createConversationStore,
+    conversationKey,
+    summarizeTurns,
+    reconcileHistory,
+    createConversationMemory
+};
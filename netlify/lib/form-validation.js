@@ -0,0 +1,58 @@
+/**
+ * Form Validation - shared by the Netlify Functions
+ *
+ * Field checks used by the functions that accept visitor details
+ * (contact form, chatbot handoff, transcript email).
+ */
+
+// Email format check (same rule as the contact form)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DEFAULT_TRANSCRIPT_LIMITS = {
+    maxMessages: 50,
+    maxMessageLength: 1000
+};
+
+/**
+ * Normalize an email address (trimmed, lowercase, capped)
+ * @param {string} email - Valid address
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+    return email.trim().toLowerCase().substring(0, 200);
+}
+
+/**
+ * Validate and sanitize a chatbot transcript
+ * Keeps the latest messages only; each message is trimmed and capped.
+ * @param {*} transcript - [{ role: 'user' | 'assistant', content: string }]
+ * @param {object} limits - { maxMessages, maxMessageLength }
+ * @returns {object} - { valid: boolean, error?: string, data?: Array }
+ */
+function sanitizeTranscript(transcript, limits = {}) {
+    const { maxMessages, maxMessageLength } = { ...DEFAULT_TRANSCRIPT_LIMITS, ...limits };
+
+    if (!Array.isArray(transcript)) {
+        return { valid: false, error: 'Invalid transcript format' };
+    }
+
+    const messages = [];
+    for (const item of transcript.slice(-maxMessages)) {
+        if (!item || typeof item.content !== 'string' || !['user', 'assistant'].includes(item.role)) {
+            return { valid: false, error: 'Invalid transcript format' };
+        }
+
+        messages.push({
+            role: item.role,
+            content: item.content.trim().substring(0, maxMessageLength)
+        });
+    }
+
+    return { valid: true, data: messages };
+}
+
+module.exports = {
+    EMAIL_REGEX,
+    normalizeEmail,
+    sanitizeTranscript
+};
@@ -0,0 +1,369 @@
+/**
+ * Lead Connectors - destinations for the contact form leads
+ *
+ * contact-form-proxy fans each validated lead out to every configured
+ * connector; ./lead-delivery retries and dead-letters them one by one, so a
+ * failing integration does not hold up the others.
+ *
+ * Connector interface:
+ *   { name, type, configured, required, send(lead, key, { timeout }) => Promise<result> }
+ *   result: { ok, status, error?, retryable? }
+ * A lead is accepted once its required connectors took it; the optional ones
+ * (notifications) are retried from the dead-letter queue without failing the
+ * submission. `required` defaults to true for n8n, false for the others.
+ *
+ * Types:
+ * - n8n:         signed POST to the n8n contact webhook, with X-API-Key
+ *                (N8N_API_KEY) during the migration (default: the only
+ *                connector, from N8N_CONTACT_WEBHOOK_URL)
+ * - webhook:     JSON POST to any URL; optional extra headers and an HMAC
+ *                signature with its own secret (same scheme as n8n)
+ * - smtp:        plain-text email through ./smtp-client
+ * - slack:       Slack-compatible incoming webhook ({ text })
+ * - line-notify: LINE Notify-style endpoint (Bearer token, form-encoded
+ *                `message`)
+ *
+ * Configuration: LEAD_CONNECTORS, a JSON array, e.g.
+ *   [{ "type": "n8n" },
+ *    { "type": "slack", "url": "env:SLACK_LEADS_WEBHOOK_URL" },
+ *    { "type": "smtp", "url": "env:LEADS_SMTP_URL", "from": "noreply@azenflow.jp", "to": "sales@azenflow.jp" },
+ *    { "type": "line-notify", "token": "env:LINE_NOTIFY_TOKEN" },
+ *    { "type": "webhook", "name": "crm", "url": "https://crm.example/leads", "secret": "env:CRM_SECRET" }]
+ * String values written "env:NAME" are read from the environment, so
+ * secrets stay out of the JSON. `name` defaults to the type; add
+ * "required": true or false to override the default above.
+ */
+
+const { getSigningSecrets, signRequest } = require('./webhook-signature');
+const { sendMail } = require('./smtp-client');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Lead Connectors');
+
+const LINE_NOTIFY_URL = 'https://notify-api.line.me/api/notify';
+const LINE_NOTIFY_MAX_LENGTH = 1000;
+
+const SOURCE_LABELS = {
+    'website-contact-form': 'お問い合わせフォーム',
+    'pdf-download': '資料ダウンロード',
+    'chatbot-handoff': 'チャットボット'
+};
+
+/**
+ * Whether a status is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+/**
+ * POST with a timeout; network errors and HTTP errors become results
+ * @param {string} url
+ * @param {object} options - { headers, body, timeout, label }
+ * @returns {Promise<object>} - { ok, status, error?, retryable? }
+ */
+async function post(url, { headers, body, timeout, label }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, { method: 'POST', headers, body, signal: controller.signal });
+
+        if (response.ok) {
+            return { ok: true, status: response.status };
+        }
+
+        // The body may echo the lead: only its length is logged
+        const errorText = await response.text();
+        logger.error('Connector error response', { connector: label, status: response.status, body: errorText });
+        return { ok: false, status: response.status, error: `HTTP ${response.status}`, retryable: isRetryableStatus(response.status) };
+
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return { ok: false, status: 504, error: 'timeout', retryable: true };
+        }
+        if (error.name === 'TypeError' && error.message === 'fetch failed') {
+            return { ok: false, status: 503, error: 'unreachable', retryable: true };
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Plain-text summary of a lead (Slack, LINE, email)
+ * @param {object} lead - Sanitized submission
+ * @returns {string}
+ */
+function formatLead(lead) {
+    const lines = [
+        lead.quarantined ? '⚠️ 要確認（スパムの可能性） / Needs review' : null,
+        `新しいお問い合わせ / New lead（${SOURCE_LABELS[lead.source] || lead.source}）`,
+        `お名前: ${lead.name}`,
+        lead.company ? `会社名: ${lead.company}` : null,
+        `メール: ${lead.email}`,
+        lead.phone ? `電話: ${lead.phone}` : null,
+        lead.service ? `サービス: ${lead.service}` : null,
+        typeof lead.spamScore === 'number'
+            ? `スパムスコア: ${lead.spamScore}${lead.spamReasons && lead.spamReasons.length ? ` (${lead.spamReasons.join(', ')})` : ''}`
+            : null,
+        '',
+        lead.message
+    ];
+
+    return lines.filter(line => line !== null).join('\n');
+}
+
+/**
+ * Email subject of a lead
+ * @param {object} lead
+ * @param {string} prefix
+ * @returns {string}
+ */
+function formatSubject(lead, prefix = '[AzenFlow]') {
+    return `${prefix}${lead.quarantined ? '[要確認]' : ''} お問い合わせ: ${lead.name}${lead.company ? ` (${lead.company})` : ''}`;
+}
+
+// =============================================
+// CONNECTORS
+// =============================================
+
+/**
+ * n8n contact webhook (signed with the n8n secrets)
+ * @param {object} options - { name, url, secrets, apiKey: legacy X-API-Key }
+ */
+function createN8nConnector({ name = 'n8n', url, secrets = [], apiKey = null }) {
+    return {
+        name,
+        type: 'n8n',
+        configured: Boolean(url && secrets.length > 0),
+
+        send(lead, key, { timeout }) {
+            const body = JSON.stringify({ ...lead, idempotencyKey: key });
+            return post(url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': key,
+                    ...signRequest(body, secrets).headers,
+                    ...(apiKey ? { 'X-API-Key': apiKey } : {})
+                },
+                body,
+                timeout,
+                label: name
+            });
+        }
+    };
+}
+
+/**
+ * Generic JSON webhook
+ * @param {object} options - { name, url, headers, secret }
+ */
+function createWebhookConnector({ name = 'webhook', url, headers = {}, secret }) {
+    return {
+        name,
+        type: 'webhook',
+        configured: Boolean(url),
+
+        send(lead, key, { timeout }) {
+            const body = JSON.stringify({ ...lead, idempotencyKey: key });
+            return post(url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': key,
+                    ...headers,
+                    ...(secret ? signRequest(body, [secret]).headers : {})
+                },
+                body,
+                timeout,
+                label: name
+            });
+        }
+    };
+}
+
+/**
+ * Slack-compatible incoming webhook
+ * @param {object} options - { name, url }
+ */
+function createSlackConnector({ name = 'slack', url }) {
+    return {
+        name,
+        type: 'slack',
+        configured: Boolean(url),
+
+        send(lead, key, { timeout }) {
+            return post(url, {
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: formatLead(lead) }),
+                timeout,
+                label: name
+            });
+        }
+    };
+}
+
+/**
+ * LINE Notify-style endpoint
+ * @param {object} options - { name, token, url }
+ */
+function createLineNotifyConnector({ name = 'line-notify', token, url = LINE_NOTIFY_URL }) {
+    return {
+        name,
+        type: 'line-notify',
+        configured: Boolean(token && url),
+
+        send(lead, key, { timeout }) {
+            // The message starts on its own line after the sender name
+            const message = `\n${formatLead(lead)}`.substring(0, LINE_NOTIFY_MAX_LENGTH);
+            return post(url, {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: new URLSearchParams({ message }).toString(),
+                timeout,
+                label: name
+            });
+        }
+    };
+}
+
+/**
+ * Email through SMTP (Reply-To: the visitor)
+ * @param {object} options - { name, url, from, to, subjectPrefix }
+ */
+function createSmtpConnector({ name = 'smtp', url, from, to, subjectPrefix }) {
+    return {
+        name,
+        type: 'smtp',
+        configured: Boolean(url && from && to && [].concat(to).length > 0),
+
+        async send(lead, key, { timeout }) {
+            try {
+                await sendMail(url, {
+                    from,
+                    to,
+                    replyTo: lead.email,
+                    subject: formatSubject(lead, subjectPrefix),
+                    text: `${formatLead(lead)}\n\n-- \nID: ${key}`
+                }, { timeout });
+                return { ok: true, status: 250 };
+            } catch (error) {
+                logger.error('SMTP delivery error', { connector: name, responseCode: error.responseCode, error });
+                // 5xx SMTP replies are permanent, everything else (4xx, network) may pass later
+                const permanent = error.responseCode >= 500;
+                return {
+                    ok: false,
+                    status: permanent ? 502 : 503,
+                    error: error.responseCode ? `SMTP ${error.responseCode}` : 'unreachable',
+                    retryable: !permanent
+                };
+            }
+        }
+    };
+}
+
+/**
+ * Placeholder for an invalid configuration entry (never configured)
+ * @param {string} name
+ * @param {string} type
+ */
+function createInvalidConnector(name, type) {
+    return {
+        name,
+        type,
+        configured: false,
+        async send() {
+            return { ok: false, status: 500, error: 'not_configured', retryable: false };
+        }
+    };
+}
+
+const CONNECTOR_TYPES = {
+    'n8n': createN8nConnector,
+    'webhook': createWebhookConnector,
+    'slack': createSlackConnector,
+    'line-notify': createLineNotifyConnector,
+    'smtp': createSmtpConnector
+};
+
+/**
+ * Resolve "env:NAME" strings in a connector spec
+ * @param {*} value
+ * @param {object} env
+ * @returns {*}
+ */
+function resolveEnv(value, env) {
+    if (typeof value === 'string' && value.startsWith('env:')) {
+        return env[value.slice(4)];
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveEnv(item, env));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnv(item, env)]));
+    }
+    return value;
+}
+
+/**
+ * Create the connectors from the environment
+ * @param {object} env - Environment variables
+ * @returns {object[]} - Connectors (an invalid entry gives a connector that is not configured)
+ */
+function createConnectorsFromEnv(env = process.env) {
+    let specs = [{ type: 'n8n' }];
+
+    if (env.LEAD_CONNECTORS) {
+        try {
+            specs = JSON.parse(env.LEAD_CONNECTORS);
+            if (!Array.isArray(specs)) throw new Error('not an array');
+        } catch (error) {
+            logger.error('Invalid LEAD_CONNECTORS', { error });
+            return [createInvalidConnector('LEAD_CONNECTORS', 'invalid')];
+        }
+    }
+
+    const names = new Set();
+
+    return specs.map((spec, index) => {
+        const options = resolveEnv(spec || {}, env);
+        let name = options.name || options.type || `connector-${index + 1}`;
+        if (names.has(name)) name = `${name}-${index + 1}`;
+        names.add(name);
+
+        const create = CONNECTOR_TYPES[options.type];
+        if (!create) {
+            logger.error('Unknown connector type', { type: options.type });
+            return createInvalidConnector(name, options.type);
+        }
+
+        const connector = options.type === 'n8n'
+            ? createN8nConnector({
+                name,
+                url: options.url || env.N8N_CONTACT_WEBHOOK_URL,
+                secrets: options.secret ? [options.secret] : getSigningSecrets(env),
+                apiKey: env.N8N_API_KEY
+            })
+            : create({ ...options, name });
+
+        connector.required = typeof options.required === 'boolean' ? options.required : options.type === 'n8n';
+        return connector;
+    });
+}
+
+module.exports = {
+    isRetryableStatus,
+    formatLead,
+    formatSubject,
+    createN8nConnector,
+    createWebhookConnector,
+    createSlackConnector,
+    createLineNotifyConnector,
+    createSmtpConnector,
+    createConnectorsFromEnv
+};
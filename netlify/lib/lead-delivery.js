@@ -0,0 +1,335 @@
+/**
+ * Lead Delivery - shared by contact-form-proxy and the replay command
+ *
+ * A sales inquiry must not be lost because n8n (or another destination) is
+ * slow or down:
+ * - Each lead goes to every connector (see ./lead-connectors) in parallel;
+ *   each delivery is retried with exponential backoff (network errors,
+ *   timeouts, 408/425/429 and 5xx), within a time budget that leaves room
+ *   to answer before the function is stopped
+ * - A lead is delivered once its required connectors (n8n by default) took
+ *   it; optional connectors that failed are only dead-lettered, so the
+ *   visitor does not resend a lead the others already have
+ * - Leads that still fail go to a durable dead-letter queue with the
+ *   connectors left to do; the visitor is told the form was received.
+ *   `npm run replay:leads` resends them to those connectors only.
+ *   A store that does not outlive the function instance (`durable: false`)
+ *   cannot hold them: the visitor gets the delivery error instead.
+ * - Submissions carry an idempotency key (Idempotency-Key header, generated
+ *   by the contact form): a resent submission gets the first answer back
+ *   instead of a second lead. n8n receives the key too (header and
+ *   `idempotencyKey` field) to drop duplicates from replays.
+ *
+ * Storage backends (LEAD_STORE, see ./storage):
+ * - memory: in-process Map (default, tests and local runs only; not durable)
+ * - file:   JSON file (LEAD_STORE_FILE_PATH; durable only when set, the
+ *           default in the OS temp dir is per instance)
+ * - redis:  any Redis-compatible server (LEAD_STORE_REDIS_URL, default
+ *           RATE_LIMIT_REDIS_URL); the one to use in production. Without a
+ *           URL the memory store is used.
+ * Uses the whole storage adapter interface, `durable` included.
+ */
+
+const { readStoreConfig, createStoreFromEnv } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Lead Delivery');
+
+const KEY_PREFIX = 'azenflow:leads:';
+const IDEMPOTENCY_PREFIX = `${KEY_PREFIX}idempotency:`;
+const DEAD_LETTER_PREFIX = `${KEY_PREFIX}dead-letter:`;
+
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const IDEMPOTENCY_LOCK_TTL = 60 * 1000;      // A request in progress
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+const DEFAULT_DELIVERY = {
+    maxAttempts: 3,
+    retryDelay: 500,  // First backoff, doubled on each retry
+    budget: 8000,     // Total time for all attempts (ms)
+    timeout: 30000    // Per attempt (ms)
+};
+
+// =============================================
+// STORE
+// =============================================
+
+// Lead store variables predate ./storage's <PREFIX>_FILE_PATH naming
+const LEAD_STORE_VARIABLES = { filePath: 'LEAD_STORE_FILE_PATH', redisUrl: 'LEAD_STORE_REDIS_URL' };
+
+/**
+ * Lead store settings (see ./storage readStoreConfig)
+ * @param {object} env - Environment variables
+ * @returns {object} - { type, durable, ... }
+ */
+function readLeadStoreConfig(env = process.env) {
+    return readStoreConfig('LEAD', { env, variables: LEAD_STORE_VARIABLES });
+}
+
+/**
+ * Create the store selected by the environment
+ * @param {object} env - Environment variables
+ */
+function createLeadStore(env = process.env) {
+    return createStoreFromEnv('LEAD', { env, variables: LEAD_STORE_VARIABLES });
+}
+
+// =============================================
+// IDEMPOTENCY
+// =============================================
+
+/**
+ * Read the Idempotency-Key header
+ * @param {object} headers - Request headers (lowercase names)
+ * @returns {object} - { key: string|null, valid: boolean }
+ */
+function readIdempotencyKey(headers = {}) {
+    const key = headers['idempotency-key'];
+    if (key === undefined || key === '') {
+        return { key: null, valid: true };
+    }
+    return IDEMPOTENCY_KEY_PATTERN.test(key)
+        ? { key, valid: true }
+        : { key: null, valid: false };
+}
+
+/**
+ * Responses already given per idempotency key
+ * Store errors are logged and ignored (the submission goes through).
+ * @param {object} store - Storage adapter
+ * @param {object} options - { ttlMs, lockMs }
+ * @returns {object} - { lookup, claim, complete, release }
+ */
+function createIdempotencyStore(store, { ttlMs = IDEMPOTENCY_TTL, lockMs = IDEMPOTENCY_LOCK_TTL } = {}) {
+    const storeKey = (key) => `${IDEMPOTENCY_PREFIX}${key}`;
+
+    async function safely(operation, fallback) {
+        try {
+            return await operation();
+        } catch (error) {
+            logger.error('Store error (idempotency)', { store: store.name, error });
+            return fallback;
+        }
+    }
+
+    return {
+        /**
+         * @returns {Promise<object|null>} - { state: 'pending' } or { state: 'done', response }
+         */
+        lookup(key) {
+            return safely(() => store.get(storeKey(key)), null);
+        },
+
+        /**
+         * Mark a key as in progress
+         * @returns {Promise<boolean>} - false if another request holds it
+         */
+        claim(key) {
+            return safely(() => store.setIfAbsent(storeKey(key), { state: 'pending' }, { ttlMs: lockMs }), true);
+        },
+
+        /**
+         * Remember the response given for a key
+         * @param {object} response - { statusCode, body }
+         */
+        complete(key, response) {
+            return safely(() => store.set(storeKey(key), { state: 'done', response }, { ttlMs }), undefined);
+        },
+
+        release(key) {
+            return safely(() => store.delete(storeKey(key)), undefined);
+        }
+    };
+}
+
+// =============================================
+// DEAD-LETTER QUEUE
+// =============================================
+
+/**
+ * Leads that could not be delivered
+ * Entry: { id, payload, connectors, results, failedAt, replays, lastReplayAt? }
+ * `connectors` lists the connectors still to deliver to; `results` holds
+ * their last result ({ delivered, attempts, status, error }).
+ * @param {object} store - Storage adapter (kept until replayed, no TTL)
+ * @returns {object} - { add, list, update, remove }
+ */
+function createDeadLetterQueue(store) {
+    const storeKey = (id) => `${DEAD_LETTER_PREFIX}${id}`;
+
+    return {
+        store,
+
+        async add({ id, payload, connectors, results }) {
+            const entry = { id, payload, connectors, results, failedAt: new Date().toISOString(), replays: 0 };
+            await store.set(storeKey(id), entry);
+            return entry;
+        },
+
+        /**
+         * @returns {Promise<object[]>} - Oldest first
+         */
+        async list() {
+            const items = await store.list(DEAD_LETTER_PREFIX);
+            return items
+                .map(item => item.value)
+                .sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+        },
+
+        async update(entry) {
+            await store.set(storeKey(entry.id), entry);
+        },
+
+        async remove(id) {
+            await store.delete(storeKey(id));
+        }
+    };
+}
+
+// =============================================
+// DELIVERY
+// =============================================
+
+/**
+ * Send to one connector with retries
+ * @param {object} connector - See ./lead-connectors
+ * @param {object} lead - Sanitized submission
+ * @param {string} key - Idempotency key
+ * @param {object} options - { timeout, maxAttempts, retryDelay, budget, sleep, onAttempt }
+ * @returns {Promise<object>} - { delivered, attempts, status, error? }
+ */
+async function deliverWithRetry(connector, lead, key, { timeout, maxAttempts, retryDelay, budget, sleep, onAttempt = () => {} }) {
+    const startedAt = Date.now();
+    let result;
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+        const remaining = budget - (Date.now() - startedAt);
+        const attemptStartedAt = Date.now();
+        result = await connector.send(lead, key, { timeout: Math.max(1, Math.min(timeout, remaining)) });
+        attempts++;
+        onAttempt(connector, result, Date.now() - attemptStartedAt);
+
+        if (result.ok || !result.retryable || attempts >= maxAttempts) break;
+
+        // Exponential backoff with up to 25% jitter, within the budget
+        const delay = retryDelay * 2 ** (attempts - 1) * (1 + Math.random() / 4);
+        if (Date.now() - startedAt + delay >= budget) break;
+
+        logger.warn('Delivery attempt failed, retrying', {
+            connector: connector.name,
+            attempts,
+            status: result.status,
+            error: result.error,
+            retryIn: Math.round(delay)
+        });
+        await sleep(delay);
+    }
+
+    return result.ok
+        ? { delivered: true, attempts, status: result.status }
+        : { delivered: false, attempts, status: result.status, error: result.error };
+}
+
+/**
+ * Create the delivery to the lead connectors
+ * onAttempt(connector, result, durationMs) is called after each attempt
+ * (metrics).
+ * @param {object} options - { connectors, timeout, maxAttempts, retryDelay, budget, sleep, onAttempt }
+ * @returns {object} - { connectors, configured, deliver(lead, key, { only }) }
+ */
+function createLeadDelivery(options = {}) {
+    const settings = {
+        sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+        ...DEFAULT_DELIVERY,
+        ...options
+    };
+    const connectors = options.connectors || [];
+
+    return {
+        connectors,
+        configured: connectors.length > 0 && connectors.every(connector => connector.configured),
+
+        /**
+         * Deliver to every connector (or the `only` ones), in parallel
+         * A connector that throws counts as failed, the others go on.
+         * `delivered` is true once the required targets delivered (every
+         * target when none of them is required); `failed` lists every target
+         * that failed, `failedRequired` the required ones among them.
+         * @param {object} lead - Sanitized submission
+         * @param {string} key - Idempotency key
+         * @param {object} options - { only: connector names }
+         * @returns {Promise<object>} - { delivered, results: { [name]: result }, failed, failedRequired }
+         */
+        async deliver(lead, key, { only = null } = {}) {
+            const targets = connectors.filter(connector => !only || only.includes(connector.name));
+
+            const settled = await Promise.all(targets.map(connector =>
+                deliverWithRetry(connector, lead, key, settings).catch(error => {
+                    logger.error('Connector error', { connector: connector.name, error });
+                    return { delivered: false, attempts: 1, status: 500, error: error.message };
+                })
+            ));
+
+            const results = {};
+            targets.forEach((connector, index) => {
+                results[connector.name] = settled[index];
+            });
+            const failed = targets.map(connector => connector.name).filter(name => !results[name].delivered);
+
+            const required = targets.some(connector => connector.required)
+                ? targets.filter(connector => connector.required)
+                : targets;
+            const failedRequired = required.map(connector => connector.name).filter(name => failed.includes(name));
+
+            return { delivered: failedRequired.length === 0, results, failed, failedRequired };
+        }
+    };
+}
+
+/**
+ * Resend dead-lettered leads to the connectors they are missing
+ * Delivered leads are removed; failed ones stay with the connectors still
+ * failing and their replay count.
+ * @param {object} options - { queue, delivery, ids, dryRun }
+ * @returns {Promise<object>} - { delivered: string[], failed: [{ id, connectors }], pending: string[] }
+ */
+async function replayDeadLetters({ queue, delivery, ids = null, dryRun = false }) {
+    const entries = (await queue.list()).filter(entry => !ids || ids.includes(entry.id));
+    const summary = { delivered: [], failed: [], pending: [] };
+
+    for (const entry of entries) {
+        if (dryRun) {
+            summary.pending.push(entry.id);
+            continue;
+        }
+
+        const result = await delivery.deliver(entry.payload, entry.id, { only: entry.connectors || null });
+        if (result.failed.length === 0) {
+            await queue.remove(entry.id);
+            summary.delivered.push(entry.id);
+        } else {
+            await queue.update({
+                ...entry,
+                connectors: result.failed,
+                results: { ...entry.results, ...result.results },
+                replays: (entry.replays || 0) + 1,
+                lastReplayAt: new Date().toISOString()
+            });
+            summary.failed.push({ id: entry.id, connectors: result.failed });
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    readLeadStoreConfig,
+    createLeadStore,
+    readIdempotencyKey,
+    createIdempotencyStore,
+    createDeadLetterQueue,
+    deliverWithRetry,
+    createLeadDelivery,
+    replayDeadLetters
+};
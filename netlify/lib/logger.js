@@ -0,0 +1,225 @@
+/**
+ * Logger - structured JSON logs for the Netlify Functions
+ *
+ * One JSON object per line, so the function logs can be searched and
+ * filtered by field:
+ *   {"time":"...","level":"warn","component":"Contact Form",
+ *    "requestId":"...","msg":"Rate limit exceeded","ip":"hash:5f0c2a91d4e7"}
+ *
+ * Request IDs: each function wraps its handler in withRequestId(), so every
+ * line logged while handling a request (including by the shared libraries)
+ * carries the same requestId. The ID is Netlify's x-nf-request-id when
+ * present, else a random UUID, and is echoed to the client in X-Request-Id.
+ *
+ * Personal data is redacted automatically:
+ * - IP addresses and emails are replaced by a keyed hash (same visitor,
+ *   same hash, without storing who it is), in fields and in free text
+ * - Phone numbers are masked
+ * - Free text typed by visitors (message, transcript, history...) and
+ *   upstream response bodies are replaced by their length
+ *
+ * Environment:
+ * - LOG_LEVEL: debug, info (default), warn, error or silent
+ * - LOG_HASH_SALT: key of the IP and email hashes; without it a random key
+ *   per function instance is used, so hashes only match within an instance
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LEVEL = 'info';
+
+// Console method per level (Netlify shows warnings and errors apart)
+const OUTPUT = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+// Fields whose value is hashed or masked (lowercase names)
+const HASHED_FIELDS = ['ip', 'clientip', 'email', 'replyto'];
+const MASKED_FIELDS = ['phone', 'name', 'company'];
+const CONTENT_FIELDS = ['message', 'content', 'text', 'transcript', 'history', 'body', 'response', 'data'];
+
+const EMAIL_PATTERN = /[^\s<>()"',;:@]+@[^\s<>()"',;:@]+\.[A-Za-z]{2,}/g;
+const IPV4_PATTERN = /(?<![\w.])(?:\d{1,3}\.){3}\d{1,3}(?![\w.])/g;
+const IPV6_PATTERN = /(?<![\w:])(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}(?![\w:])|(?<![\w:])(?:[0-9A-Fa-f]{1,4}:){1,6}:(?:[0-9A-Fa-f]{1,4}(?::[0-9A-Fa-f]{1,4}){0,5})?(?![\w:])/g;
+// Digit groups with phone separators, checked for at least 10 digits below
+const PHONE_PATTERN = /(?<![\w-])\+?\(?\d[\d ().-]{7,}\d(?![\w-])/g;
+const PHONE_MIN_DIGITS = 10;
+
+const MAX_STRING_LENGTH = 1000;
+const MAX_DEPTH = 5;
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+// Hash key without LOG_HASH_SALT, shared by every logger of the instance
+const INSTANCE_SALT = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Keyed hash of a personal value
+ * @param {string} value
+ * @param {string} salt
+ * @returns {string} - "hash:<12 hex chars>"
+ */
+function hashValue(value, salt) {
+    const digest = crypto.createHmac('sha256', salt)
+        .update(String(value).trim().toLowerCase())
+        .digest('hex');
+    return `hash:${digest.slice(0, 12)}`;
+}
+
+/**
+ * Redact emails, IP addresses and phone numbers in free text
+ * @param {string} text
+ * @param {string} salt
+ * @returns {string}
+ */
+function scrubText(text, salt) {
+    let scrubbed = text
+        .replace(EMAIL_PATTERN, match => `[email ${hashValue(match, salt)}]`)
+        .replace(IPV4_PATTERN, match => `[ip ${hashValue(match, salt)}]`)
+        .replace(IPV6_PATTERN, match => `[ip ${hashValue(match, salt)}]`)
+        .replace(PHONE_PATTERN, match => (match.replace(/\D/g, '').length >= PHONE_MIN_DIGITS ? '[phone]' : match));
+
+    if (scrubbed.length > MAX_STRING_LENGTH) {
+        scrubbed = `${scrubbed.slice(0, MAX_STRING_LENGTH)}… (${scrubbed.length} chars)`;
+    }
+    return scrubbed;
+}
+
+/**
+ * Redact a log field
+ * @param {*} value
+ * @param {string} key - Field name (decides how the value is redacted)
+ * @param {string} salt
+ * @param {number} depth
+ * @returns {*}
+ */
+function redact(value, key, salt, depth = 0) {
+    const field = String(key).toLowerCase();
+
+    if (value === null || value === undefined || typeof value === 'boolean' || typeof value === 'number') {
+        return value;
+    }
+
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: scrubText(value.message || '', salt),
+            ...(value.code ? { code: value.code } : {}),
+            ...(value.stack ? { stack: scrubText(value.stack, salt) } : {})
+        };
+    }
+
+    if (CONTENT_FIELDS.includes(field)) {
+        if (typeof value === 'string') return `[redacted: ${value.length} chars]`;
+        if (Array.isArray(value)) return `[redacted: ${value.length} items]`;
+        return '[redacted]';
+    }
+    if (HASHED_FIELDS.includes(field) && typeof value === 'string') {
+        return value ? hashValue(value, salt) : value;
+    }
+    if (MASKED_FIELDS.includes(field)) {
+        return value ? '[redacted]' : value;
+    }
+
+    if (typeof value === 'string') {
+        return scrubText(value, salt);
+    }
+
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, key, salt, depth + 1));
+    }
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .map(([name, item]) => [name, redact(item, name, salt, depth + 1)]));
+    }
+
+    return String(value);
+}
+
+/**
+ * Request ID of an incoming request (Netlify's, else a new one)
+ * @param {object} event - Netlify Function event
+ * @returns {string}
+ */
+function getRequestId(event) {
+    const headers = (event && event.headers) || {};
+    const platformId = headers['x-nf-request-id'];
+
+    return typeof platformId === 'string' && REQUEST_ID_PATTERN.test(platformId)
+        ? platformId
+        : crypto.randomUUID();
+}
+
+/**
+ * Run a function with a request ID attached to every log line it produces
+ * @param {string} requestId
+ * @param {Function} fn
+ * @returns {*} - What fn returns
+ */
+function withRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * Request ID of the request being handled, if any
+ * @returns {string|null}
+ */
+function currentRequestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : null;
+}
+
+/**
+ * Create a logger
+ * @param {string} component - Source of the lines (e.g. "Contact Form")
+ * @param {object} options - { env }
+ * @returns {object} - { debug, info, warn, error }(msg, fields?)
+ */
+function createLogger(component, { env = process.env } = {}) {
+    const levelName = (env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+    const threshold = LEVELS[levelName] !== undefined ? LEVELS[levelName] : LEVELS[DEFAULT_LEVEL];
+    const salt = env.LOG_HASH_SALT || INSTANCE_SALT;
+
+    function write(level, msg, fields = {}) {
+        if (LEVELS[level] < threshold) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            component,
+            requestId: currentRequestId() || undefined,
+            msg: scrubText(String(msg), salt)
+        };
+
+        for (const [key, value] of Object.entries(fields || {})) {
+            if (!(key in entry)) {
+                entry[key] = redact(value, key, salt);
+            }
+        }
+
+        console[OUTPUT[level]](JSON.stringify(entry));
+    }
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields)
+    };
+}
+
+module.exports = {
+    createLogger,
+    getRequestId,
+    withRequestId,
+    currentRequestId,
+    hashValue,
+    redact
+};
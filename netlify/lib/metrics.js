@@ -0,0 +1,306 @@
+/**
+ * Metrics - counters and latency histograms for the Netlify Functions
+ *
+ * The functions record what happens to each request (status, validation
+ * failures, rate-limit rejections, upstream status codes and durations);
+ * the health function reads the totals back (JSON or Prometheus text).
+ *
+ * Values are kept as Prometheus-style series, e.g.
+ *   azenflow_requests_total{function="chatbot",status="200"}
+ *   azenflow_upstream_duration_ms_bucket{function="chatbot",upstream="n8n",le="500"}
+ * Recording is synchronous and buffered; the functions call flush() once
+ * per request, so a slow or broken store never fails a request.
+ *
+ * Storage backends (METRICS_STORE, see ./storage):
+ * - memory: in-process totals (default), shared by the functions running in
+ *   the same process (netlify dev), reset on cold start
+ * - file:   JSON file (METRICS_FILE_PATH, default in the OS temp dir)
+ * - redis:  any Redis-compatible server (METRICS_REDIS_URL, default
+ *           RATE_LIMIT_REDIS_URL); the one to use in production
+ *
+ * Totals store interface (createTotalsStore over a storage adapter):
+ *   add(increments: { [series]: number }) => Promise<void>
+ *   read() => Promise<{ [series]: number }>
+ */
+
+const storage = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Metrics');
+
+const METRIC_PREFIX = 'azenflow_';
+const STORE_KEY = 'azenflow:metrics';
+
+// Histogram bucket upper bounds (ms)
+const DURATION_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+// Memory store shared by every function of the process
+const processMemory = storage.createMemoryStore();
+
+// =============================================
+// SERIES
+// =============================================
+
+/**
+ * Series name of a metric and its labels (labels sorted by name)
+ * @param {string} name - Metric name without prefix
+ * @param {object} labels
+ * @returns {string}
+ */
+function seriesKey(name, labels = {}) {
+    const pairs = Object.keys(labels)
+        .filter(label => labels[label] !== undefined && labels[label] !== null)
+        .sort()
+        .map(label => `${label}="${String(labels[label]).replace(/["\\\n,={}]/g, '_')}"`);
+
+    return `${METRIC_PREFIX}${name}${pairs.length ? `{${pairs.join(',')}}` : ''}`;
+}
+
+/**
+ * Split a series name back into metric name and labels
+ * @param {string} series
+ * @returns {object} - { name, labels }
+ */
+function parseSeriesKey(series) {
+    const match = series.match(/^([^{]+)(?:\{(.*)\})?$/);
+    const labels = {};
+
+    for (const pair of (match[2] || '').split(',').filter(Boolean)) {
+        const [label, value] = pair.split('=');
+        labels[label] = value.slice(1, -1);
+    }
+
+    return { name: match[1].slice(METRIC_PREFIX.length), labels };
+}
+
+// =============================================
+// STORE
+// =============================================
+
+// All increments of a flush in one round trip
+const REDIS_ADD_SCRIPT = `
+for i = 1, #ARGV, 2 do
+    redis.call('HINCRBY', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+return 1
+`;
+
+/**
+ * Totals kept in a storage adapter (see ./storage)
+ * Redis keeps them in one hash, incremented on the server; the other
+ * stores keep them as one JSON value.
+ * @param {object} store - Storage adapter
+ * @returns {object} - { name, add, read }
+ */
+function createTotalsStore(store) {
+    if (typeof store.command === 'function') {
+        return {
+            name: store.name,
+
+            async add(increments) {
+                const args = Object.entries(increments).flatMap(([series, value]) => [series, Math.round(value)]);
+                await store.command(['EVAL', REDIS_ADD_SCRIPT, 1, STORE_KEY, ...args]);
+            },
+
+            async read() {
+                const flat = await store.command(['HGETALL', STORE_KEY]) || [];
+                const totals = {};
+                for (let i = 0; i < flat.length; i += 2) {
+                    totals[flat[i]] = Number(flat[i + 1]);
+                }
+                return totals;
+            }
+        };
+    }
+
+    return {
+        name: store.name,
+
+        async add(increments) {
+            const totals = await store.get(STORE_KEY) || {};
+            for (const [series, value] of Object.entries(increments)) {
+                totals[series] = (totals[series] || 0) + value;
+            }
+            await store.set(STORE_KEY, totals);
+        },
+
+        async read() {
+            return await store.get(STORE_KEY) || {};
+        }
+    };
+}
+
+/**
+ * Create the store selected by the environment
+ * @param {object} env - Environment variables
+ */
+function createMetricsStore(env = process.env) {
+    return createTotalsStore(storage.createStoreFromEnv('METRICS', { env, memoryStore: processMemory }));
+}
+
+// =============================================
+// RECORDING
+// =============================================
+
+/**
+ * Create the metrics of a function
+ * @param {string} functionName - Value of the "function" label (e.g. "chatbot")
+ * @param {object} options - { env, store }
+ * @returns {object} - { increment, observe, flush }
+ */
+function createMetrics(functionName, { env = process.env, store = createMetricsStore(env) } = {}) {
+    let pending = {};
+
+    const add = (series, value) => {
+        pending[series] = (pending[series] || 0) + value;
+    };
+
+    return {
+        store,
+
+        /**
+         * Count an event
+         * @param {string} name - Counter name (e.g. "requests_total")
+         * @param {object} labels
+         * @param {number} value
+         */
+        increment(name, labels = {}, value = 1) {
+            add(seriesKey(name, { function: functionName, ...labels }), value);
+        },
+
+        /**
+         * Record a duration in a histogram
+         * @param {string} name - Histogram name (e.g. "request_duration_ms")
+         * @param {number} ms
+         * @param {object} labels
+         */
+        observe(name, ms, labels = {}) {
+            const value = Math.max(0, Math.round(ms));
+            const base = { function: functionName, ...labels };
+
+            for (const bound of DURATION_BUCKETS) {
+                if (value <= bound) add(seriesKey(`${name}_bucket`, { ...base, le: bound }), 1);
+            }
+            add(seriesKey(`${name}_bucket`, { ...base, le: '+Inf' }), 1);
+            add(seriesKey(`${name}_sum`, base), value);
+            add(seriesKey(`${name}_count`, base), 1);
+        },
+
+        /**
+         * Write what was recorded to the store (errors are logged, never thrown)
+         */
+        async flush() {
+            const increments = pending;
+            pending = {};
+            if (Object.keys(increments).length === 0) return;
+
+            try {
+                await store.add(increments);
+            } catch (error) {
+                logger.error('Store error, metrics dropped', { store: store.name, error });
+            }
+        }
+    };
+}
+
+// =============================================
+// READING
+// =============================================
+
+/**
+ * Estimate a percentile from cumulative buckets (upper bound of its bucket)
+ * @param {object} buckets - { [le]: cumulative count }
+ * @param {number} count
+ * @param {number} percentile - 0 to 1
+ * @returns {number|null} - ms (null past the last finite bucket)
+ */
+function bucketPercentile(buckets, count, percentile) {
+    const target = count * percentile;
+    for (const bound of DURATION_BUCKETS) {
+        if ((buckets[bound] || 0) >= target) return bound;
+    }
+    return null;
+}
+
+/**
+ * Totals grouped by metric, for the JSON health report
+ * Counters: { [name]: [{ labels, value }] }
+ * Histograms: { [name]: [{ labels, count, sum, mean, p50, p95, buckets }] }
+ * @param {object} totals - { [series]: number } (see read())
+ * @returns {object} - { counters, histograms }
+ */
+function summarize(totals) {
+    const counters = {};
+    const histograms = {};
+    const histogramSeries = new Map();
+
+    for (const [series, value] of Object.entries(totals).sort(([a], [b]) => a.localeCompare(b))) {
+        const { name, labels } = parseSeriesKey(series);
+        const part = name.match(/^(.*)_(bucket|sum|count)$/);
+
+        if (!part || !name.includes('_duration_')) {
+            (counters[name] = counters[name] || []).push({ labels, value });
+            continue;
+        }
+
+        const [, histogram, field] = part;
+        const { le, ...seriesLabels } = labels;
+        const id = `${histogram}${JSON.stringify(seriesLabels)}`;
+
+        if (!histogramSeries.has(id)) {
+            const entry = { labels: seriesLabels, count: 0, sum: 0, buckets: {} };
+            histogramSeries.set(id, entry);
+            (histograms[histogram] = histograms[histogram] || []).push(entry);
+        }
+
+        const entry = histogramSeries.get(id);
+        if (field === 'bucket') {
+            entry.buckets[le] = value;
+        } else {
+            entry[field] = value;
+        }
+    }
+
+    for (const entry of histogramSeries.values()) {
+        entry.mean = entry.count ? Math.round(entry.sum / entry.count) : null;
+        entry.p50 = entry.count ? bucketPercentile(entry.buckets, entry.count, 0.5) : null;
+        entry.p95 = entry.count ? bucketPercentile(entry.buckets, entry.count, 0.95) : null;
+    }
+
+    return { counters, histograms };
+}
+
+/**
+ * Prometheus text exposition of the totals
+ * @param {object} totals - { [series]: number }
+ * @returns {string}
+ */
+function formatPrometheus(totals) {
+    const lines = [];
+    const typed = new Set();
+
+    for (const series of Object.keys(totals).sort()) {
+        const { name } = parseSeriesKey(series);
+        const part = name.match(/^(.*_duration_ms)_(bucket|sum|count)$/);
+        const metric = METRIC_PREFIX + (part ? part[1] : name);
+
+        if (!typed.has(metric)) {
+            typed.add(metric);
+            lines.push(`# TYPE ${metric} ${part ? 'histogram' : 'counter'}`);
+        }
+        lines.push(`${series} ${totals[series]}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    DURATION_BUCKETS,
+    seriesKey,
+    parseSeriesKey,
+    createTotalsStore,
+    createMetricsStore,
+    createMetrics,
+    summarize,
+    formatPrometheus
+};
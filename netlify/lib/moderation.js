@@ -0,0 +1,419 @@
+/**
+ * Moderation - local content rules for the chatbot
+ *
+ * Runs on the visitor's message before it reaches n8n and on the AI reply
+ * before it reaches the visitor. Rules are regular expressions, checked on
+ * the NFKC-normalized text (full-width letters, invisible characters), so
+ * nothing leaves the function.
+ *
+ * Categories:
+ * - prompt_injection: "ignore previous instructions", role overrides, fake
+ *   system turns; in replies, disclosure of the prompt
+ * - personal_data:    asking for other people's contact details or
+ *   credentials; in replies, emails and phone numbers other than ours
+ * - abuse:            insults and threats (Japanese and English)
+ * - pricing:          getting the bot to promise a price or discount; in
+ *   replies, yen amounts we do not charge and discount promises
+ *
+ * Actions (the strongest one of the matched categories wins):
+ * - block:   input is answered by the function (n8n is not called); a
+ *            reply is replaced by a polite message
+ * - rewrite: replies only; personal data is masked, other categories are
+ *            replaced by the category's message (e.g. where to find prices)
+ * - flag:    input is forwarded with `moderation: { flags }` for n8n
+ * - allow
+ * Defaults: input blocks prompt_injection, personal_data and abuse, flags
+ * pricing; replies block prompt_injection and abuse, rewrite personal_data
+ * and pricing.
+ *
+ * Environment:
+ * - MODERATION_ENABLED: "false" turns moderation off
+ * - MODERATION_RULES: JSON overrides, e.g.
+ *     {"actions": {"input": {"pricing": "block"}, "output": {"abuse": "rewrite"}},
+ *      "rules": [{"id": "competitor", "category": "abuse", "pattern": "acme", "flags": "i", "on": "both"}],
+ *      "disable": ["abuse_ja"]}
+ *   Added rules run on "input", "output" or "both" (default input)
+ * - MODERATION_ALLOWED_PRICES: comma-separated yen amounts replies may quote,
+ *   without thousands separators (e.g. "19990,29990"); replaces the default
+ *   list of our prices
+ * - MODERATION_ALLOWED_CONTACTS: comma-separated emails and phone numbers
+ *   replies may give (replaces the default, our contact details)
+ */
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Moderation');
+
+const ACTIONS = ['allow', 'flag', 'rewrite', 'block'];
+
+const DEFAULT_ACTIONS = {
+    input: { prompt_injection: 'block', personal_data: 'block', abuse: 'block', pricing: 'flag' },
+    output: { prompt_injection: 'block', personal_data: 'rewrite', abuse: 'block', pricing: 'rewrite' }
+};
+
+// Monthly fees, setup fees and options of our plans (yen, tax excluded),
+// and the staff costs the FAQ compares them with (15万円, 16万円)
+const DEFAULT_ALLOWED_PRICES = [
+    0, 1000, 2000, 5000, 8000, 9990, 10000, 19000, 19990, 21990, 29990, 31990, 49000, 49900, 49990, 99000,
+    150000, 160000
+];
+
+const DEFAULT_ALLOWED_CONTACTS = ['contact@azenflow.com', '080-3498-0640', '+81-80-3498-0640'];
+
+const REQUEST_VERBS_JA = '(?:教えて|見せて|送って|出して|一覧|リスト|ください|知りたい)';
+
+/**
+ * Built-in rules
+ * on: where the rule runs ("input", "output" or "both")
+ */
+const DEFAULT_RULES = [
+    // Prompt injection
+    {
+        id: 'ignore_instructions_en',
+        category: 'prompt_injection',
+        on: 'input',
+        pattern: /\b(?:ignore|disregard|forget|override)\b.{0,30}\b(?:previous|above|prior|earlier|all|your|the)\b.{0,20}\b(?:instructions?|prompts?|rules?|directions?|guidelines?)\b/i
+    },
+    {
+        id: 'ignore_instructions_ja',
+        category: 'prompt_injection',
+        on: 'input',
+        pattern: /(?:これまで|今まで|以前|前|上記|最初|全て|すべて)の(?:指示|命令|プロンプト|ルール|設定|制約).{0,10}(?:無視|忘れ|破棄|リセット)/
+    },
+    {
+        id: 'reveal_prompt',
+        category: 'prompt_injection',
+        on: 'input',
+        pattern: /\b(?:system|hidden|initial|original)\s+(?:prompt|instructions?|message)\b|システムプロンプト|(?:内部|隠し|最初)の(?:指示|命令|プロンプト)/i
+    },
+    {
+        id: 'role_override_en',
+        category: 'prompt_injection',
+        on: 'input',
+        pattern: /\byou are (?:now|no longer)\b|\bpretend (?:to be|you are)\b|\bjailbreak\b|\bdeveloper mode\b|\bDAN mode\b/i
+    },
+    {
+        id: 'role_override_ja',
+        category: 'prompt_injection',
+        on: 'input',
+        pattern: /(?:今から|これから)(?:あなたは|お前は|君は)|になりきって|として振る舞って|制限を(?:解除|無視)|脱獄/
+    },
+    {
+        id: 'fake_turns',
+        category: 'prompt_injection',
+        on: 'input',
+        pattern: /<\/?(?:system|assistant|instructions?)>|\[\/?(?:INST|SYS)\]|<\|im_start\|>|^\s*(?:system|assistant)\s*:/im
+    },
+    {
+        id: 'prompt_disclosure',
+        category: 'prompt_injection',
+        on: 'output',
+        pattern: /\b(?:my|the) (?:system prompt|instructions) (?:is|are|says?)\b|\bI (?:was|have been) (?:instructed|told) to\b|システムプロンプト(?:は|には)|私への指示(?:は|には)/i
+    },
+
+    // Personal data
+    {
+        id: 'others_data_en',
+        category: 'personal_data',
+        on: 'input',
+        pattern: /\b(?:customers?|clients?|users?|employees?|staff|members?|other people|someone else)(?:'s|s')?\b.{0,30}\b(?:e-?mails?|phone numbers?|addresses|home address|personal (?:data|information|details)|passwords?|credit cards?|contact (?:details|list))\b|\b(?:e-?mails?|e-?mail addresses|phone numbers?|home address(?:es)?|passwords?|credit cards?|contact (?:details|list))\b.{0,20}\bof (?:your|other|all|the)\b.{0,15}\b(?:customers|clients|users|employees|staff|members)\b/i
+    },
+    {
+        id: 'others_data_ja',
+        category: 'personal_data',
+        on: 'input',
+        pattern: new RegExp(`(?:顧客|お客様|お客さん|利用者|ユーザー|会員|社員|従業員|スタッフ|他の人|他人|担当者)の?.{0,10}(?:個人情報|メールアドレス|メアド|電話番号|住所|パスワード|クレジットカード|連絡先).{0,10}${REQUEST_VERBS_JA}`)
+    },
+    {
+        id: 'credentials',
+        category: 'personal_data',
+        on: 'input',
+        pattern: /\b(?:admin|administrator|root|database|api)\s*(?:password|credentials|key)s?\b|(?:管理者|データベース|API)の?(?:パスワード|認証情報|キー)/i
+    },
+
+    // Abuse
+    {
+        id: 'abuse_en',
+        category: 'abuse',
+        on: 'both',
+        pattern: /\b(?:fuck\w*|shit(?:ty)?|bitch|bastard|asshole|cunt|motherfucker|retard(?:ed)?|kill yourself|kys|i will kill)\b/i
+    },
+    {
+        id: 'abuse_ja',
+        category: 'abuse',
+        on: 'both',
+        pattern: /死ね|氏ね|しね|殺すぞ|ころすぞ|ぶっ殺|クソ(?:野郎|やろう|ボット|bot|AI)|くそったれ|バカ野郎|ばかやろう|馬鹿野郎|消えろ|ゴミ(?:ボット|bot|AI|会社)|カスが/i
+    },
+
+    // Pricing
+    {
+        id: 'price_promise_en',
+        category: 'pricing',
+        on: 'input',
+        pattern: /\b(?:say|tell me|confirm|promise|agree|guarantee|write)\b.{0,40}\b(?:free|discount|cheaper|\d+\s?% off|price (?:is|will be)|costs? only)\b|\b(?:give|offer|sell) (?:me|us)\b.{0,20}\b(?:discount|for free|\d+\s?% off|cheaper)\b/i
+    },
+    {
+        id: 'price_promise_ja',
+        category: 'pricing',
+        on: 'input',
+        pattern: /(?:無料|タダ|ただ|割引|値引き?|半額|\d+\s?[%％](?:オフ|引き)|\d[\d,]*円).{0,15}(?:にして|してください|してくれ|と言って|といって|と約束|を約束|保証して|確約|と書いて)|(?:と言って|約束して|保証して|確約して).{0,10}(?:無料|割引|値引|半額|円)/
+    },
+    {
+        id: 'discount_promise',
+        category: 'pricing',
+        on: 'output',
+        pattern: /\b\d{1,3}\s?% (?:off|discount)\b|\d{1,3}\s?[%％]\s?(?:オフ|OFF|off|割引|引き)|半額/i
+    }
+];
+
+// Yen amounts in a reply: ¥19,990 / 19,990円 / 2万円 / 19990 yen / JPY 19,990
+const YEN_PATTERN = /(?:¥|￥|JPY\s?)\s?(\d[\d,]*(?:\.\d+)?)(万)?|(\d[\d,]*(?:\.\d+)?)\s?(万)?\s?(?:円|yen\b)/gi;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s-]?)?\(?\d{2,4}\)?[\s-]\d{2,4}[\s-]\d{3,4}\b|\b0\d{9,10}\b/g;
+
+const INVISIBLE_PATTERN = /[\u200B-\u200D\u2060\uFEFF\u202A-\u202E\u2066-\u2069]/g;
+
+// Replies used instead of blocked or rewritten content
+const MESSAGES = {
+    prompt_injection: {
+        ja: '申し訳ございません。そのご依頼にはお応えできません。AzenFlowのサービスについてのご質問をお待ちしております。',
+        en: 'Sorry, I can’t help with that request. I’m happy to answer questions about AzenFlow’s services.',
+        zh: '抱歉，无法处理该请求。欢迎咨询有关AzenFlow服务的问题。',
+        ko: '죄송합니다. 해당 요청에는 응답할 수 없습니다. AzenFlow 서비스에 관한 질문을 기다리겠습니다.',
+        fr: 'Désolé, je ne peux pas répondre à cette demande. Je réponds volontiers à vos questions sur les services d’AzenFlow.'
+    },
+    personal_data: {
+        ja: '申し訳ございません。個人情報や認証情報はお伝えできません。',
+        en: 'Sorry, I can’t share personal data or credentials.',
+        zh: '抱歉，无法提供个人信息或认证信息。',
+        ko: '죄송합니다. 개인정보나 인증 정보는 알려드릴 수 없습니다.',
+        fr: 'Désolé, je ne peux pas communiquer de données personnelles ni d’identifiants.'
+    },
+    abuse: {
+        ja: '申し訳ございません。丁寧な言葉でご質問いただけますと幸いです。',
+        en: 'Sorry, I can only continue if we keep the conversation respectful.',
+        zh: '抱歉，请使用礼貌的语言提问。',
+        ko: '죄송합니다. 정중한 표현으로 질문해 주시면 감사하겠습니다.',
+        fr: 'Désolé, je ne peux continuer que si la conversation reste courtoise.'
+    },
+    pricing: {
+        ja: '料金については、料金ページまたはよくあるご質問に記載の正式な価格をご確認ください。お見積りや個別のご相談は、お問い合わせフォームから承ります。',
+        en: 'For prices, please refer to the official rates on our pricing pages and FAQ. For a quote or a specific request, please use our contact form.',
+        zh: '关于价格，请以价格页面和常见问题中的正式价格为准。如需报价或个别咨询，请通过联系表单与我们联系。',
+        ko: '요금은 요금 페이지와 자주 묻는 질문에 기재된 공식 가격을 확인해 주세요. 견적이나 개별 상담은 문의 양식으로 접수해 주세요.',
+        fr: 'Pour les tarifs, veuillez vous référer aux prix officiels de nos pages tarifs et de la FAQ. Pour un devis ou une demande particulière, utilisez notre formulaire de contact.'
+    }
+};
+
+const REDACTED = '[…]';
+
+/**
+ * Normalize a text before matching (full-width forms, invisible characters)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text || '').normalize('NFKC').replace(INVISIBLE_PATTERN, '');
+}
+
+/**
+ * Yen amounts quoted in a text
+ * @param {string} text - Normalized text
+ * @returns {number[]}
+ */
+function findYenAmounts(text) {
+    const amounts = [];
+    for (const match of text.matchAll(YEN_PATTERN)) {
+        const digits = (match[1] || match[3]).replace(/,/g, '');
+        const value = parseFloat(digits) * (match[2] || match[4] ? 10000 : 1);
+        if (Number.isFinite(value)) amounts.push(Math.round(value));
+    }
+    return amounts;
+}
+
+/**
+ * Keep only the digits of a phone number (Japanese country code as 0)
+ * @param {string} phone
+ * @returns {string}
+ */
+function phoneDigits(phone) {
+    return phone.replace(/[^\d]/g, '').replace(/^81/, '0');
+}
+
+/**
+ * Read MODERATION_RULES (invalid JSON is ignored)
+ * @param {object} env - Environment variables
+ * @returns {object}
+ */
+function parseOverrides(env) {
+    if (!env.MODERATION_RULES) return {};
+
+    try {
+        return JSON.parse(env.MODERATION_RULES);
+    } catch (error) {
+        logger.error('Invalid MODERATION_RULES JSON, ignoring');
+        return {};
+    }
+}
+
+/**
+ * Build the rules: built-in ones minus disabled ones, plus added ones
+ * @param {object} overrides - Parsed MODERATION_RULES
+ * @returns {Array<object>}
+ */
+function buildRules(overrides) {
+    const disabled = new Set(Array.isArray(overrides.disable) ? overrides.disable : []);
+    const added = [];
+
+    for (const rule of Array.isArray(overrides.rules) ? overrides.rules : []) {
+        try {
+            added.push({
+                id: rule.id || `custom_${added.length + 1}`,
+                category: rule.category,
+                on: ['input', 'output', 'both'].includes(rule.on) ? rule.on : 'input',
+                pattern: new RegExp(rule.pattern, String(rule.flags || '').replace(/[^imsu]/g, ''))
+            });
+        } catch (error) {
+            logger.error('Invalid moderation rule, ignoring', { rule: rule.id, error });
+        }
+    }
+
+    return DEFAULT_RULES.filter(rule => !disabled.has(rule.id))
+        .concat(added.filter(rule => typeof rule.category === 'string'));
+}
+
+/**
+ * Read a comma-separated list setting
+ * @param {string|undefined} value
+ * @param {Array} fallback
+ * @returns {Array<string>}
+ */
+function parseList(value, fallback) {
+    if (!value) return fallback.map(String);
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Create the moderator
+ * @param {object} options - { env }
+ * @returns {object} - { enabled, checkInput, checkOutput, message }
+ */
+function createModerator({ env = process.env } = {}) {
+    const overrides = parseOverrides(env);
+    const rules = buildRules(overrides);
+    const actions = {
+        input: { ...DEFAULT_ACTIONS.input, ...(overrides.actions && overrides.actions.input) },
+        output: { ...DEFAULT_ACTIONS.output, ...(overrides.actions && overrides.actions.output) }
+    };
+    const allowedPrices = new Set(parseList(env.MODERATION_ALLOWED_PRICES, DEFAULT_ALLOWED_PRICES)
+        .map(price => Number(price.replace(/[¥円\s]/g, ''))));
+    const allowedContacts = parseList(env.MODERATION_ALLOWED_CONTACTS, DEFAULT_ALLOWED_CONTACTS);
+    const allowedEmails = new Set(allowedContacts.filter(item => item.includes('@')).map(item => item.toLowerCase()));
+    const allowedPhones = new Set(allowedContacts.filter(item => !item.includes('@')).map(phoneDigits));
+
+    const enabled = env.MODERATION_ENABLED !== 'false';
+
+    /**
+     * Emails and phone numbers other than ours
+     */
+    const findContacts = (text) => [
+        ...(text.match(EMAIL_PATTERN) || []).filter(email => !allowedEmails.has(email.toLowerCase())),
+        ...(text.match(PHONE_PATTERN) || []).filter(phone => !allowedPhones.has(phoneDigits(phone)))
+    ];
+
+    /**
+     * Strongest action among the matched categories
+     */
+    const decide = (direction, matches) => matches.reduce((strongest, match) => {
+        const action = ACTIONS.includes(actions[direction][match.category]) ? actions[direction][match.category] : 'flag';
+        return ACTIONS.indexOf(action) > ACTIONS.indexOf(strongest) ? action : strongest;
+    }, 'allow');
+
+    const runRules = (direction, text) => rules
+        .filter(rule => rule.on === direction || rule.on === 'both')
+        .filter(rule => rule.pattern.test(text))
+        .map(rule => ({ rule: rule.id, category: rule.category }));
+
+    const summarize = (action, matches) => ({
+        action,
+        categories: [...new Set(matches.map(match => match.category))],
+        rules: matches.map(match => match.rule)
+    });
+
+    /**
+     * Message replacing blocked or rewritten content
+     * @param {string} category
+     * @param {string} language
+     * @returns {string}
+     */
+    const message = (category, language) => {
+        const messages = MESSAGES[category] || MESSAGES.prompt_injection;
+        return messages[language] || messages.en;
+    };
+
+    return {
+        enabled,
+        message,
+
+        /**
+         * Check a visitor's message
+         * @param {string} text
+         * @returns {object} - { action, categories, rules }
+         */
+        checkInput(text) {
+            if (!enabled) return summarize('allow', []);
+
+            const matches = runRules('input', normalizeText(text));
+            return summarize(decide('input', matches), matches);
+        },
+
+        /**
+         * Check an AI reply, and block or rewrite it
+         * @param {string} text
+         * @param {string} language - Language of the replacement message
+         * @returns {object} - { action, categories, rules, text }
+         */
+        checkOutput(text, language = 'ja') {
+            if (!enabled) return { ...summarize('allow', []), text };
+
+            const normalized = normalizeText(text);
+            const matches = runRules('output', normalized);
+
+            if (findYenAmounts(normalized).some(amount => !allowedPrices.has(amount))) {
+                matches.push({ rule: 'unlisted_price', category: 'pricing' });
+            }
+
+            if (findContacts(normalized).length > 0) {
+                matches.push({ rule: 'contact_details', category: 'personal_data' });
+            }
+
+            const action = decide('output', matches);
+            const result = { ...summarize(action, matches), text };
+            if (action !== 'block' && action !== 'rewrite') {
+                return result;
+            }
+
+            // Contact details alone: mask them and keep the rest of the answer
+            const applied = matches.filter(match => actions.output[match.category] === action);
+            if (action === 'rewrite' && applied.every(match => match.rule === 'contact_details')) {
+                const masked = findContacts(text).reduce((current, value) => current.split(value).join(REDACTED), text);
+                if (findContacts(normalizeText(masked)).length === 0) {
+                    result.text = masked;
+                    return result;
+                }
+            }
+
+            result.text = message(applied[0].category, language);
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    DEFAULT_ALLOWED_PRICES,
+    normalizeText,
+    findYenAmounts,
+    createModerator
+};
@@ -0,0 +1,264 @@
+/**
+ * Rate Limiter - shared by the Netlify Functions
+ *
+ * Sliding-window rate limiting with per-route policies and a pluggable
+ * storage adapter, so limits survive cold starts and can be shared between
+ * concurrent function instances.
+ *
+ * Storage backends (RATE_LIMIT_STORE, see ./storage):
+ * - memory: in-process Map (default, resets on cold start)
+ * - file:   JSON file (RATE_LIMIT_FILE_PATH, default in the OS temp dir)
+ * - redis:  any Redis-compatible server (RATE_LIMIT_REDIS_URL)
+ *
+ * Window store interface (createWindowStore over a storage adapter):
+ *   hit(key, { now, windowMs, limit }) => Promise<{ allowed, count, oldest }>
+ * Records a request at `now` unless `limit` requests already happened within
+ * the window. `oldest` is the timestamp of the oldest request in the window.
+ */
+
+const storage = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Rate Limiter');
+
+// Default per-route policies (overridden per function or by RATE_LIMIT_POLICIES)
+const DEFAULT_POLICIES = {
+    chatbot: { limit: 10, windowMs: 60 * 1000 },       // 10 requests / minute
+    contact: { limit: 10, windowMs: 60 * 60 * 1000 }   // 10 requests / hour
+};
+
+const KEY_PREFIX = 'azenflow:ratelimit:';
+
+/**
+ * Apply the sliding window to a list of request timestamps
+ * @param {number[]} timestamps - Previous request timestamps
+ * @param {object} options - { now, windowMs, limit }
+ * @returns {object} - { allowed, count, oldest, timestamps }
+ */
+function slideWindow(timestamps, { now, windowMs, limit }) {
+    const recent = timestamps.filter(timestamp => now - timestamp < windowMs);
+
+    if (recent.length >= limit) {
+        return { allowed: false, count: recent.length, oldest: Math.min(...recent), timestamps: recent };
+    }
+
+    recent.push(now);
+    return { allowed: true, count: recent.length, oldest: Math.min(...recent), timestamps: recent };
+}
+
+// =============================================
+// STORE
+// =============================================
+
+// Sliding window as a sorted set, evaluated atomically on the server
+const REDIS_SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = redis.call('ZCARD', key)
+if count >= limit then
+    local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+    return {0, count, tonumber(oldest[2])}
+end
+redis.call('ZADD', key, now, ARGV[4])
+redis.call('PEXPIRE', key, window)
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+return {1, count + 1, tonumber(oldest[2])}
+`;
+
+/**
+ * Sliding windows kept in a storage adapter (see ./storage)
+ * Redis evaluates the window on the server; the other stores keep each
+ * key's timestamps until the window is over.
+ * @param {object} store - Storage adapter
+ * @returns {object} - { name, hit }
+ */
+function createWindowStore(store) {
+    if (typeof store.command === 'function') {
+        return {
+            name: store.name,
+
+            async hit(key, options) {
+                // Unique member so simultaneous requests are all counted
+                const member = `${options.now}-${Math.random().toString(36).slice(2, 10)}`;
+
+                const [allowed, count, oldest] = await store.command([
+                    'EVAL', REDIS_SLIDING_WINDOW_SCRIPT, 1, key,
+                    options.now, options.windowMs, options.limit, member
+                ]);
+
+                return { allowed: allowed === 1, count, oldest };
+            }
+        };
+    }
+
+    return {
+        name: store.name,
+
+        async hit(key, options) {
+            const result = slideWindow(await store.get(key) || [], options);
+            await store.set(key, result.timestamps, { ttlMs: options.windowMs });
+
+            return { allowed: result.allowed, count: result.count, oldest: result.oldest };
+        }
+    };
+}
+
+/**
+ * Create the store selected by the environment
+ * @param {object} env - Environment variables
+ */
+function createStoreFromEnv(env = process.env) {
+    return createWindowStore(storage.createStoreFromEnv('RATE_LIMIT', { env }));
+}
+
+/**
+ * Read policy overrides from RATE_LIMIT_POLICIES
+ * Format: {"chatbot": {"limit": 20, "windowMs": 60000}}, either field may
+ * be left out to keep the route's default
+ * @param {object} env - Environment variables
+ */
+function parsePolicyOverrides(env = process.env) {
+    if (!env.RATE_LIMIT_POLICIES) return {};
+
+    let overrides;
+    try {
+        overrides = JSON.parse(env.RATE_LIMIT_POLICIES);
+    } catch (error) {
+        logger.error('Invalid RATE_LIMIT_POLICIES JSON, ignoring');
+        return {};
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        logger.error('RATE_LIMIT_POLICIES is not an object, ignoring');
+        return {};
+    }
+    return overrides;
+}
+
+/**
+ * Merge policy layers route by route
+ * A route keeps the fields a layer does not set, so an override may change
+ * only `limit` or `windowMs`. Values other than positive integers are
+ * ignored, and routes left without both fields are dropped.
+ * @param {...object} layers - { route: { limit, windowMs } }, lowest first
+ * @returns {object} - { route: { limit, windowMs } }
+ */
+function mergePolicies(...layers) {
+    const merged = {};
+
+    for (const layer of layers) {
+        for (const [route, policy] of Object.entries(layer)) {
+            if (!policy || typeof policy !== 'object') {
+                logger.error('Invalid rate limit policy, ignoring', { route });
+                continue;
+            }
+
+            const current = { ...merged[route] };
+            for (const field of ['limit', 'windowMs']) {
+                if (policy[field] === undefined) continue;
+
+                if (Number.isInteger(policy[field]) && policy[field] > 0) {
+                    current[field] = policy[field];
+                } else {
+                    logger.error('Invalid rate limit policy value, ignoring', { route, field });
+                }
+            }
+            merged[route] = current;
+        }
+    }
+
+    for (const [route, policy] of Object.entries(merged)) {
+        if (!policy.limit || !policy.windowMs) {
+            logger.error('Incomplete rate limit policy, ignoring', { route });
+            delete merged[route];
+        }
+    }
+
+    return merged;
+}
+
+// =============================================
+// RATE LIMITER
+// =============================================
+
+/**
+ * Create a rate limiter
+ * @param {object} options - { store, policies, env }; policies are merged
+ *   over the defaults, RATE_LIMIT_POLICIES over both
+ * @returns {{ check: Function, store: object, policies: object }}
+ */
+function createRateLimiter({ env = process.env, store = createStoreFromEnv(env), policies = {} } = {}) {
+    const mergedPolicies = mergePolicies(DEFAULT_POLICIES, policies, parsePolicyOverrides(env));
+
+    return {
+        store,
+        policies: mergedPolicies,
+
+        /**
+         * Check and record a request
+         * Fails open (allows the request) if the store is unavailable.
+         * @param {string} route - Policy name (e.g. 'chatbot')
+         * @param {string} identifier - Client identifier (usually the IP)
+         * @returns {Promise<object>} - { allowed, limit, remaining, retryAfter, resetAt }
+         */
+        async check(route, identifier) {
+            const policy = mergedPolicies[route];
+            if (!policy) {
+                throw new Error(`Unknown rate limit policy: ${route}`);
+            }
+
+            const now = Date.now();
+            const key = `${KEY_PREFIX}${route}:${identifier}`;
+
+            let result;
+            try {
+                result = await store.hit(key, { now, windowMs: policy.windowMs, limit: policy.limit });
+            } catch (error) {
+                logger.error('Store error, allowing request', { store: store.name, error });
+                return { allowed: true, limit: policy.limit, remaining: policy.limit, retryAfter: 0, resetAt: now + policy.windowMs };
+            }
+
+            const resetAt = (result.oldest || now) + policy.windowMs;
+
+            return {
+                allowed: result.allowed,
+                limit: policy.limit,
+                remaining: Math.max(0, policy.limit - result.count),
+                retryAfter: result.allowed ? 0 : Math.max(1, Math.ceil((resetAt - now) / 1000)),
+                resetAt
+            };
+        }
+    };
+}
+
+/**
+ * Build rate limit response headers
+ * @param {object} result - Result of check()
+ * @returns {object} - RateLimit-* headers, plus Retry-After when rejected
+ */
+function rateLimitHeaders(result) {
+    const headers = {
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000)))
+    };
+
+    if (!result.allowed) {
+        headers['Retry-After'] = String(result.retryAfter);
+    }
+
+    return headers;
+}
+
+module.exports = {
+    createRateLimiter,
+    createWindowStore,
+    createStoreFromEnv,
+    mergePolicies,
+    rateLimitHeaders,
+    slideWindow,
+    DEFAULT_POLICIES
+};
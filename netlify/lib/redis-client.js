@@ -0,0 +1,223 @@
+/**
+ * Minimal Redis client for Netlify Functions
+ *
+ * Speaks the RESP protocol over a single TCP/TLS connection, so it works with
+ * any Redis-compatible server (Redis, Valkey, KeyDB, Upstash) without adding
+ * a dependency to the function bundle.
+ *
+ * Supported URL formats:
+ * - redis://[user:password@]host:port[/db]
+ * - rediss://[user:password@]host:port[/db] (TLS)
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+const DEFAULT_TIMEOUT = 5000;
+
+// One connection per URL, reused while the function instance stays warm
+const clients = new Map();
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command and arguments
+ * @returns {string}
+ */
+function encodeCommand(args) {
+    let encoded = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        encoded += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return encoded;
+}
+
+/**
+ * Parse one RESP value from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Start position
+ * @returns {Object|null} { value, offset } or null if incomplete
+ */
+function parseReply(buffer, offset = 0) {
+    if (offset >= buffer.length) return null;
+
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) return { value: null, offset: next };
+
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unsupported Redis reply type: ${type}`);
+    }
+}
+
+/**
+ * Create a Redis client
+ * @param {string} redisUrl - Connection URL
+ * @param {object} options - { timeout: number }
+ * @returns {{ command: Function, close: Function }}
+ */
+function createRedisClient(redisUrl, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const url = new URL(redisUrl);
+    const isTls = url.protocol === 'rediss:';
+    const port = parseInt(url.port || '6379', 10);
+    const db = url.pathname && url.pathname.length > 1 ? url.pathname.slice(1) : null;
+
+    let socket = null;
+    let ready = null;
+    let buffer = Buffer.alloc(0);
+    const pending = [];
+
+    function failAll(error) {
+        while (pending.length > 0) {
+            pending.shift().reject(error);
+        }
+        socket = null;
+        ready = null;
+        buffer = Buffer.alloc(0);
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            pending.push({ resolve, reject });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    function connect() {
+        if (ready) return ready;
+
+        ready = new Promise((resolve, reject) => {
+            const onConnect = () => {
+                connection.setTimeout(0);
+
+                const setup = [];
+                if (url.password) {
+                    setup.push(url.username
+                        ? ['AUTH', decodeURIComponent(url.username), decodeURIComponent(url.password)]
+                        : ['AUTH', decodeURIComponent(url.password)]);
+                }
+                if (db) {
+                    setup.push(['SELECT', db]);
+                }
+
+                Promise.all(setup.map(send)).then(() => resolve(), reject);
+            };
+
+            const connection = isTls
+                ? tls.connect({ host: url.hostname, port, servername: url.hostname }, onConnect)
+                : net.connect({ host: url.hostname, port }, onConnect);
+            socket = connection;
+
+            connection.setTimeout(timeout, () => {
+                connection.destroy(new Error('Redis connection timeout'));
+            });
+
+            connection.on('data', (data) => {
+                buffer = Buffer.concat([buffer, data]);
+
+                let reply;
+                while (pending.length > 0 && (reply = parseReply(buffer))) {
+                    buffer = buffer.subarray(reply.offset);
+                    const { resolve: resolveReply, reject: rejectReply } = pending.shift();
+                    if (reply.value instanceof Error) {
+                        rejectReply(reply.value);
+                    } else {
+                        resolveReply(reply.value);
+                    }
+                }
+            });
+
+            connection.on('error', (error) => {
+                reject(error);
+                if (socket === connection) failAll(error);
+            });
+
+            connection.on('close', () => {
+                if (socket === connection) failAll(new Error('Redis connection closed'));
+            });
+        });
+
+        return ready;
+    }
+
+    return {
+        /**
+         * Send a command and wait for its reply
+         * @param {Array<string|number>} args - e.g. ['GET', 'key']
+         * @returns {Promise<*>}
+         */
+        async command(args) {
+            await connect();
+
+            let timer;
+            const timeoutPromise = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    // Replies would no longer line up with pending commands
+                    if (socket) socket.destroy();
+                    reject(new Error('Redis command timeout'));
+                }, timeout);
+            });
+
+            try {
+                return await Promise.race([send(args), timeoutPromise]);
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+
+        close() {
+            if (socket) {
+                socket.end();
+            }
+        }
+    };
+}
+
+/**
+ * Get a shared client for a URL (reused across warm invocations)
+ * @param {string} redisUrl - Connection URL
+ * @returns {{ command: Function, close: Function }}
+ */
+function getRedisClient(redisUrl) {
+    if (!clients.has(redisUrl)) {
+        clients.set(redisUrl, createRedisClient(redisUrl));
+    }
+    return clients.get(redisUrl);
+}
+
+module.exports = {
+    createRedisClient,
+    getRedisClient,
+    encodeCommand,
+    parseReply
+};
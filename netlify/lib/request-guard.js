@@ -0,0 +1,237 @@
+/**
+ * Request Guard - shared by the Netlify Functions
+ *
+ * Keeps other sites from using the public functions (chatbot quota, CRM):
+ * - Origin allow-list, checked against the Origin header (or the Referer
+ *   when a browser omits it) and echoed in Access-Control-Allow-Origin
+ * - Short-lived request tokens, issued by the request-token function to
+ *   allowed origins and sent back in the X-Request-Token header
+ *
+ * Token format: base64url(JSON { o: origin, exp: seconds, n: nonce }) + '.' +
+ * base64url(HMAC-SHA256(secret, payload)). A token is only valid for the
+ * origin it was issued to.
+ *
+ * Environment:
+ * - ALLOWED_ORIGINS: comma-separated origins (default: https://azenflow.jp,
+ *   https://www.azenflow.jp); the Netlify deploy URLs (URL, DEPLOY_PRIME_URL,
+ *   DEPLOY_URL) and, under `netlify dev`, http://localhost:8888 are added
+ * - REQUEST_TOKEN_SECRET: token signing secret (derived from
+ *   N8N_WEBHOOK_SECRET when unset)
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./webhook-signature');
+
+const DEFAULT_ORIGINS = ['https://azenflow.jp', 'https://www.azenflow.jp'];
+const DEV_ORIGINS = ['http://localhost:8888'];
+const TOKEN_TTL = 15 * 60; // 15 minutes, in seconds
+const TOKEN_HEADER = 'x-request-token';
+
+/**
+ * Normalize an origin (scheme://host[:port]) or return null
+ * @param {string} value - Origin or URL
+ * @returns {string|null}
+ */
+function toOrigin(value) {
+    if (!value || value === 'null') return null;
+
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Origins allowed to call the functions
+ * @param {object} env - Environment variables
+ * @returns {string[]}
+ */
+function getAllowedOrigins(env = process.env) {
+    const configured = env.ALLOWED_ORIGINS
+        ? env.ALLOWED_ORIGINS.split(',')
+        : DEFAULT_ORIGINS;
+
+    const origins = configured
+        .concat([env.URL, env.DEPLOY_PRIME_URL, env.DEPLOY_URL])
+        .concat(env.NETLIFY_DEV === 'true' ? DEV_ORIGINS : [])
+        .map(origin => toOrigin((origin || '').trim()))
+        .filter(Boolean);
+
+    return [...new Set(origins)];
+}
+
+/**
+ * Secret used to sign request tokens
+ * @param {object} env - Environment variables
+ * @returns {string|null}
+ */
+function getTokenSecret(env = process.env) {
+    if (env.REQUEST_TOKEN_SECRET) {
+        return env.REQUEST_TOKEN_SECRET;
+    }
+
+    if (env.N8N_WEBHOOK_SECRET) {
+        return crypto.createHmac('sha256', env.N8N_WEBHOOK_SECRET).update('azenflow-request-token').digest('hex');
+    }
+
+    return null;
+}
+
+/**
+ * Origin of a request (Origin header, else Referer)
+ * @param {object} headers - Request headers (lowercase names, as Netlify passes them)
+ * @returns {string|null}
+ */
+function getRequestOrigin(headers = {}) {
+    return toOrigin(headers.origin) || toOrigin(headers.referer);
+}
+
+/**
+ * CORS headers for a request origin
+ * Only allowed origins are echoed; others get no Access-Control-Allow-Origin.
+ * @param {string|null} origin - Request origin
+ * @param {string[]} allowedOrigins - Allowed origins
+ * @returns {object}
+ */
+function corsOriginHeaders(origin, allowedOrigins) {
+    const headers = { 'Vary': 'Origin' };
+    if (origin && allowedOrigins.includes(origin)) {
+        headers['Access-Control-Allow-Origin'] = origin;
+    }
+    return headers;
+}
+
+/**
+ * HMAC of a token payload
+ * @param {string} payload - base64url payload
+ * @param {string} secret - Token secret
+ * @returns {string} - base64url digest
+ */
+function signTokenPayload(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a request token
+ * @param {string} origin - Origin the token is issued to
+ * @param {string} secret - Token secret
+ * @param {object} options - { now: ms timestamp, ttl: seconds }
+ * @returns {object} - { token, expiresAt: ms timestamp }
+ */
+function issueToken(origin, secret, { now = Date.now(), ttl = TOKEN_TTL } = {}) {
+    const exp = Math.floor(now / 1000) + ttl;
+    const payload = Buffer.from(JSON.stringify({
+        o: origin,
+        exp,
+        n: crypto.randomBytes(8).toString('hex')
+    })).toString('base64url');
+
+    return {
+        token: `${payload}.${signTokenPayload(payload, secret)}`,
+        expiresAt: exp * 1000
+    };
+}
+
+/**
+ * Verify a request token
+ * @param {string} token - X-Request-Token value
+ * @param {string} origin - Request origin
+ * @param {string} secret - Token secret
+ * @param {object} options - { now: ms timestamp }
+ * @returns {object} - { valid: boolean, reason?: string }
+ */
+function verifyToken(token, origin, secret, { now = Date.now() } = {}) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return { valid: false, reason: 'Missing token' };
+    }
+
+    const [payload, signature] = token.split('.');
+    const expected = signTokenPayload(payload, secret);
+    if (!signature || !safeEqual(signature, expected)) {
+        return { valid: false, reason: 'Invalid token signature' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, reason: 'Malformed token' };
+    }
+
+    if (!claims || claims.o !== origin) {
+        return { valid: false, reason: 'Token issued to another origin' };
+    }
+
+    if (!Number.isInteger(claims.exp) || claims.exp * 1000 <= now) {
+        return { valid: false, reason: 'Token expired' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Create a guard for a function
+ * @param {object} options - { env, requireToken }
+ * @returns {object} - { allowedOrigins, tokenSecret, cors(event), check(event) }
+ */
+function createRequestGuard({ env = process.env, requireToken = true } = {}) {
+    const allowedOrigins = getAllowedOrigins(env);
+    const tokenSecret = getTokenSecret(env);
+
+    return {
+        allowedOrigins,
+        tokenSecret,
+
+        /**
+         * CORS origin headers for a request
+         * @param {object} event - Netlify event
+         * @returns {object}
+         */
+        cors(event) {
+            return corsOriginHeaders(getRequestOrigin(event.headers), allowedOrigins);
+        },
+
+        /**
+         * Check the origin and the request token
+         * @param {object} event - Netlify event
+         * @returns {object} - { allowed, origin, status?, error?, reason? }
+         * error: 'forbidden_origin' (403), 'invalid_token' (401) or
+         * 'not_configured' (500, no token secret)
+         */
+        check(event) {
+            const origin = getRequestOrigin(event.headers);
+
+            if (!origin || !allowedOrigins.includes(origin)) {
+                return { allowed: false, origin, status: 403, error: 'forbidden_origin', reason: `Origin not allowed: ${origin}` };
+            }
+
+            if (!requireToken) {
+                return { allowed: true, origin };
+            }
+
+            if (!tokenSecret) {
+                return { allowed: false, origin, status: 500, error: 'not_configured', reason: 'Request token secret not configured' };
+            }
+
+            const result = verifyToken(event.headers[TOKEN_HEADER], origin, tokenSecret);
+            if (!result.valid) {
+                return { allowed: false, origin, status: 401, error: 'invalid_token', reason: result.reason };
+            }
+
+            return { allowed: true, origin };
+        }
+    };
+}
+
+module.exports = {
+    TOKEN_TTL,
+    getAllowedOrigins,
+    getTokenSecret,
+    getRequestOrigin,
+    corsOriginHeaders,
+    issueToken,
+    verifyToken,
+    createRequestGuard
+};
@@ -0,0 +1,198 @@
+/**
+ * Rich Messages - typed chatbot reply contract
+ *
+ * n8n may answer with a "messages" array next to (or instead of) the plain
+ * "response" string. Only the types below are passed to the widget, with
+ * string lengths capped and URLs restricted to http(s) or site-relative paths.
+ *
+ * Types:
+ * - { type: 'text', text }
+ * - { type: 'quick_replies', items: [{ label, payload? }] }
+ * - { type: 'button', label, url? | payload? }
+ * - { type: 'card', title, text?, image_url?, image_alt?, buttons?: [button] }
+ * - { type: 'carousel', cards: [card] }
+ *
+ * A quick reply or payload button sends its payload (or label) back to the
+ * chatbot as the visitor's next message.
+ */
+
+const LIMITS = {
+    MAX_MESSAGES: 10,
+    MAX_QUICK_REPLIES: 13,
+    MAX_CARDS: 10,
+    MAX_CARD_BUTTONS: 3,
+    TEXT_LENGTH: 2000,
+    LABEL_LENGTH: 40,
+    TITLE_LENGTH: 80,
+    CARD_TEXT_LENGTH: 300,
+    PAYLOAD_LENGTH: 300,
+    URL_LENGTH: 500
+};
+
+/**
+ * Trim and cap a string
+ * @param {*} value - Candidate string
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - Empty string if not a string
+ */
+function cleanString(value, maxLength) {
+    return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
+/**
+ * Accept http(s) URLs and site-relative paths only
+ * @param {*} value - Candidate URL
+ * @returns {string|null}
+ */
+function cleanUrl(value) {
+    const url = cleanString(value, LIMITS.URL_LENGTH);
+    if (!url) return null;
+
+    if (/^https?:\/\//i.test(url)) return url;
+
+    // Relative paths ("/contact", "contact.html"), but not "//host" or "scheme:"
+    if (!url.startsWith('//') && !/^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+
+    return null;
+}
+
+/**
+ * @param {object} button - Raw button
+ * @returns {object|null}
+ */
+function sanitizeButton(button) {
+    if (!button || typeof button !== 'object') return null;
+
+    const label = cleanString(button.label || button.title, LIMITS.LABEL_LENGTH);
+    if (!label) return null;
+
+    const url = cleanUrl(button.url);
+    if (url) return { type: 'button', label, url };
+
+    const payload = cleanString(button.payload, LIMITS.PAYLOAD_LENGTH) || label;
+    return { type: 'button', label, payload };
+}
+
+/**
+ * @param {object} card - Raw card
+ * @returns {object|null}
+ */
+function sanitizeCard(card) {
+    if (!card || typeof card !== 'object') return null;
+
+    const title = cleanString(card.title, LIMITS.TITLE_LENGTH);
+    if (!title) return null;
+
+    const sanitized = { type: 'card', title };
+
+    const text = cleanString(card.text || card.subtitle, LIMITS.CARD_TEXT_LENGTH);
+    if (text) sanitized.text = text;
+
+    const imageUrl = cleanUrl(card.image_url);
+    if (imageUrl) {
+        sanitized.image_url = imageUrl;
+        sanitized.image_alt = cleanString(card.image_alt, LIMITS.TITLE_LENGTH) || title;
+    }
+
+    const buttons = (Array.isArray(card.buttons) ? card.buttons : [])
+        .map(sanitizeButton)
+        .filter(Boolean)
+        .slice(0, LIMITS.MAX_CARD_BUTTONS);
+    if (buttons.length > 0) sanitized.buttons = buttons;
+
+    return sanitized;
+}
+
+/**
+ * @param {object} message - Raw typed message
+ * @returns {object|null}
+ */
+function sanitizeMessage(message) {
+    if (!message || typeof message !== 'object') return null;
+
+    switch (message.type) {
+        case 'text': {
+            const text = cleanString(message.text, LIMITS.TEXT_LENGTH);
+            return text ? { type: 'text', text } : null;
+        }
+        case 'quick_replies': {
+            const items = (Array.isArray(message.items) ? message.items : [])
+                .map(item => {
+                    const label = cleanString(item && item.label, LIMITS.LABEL_LENGTH);
+                    if (!label) return null;
+                    return { label, payload: cleanString(item.payload, LIMITS.PAYLOAD_LENGTH) || label };
+                })
+                .filter(Boolean)
+                .slice(0, LIMITS.MAX_QUICK_REPLIES);
+            return items.length > 0 ? { type: 'quick_replies', items } : null;
+        }
+        case 'button':
+            return sanitizeButton(message);
+        case 'card':
+            return sanitizeCard(message);
+        case 'carousel': {
+            const cards = (Array.isArray(message.cards) ? message.cards : [])
+                .map(sanitizeCard)
+                .filter(Boolean)
+                .slice(0, LIMITS.MAX_CARDS);
+            return cards.length > 0 ? { type: 'carousel', cards } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Sanitize a typed message array (unknown types and invalid items are dropped)
+ * @param {*} messages - Raw messages from n8n
+ * @returns {Array<object>}
+ */
+function sanitizeMessages(messages) {
+    if (!Array.isArray(messages)) return [];
+
+    return messages
+        .map(sanitizeMessage)
+        .filter(Boolean)
+        .slice(0, LIMITS.MAX_MESSAGES);
+}
+
+/**
+ * Plain text of a message array (for clients that only read "response")
+ * @param {Array<object>} messages - Sanitized messages
+ * @returns {string}
+ */
+function messagesToText(messages) {
+    return messages
+        .filter(message => message.type === 'text')
+        .map(message => message.text)
+        .join('\n\n');
+}
+
+/**
+ * Every string a visitor sees in a message array (text, titles, labels),
+ * one per line, for content checks
+ * @param {Array<object>} messages - Sanitized messages
+ * @returns {string}
+ */
+function messagesVisibleText(messages) {
+    const strings = [];
+    const collect = (item) => {
+        if (!item || typeof item !== 'object') return;
+        for (const key of ['text', 'title', 'label', 'image_alt']) {
+            if (typeof item[key] === 'string') strings.push(item[key]);
+        }
+        for (const key of ['items', 'buttons', 'cards']) {
+            if (Array.isArray(item[key])) item[key].forEach(collect);
+        }
+    };
+
+    messages.forEach(collect);
+    return strings.join('\n');
+}
+
+module.exports = {
+    sanitizeMessages,
+    messagesToText,
+    messagesVisibleText,
+    LIMITS
+};
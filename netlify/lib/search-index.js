@@ -0,0 +1,163 @@
+/**
+ * Search Index - BM25 keyword search over short documents
+ *
+ * Used by the search build (search/build.js) and the proxy's site context
+ * (./site-context). The chatbot widget searches the generated FAQ index
+ * with its own copy of the tokenizer and scoring (scripts/chatbot-widget.js,
+ * FAQ FALLBACK): keep both in sync and bump INDEX_VERSION when the
+ * tokenizer changes.
+ *
+ * Japanese has no spaces, so text is split without a dictionary:
+ * - Latin words (NFKC-normalized, lower case, minus common English words)
+ * - Character bigrams of each kanji, katakana or hangul run (a lone
+ *   character counts as a term); hiragana is mostly particles and endings
+ *   and is left out
+ * - Each kanji on its own, so that 何言語 still finds 言語は何
+ *
+ * Fields are scored together (BM25F): a term's frequency in each field is
+ * normalized by the field's length and multiplied by the field's boost
+ * before saturation, so a match in a short question beats the same match
+ * in a long answer.
+ *
+ * Index format (JSON):
+ *   { version, documentCount, documentFrequency: { term: n },
+ *     fields: { name: { boost, averageLength } },
+ *     documents: [{ ...document, lengths: { field: n }, terms: { field: { term: frequency } } }] }
+ */
+
+const INDEX_VERSION = 1;
+
+const DEFAULTS = {
+    k1: 1.2,
+    b: 0.75,
+    limit: 3,
+    minCoverage: 0     // Share of the query terms a result must contain
+};
+
+// Common English words that say nothing about the topic
+const STOP_WORDS = new Set(['the', 'and', 'for', 'you', 'your', 'are', 'can', 'how', 'what', 'does',
+    'with', 'about', 'is', 'do', 'to', 'of', 'in', 'it', 'my', 'me', 'we', 'our', 'an', 'or', 'be',
+    'which', 'have', 'has', 'this', 'that', 'from', 'will', 'any', 'there', 'on', 'at', 'by', 'if']);
+
+/**
+ * Terms of a text, in order and with repeats
+ * @param {string} text
+ * @returns {string[]}
+ */
+function searchTerms(text) {
+    const normalized = String(text || '').normalize('NFKC').toLowerCase();
+    const terms = (normalized.match(/[a-z0-9]+/g) || [])
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => (/[^su]s$/.test(word) && word.length > 3 ? word.slice(0, -1) : word));
+
+    for (const run of normalized.match(/[\u3400-\u9fff\u30a0-\u30ff\uac00-\ud7af]+/g) || []) {
+        if (run.length === 1) {
+            terms.push(run);
+        }
+        for (let i = 0; i < run.length - 1; i++) {
+            terms.push(run.slice(i, i + 2));
+        }
+    }
+
+    return terms.concat(normalized.match(/[\u3400-\u9fff]/g) || []);
+}
+
+/**
+ * Build an index
+ * @param {Array<object>} documents - Plain objects, kept as they are
+ * @param {object} boosts - Field name => boost, e.g. { question: 3, answer: 1 }
+ * @returns {object} Index
+ */
+function buildSearchIndex(documents, boosts) {
+    const documentFrequency = Object.create(null);
+    const fields = {};
+    for (const [field, boost] of Object.entries(boosts)) {
+        fields[field] = { boost, averageLength: 0 };
+    }
+
+    const indexed = documents.map(document => {
+        const lengths = {};
+        const terms = {};
+        const distinct = new Set();
+
+        for (const field of Object.keys(fields)) {
+            const fieldTerms = searchTerms(document[field]);
+            lengths[field] = fieldTerms.length;
+            terms[field] = Object.create(null);
+
+            for (const term of fieldTerms) {
+                terms[field][term] = (terms[field][term] || 0) + 1;
+                distinct.add(term);
+            }
+            fields[field].averageLength += fieldTerms.length / documents.length;
+        }
+
+        for (const term of distinct) {
+            documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+        }
+
+        return { ...document, lengths, terms };
+    });
+
+    return {
+        version: INDEX_VERSION,
+        documentCount: indexed.length,
+        documentFrequency,
+        fields,
+        documents: indexed
+    };
+}
+
+/**
+ * Search an index
+ * @param {object} index - As built by buildSearchIndex
+ * @param {string} query
+ * @param {object} options - { k1, b, limit, minCoverage }
+ * @returns {Array<object>} [{ document, score, coverage }], best first
+ */
+function searchIndex(index, query, {
+    k1 = DEFAULTS.k1,
+    b = DEFAULTS.b,
+    limit = DEFAULTS.limit,
+    minCoverage = DEFAULTS.minCoverage
+} = {}) {
+    const queryTerms = Array.from(new Set(searchTerms(query)));
+    if (!index || queryTerms.length === 0) return [];
+
+    // Terms such as "constructor" must not hit Object.prototype
+    const count = (counts, term) => (Object.hasOwn(counts, term) ? counts[term] : 0);
+    const results = [];
+
+    for (const document of index.documents) {
+        let score = 0;
+        let matched = 0;
+
+        for (const term of queryTerms) {
+            let frequency = 0;
+            for (const [field, { boost, averageLength }] of Object.entries(index.fields)) {
+                const norm = 1 - b + b * document.lengths[field] / (averageLength || 1);
+                frequency += boost * count(document.terms[field], term) / norm;
+            }
+            if (!frequency) continue;
+
+            const documentFrequency = count(index.documentFrequency, term);
+            const idf = Math.log(1 + (index.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            score += idf * frequency * (k1 + 1) / (frequency + k1);
+            matched++;
+        }
+
+        const coverage = matched / queryTerms.length;
+        if (score > 0 && coverage >= minCoverage) {
+            results.push({ document, score, coverage });
+        }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = {
+    INDEX_VERSION,
+    searchTerms,
+    buildSearchIndex,
+    searchIndex
+};
@@ -0,0 +1,124 @@
+/**
+ * Site Context - passages of the site sent to the AI with each message
+ *
+ * The AI in n8n has no guaranteed knowledge of current prices or service
+ * details. search/build.js cuts the site's pages (every locale) and
+ * llms.txt into passages (search/site-passages.json); the proxy ranks them
+ * against the visitor's message with BM25 (./search-index, built on first
+ * use) and sends the best ones to n8n as `context`, each with its page URL
+ * so the reply can cite it.
+ *
+ * Without the passages file (build not run) the context is empty and the
+ * proxy works as before.
+ *
+ * Environment:
+ * - SITE_CONTEXT_ENABLED: 'false' to stop sending context
+ * - SITE_CONTEXT_FILE: passages file to read instead of the bundled one
+ * - SITE_CONTEXT_PASSAGES: passages per message (default 3)
+ * - SITE_CONTEXT_MIN_COVERAGE: share of the message's terms a passage must
+ *   contain (default 0.3)
+ * - SITE_CONTEXT_MAX_LENGTH: characters of passage text per message
+ *   (default 2000)
+ */
+
+const fs = require('fs');
+const { buildSearchIndex, searchIndex } = require('./search-index');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Site Context');
+
+const DEFAULTS = {
+    passages: 3,
+    minCoverage: 0.3,
+    maxLength: 2000
+};
+
+// A match in the heading counts twice as much as in the text
+const FIELDS = { heading: 2, text: 1 };
+
+/**
+ * Read the passages written by search/build.js
+ * The bundled file is loaded with a static require, so that the function
+ * bundler includes it.
+ * @param {string} file - Passages file to read instead (optional)
+ * @returns {Array<object>} [{ title, heading, text, url, locale }], [] when missing
+ */
+function loadSitePassages(file) {
+    try {
+        const data = file
+            ? JSON.parse(fs.readFileSync(file, 'utf8'))
+            : require('../../search/site-passages.json');
+        return Array.isArray(data.passages) ? data.passages : [];
+    } catch (error) {
+        logger.warn('Site passages not available, no context sent (run "npm run build:search")', { error });
+        return [];
+    }
+}
+
+/**
+ * Create the context retriever
+ * @param {object} options - { env, passages (default: search/site-passages.json), limit, minCoverage, maxLength }
+ * @returns {object} - { enabled, size, retrieve(message) }
+ */
+function createSiteContext({
+    env = process.env,
+    passages,
+    limit = parseInt(env.SITE_CONTEXT_PASSAGES || '', 10) || DEFAULTS.passages,
+    minCoverage = parseFloat(env.SITE_CONTEXT_MIN_COVERAGE || '') || DEFAULTS.minCoverage,
+    maxLength = parseInt(env.SITE_CONTEXT_MAX_LENGTH || '', 10) || DEFAULTS.maxLength
+} = {}) {
+    const enabled = env.SITE_CONTEXT_ENABLED !== 'false';
+    const file = env.SITE_CONTEXT_FILE;
+
+    let index = null;
+    const getIndex = () => {
+        if (!index) {
+            index = buildSearchIndex(passages || loadSitePassages(file), FIELDS);
+        }
+        return index;
+    };
+
+    return {
+        enabled,
+
+        /**
+         * Number of passages that can be retrieved
+         * @returns {number}
+         */
+        size() {
+            return enabled ? getIndex().documentCount : 0;
+        },
+
+        /**
+         * Passages most relevant to a message, best first, within maxLength
+         * @param {string} message - Visitor's message
+         * @returns {Array<object>} [{ title, heading, url, text, score }]
+         */
+        retrieve(message) {
+            if (!enabled) return [];
+
+            const results = searchIndex(getIndex(), message, { limit, minCoverage });
+            const context = [];
+            let length = 0;
+
+            for (const { document, score } of results) {
+                if (length + document.text.length > maxLength) break;
+                length += document.text.length;
+                context.push({
+                    title: document.title,
+                    heading: document.heading,
+                    url: document.url,
+                    text: document.text,
+                    score: Math.round(score * 100) / 100
+                });
+            }
+
+            return context;
+        }
+    };
+}
+
+module.exports = {
+    loadSitePassages,
+    createSiteContext
+};
@@ -0,0 +1,289 @@
+/**
+ * Minimal SMTP client for Netlify Functions
+ *
+ * Sends one plain-text UTF-8 message per connection, so lead notifications
+ * can go straight to a mailbox without adding a dependency to the function
+ * bundle (same approach as ./redis-client).
+ *
+ * Supported URL formats:
+ * - smtps://[user:password@]host[:465]  (implicit TLS)
+ * - smtp://[user:password@]host[:587]   (STARTTLS when the server offers it;
+ *   credentials are only sent in clear to localhost)
+ * AUTH PLAIN and AUTH LOGIN are supported.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 10000;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * SMTP reply outside the expected codes
+ */
+class SmtpError extends Error {
+    constructor(reply, command) {
+        super(`SMTP ${reply.code} after ${command}: ${reply.lines.join(' ')}`);
+        this.name = 'SmtpError';
+        this.responseCode = reply.code;
+    }
+}
+
+/**
+ * Check an address before it goes into a command or a header
+ * @param {string} address
+ * @returns {string}
+ */
+function checkAddress(address) {
+    if (typeof address !== 'string' || !/^[^\s<>@,;"]+@[^\s<>@,;"]+$/.test(address)) {
+        throw new Error(`Invalid email address: ${address}`);
+    }
+    return address;
+}
+
+/**
+ * RFC 2047 encoded header value (UTF-8, base64)
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the message (headers and a base64 body, so no line needs dot-stuffing)
+ * @param {object} message - { from, to, replyTo, subject, text }
+ * @returns {string}
+ */
+function buildMessage({ from, to, replyTo, subject, text }) {
+    const domain = from.split('@')[1];
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        replyTo ? `Reply-To: ${replyTo}` : null,
+        `Subject: ${encodeHeader(subject || '')}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64'
+    ].filter(Boolean);
+
+    const body = Buffer.from(text || '', 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Wrap a socket: read multi-line replies, send commands, upgrade to TLS
+ * @param {net.Socket} initialSocket
+ * @param {number} timeout - Inactivity timeout (ms)
+ */
+function createSession(initialSocket, timeout) {
+    let socket = null;
+    let lines = [];
+    let partial = '';
+    let waiter = null;
+    let failure = null;
+
+    function flush() {
+        if (!waiter) return;
+
+        // Last line of a reply: "250 OK" (continuation lines use "250-")
+        const end = lines.findIndex(line => line.length <= 3 || line[3] === ' ');
+        if (end === -1) return;
+
+        const replyLines = lines.splice(0, end + 1);
+        const { resolve } = waiter;
+        waiter = null;
+        resolve({ code: parseInt(replyLines[0].slice(0, 3), 10), lines: replyLines.map(line => line.slice(4)) });
+    }
+
+    function fail(error) {
+        failure = failure || error;
+        if (waiter) {
+            const { reject } = waiter;
+            waiter = null;
+            reject(failure);
+        }
+    }
+
+    function onData(data) {
+        partial += data.toString('utf8');
+        let index;
+        while ((index = partial.indexOf('\r\n')) !== -1) {
+            lines.push(partial.slice(0, index));
+            partial = partial.slice(index + 2);
+        }
+        flush();
+    }
+
+    const onError = (error) => fail(error);
+    const onClose = () => fail(new Error('SMTP connection closed'));
+
+    function attach(nextSocket) {
+        socket = nextSocket;
+        socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP timeout')));
+        socket.on('data', onData);
+        socket.on('error', onError);
+        socket.on('close', onClose);
+    }
+
+    function detach() {
+        socket.setTimeout(0);
+        socket.removeListener('data', onData);
+        socket.removeListener('error', onError);
+        socket.removeListener('close', onClose);
+    }
+
+    attach(initialSocket);
+
+    const session = {
+        read() {
+            return new Promise((resolve, reject) => {
+                if (failure) {
+                    reject(failure);
+                    return;
+                }
+                waiter = { resolve, reject };
+                flush();
+            });
+        },
+
+        /**
+         * Send a line and check the reply code
+         * @param {string|null} line - null to only read (greeting)
+         * @param {number[]} expected - Accepted reply codes
+         * @param {string} label - Command name in errors (keeps credentials out)
+         */
+        async command(line, expected, label = line) {
+            if (line !== null) {
+                socket.write(`${line}\r\n`);
+            }
+            const reply = await session.read();
+            if (!expected.includes(reply.code)) {
+                throw new SmtpError(reply, label || 'greeting');
+            }
+            return reply;
+        },
+
+        upgrade(servername) {
+            detach();
+            return new Promise((resolve, reject) => {
+                const secure = tls.connect({ socket, servername }, () => {
+                    secure.removeListener('error', reject);
+                    resolve();
+                });
+                secure.once('error', reject);
+                attach(secure);
+            });
+        },
+
+        close() {
+            socket.destroy();
+        }
+    };
+
+    return session;
+}
+
+/**
+ * Open a connection
+ * @returns {Promise<net.Socket>}
+ */
+function connect(host, port, implicitTls, timeout) {
+    return new Promise((resolve, reject) => {
+        const socket = implicitTls
+            ? tls.connect({ host, port, servername: host }, () => done())
+            : net.connect({ host, port }, () => done());
+
+        const timer = setTimeout(() => socket.destroy(new Error('SMTP connection timeout')), timeout);
+        function done() {
+            clearTimeout(timer);
+            socket.removeListener('error', reject);
+            resolve(socket);
+        }
+        socket.once('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Send a message
+ * @param {string} smtpUrl - smtp:// or smtps:// URL
+ * @param {object} message - { from, to: string|string[], replyTo, subject, text }
+ * @param {object} options - { timeout: ms }
+ * @returns {Promise<object>} - { accepted: string[], response: string }
+ */
+async function sendMail(smtpUrl, message, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const url = new URL(smtpUrl);
+    const implicitTls = url.protocol === 'smtps:';
+    const port = parseInt(url.port || (implicitTls ? '465' : '587'), 10);
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+
+    const from = checkAddress(message.from);
+    const to = [].concat(message.to).map(checkAddress);
+    const replyTo = message.replyTo ? checkAddress(message.replyTo) : null;
+
+    const session = createSession(await connect(host, port, implicitTls, timeout), timeout);
+    const hello = `EHLO ${os.hostname() || 'localhost'}`;
+
+    try {
+        await session.command(null, [220]);
+        let extensions = (await session.command(hello, [250])).lines.map(line => line.toUpperCase());
+        let secure = implicitTls;
+
+        if (!secure && extensions.includes('STARTTLS')) {
+            await session.command('STARTTLS', [220]);
+            await session.upgrade(host);
+            secure = true;
+            extensions = (await session.command(hello, [250])).lines.map(line => line.toUpperCase());
+        }
+
+        if (url.username) {
+            if (!secure && !LOCAL_HOSTS.includes(host)) {
+                throw new Error('SMTP server does not offer TLS, credentials not sent');
+            }
+
+            const user = decodeURIComponent(url.username);
+            const password = decodeURIComponent(url.password);
+            const auth = extensions.find(line => line.startsWith('AUTH')) || '';
+
+            if (auth.includes('PLAIN')) {
+                const credentials = Buffer.from(`\0${user}\0${password}`).toString('base64');
+                await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+            } else {
+                await session.command('AUTH LOGIN', [334]);
+                await session.command(Buffer.from(user).toString('base64'), [334], 'AUTH LOGIN user');
+                await session.command(Buffer.from(password).toString('base64'), [235], 'AUTH LOGIN password');
+            }
+        }
+
+        await session.command(`MAIL FROM:<${from}>`, [250]);
+        for (const recipient of to) {
+            await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await session.command('DATA', [354]);
+        const reply = await session.command(`${buildMessage({ from, to, replyTo, subject: message.subject, text: message.text })}\r\n.`, [250], 'message');
+
+        // The message is accepted; a failed QUIT changes nothing
+        await session.command('QUIT', [221]).catch(() => {});
+
+        return { accepted: to, response: reply.lines.join(' ') };
+    } finally {
+        session.close();
+    }
+}
+
+module.exports = {
+    SmtpError,
+    sendMail,
+    buildMessage,
+    encodeHeader
+};
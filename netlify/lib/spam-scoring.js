@@ -0,0 +1,218 @@
+/**
+ * Spam Scoring - shared by the Netlify Functions
+ *
+ * Scores contact submissions that passed validation and the bot checks, so
+ * link-stuffed and gibberish leads are tagged before they reach n8n.
+ *
+ * Signals (points, the total is capped at 100):
+ * - urls: links in the message (1: 10, 2: 25, 3+: 40)
+ * - url_in_name: a link in the name or company field (30)
+ * - disposable_email: throwaway email domain (40)
+ * - repeated_email: submissions with the same email in 24 hours
+ *   (3-4: 20, 5+: 40), counted in the rate limiter store
+ * - unexpected_script: characters outside the scripts of our visitors
+ *   (Japanese, Latin, Chinese, Korean) such as Cyrillic or Arabic (30)
+ * - invisible_characters: zero-width or bidi control characters (20)
+ * - gibberish: long consonant runs, random casing or long unbroken
+ *   strings (25)
+ * - no_japanese: sent from the Japanese site without any Japanese (10)
+ *
+ * Actions: reject at SPAM_REJECT_THRESHOLD, quarantine (forwarded with
+ * `quarantined: true` for review in n8n) at SPAM_QUARANTINE_THRESHOLD.
+ *
+ * Environment:
+ * - SPAM_QUARANTINE_THRESHOLD: default 50
+ * - SPAM_REJECT_THRESHOLD: default 80
+ * - SPAM_DISPOSABLE_DOMAINS: comma-separated domains added to the list
+ */
+
+const crypto = require('crypto');
+const { createRateLimiter } = require('./rate-limiter');
+
+const DEFAULT_QUARANTINE_THRESHOLD = 50;
+const DEFAULT_REJECT_THRESHOLD = 80;
+const MAX_SCORE = 100;
+const EMAIL_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+
+// Throwaway email providers seen in our leads
+const DISPOSABLE_EMAIL_DOMAINS = [
+    '10minutemail.com',
+    'dispostable.com',
+    'emailondeck.com',
+    'fakeinbox.com',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.com',
+    'guerrillamail.net',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailnesia.com',
+    'mintemail.com',
+    'mohmal.com',
+    'moakt.com',
+    'sharklasers.com',
+    'spamgourmet.com',
+    'temp-mail.org',
+    'tempmail.com',
+    'tempmail.dev',
+    'tempmailo.com',
+    'throwawaymail.com',
+    'trashmail.com',
+    'yopmail.com',
+    'yopmail.fr'
+];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const INVISIBLE_PATTERN = /[\u200B-\u200D\u2060\uFEFF\u202A-\u202E\u2066-\u2069]/;
+// Anything outside Latin, Han, kana, Hangul and shared characters (digits, punctuation, emoji)
+const UNEXPECTED_SCRIPT_PATTERN = /[^\p{Script=Latin}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Common}\p{Script=Inherited}]/u;
+const JAPANESE_PATTERN = /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u;
+const CONSONANT_RUN_PATTERN = /[bcdfghjklmnpqrstvwxz]{6,}/i;
+const RANDOM_CASE_PATTERN = /\b[a-zA-Z]*(?:[a-z][A-Z]){3,}[a-zA-Z]*\b/;
+const LONG_TOKEN_PATTERN = /[A-Za-z0-9]{30,}/;
+
+/**
+ * Count the links in a text
+ * @param {string} text
+ * @returns {number}
+ */
+function countUrls(text) {
+    return (text.match(URL_PATTERN) || []).length;
+}
+
+/**
+ * Check whether an email uses a disposable domain (subdomains included)
+ * @param {string} email - Normalized email
+ * @param {string[]} domains - Disposable domains
+ * @returns {boolean}
+ */
+function isDisposableEmail(email, domains = DISPOSABLE_EMAIL_DOMAINS) {
+    const domain = email.split('@').pop().toLowerCase();
+    return domains.some(listed => domain === listed || domain.endsWith(`.${listed}`));
+}
+
+/**
+ * Find character-set anomalies in a text
+ * @param {string} text
+ * @returns {string[]} - Reasons (unexpected_script, invisible_characters, gibberish)
+ */
+function findScriptAnomalies(text) {
+    const reasons = [];
+
+    if (UNEXPECTED_SCRIPT_PATTERN.test(text)) {
+        reasons.push('unexpected_script');
+    }
+
+    if (INVISIBLE_PATTERN.test(text)) {
+        reasons.push('invisible_characters');
+    }
+
+    // Links are counted on their own, keep them out of the gibberish check
+    const words = text.replace(URL_PATTERN, ' ');
+    if (CONSONANT_RUN_PATTERN.test(words) || RANDOM_CASE_PATTERN.test(words) || LONG_TOKEN_PATTERN.test(words)) {
+        reasons.push('gibberish');
+    }
+
+    return reasons;
+}
+
+/**
+ * Points for the number of links in the message
+ * @param {number} count
+ * @returns {number}
+ */
+function urlPoints(count) {
+    if (count >= 3) return 40;
+    if (count === 2) return 25;
+    return count === 1 ? 10 : 0;
+}
+
+/**
+ * Points for the submissions with the same email in the window
+ * @param {number} count - Including the current one
+ * @returns {number}
+ */
+function repeatPoints(count) {
+    if (count >= 5) return 40;
+    return count >= 3 ? 20 : 0;
+}
+
+/**
+ * Create a spam scorer
+ * @param {object} options - { env, rateLimiter }
+ * @returns {object} - { quarantineThreshold, rejectThreshold, score(data) }
+ */
+function createSpamScorer({ env = process.env, rateLimiter } = {}) {
+    const quarantineThreshold = parseInt(env.SPAM_QUARANTINE_THRESHOLD || String(DEFAULT_QUARANTINE_THRESHOLD), 10);
+    const rejectThreshold = parseInt(env.SPAM_REJECT_THRESHOLD || String(DEFAULT_REJECT_THRESHOLD), 10);
+    const disposableDomains = DISPOSABLE_EMAIL_DOMAINS.concat(
+        (env.SPAM_DISPOSABLE_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    );
+
+    // Submissions per email, in the rate limiter store (the limit only caps the count)
+    const emailCounter = rateLimiter || createRateLimiter({
+        policies: {
+            spamEmail: { limit: 100, windowMs: EMAIL_WINDOW }
+        }
+    });
+
+    return {
+        quarantineThreshold,
+        rejectThreshold,
+
+        /**
+         * Score a sanitized submission
+         * @param {object} data - { name, email, company, message, language }
+         * @returns {Promise<object>} - { spamScore, reasons, action: 'accept' | 'quarantine' | 'reject' }
+         */
+        async score(data) {
+            let points = 0;
+            const reasons = [];
+            const add = (reason, value) => {
+                if (value > 0) {
+                    points += value;
+                    reasons.push(reason);
+                }
+            };
+
+            const message = data.message || '';
+            const identity = `${data.name || ''} ${data.company || ''}`;
+            const text = `${identity} ${message}`;
+
+            const urls = countUrls(message);
+            add(`urls:${urls}`, urlPoints(urls));
+            add('url_in_name', countUrls(identity) > 0 ? 30 : 0);
+            add('disposable_email', isDisposableEmail(data.email, disposableDomains) ? 40 : 0);
+
+            // The address is hashed so the store holds no personal data
+            const emailHash = crypto.createHash('sha256').update(data.email).digest('hex');
+            const submissions = await emailCounter.check('spamEmail', emailHash);
+            const count = submissions.limit - submissions.remaining;
+            add(`repeated_email:${count}`, repeatPoints(count));
+
+            const anomalies = findScriptAnomalies(text);
+            add('unexpected_script', anomalies.includes('unexpected_script') ? 30 : 0);
+            add('invisible_characters', anomalies.includes('invisible_characters') ? 20 : 0);
+            add('gibberish', anomalies.includes('gibberish') ? 25 : 0);
+            add('no_japanese', data.language === 'ja' && !JAPANESE_PATTERN.test(text) ? 10 : 0);
+
+            const spamScore = Math.min(MAX_SCORE, points);
+            let action = 'accept';
+            if (spamScore >= rejectThreshold) {
+                action = 'reject';
+            } else if (spamScore >= quarantineThreshold) {
+                action = 'quarantine';
+            }
+
+            return { spamScore, reasons, action };
+        }
+    };
+}
+
+module.exports = {
+    DISPOSABLE_EMAIL_DOMAINS,
+    countUrls,
+    isDisposableEmail,
+    findScriptAnomalies,
+    createSpamScorer
+};
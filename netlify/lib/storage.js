@@ -0,0 +1,314 @@
+/**
+ * Storage - key/value stores shared by the libraries
+ *
+ * The rate limiter, the metrics, the conversation memory and the lead
+ * delivery keep their state in one of these stores, selected by variables
+ * named after each one's prefix (e.g. CONVERSATION):
+ * - <PREFIX>_STORE:     memory (default), file or redis
+ * - <PREFIX>_FILE_PATH: JSON file of the file store
+ * - <PREFIX>_REDIS_URL: server of the redis store (default RATE_LIMIT_REDIS_URL)
+ *
+ * Backends:
+ * - memory: in-process Map, per function instance (not durable)
+ * - file:   JSON file, written through a temporary file and a rename so
+ *           readers never see a partially written file. Suitable for a
+ *           single host (netlify dev, a VM or a mounted volume), not for
+ *           many hosts writing at once. Without <PREFIX>_FILE_PATH, a file
+ *           in the OS temp dir, which is per instance (not durable)
+ * - redis:  any Redis-compatible server; the one to use in production.
+ *           Without a URL, the memory store is used
+ *
+ * Adapter interface (JSON values, ttlMs optional):
+ *   name, durable (whether values outlive the function instance)
+ *   get(key) => Promise<value|null>
+ *   set(key, value, { ttlMs }) => Promise<void>
+ *   setIfAbsent(key, value, { ttlMs }) => Promise<boolean>
+ *   delete(key) => Promise<void>
+ *   list(prefix) => Promise<Array<{ key, value }>>
+ * The redis adapter also has command(args), for the server-side scripts of
+ * the rate limiter and the metrics.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getRedisClient } = require('./redis-client');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Storage');
+
+/**
+ * Stored entry with its expiry (null: never expires)
+ * @param {*} value
+ * @param {number} ttlMs
+ * @returns {object} - { value, expiresAt }
+ */
+function createEntry(value, ttlMs) {
+    return { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+}
+
+/**
+ * @param {object} entry - { value, expiresAt }
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isExpired(entry, now = Date.now()) {
+    return !entry || (entry.expiresAt !== null && entry.expiresAt <= now);
+}
+
+// =============================================
+// ADAPTERS
+// =============================================
+
+/**
+ * In-memory store (per function instance)
+ */
+function createMemoryStore() {
+    const entries = new Map();
+
+    function read(key) {
+        const entry = entries.get(key);
+        if (entry && isExpired(entry)) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    // Expired keys are dropped on writes, so one-off keys (e.g. client IPs)
+    // do not pile up
+    function write(key, value, ttlMs) {
+        const now = Date.now();
+        for (const [storedKey, entry] of entries.entries()) {
+            if (isExpired(entry, now)) entries.delete(storedKey);
+        }
+        entries.set(key, createEntry(value, ttlMs));
+    }
+
+    return {
+        name: 'memory',
+        durable: false,
+
+        async get(key) {
+            const entry = read(key);
+            return entry ? entry.value : null;
+        },
+
+        async set(key, value, { ttlMs } = {}) {
+            write(key, value, ttlMs);
+        },
+
+        async setIfAbsent(key, value, { ttlMs } = {}) {
+            if (read(key)) return false;
+            write(key, value, ttlMs);
+            return true;
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async list(prefix) {
+            return [...entries.keys()]
+                .filter(key => key.startsWith(prefix) && read(key))
+                .map(key => ({ key, value: entries.get(key).value }));
+        }
+    };
+}
+
+/**
+ * JSON file store
+ * @param {string} filePath - Location of the JSON file
+ * @param {object} options - { durable: false for a per-instance temp file }
+ */
+function createFileStore(filePath, { durable = true } = {}) {
+    function read() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(data)) {
+            if (isExpired(entry, now)) {
+                delete data[key];
+            }
+        }
+        return data;
+    }
+
+    function write(data) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        name: 'file',
+        durable,
+
+        async get(key) {
+            const data = read();
+            return data[key] ? data[key].value : null;
+        },
+
+        async set(key, value, { ttlMs } = {}) {
+            const data = read();
+            data[key] = createEntry(value, ttlMs);
+            write(data);
+        },
+
+        async setIfAbsent(key, value, { ttlMs } = {}) {
+            const data = read();
+            if (data[key]) return false;
+            data[key] = createEntry(value, ttlMs);
+            write(data);
+            return true;
+        },
+
+        async delete(key) {
+            const data = read();
+            delete data[key];
+            write(data);
+        },
+
+        async list(prefix) {
+            return Object.entries(read())
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, stored]) => ({ key, value: stored.value }));
+        }
+    };
+}
+
+/**
+ * Redis-compatible store
+ * @param {string} redisUrl - redis:// or rediss:// URL
+ */
+function createRedisStore(redisUrl) {
+    const client = getRedisClient(redisUrl);
+    const expiry = (ttlMs) => (ttlMs ? ['PX', ttlMs] : []);
+
+    return {
+        name: 'redis',
+        durable: true,
+
+        command(args) {
+            return client.command(args);
+        },
+
+        async get(key) {
+            const value = await client.command(['GET', key]);
+            return value === null ? null : JSON.parse(value);
+        },
+
+        async set(key, value, { ttlMs } = {}) {
+            await client.command(['SET', key, JSON.stringify(value), ...expiry(ttlMs)]);
+        },
+
+        async setIfAbsent(key, value, { ttlMs } = {}) {
+            const reply = await client.command(['SET', key, JSON.stringify(value), 'NX', ...expiry(ttlMs)]);
+            return reply === 'OK';
+        },
+
+        async delete(key) {
+            await client.command(['DEL', key]);
+        },
+
+        async list(prefix) {
+            const keys = [];
+            let cursor = '0';
+            do {
+                const [next, batch] = await client.command(['SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100]);
+                cursor = next;
+                keys.push(...batch);
+            } while (cursor !== '0');
+
+            if (keys.length === 0) return [];
+
+            const values = await client.command(['MGET', ...keys]);
+            return keys
+                .map((key, index) => ({ key, value: values[index] === null ? null : JSON.parse(values[index]) }))
+                .filter(item => item.value !== null);
+        }
+    };
+}
+
+// =============================================
+// CONFIGURATION
+// =============================================
+
+/**
+ * Store settings of a prefix
+ * @param {string} prefix - e.g. 'METRICS'
+ * @param {object} options - { env, variables: names that differ from
+ *   <PREFIX>_STORE, <PREFIX>_FILE_PATH and <PREFIX>_REDIS_URL }
+ * @returns {object} - { type, requested, filePath, redisUrl, durable, variables }
+ *   type is the backend used, requested the one configured (a redis store
+ *   without URL, or an unknown backend, is memory)
+ */
+function readStoreConfig(prefix, { env = process.env, variables = {} } = {}) {
+    const names = {
+        type: `${prefix}_STORE`,
+        filePath: `${prefix}_FILE_PATH`,
+        redisUrl: `${prefix}_REDIS_URL`,
+        ...variables
+    };
+
+    const requested = (env[names.type] || 'memory').toLowerCase();
+    const redisUrl = env[names.redisUrl] || env.RATE_LIMIT_REDIS_URL || null;
+    const filePath = env[names.filePath] || null;
+
+    let type = 'memory';
+    if (requested === 'file' || (requested === 'redis' && redisUrl)) {
+        type = requested;
+    }
+
+    return {
+        type,
+        requested,
+        filePath,
+        redisUrl,
+        durable: type === 'redis' || (type === 'file' && Boolean(filePath)),
+        variables: names
+    };
+}
+
+/**
+ * Create the store selected by the environment
+ * @param {string} prefix - e.g. 'METRICS'
+ * @param {object} options - { env, variables (see readStoreConfig),
+ *   memoryStore: store used for memory (default: a new one) }
+ * @returns {object} - Storage adapter
+ */
+function createStoreFromEnv(prefix, { env = process.env, variables = {}, memoryStore = null } = {}) {
+    const config = readStoreConfig(prefix, { env, variables });
+
+    if (config.type === 'redis') {
+        return createRedisStore(config.redisUrl);
+    }
+
+    if (config.type === 'file') {
+        if (!config.filePath) {
+            logger.warn(`${config.variables.filePath} not configured, using a temp file (not durable)`);
+            const tempName = `azenflow-${prefix.toLowerCase().replace(/_/g, '-')}.json`;
+            return createFileStore(path.join(os.tmpdir(), tempName), { durable: false });
+        }
+        return createFileStore(config.filePath);
+    }
+
+    if (config.requested === 'redis') {
+        logger.error(`${config.variables.redisUrl} not configured, using memory store`);
+    }
+    return memoryStore || createMemoryStore();
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    createRedisStore,
+    readStoreConfig,
+    createStoreFromEnv
+};
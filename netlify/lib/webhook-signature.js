@@ -0,0 +1,272 @@
+/**
+ * Webhook Signature - shared by the Netlify Functions
+ *
+ * HMAC-SHA256 signing of the requests sent to n8n, and verification of the
+ * replies n8n sends back, so a leaked header cannot be replayed and a spoofed
+ * upstream cannot inject content into the chat.
+ *
+ * Request headers (added by the functions):
+ *   X-Signature-Timestamp: Unix time in seconds
+ *   X-Signature-Nonce:     random hex string, unique per request
+ *   X-Signature:           v1=<hex>[, v1=<hex>] (one per active secret)
+ * with <hex> = HMAC-SHA256(secret, `${timestamp}.${nonce}.${body}`).
+ * n8n must recompute the HMAC over the raw body, accept the request if any
+ * v1 value matches, reject timestamps older than 5 minutes and nonces it
+ * has already seen (see verifyRequest).
+ *
+ * Response headers (added by n8n):
+ *   X-Signature-Timestamp: Unix time in seconds
+ *   X-Signature:           v1=<hex>
+ * signed the same way over the response body, with the nonce of the request
+ * it answers (so a reply cannot be replayed for another request).
+ *
+ * Key rotation: N8N_WEBHOOK_SECRET is the current secret and
+ * N8N_WEBHOOK_SECRET_PREVIOUS the one being retired. Requests carry a
+ * signature for each, and replies signed with either are accepted.
+ *
+ * Reply signatures are verified unless N8N_VERIFY_RESPONSE_SIGNATURES=false
+ * (the health function warns while it is off).
+ *
+ * Migration from the X-API-Key header:
+ * The signing secret is never sent. Workflows that still check X-API-Key get
+ * it from its own variable, N8N_API_KEY (see apiKeyHeaders):
+ * 1. Set N8N_API_KEY to the key the workflows check (formerly the value of
+ *    N8N_WEBHOOK_SECRET) and give N8N_WEBHOOK_SECRET a new value, since the
+ *    old one has been sent in clear. Until the workflows sign their replies,
+ *    set N8N_VERIFY_RESPONSE_SIGNATURES=false.
+ * 2. Once every n8n workflow verifies request signatures and signs its
+ *    replies, remove N8N_VERIFY_RESPONSE_SIGNATURES.
+ * 3. Then remove N8N_API_KEY: X-API-Key is no longer sent.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const TIMESTAMP_TOLERANCE = 5 * 60; // 5 minutes, in seconds
+
+/**
+ * Active signing secrets, current first
+ * @param {object} env - Environment variables
+ * @returns {string[]}
+ */
+function getSigningSecrets(env = process.env) {
+    return [env.N8N_WEBHOOK_SECRET, env.N8N_WEBHOOK_SECRET_PREVIOUS]
+        .filter((secret, index, secrets) => secret && secrets.indexOf(secret) === index);
+}
+
+/**
+ * HMAC-SHA256 of a timestamped body
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix time in seconds
+ * @param {string} nonce - Request nonce
+ * @param {string} body - Raw body
+ * @returns {string} - Hex digest
+ */
+function computeSignature(secret, timestamp, nonce, body) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${nonce}.${body}`)
+        .digest('hex');
+}
+
+/**
+ * Format an X-Signature header value
+ * @param {string[]} secrets - Secrets to sign with
+ * @param {string|number} timestamp - Unix time in seconds
+ * @param {string} nonce - Request nonce
+ * @param {string} body - Raw body
+ * @returns {string}
+ */
+function formatSignatureHeader(secrets, timestamp, nonce, body) {
+    return secrets
+        .map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, nonce, body)}`)
+        .join(', ');
+}
+
+/**
+ * Signature headers for an outgoing request
+ * @param {string} body - Raw request body
+ * @param {string[]} secrets - Active secrets (see getSigningSecrets)
+ * @param {object} options - { now: ms timestamp }
+ * @returns {object} - { headers, nonce }
+ */
+function signRequest(body, secrets, { now = Date.now() } = {}) {
+    const timestamp = Math.floor(now / 1000);
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    return {
+        nonce,
+        headers: {
+            'X-Signature-Timestamp': String(timestamp),
+            'X-Signature-Nonce': nonce,
+            'X-Signature': formatSignatureHeader(secrets, timestamp, nonce, body)
+        }
+    };
+}
+
+/**
+ * Legacy X-API-Key header, sent next to the signature during the migration
+ * @param {object} env - Environment variables
+ * @returns {object} - { 'X-API-Key': N8N_API_KEY }, empty when it is unset
+ */
+function apiKeyHeaders(env = process.env) {
+    return env.N8N_API_KEY ? { 'X-API-Key': env.N8N_API_KEY } : {};
+}
+
+/**
+ * Read a header whatever its case
+ * @param {object} headers - Header map
+ * @param {string} name - Header name
+ * @returns {string}
+ */
+function getHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+    const value = key ? headers[key] : '';
+    return Array.isArray(value) ? value.join(', ') : String(value || '');
+}
+
+/**
+ * Constant-time comparison of two digests
+ * Byte lengths are compared first: timingSafeEqual throws on buffers of
+ * different lengths, which non-ASCII input of the right character count gives.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a, 'utf8');
+    const bufferB = Buffer.from(b, 'utf8');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify a signature
+ * @param {object} signed - { body, timestamp, nonce, signature (header value) }
+ * @param {string[]} secrets - Accepted secrets
+ * @param {object} options - { now: ms timestamp, tolerance: seconds }
+ * @returns {object} - { valid: boolean, reason?: string }
+ */
+function verifySignature({ body, timestamp, nonce, signature }, secrets, { now = Date.now(), tolerance = TIMESTAMP_TOLERANCE } = {}) {
+    if (secrets.length === 0) {
+        return { valid: false, reason: 'No signing secret configured' };
+    }
+
+    if (!signature || !/^\d+$/.test(timestamp || '')) {
+        return { valid: false, reason: 'Missing signature' };
+    }
+
+    if (Math.abs(Math.floor(now / 1000) - parseInt(timestamp, 10)) > tolerance) {
+        return { valid: false, reason: 'Signature expired' };
+    }
+
+    const candidates = signature.split(',')
+        .map(part => part.trim().split('='))
+        .filter(([version, value]) => version === SIGNATURE_VERSION && value)
+        .map(([, value]) => value);
+
+    const matches = secrets.some(secret => {
+        const expected = computeSignature(secret, timestamp, nonce, body);
+        return candidates.some(candidate => safeEqual(candidate, expected));
+    });
+
+    return matches ? { valid: true } : { valid: false, reason: 'Signature mismatch' };
+}
+
+/**
+ * Verify a signed n8n reply
+ * @param {string} body - Raw response body
+ * @param {object} headers - Response headers
+ * @param {string} nonce - Nonce of the request it answers
+ * @param {string[]} secrets - Accepted secrets
+ * @param {object} options - { now, tolerance }
+ * @returns {object} - { valid: boolean, reason?: string }
+ */
+function verifyResponse(body, headers, nonce, secrets, options = {}) {
+    return verifySignature({
+        body,
+        nonce,
+        timestamp: getHeader(headers, 'X-Signature-Timestamp'),
+        signature: getHeader(headers, 'X-Signature')
+    }, secrets, options);
+}
+
+/**
+ * Remember nonces for the tolerance window (replay protection)
+ * @param {number} ttl - Seconds to remember a nonce
+ * @returns {object} - { seen(nonce, now) => boolean }
+ */
+function createNonceCache(ttl = TIMESTAMP_TOLERANCE) {
+    const nonces = new Map();
+
+    return {
+        /**
+         * Record a nonce
+         * @returns {boolean} - true if it was already recorded
+         */
+        seen(nonce, now = Date.now()) {
+            for (const [key, expiresAt] of nonces) {
+                if (expiresAt <= now) nonces.delete(key);
+            }
+
+            if (nonces.has(nonce)) return true;
+            nonces.set(nonce, now + ttl * 1000);
+            return false;
+        }
+    };
+}
+
+/**
+ * Verify a signed request (receiving side: n8n, mock n8n)
+ * @param {string} body - Raw request body
+ * @param {object} headers - Request headers
+ * @param {string[]} secrets - Accepted secrets
+ * @param {object} options - { nonceCache, now, tolerance }
+ * @returns {object} - { valid: boolean, reason?: string }
+ */
+function verifyRequest(body, headers, secrets, { nonceCache, ...options } = {}) {
+    const nonce = getHeader(headers, 'X-Signature-Nonce');
+    if (!nonce) {
+        return { valid: false, reason: 'Missing nonce' };
+    }
+
+    const result = verifySignature({
+        body,
+        nonce,
+        timestamp: getHeader(headers, 'X-Signature-Timestamp'),
+        signature: getHeader(headers, 'X-Signature')
+    }, secrets, options);
+
+    if (result.valid && nonceCache && nonceCache.seen(nonce, options.now)) {
+        return { valid: false, reason: 'Nonce already used' };
+    }
+
+    return result;
+}
+
+/**
+ * Signature headers for a reply (answering side: n8n, mock n8n)
+ * @param {string} body - Raw response body
+ * @param {string} nonce - Nonce of the request being answered
+ * @param {string} secret - Secret to sign with
+ * @param {object} options - { now: ms timestamp }
+ * @returns {object} - Headers
+ */
+function signResponse(body, nonce, secret, { now = Date.now() } = {}) {
+    const timestamp = Math.floor(now / 1000);
+
+    return {
+        'X-Signature-Timestamp': String(timestamp),
+        'X-Signature': formatSignatureHeader([secret], timestamp, nonce, body)
+    };
+}
+
+module.exports = {
+    safeEqual,
+    getSigningSecrets,
+    computeSignature,
+    signRequest,
+    apiKeyHeaders,
+    verifyResponse,
+    verifyRequest,
+    signResponse,
+    createNonceCache
+};
@@ -0,0 +1,118 @@
+/**
+ * Replay Leads - resends the contact submissions in the dead-letter queue
+ *
+ * contact-form-proxy keeps the leads a connector did not accept (see
+ * ../lib/lead-delivery). Once the destination is back, run this with the
+ * same environment as the function (LEAD_STORE and its location,
+ * LEAD_CONNECTORS or N8N_CONTACT_WEBHOOK_URL and N8N_WEBHOOK_SECRET). Each
+ * lead is only resent to the connectors that failed; delivered leads leave
+ * the queue. n8n and webhooks get the original idempotency key, so a lead
+ * that reached them before the failure is not created twice.
+ *
+ * Usage:
+ *   npm run replay:leads                 Resend every queued lead
+ *   npm run replay:leads -- --list       Print the queue (JSON)
+ *   npm run replay:leads -- --dry-run    Show what would be resent
+ *   npm run replay:leads -- --id <key>   Resend one lead (repeatable)
+ *
+ * Exit code: 0 when everything was delivered, 1 if a lead failed again,
+ * 2 on a configuration error.
+ */
+
+const {
+    createLeadStore,
+    createDeadLetterQueue,
+    createLeadDelivery,
+    replayDeadLetters
+} = require('../lib/lead-delivery');
+const { createConnectorsFromEnv } = require('../lib/lead-connectors');
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} - { list, dryRun, ids }
+ */
+function parseArgs(argv) {
+    const options = { list: false, dryRun: false, ids: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--list') {
+            options.list = true;
+        } else if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (argv[i] === '--id' && argv[i + 1]) {
+            options.ids = (options.ids || []).concat(argv[++i]);
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Run the command
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} env - Environment variables
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv = process.argv.slice(2), env = process.env) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`[Replay Leads] ${error.message}`);
+        return 2;
+    }
+
+    if ((env.LEAD_STORE || 'memory').toLowerCase() === 'memory') {
+        console.error('[Replay Leads] LEAD_STORE is memory: the queue lives in the function instance, set LEAD_STORE=file or redis');
+        return 2;
+    }
+
+    const queue = createDeadLetterQueue(createLeadStore(env));
+
+    if (options.list) {
+        process.stdout.write(`${JSON.stringify(await queue.list(), null, 2)}\n`);
+        return 0;
+    }
+
+    const delivery = createLeadDelivery({
+        connectors: createConnectorsFromEnv(env),
+        timeout: parseInt(env.REQUEST_TIMEOUT || '30000', 10),
+        // No function timeout here: more patience than the proxy
+        budget: 60 * 1000
+    });
+
+    if (!options.dryRun && !delivery.configured) {
+        const missing = delivery.connectors.filter(connector => !connector.configured).map(connector => connector.name);
+        console.error(`[Replay Leads] Connectors not configured: ${missing.join(', ')} (see LEAD_CONNECTORS, N8N_CONTACT_WEBHOOK_URL, N8N_WEBHOOK_SECRET)`);
+        return 2;
+    }
+
+    const summary = await replayDeadLetters({ queue, delivery, ids: options.ids, dryRun: options.dryRun });
+
+    if (options.dryRun) {
+        console.log(`[Replay Leads] ${summary.pending.length} lead(s) would be resent: ${summary.pending.join(', ')}`);
+        return 0;
+    }
+
+    console.log(`[Replay Leads] ${summary.delivered.length} delivered, ${summary.failed.length} failed`);
+    summary.failed.forEach(({ id, connectors }) => console.error(`[Replay Leads] ${id}: still failing for ${connectors.join(', ')}`));
+
+    return summary.failed.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error('[Replay Leads] Error:', error);
+        process.exitCode = 2;
+    }).finally(() => {
+        // An open Redis connection would keep the process alive
+        process.exit();
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -12,9 +12,33 @@
         MAX_MESSAGE_LENGTH: 450,
         MAX_HISTORY_LENGTH: 5,
         RETRY_ATTEMPTS: 2,
-        USE_AI: true // Set to false to use fallback responses only
+        USE_AI: true, // Set to false to use fallback responses only
+        STREAMING: true, // Draw AI replies token by token when the proxy streams
+        STATUS_ENDPOINT: '/.netlify/functions/chatbot-status',
+        STATUS_REFRESH_INTERVAL: 5 * 60 * 1000, // 5 minutes
+        HANDOFF_ENDPOINT: '/.netlify/functions/contact-form-proxy',
+        HANDOFF_TRANSCRIPT_LENGTH: 50,
+        FEEDBACK_ENDPOINT: '/.netlify/functions/chatbot-feedback',
+        FEEDBACK_COMMENT_LENGTH: 500,
+        TRANSCRIPT_ENDPOINT: '/.netlify/functions/chatbot-transcript',
+        TOKEN_ENDPOINT: '/.netlify/functions/request-token',
+        TOKEN_REFRESH_MARGIN: 60 * 1000, // Renew request tokens 1 minute before they expire
+        FAQ_INDEXES: { ja: '/faq-index.json', en: '/en/faq-index.json' }, // Local answers without the AI, from search/build.js (other languages use en)
+        FAQ_MIN_SCORE: 0.4, // Share of the question's terms an FAQ entry must cover
+        DEGRADED_RETRY_AFTER: 30 // Seconds without calling the AI after a degraded reply (if the proxy gives none)
     };
 
+    // Business hours (JST), used when chatbot-status cannot be reached
+    const BUSINESS_HOURS = {
+        DAYS: [1, 2, 3, 4, 5], // Monday - Friday
+        OPENING_HOUR: 9,
+        CLOSING_HOUR: 18,
+        TIMEZONE_OFFSET_HOURS: 9
+    };
+
+    // Operator status values returned by chatbot-status
+    const OPERATOR_STATUSES = ['available', 'away', 'closed'];
+
     // Rate limiting configuration (frontend protection)
     const RATE_LIMITS = {
         PER_MINUTE: { max: 8, window: 60 * 1000 },              // 8 msg / 1 minute
@@ -25,6 +49,107 @@
     // Storage key for rate limiting
     const RATE_LIMIT_STORAGE_KEY = 'azenflow_chatbot_rate_limit';
 
+    // Languages supported by the widget and chatbot-proxy
+    const SUPPORTED_LANGUAGES = ['ja', 'en', 'zh', 'ko', 'fr'];
+    const DEFAULT_LANGUAGE = 'ja';
+
+    // Session storage key for the visitor's language choice
+    const LANGUAGE_STORAGE_KEY = 'chatbot_language';
+
+    // Persistent conversation store (localStorage, only with the visitor's consent)
+    const PERSISTENCE = {
+        ENABLED: true,                                   // Set to false to keep conversations per tab only
+        STORAGE_KEY: 'azenflow_chatbot_conversation',
+        CONSENT_KEY: 'azenflow_chatbot_storage_consent', // Functional-storage consent given in the widget
+        CHANNEL_NAME: 'azenflow_chatbot',                // BroadcastChannel used to sync open tabs
+        RETENTION_DAYS: 7,                               // Stored conversations expire after 7 days without activity
+        RESUME_PROMPT_AFTER: 30 * 60 * 1000,             // Ask before resuming a conversation idle for 30+ minutes
+        MAX_MESSAGES: 50
+    };
+
+    // Proactive teaser bubble next to chatbotToggle. Its frequency capping is
+    // kept in localStorage, so it only runs with the same consent as stored
+    // conversations (see hasProactiveConsent)
+    const PROACTIVE = {
+        ENABLED: true,                                   // Set to false to only open the widget on click
+        STORAGE_KEY: 'azenflow_chatbot_proactive',       // { shown: { triggerId: timestamp }, lastShownAt, dismissedAt }
+        MIN_TIME_ON_PAGE: 5000,                          // Triggers firing in the first 5 seconds wait until then (exit intent included)
+        HIDE_AFTER: 20000,                               // The teaser hides itself after 20 seconds
+        MIN_INTERVAL: 24 * 60 * 60 * 1000,               // At most one teaser a day, all triggers together
+        TRIGGER_INTERVAL: 7 * 24 * 60 * 60 * 1000,       // The same trigger at most once a week
+        DISMISS_PAUSE: 14 * 24 * 60 * 60 * 1000          // No teaser for 14 days after the visitor closes one
+    };
+
+    // Proactive triggers (the first one to fire shows its teaser, one per page view)
+    // - type: 'time' (delay in ms on the page), 'scroll' (percent of the page read),
+    //   'exit' (pointer leaving through the top of the window, desktop only) or
+    //   'section' (one of the selector's elements half visible)
+    // - pages: page names without .html ('index' for a directory), all pages if omitted
+    // - message: text of the teaser, then the first message of the conversation
+    const PROACTIVE_TRIGGERS = [
+        {
+            id: 'comparison',
+            type: 'time',
+            pages: ['chatbot-comparison'],
+            delay: 15000,
+            message: {
+                ja: 'どのチャットボットが御社に合うか迷っていませんか？業種やご利用のチャネルを教えていただければ、最適なサービスをご案内します。',
+                en: 'Not sure which chatbot fits your business? Tell me your industry and the channels you use, and I\'ll point you to the right service.',
+                zh: '不确定哪种聊天机器人适合贵公司？请告诉我您的行业和使用的渠道，我来为您推荐合适的服务。',
+                ko: '어떤 챗봇이 귀사에 맞을지 고민되시나요? 업종과 사용하시는 채널을 알려주시면 적합한 서비스를 안내해 드립니다.',
+                fr: 'Vous hésitez sur le chatbot adapté à votre entreprise ? Indiquez-moi votre secteur et vos canaux, je vous oriente vers le bon service.'
+            }
+        },
+        {
+            id: 'pricing',
+            type: 'section',
+            pages: ['index'],
+            selector: '#services .service-pricing-redesigned, #services .price-line',
+            message: {
+                ja: '料金プランについてご質問はありますか？ご利用規模や用途をお聞かせいただければ、最適なプランをご案内します。',
+                en: 'Questions about our plans? Tell me about your business and how you would use it, and I\'ll suggest the right plan.',
+                zh: '对价格方案有疑问吗？请告诉我您的业务规模和用途，我来为您推荐合适的方案。',
+                ko: '요금제에 대해 궁금하신 점이 있으신가요? 이용 규모와 용도를 알려주시면 적합한 요금제를 안내해 드립니다.',
+                fr: 'Des questions sur nos formules ? Parlez-moi de votre activité et de l\'usage prévu, je vous suggère la formule adaptée.'
+            }
+        },
+        {
+            id: 'scroll',
+            type: 'scroll',
+            percent: 60,
+            message: {
+                ja: 'ここまでお読みいただきありがとうございます。導入について気になる点があれば、お気軽にご質問ください。',
+                en: 'Thanks for reading this far! If you have any questions about getting started, just ask.',
+                zh: '感谢您的阅读！如果对导入有任何疑问，请随时提问。',
+                ko: '여기까지 읽어 주셔서 감사합니다! 도입에 관해 궁금한 점이 있으시면 편하게 물어보세요.',
+                fr: 'Merci de votre lecture ! Si vous avez des questions sur la mise en place, n\'hésitez pas.'
+            }
+        },
+        {
+            id: 'exit',
+            type: 'exit',
+            message: {
+                ja: 'お帰りの前に、ご不明な点はありませんか？2週間の無料トライアルについてもご案内できます。',
+                en: 'Before you go, is there anything I can clear up? I can also tell you about our 2-week free trial.',
+                zh: '离开之前，还有什么疑问吗？我也可以为您介绍2周免费试用。',
+                ko: '떠나시기 전에 궁금한 점은 없으신가요? 2주 무료 체험에 대해서도 안내해 드릴 수 있습니다.',
+                fr: 'Avant de partir, puis-je répondre à une question ? Je peux aussi vous présenter l\'essai gratuit de 2 semaines.'
+            }
+        },
+        {
+            id: 'time',
+            type: 'time',
+            delay: 60000,
+            message: {
+                ja: '何かお探しですか？AzenFlowのサービスについて、AIアシスタントがすぐにお答えします。',
+                en: 'Looking for something? I can answer your questions about AzenFlow\'s services right away.',
+                zh: '在找什么吗？关于AzenFlow的服务，AI助手可以立即为您解答。',
+                ko: '무엇을 찾고 계신가요? AzenFlow 서비스에 대해 AI 어시스턴트가 바로 답변해 드립니다.',
+                fr: 'Vous cherchez quelque chose ? Je réponds tout de suite à vos questions sur les services AzenFlow.'
+            }
+        }
+    ];
+
     // =============================================
     // STATE MANAGEMENT
     // =============================================
@@ -33,6 +158,22 @@
     let messageHistory = [];
     let sessionId = null;
     let isProcessing = false;
+    let currentLanguage = null;
+    let syncChannel = null;
+    let syncInitialized = false;
+    let renderPending = false;
+    let operatorStatus = null;
+    let statusFetchedAt = 0;
+    let requestToken = null; // { token, expiresAt } from request-token
+    let requestTokenPromise = null;
+    let degradedUntil = 0; // The proxy's circuit is open until then: answer locally
+    const faqIndexes = {}; // FAQ index URL => Promise<Object|null>
+    let proactiveInitialized = false;
+    let stopTriggers = null; // Removes the proactive trigger listeners of this page view
+    let teaser = null; // { trigger, timer } of the teaser on screen
+    let teaserShown = false; // One teaser per page view
+    let pendingTeaser = null; // Timer of a trigger that fired before MIN_TIME_ON_PAGE
+    let openingMessage = null; // Teaser message, greets the visitor who opens the widget from it
 
     // =============================================
     // UTILITY FUNCTIONS
@@ -50,40 +191,392 @@
     }
 
     /**
-     * Get current language (Japanese only)
+     * Reduce a language tag (e.g. "zh-CN", "en_US") to a supported code
+     * @param {string} value - Language tag
+     * @returns {string|null} Supported language code or null
+     */
+    function normalizeLanguage(value) {
+        if (!value || typeof value !== 'string') return null;
+        const code = value.trim().toLowerCase().split(/[-_]/)[0];
+        return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+    }
+
+    /**
+     * Detect the visitor's language
+     * Priority: ?lang= URL parameter, choice saved this session,
+     * a translated page (<html lang> other than Japanese), browser
+     * languages, then Japanese.
+     */
+    function detectLanguage() {
+        try {
+            const fromUrl = normalizeLanguage(new URLSearchParams(window.location.search).get('lang'));
+            if (fromUrl) {
+                sessionStorage.setItem(LANGUAGE_STORAGE_KEY, fromUrl);
+                return fromUrl;
+            }
+
+            const stored = normalizeLanguage(sessionStorage.getItem(LANGUAGE_STORAGE_KEY));
+            if (stored) return stored;
+        } catch (error) {
+            console.warn('[Chatbot] Failed to read language preference:', error);
+        }
+
+        const pageLanguage = normalizeLanguage(document.documentElement.lang);
+        if (pageLanguage && pageLanguage !== DEFAULT_LANGUAGE) return pageLanguage;
+
+        const browserLanguages = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+        for (const browserLanguage of browserLanguages) {
+            const language = normalizeLanguage(browserLanguage);
+            if (language) return language;
+        }
+
+        return pageLanguage || DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Get current language
      */
     function getCurrentLanguage() {
-        return 'ja';
+        if (!currentLanguage) {
+            currentLanguage = detectLanguage();
+        }
+        return currentLanguage;
+    }
+
+    /**
+     * Change the widget language and remember it for this session
+     * @param {string} language - Language code
+     * @returns {boolean} True if the language is supported
+     */
+    function setLanguage(language) {
+        const normalized = normalizeLanguage(language);
+        if (!normalized) return false;
+
+        const previousLanguage = getCurrentLanguage();
+        currentLanguage = normalized;
+
+        try {
+            sessionStorage.setItem(LANGUAGE_STORAGE_KEY, normalized);
+        } catch (error) {
+            console.warn('[Chatbot] Failed to store language preference:', error);
+        }
+
+        applyUIStrings();
+
+        // Replace the greeting if the visitor has not started chatting yet
+        const onlyGreeting = messageHistory.length === 1 &&
+                             !messageHistory[0].isUser &&
+                             messageHistory[0].text === fallbackResponses[previousLanguage].greeting;
+        if (normalized !== previousLanguage && onlyGreeting) {
+            clearHistory();
+        }
+
+        return true;
     }
 
     /**
      * Escapes HTML to prevent XSS attacks
+     * Quotes are escaped too, the result is also used inside attributes.
      * @param {string} text - Text to escape
      * @returns {string} Escaped text
      */
     function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // =============================================
+    // MARKDOWN RENDERING (bot messages)
+    // =============================================
+    //
+    // Supported subset: paragraphs and line breaks, headings (shown as bold
+    // lines), bullet and numbered lists (nested by indentation), **bold**,
+    // *italic*, ~~strikethrough~~, `inline code`, fenced code blocks,
+    // [links](url), bare URLs and tables. Everything else is shown as text.
+    //
+    // The source is never inserted as HTML: every piece of text goes through
+    // escapeHtml() and only the tags below are produced by the renderer.
+
+    const MARKDOWN = {
+        LINK_PROTOCOLS: ['http:', 'https:', 'mailto:', 'tel:'],
+        MAX_LIST_DEPTH: 4,
+        // Characters that can be escaped with a backslash (\*, \_, \|, ...)
+        ESCAPABLE: /\\([\\`*_{}[\]()#+\-.!|~>])/g,
+        // ASCII only, so Japanese text right after a URL is not swallowed
+        BARE_URL: /(?:https?:\/\/|www\.)[A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]+/gi,
+        LIST_ITEM: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+        HEADING: /^\s{0,3}#{1,6}\s+(.+?)(?:\s+#+)?\s*$/,
+        RULE: /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/,
+        FENCE: /^\s*(```|~~~)/,
+        TABLE_SEPARATOR: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+    };
+
+    /**
+     * Build a link, or null if the URL is not allowed
+     * Links to other sites open in a new tab with rel="noopener noreferrer".
+     * @param {string} url - Raw URL (http(s), mailto:, tel: or site-relative)
+     * @param {string} labelHtml - Already rendered label
+     * @returns {string|null} HTML
+     */
+    function renderLink(url, labelHtml) {
+        const href = /^www\./i.test(url) ? `https://${url}` : url;
+        const parsed = getSafeUrl(href, MARKDOWN.LINK_PROTOCOLS);
+        if (!parsed) return null;
+
+        const external = /^https?:$/.test(parsed.protocol) && parsed.origin !== window.location.origin;
+        const target = external ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${escapeHtml(parsed.href)}"${target} class="chatbot-link">${labelHtml}</a>`;
+    }
+
+    /**
+     * Apply bold, italic and strikethrough to escaped text
+     * @param {string} html - Escaped text
+     * @returns {string} HTML
+     */
+    function renderEmphasis(html) {
+        return html
+            .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([^\n]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/~~(?=\S)([^\n]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(^|[^*\w])\*(?=[^\s*])([^*\n]*[^\s*]|[^\s*])\*(?![*\w])/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([^_\n]*[^\s_]|[^\s_])_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    /**
+     * Render inline Markdown (code, links, bare URLs, emphasis)
+     * @param {string} text - Raw text of a single block
+     * @returns {string} HTML
+     */
+    function renderInline(text) {
+        // Rendered fragments are swapped for \u0000<n>\u0000 markers so that
+        // later steps never touch the HTML they contain
+        const fragments = [];
+        const hold = (html) => `\u0000${fragments.push(html) - 1}\u0000`;
+        const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(fragments[index]));
+
+        let source = text
+            .replace(/`([^`\n]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+            .replace(MARKDOWN.ESCAPABLE, (match, char) => hold(escapeHtml(char)));
+
+        source = source.replace(/\[([^\]\n]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?\s*\)/g, (match, label, url) => {
+            const link = renderLink(url, renderEmphasis(escapeHtml(label)));
+            return link ? hold(link) : label;
+        });
+
+        source = source.replace(MARKDOWN.BARE_URL, (match) => {
+            // Closing punctuation belongs to the sentence, not to the URL
+            const url = match.replace(/[.,;:!?'*)\]]+$/, '');
+            const link = renderLink(url, escapeHtml(url));
+            return link ? hold(link) + match.slice(url.length) : match;
+        });
+
+        return restore(renderEmphasis(escapeHtml(source)));
+    }
+
+    /**
+     * Split a table row into cells
+     * @param {string} line - Row such as "| a | b |"
+     * @returns {Array<string>}
+     */
+    function splitTableRow(line) {
+        const cells = line
+            .replace(/\\\|/g, '\u0001')
+            .trim()
+            .replace(/^\|/, '')
+            .replace(/\|$/, '')
+            .split('|');
+        return cells.map(cell => cell.replace(/\u0001/g, '\\|').trim());
+    }
+
+    /**
+     * Render a table starting at lines[start] (header, separator, rows)
+     * @returns {Object} { html, next } - next is the first line after the table
+     */
+    function renderTable(lines, start) {
+        const headers = splitTableRow(lines[start]);
+        const alignments = splitTableRow(lines[start + 1]).map(cell => {
+            if (/^:-+:$/.test(cell)) return 'center';
+            if (/^-+:$/.test(cell)) return 'right';
+            if (/^:-+$/.test(cell)) return 'left';
+            return null;
+        });
+
+        const renderCell = (tag, cell, index) => {
+            const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+            return `<${tag}${align}>${renderInline(cell || '')}</${tag}>`;
+        };
+
+        let next = start + 2;
+        const rows = [];
+        while (next < lines.length && lines[next].trim() && lines[next].includes('|')) {
+            const cells = splitTableRow(lines[next]);
+            rows.push(`<tr>${headers.map((header, index) => renderCell('td', cells[index], index)).join('')}</tr>`);
+            next++;
+        }
+
+        const head = `<thead><tr>${headers.map((header, index) => renderCell('th', header, index)).join('')}</tr></thead>`;
+        const body = rows.length > 0 ? `<tbody>${rows.join('')}</tbody>` : '';
+        return { html: `<div class="chatbot-table"><table>${head}${body}</table></div>`, next };
     }
 
     /**
-     * Converts URLs in text to clickable HTML links
-     * @param {string} text - Text potentially containing URLs
-     * @returns {string} HTML with clickable links
+     * Render a list starting at lines[start]
+     * Deeper indentation opens a nested list; indented lines without a
+     * marker continue the previous item.
+     * @returns {Object} { html, next } - next is the first line after the list
      */
-    function linkifyText(text) {
-        // First escape all HTML to prevent XSS
-        const escaped = escapeHtml(text);
+    function renderList(lines, start) {
+        const items = [];
+        let next = start;
+
+        while (next < lines.length && lines[next].trim()) {
+            const match = lines[next].match(MARKDOWN.LIST_ITEM);
+            if (match) {
+                items.push({
+                    indent: match[1].replace(/\t/g, '    ').length,
+                    ordered: /\d/.test(match[2]),
+                    number: parseInt(match[2], 10),
+                    lines: [match[3]]
+                });
+            } else if (/^\s/.test(lines[next])) {
+                items[items.length - 1].lines.push(lines[next].trim());
+            } else {
+                break;
+            }
+            next++;
+        }
+
+        let html = '';
+        const open = []; // Open lists: { indent, tag }
 
-        // Regex to detect URLs (http, https, www)
-        const urlRegex = /(https?:\/\/[^\s]+)|(www\.[^\s]+)/gi;
+        const openList = (item, tag, indent) => {
+            const startAttr = item.ordered && item.number !== 1 ? ` start="${item.number}"` : '';
+            html += `<${tag}${startAttr}>`;
+            open.push({ indent, tag });
+        };
+
+        items.forEach(item => {
+            const tag = item.ordered ? 'ol' : 'ul';
+
+            // Back out of deeper lists
+            while (open.length > 1 && item.indent < open[open.length - 1].indent) {
+                html += `</li></${open.pop().tag}>`;
+            }
 
-        return escaped.replace(urlRegex, (url) => {
-            // Add https:// if URL starts with www
-            const href = url.startsWith('www.') ? `https://${url}` : url;
-            return `<a href="${href}" target="_blank" rel="noopener noreferrer" class="chatbot-link">${url}</a>`;
+            const current = open[open.length - 1];
+            if (!current) {
+                openList(item, tag, item.indent);
+            } else if (item.indent > current.indent && open.length < MARKDOWN.MAX_LIST_DEPTH) {
+                // Nested list inside the current item
+                openList(item, tag, item.indent);
+            } else if (current.tag === tag) {
+                html += '</li>';
+            } else {
+                // Same level, other list type
+                html += `</li></${open.pop().tag}>`;
+                openList(item, tag, current.indent);
+            }
+
+            html += `<li>${item.lines.map(renderInline).join('<br>')}`;
         });
+
+        while (open.length) {
+            html += `</li></${open.pop().tag}>`;
+        }
+
+        return { html, next };
+    }
+
+    /**
+     * Render a bot message written in Markdown
+     * @param {string} text - Message text
+     * @returns {string} Safe HTML
+     */
+    function renderMarkdown(text) {
+        const lines = String(text || '')
+            .replace(/\u0000/g, '')
+            .replace(/\r\n?/g, '\n')
+            .split('\n');
+
+        const blocks = [];
+        let paragraph = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${paragraph.map(line => renderInline(line.trim())).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+
+        let index = 0;
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (!line.trim()) {
+                flushParagraph();
+                index++;
+                continue;
+            }
+
+            // Fenced code block (until the closing fence or the end of the message)
+            const fence = line.match(MARKDOWN.FENCE);
+            if (fence) {
+                flushParagraph();
+                const code = [];
+                index++;
+                while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                    code.push(lines[index]);
+                    index++;
+                }
+                blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                index++;
+                continue;
+            }
+
+            const heading = line.match(MARKDOWN.HEADING);
+            if (heading) {
+                flushParagraph();
+                blocks.push(`<p class="chatbot-heading"><strong>${renderInline(heading[1])}</strong></p>`);
+                index++;
+                continue;
+            }
+
+            if (MARKDOWN.RULE.test(line)) {
+                flushParagraph();
+                blocks.push('<hr>');
+                index++;
+                continue;
+            }
+
+            if (line.includes('|') && index + 1 < lines.length &&
+                lines[index + 1].includes('|') && MARKDOWN.TABLE_SEPARATOR.test(lines[index + 1])) {
+                flushParagraph();
+                const table = renderTable(lines, index);
+                blocks.push(table.html);
+                index = table.next;
+                continue;
+            }
+
+            if (MARKDOWN.LIST_ITEM.test(line)) {
+                flushParagraph();
+                const list = renderList(lines, index);
+                blocks.push(list.html);
+                index = list.next;
+                continue;
+            }
+
+            paragraph.push(line);
+            index++;
+        }
+
+        flushParagraph();
+        return blocks.join('');
     }
 
     /**
@@ -112,7 +605,10 @@
                 limit: RATE_LIMITS.PER_MINUTE,
                 messages: {
                     ja: 'メッセージの送信が早すぎます。1分後に再試行してください。',
-                    en: 'You are sending messages too quickly. Please wait 1 minute.'
+                    en: 'You are sending messages too quickly. Please wait 1 minute.',
+                    zh: '发送消息过快。请1分钟后再试。',
+                    ko: '메시지를 너무 빠르게 보내고 있습니다. 1분 후 다시 시도해 주세요.',
+                    fr: 'Vous envoyez des messages trop rapidement. Veuillez patienter 1 minute.'
                 }
             },
             {
@@ -120,7 +616,10 @@
                 limit: RATE_LIMITS.PER_10_MINUTES,
                 messages: {
                     ja: '10分間のメッセージ制限に達しました。しばらくお待ちください。',
-                    en: 'You have reached the 10-minute message limit. Please wait a moment.'
+                    en: 'You have reached the 10-minute message limit. Please wait a moment.',
+                    zh: '已达到10分钟内的消息上限。请稍候。',
+                    ko: '10분간 메시지 한도에 도달했습니다. 잠시 기다려 주세요.',
+                    fr: 'Vous avez atteint la limite de messages sur 10 minutes. Veuillez patienter.'
                 }
             },
             {
@@ -128,7 +627,10 @@
                 limit: RATE_LIMITS.PER_DAY,
                 messages: {
                     ja: '本日のメッセージ制限に達しました。明日また試してください。',
-                    en: 'You have reached the daily message limit. Please try again tomorrow.'
+                    en: 'You have reached the daily message limit. Please try again tomorrow.',
+                    zh: '已达到今日消息上限。请明天再试。',
+                    ko: '오늘의 메시지 한도에 도달했습니다. 내일 다시 시도해 주세요.',
+                    fr: 'Vous avez atteint la limite quotidienne de messages. Veuillez réessayer demain.'
                 }
             }
         ];
@@ -170,7 +672,9 @@
             // Try to get from sessionStorage first
             sessionId = sessionStorage.getItem('chatbot_session_id');
             if (!sessionId) {
-                sessionId = generateSessionId();
+                // Carry over the session of a conversation still active in another tab
+                const resumable = getResumableConversation();
+                sessionId = resumable && resumable.silent ? resumable.record.sessionId : generateSessionId();
                 sessionStorage.setItem('chatbot_session_id', sessionId);
             }
         }
@@ -178,37 +682,77 @@
     }
 
     /**
-     * Store conversation in sessionStorage
+     * Switch to another session ID (resumed conversation)
+     * @param {string} id - Session ID
+     */
+    function adoptSessionId(id) {
+        sessionId = id;
+        sessionStorage.setItem('chatbot_session_id', id);
+    }
+
+    /**
+     * Store conversation in sessionStorage (and in localStorage with consent)
      */
     function storeConversation() {
         try {
             // Limit to last 50 messages for privacy and performance
-            const limitedHistory = messageHistory.slice(-50);
+            const limitedHistory = messageHistory.slice(-PERSISTENCE.MAX_MESSAGES);
             sessionStorage.setItem('chatbot_history', JSON.stringify(limitedHistory));
+
+            // Greeting-only conversations are not worth keeping (nor overwriting a stored one)
+            if (canPersist() && limitedHistory.some(msg => msg.isUser)) {
+                writePersistedConversation(limitedHistory);
+            }
         } catch (error) {
             console.warn('[Chatbot] Failed to store conversation:', error);
         }
     }
 
     /**
-     * Load conversation from sessionStorage
+     * Render the whole conversation (replaces the messages on screen)
+     */
+    function renderConversation() {
+        const messagesContainer = document.getElementById('chatbotMessages');
+        if (messagesContainer) {
+            messagesContainer.innerHTML = '';
+            messageHistory.forEach((msg, index) => {
+                if (msg.text) {
+                    addMessageToUI(msg.text, msg.isUser, false, 'normal', msg.rateable ? index : null);
+                }
+                if (msg.rich) {
+                    // Quick replies only make sense on the latest reply
+                    renderRichMessages(msg.rich, index === messageHistory.length - 1);
+                }
+            });
+        }
+    }
+
+    /**
+     * Load conversation from sessionStorage, or from the persistent store
+     * @returns {Object|null} Stored conversation waiting for a resume decision
      */
     function loadConversation() {
         try {
             const stored = sessionStorage.getItem('chatbot_history');
             if (stored) {
                 messageHistory = JSON.parse(stored);
-                // Render stored messages
-                const messagesContainer = document.getElementById('chatbotMessages');
-                if (messagesContainer) {
-                    messagesContainer.innerHTML = '';
-                    messageHistory.forEach(msg => {
-                        addMessageToUI(msg.text, msg.isUser, false);
-                    });
-                }
+                renderConversation();
+                return null;
             }
+
+            const resumable = getResumableConversation();
+            if (!resumable) return null;
+
+            // Same visit (another tab or a recent page): resume without asking
+            if (resumable.silent) {
+                resumeConversation(resumable.record);
+                return null;
+            }
+
+            return resumable.record;
         } catch (error) {
             console.warn('[Chatbot] Failed to load conversation:', error);
+            return null;
         }
     }
 
@@ -216,8 +760,18 @@
      * Clear conversation history
      */
     function clearHistory() {
+        // Only forget the stored conversation if it is the one shown in this tab
+        const stored = canPersist() ? readPersistedConversation() : null;
+        if (stored && stored.sessionId === getSessionId()) {
+            removePersistedConversation();
+        }
+
         messageHistory = [];
         sessionStorage.removeItem('chatbot_history');
+
+        // chatbot-proxy remembers conversations by session: start a new one
+        adoptSessionId(generateSessionId());
+
         const messagesContainer = document.getElementById('chatbotMessages');
         if (messagesContainer) {
             messagesContainer.innerHTML = '';
@@ -226,481 +780,2908 @@
     }
 
     // =============================================
-    // FALLBACK RESPONSES (when AI is unavailable)
-    // =============================================
-
-    const fallbackResponses = {
-        ja: {
-            greeting: 'こんにちは！AzenFlowのAIアシスタントです。ご質問がありましたら、お気軽にお尋ねください。',
-            error: '申し訳ございません。ただいま接続に問題が発生しています。後でお試しいただくか、メール（contact@azenflow.com）でお問い合わせください。',
-            services: 'AzenFlowでは、LINEチャットボット、メールアシスタント、Webチャットボット、翻訳チャットボットの4つの主要サービスを提供しています。詳細は各サービスページをご覧ください。',
-            contact: 'お問い合わせは、メール（contact@azenflow.com）またはお電話（080-3498-0640）で受け付けております。営業時間は平日9:00-18:00（JST）です。'
-        },
-        en: {
-            greeting: "Hello! I'm AzenFlow's AI assistant. Please feel free to ask any questions you may have.",
-            error: 'Sorry, we\'re experiencing connection issues. Please try again later or contact us at contact@azenflow.com.',
-            services: 'AzenFlow offers four main services: LINE Chatbot, Email Assistant, Web Chatbot, and Translation Chatbot. Please visit each service page for details.',
-            contact: 'Contact us by email (contact@azenflow.com) or phone (080-3498-0640). Business hours: Weekdays 9:00-18:00 (JST).'
-        }
-    };
-
-    // =============================================
-    // ERROR MESSAGES (bilingual)
+    // PERSISTENT CONVERSATION STORE
     // =============================================
 
-    const errorMessages = {
-        network: {
-            ja: '接続エラーが発生しました。インターネット接続をご確認ください。',
-            en: 'Connection error occurred. Please check your internet connection.'
-        },
-        timeout: {
-            ja: '応答に時間がかかっています。後でお試しください。',
-            en: 'Response is taking too long. Please try again later.'
-        },
-        rateLimit: {
-            ja: 'しばらくお待ちください。リクエストが多すぎます。',
-            en: 'Please wait a moment. Too many requests.'
-        },
-        serverError: {
-            ja: '申し訳ございません。サーバーエラーが発生しました。',
-            en: 'Sorry, a server error occurred.'
-        },
-        invalidMessage: {
-            ja: 'メッセージが長すぎます（最大500文字）。',
-            en: 'Message is too long (max 500 characters).'
-        },
-        default: {
-            ja: '申し訳ございません。後でお試しください。',
-            en: 'Sorry, please try again later.'
+    /**
+     * Functional-storage consent given in the widget
+     * @returns {string|null} 'granted', 'denied' or null if not asked yet
+     */
+    function getStorageConsent() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PERSISTENCE.CONSENT_KEY));
+            return stored && stored.status ? stored.status : null;
+        } catch (error) {
+            return null;
         }
-    };
-
-    // =============================================
-    // API COMMUNICATION
-    // =============================================
+    }
 
     /**
-     * Get conversation history in API format
+     * Record the visitor's functional-storage choice
+     * @param {boolean} granted - Keep conversations across tabs and visits
      */
-    function getHistoryForAPI() {
-        return messageHistory
-            .slice(-CONFIG.MAX_HISTORY_LENGTH)
-            .map(msg => ({
-                role: msg.isUser ? 'user' : 'assistant',
-                content: msg.text
+    function setStorageConsent(granted) {
+        try {
+            localStorage.setItem(PERSISTENCE.CONSENT_KEY, JSON.stringify({
+                status: granted ? 'granted' : 'denied',
+                timestamp: Date.now()
             }));
+        } catch (error) {
+            console.warn('[Chatbot] Failed to store storage consent:', error);
+        }
+
+        if (granted) {
+            storeConversation();
+        } else {
+            removePersistedConversation();
+            stopProactiveTriggers(true);
+        }
     }
 
     /**
-     * Call AI API via Netlify Function
+     * Conversations are only kept beyond the tab with consent: the widget's own
+     * storage prompt, or the cookie banner (analytics) if the visitor was not asked
      */
-    async function callAI(message, retryCount = 0) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+    function canPersist() {
+        if (!PERSISTENCE.ENABLED) return false;
 
-        try {
-            const response = await fetch(CONFIG.API_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: message,
-                    language: getCurrentLanguage(),
-                    sessionId: getSessionId(),
-                    history: getHistoryForAPI()
-                }),
-                signal: controller.signal
-            });
+        const consent = getStorageConsent();
+        if (consent) return consent === 'granted';
 
-            clearTimeout(timeoutId);
+        return !!(window.CookieConsent && window.CookieConsent.hasAnalyticsConsent());
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
+    /**
+     * Read the stored conversation (expired ones are deleted)
+     * @returns {Object|null} { sessionId, language, messages, updatedAt }
+     */
+    function readPersistedConversation() {
+        try {
+            const record = JSON.parse(localStorage.getItem(PERSISTENCE.STORAGE_KEY));
+            if (!record || !record.sessionId || !Array.isArray(record.messages)) return null;
 
-                // Handle specific error codes
-                if (response.status === 429) {
-                    throw new Error('RATE_LIMIT');
-                } else if (response.status === 504) {
-                    throw new Error('TIMEOUT');
-                } else if (response.status >= 500) {
-                    throw new Error('SERVER_ERROR');
-                } else {
-                    throw new Error('API_ERROR');
-                }
+            const retention = PERSISTENCE.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            if (Date.now() - record.updatedAt > retention) {
+                localStorage.removeItem(PERSISTENCE.STORAGE_KEY);
+                return null;
             }
 
-            const data = await response.json();
+            return record;
+        } catch (error) {
+            return null;
+        }
+    }
 
-            // Validate response format
-            if (!data.response || typeof data.response !== 'string') {
-                throw new Error('INVALID_RESPONSE');
-            }
+    /**
+     * Save the conversation and tell the other tabs
+     * @param {Array} messages - Messages to keep
+     */
+    function writePersistedConversation(messages) {
+        const record = {
+            sessionId: getSessionId(),
+            language: getCurrentLanguage(),
+            messages: messages,
+            updatedAt: Date.now()
+        };
+
+        localStorage.setItem(PERSISTENCE.STORAGE_KEY, JSON.stringify(record));
+        broadcast({ type: 'update', record });
+    }
 
-            return data.response;
+    /**
+     * Delete the stored conversation and tell the other tabs
+     */
+    function removePersistedConversation() {
+        const record = readPersistedConversation();
 
+        try {
+            localStorage.removeItem(PERSISTENCE.STORAGE_KEY);
         } catch (error) {
-            clearTimeout(timeoutId);
+            console.warn('[Chatbot] Failed to remove stored conversation:', error);
+        }
+
+        if (record) {
+            broadcast({ type: 'clear', sessionId: record.sessionId });
+        }
+    }
+
+    /**
+     * Stored conversation that this tab may resume
+     * @returns {Object|null} { record, silent } - silent when no prompt is needed
+     */
+    function getResumableConversation() {
+        if (!canPersist()) return null;
+
+        const record = readPersistedConversation();
+        if (!record || !record.messages.some(msg => msg.isUser)) return null;
+
+        const silent = record.sessionId === sessionStorage.getItem('chatbot_session_id') ||
+                       Date.now() - record.updatedAt < PERSISTENCE.RESUME_PROMPT_AFTER;
+
+        return { record, silent };
+    }
+
+    /**
+     * Continue a stored conversation in this tab
+     * @param {Object} record - Stored conversation
+     */
+    function resumeConversation(record) {
+        adoptSessionId(record.sessionId);
+        messageHistory = record.messages;
+        sessionStorage.setItem('chatbot_history', JSON.stringify(messageHistory));
+        renderConversation();
+    }
+
+    /**
+     * Post a message to the other tabs
+     */
+    function broadcast(message) {
+        if (syncChannel) {
+            syncChannel.postMessage(message);
+        }
+    }
+
+    /**
+     * Apply a change made in another tab
+     * @param {Object} message - { type: 'update', record } or { type: 'clear', sessionId }
+     */
+    function handleSyncMessage(message) {
+        if (!message || !canPersist()) return;
+
+        const currentId = sessionId || sessionStorage.getItem('chatbot_session_id');
+
+        if (message.type === 'clear') {
+            if (currentId !== message.sessionId) return;
+
+            messageHistory = [];
+            sessionStorage.removeItem('chatbot_history');
+            if (!isProcessing) renderConversation();
+            return;
+        }
+
+        if (message.type === 'update' && message.record) {
+            // Another conversation (e.g. started over in another tab)
+            if (currentId && currentId !== message.record.sessionId) return;
+
+            adoptSessionId(message.record.sessionId);
+            messageHistory = message.record.messages;
+            sessionStorage.setItem('chatbot_history', JSON.stringify(messageHistory));
+
+            // Don't wipe a reply that is being drawn; render once it is done
+            if (isProcessing) {
+                renderPending = true;
+            } else {
+                renderConversation();
+            }
+        }
+    }
+
+    /**
+     * Sync the conversation between open tabs
+     * BroadcastChannel when available, storage events otherwise.
+     */
+    function setupConversationSync() {
+        if (syncInitialized || !PERSISTENCE.ENABLED) return;
+        syncInitialized = true;
+
+        if ('BroadcastChannel' in window) {
+            syncChannel = new BroadcastChannel(PERSISTENCE.CHANNEL_NAME);
+            syncChannel.onmessage = (event) => handleSyncMessage(event.data);
+        } else {
+            window.addEventListener('storage', (event) => {
+                if (event.key !== PERSISTENCE.STORAGE_KEY) return;
+
+                if (event.newValue) {
+                    try {
+                        handleSyncMessage({ type: 'update', record: JSON.parse(event.newValue) });
+                    } catch (error) {
+                        console.warn('[Chatbot] Ignoring invalid stored conversation:', error);
+                    }
+                } else if (event.oldValue) {
+                    try {
+                        handleSyncMessage({ type: 'clear', sessionId: JSON.parse(event.oldValue).sessionId });
+                    } catch (error) {
+                        // Nothing to clear
+                    }
+                }
+            });
+        }
+
+        // Follow the cookie banner when the widget has not asked on its own
+        window.addEventListener('cookieConsentChanged', () => {
+            if (getStorageConsent()) return;
+
+            if (canPersist()) {
+                storeConversation();
+            } else {
+                removePersistedConversation();
+            }
+        });
+
+        // Drop conversations kept without (or beyond) consent
+        if (!canPersist()) {
+            try {
+                localStorage.removeItem(PERSISTENCE.STORAGE_KEY);
+            } catch (error) {
+                // Storage unavailable
+            }
+        } else {
+            readPersistedConversation();
+        }
+    }
+
+    /**
+     * Offer to continue a conversation from a previous visit
+     * @param {Object} record - Stored conversation
+     */
+    function showResumePrompt(record) {
+        const strings = uiStrings[getCurrentLanguage()];
+
+        showPrompt(strings.resumePrompt, [
+            {
+                label: strings.resumeContinue,
+                primary: true,
+                onClick: () => resumeConversation(record)
+            },
+            {
+                label: strings.resumeNew,
+                onClick: () => removePersistedConversation()
+            }
+        ]);
+    }
+
+    /**
+     * Ask once per tab whether to keep the conversation on this device
+     * (only when neither the widget nor the cookie banner has consent yet)
+     */
+    function maybeAskStorageConsent() {
+        if (!PERSISTENCE.ENABLED || canPersist() || getStorageConsent()) return;
+        if (sessionStorage.getItem('chatbot_storage_prompted')) return;
+        if (!messageHistory.some(msg => msg.isUser)) return;
+
+        // One question at a time (e.g. a handoff offer is waiting)
+        if (document.querySelector('#chatbotMessages .chatbot-prompt')) return;
+
+        sessionStorage.setItem('chatbot_storage_prompted', '1');
+
+        const strings = uiStrings[getCurrentLanguage()];
+
+        showPrompt(strings.storagePrompt.replace('{days}', PERSISTENCE.RETENTION_DAYS), [
+            {
+                label: strings.storageAccept,
+                primary: true,
+                onClick: () => setStorageConsent(true)
+            },
+            {
+                label: strings.storageDecline,
+                onClick: () => setStorageConsent(false)
+            }
+        ]);
+    }
+
+    // =============================================
+    // FALLBACK RESPONSES (when AI is unavailable)
+    // =============================================
+
+    const fallbackResponses = {
+        ja: {
+            greeting: 'こんにちは！AzenFlowのAIアシスタントです。ご質問がありましたら、お気軽にお尋ねください。',
+            error: '申し訳ございません。ただいま接続に問題が発生しています。後でお試しいただくか、メール（contact@azenflow.com）でお問い合わせください。',
+            services: 'AzenFlowでは、LINEチャットボット、メールアシスタント、Webチャットボット、翻訳チャットボットの4つの主要サービスを提供しています。詳細は各サービスページをご覧ください。',
+            contact: 'お問い合わせは、メール（contact@azenflow.com）またはお電話（080-3498-0640）で受け付けております。営業時間は平日9:00-18:00（JST）です。'
+        },
+        en: {
+            greeting: "Hello! I'm AzenFlow's AI assistant. Please feel free to ask any questions you may have.",
+            error: 'Sorry, we\'re experiencing connection issues. Please try again later or contact us at contact@azenflow.com.',
+            services: 'AzenFlow offers four main services: LINE Chatbot, Email Assistant, Web Chatbot, and Translation Chatbot. Please visit each service page for details.',
+            contact: 'Contact us by email (contact@azenflow.com) or phone (080-3498-0640). Business hours: Weekdays 9:00-18:00 (JST).'
+        },
+        zh: {
+            greeting: '您好！我是AzenFlow的AI助手。如有任何问题，请随时提问。',
+            error: '抱歉，目前连接出现问题。请稍后再试，或发送邮件至 contact@azenflow.com 与我们联系。',
+            services: 'AzenFlow提供四项主要服务：LINE聊天机器人、邮件助手、网站聊天机器人和翻译聊天机器人。详情请查看各服务页面。',
+            contact: '请通过邮件（contact@azenflow.com）或电话（080-3498-0640）与我们联系。营业时间：工作日 9:00-18:00（日本时间）。'
+        },
+        ko: {
+            greeting: '안녕하세요! AzenFlow의 AI 어시스턴트입니다. 궁금한 점이 있으시면 편하게 물어보세요.',
+            error: '죄송합니다. 현재 연결에 문제가 발생했습니다. 잠시 후 다시 시도하시거나 이메일(contact@azenflow.com)로 문의해 주세요.',
+            services: 'AzenFlow는 LINE 챗봇, 이메일 어시스턴트, 웹 챗봇, 번역 챗봇의 4가지 주요 서비스를 제공합니다. 자세한 내용은 각 서비스 페이지를 확인해 주세요.',
+            contact: '이메일(contact@azenflow.com) 또는 전화(080-3498-0640)로 문의해 주세요. 영업시간: 평일 9:00-18:00(일본 시간).'
+        },
+        fr: {
+            greeting: "Bonjour ! Je suis l'assistant IA d'AzenFlow. N'hésitez pas à me poser vos questions.",
+            error: 'Désolé, nous rencontrons un problème de connexion. Veuillez réessayer plus tard ou nous écrire à contact@azenflow.com.',
+            services: "AzenFlow propose quatre services principaux : chatbot LINE, assistant e-mail, chatbot web et chatbot de traduction. Consultez chaque page de service pour plus de détails.",
+            contact: 'Contactez-nous par e-mail (contact@azenflow.com) ou par téléphone (080-3498-0640). Horaires : en semaine de 9h00 à 18h00 (heure du Japon).'
+        }
+    };
+
+    // =============================================
+    // UI STRINGS (widget chrome)
+    // =============================================
+
+    const uiStrings = {
+        ja: {
+            title: 'AzenFlowサポート',
+            statuses: {
+                available: 'オンライン・担当者対応可',
+                away: 'オンライン・AI対応中',
+                closed: '営業時間外・AI対応中'
+            },
+            handoffButton: '担当者と話す',
+            placeholder: 'メッセージを入力... (450文字)',
+            resumePrompt: '前回の会話の続きから再開しますか？',
+            resumeContinue: '続きから再開',
+            resumeNew: '新しく始める',
+            storagePrompt: 'この端末に会話を保存して、他のタブや次回の訪問でも続きからお話しできるようにしますか？（{days}日間保存）',
+            storageAccept: '保存する',
+            storageDecline: '保存しない',
+            teaserClose: '閉じる'
+        },
+        en: {
+            title: 'AzenFlow Support',
+            statuses: {
+                available: 'Online · Staff available',
+                away: 'Online · AI assistant',
+                closed: 'After hours · AI assistant'
+            },
+            handoffButton: 'Talk to a person',
+            placeholder: 'Type a message... (450 chars)',
+            resumePrompt: 'Would you like to continue your previous conversation?',
+            resumeContinue: 'Continue',
+            resumeNew: 'Start over',
+            storagePrompt: 'Save this conversation on this device so you can pick it up in other tabs or on your next visit? (kept for {days} days)',
+            storageAccept: 'Save',
+            storageDecline: 'Don\'t save',
+            teaserClose: 'Close'
+        },
+        zh: {
+            title: 'AzenFlow客服',
+            statuses: {
+                available: '在线 · 客服可接待',
+                away: '在线 · AI助手',
+                closed: '非营业时间 · AI助手'
+            },
+            handoffButton: '联系人工客服',
+            placeholder: '请输入消息...（450字）',
+            resumePrompt: '要继续上次的对话吗？',
+            resumeContinue: '继续对话',
+            resumeNew: '重新开始',
+            storagePrompt: '是否在此设备上保存对话，以便在其他标签页或下次访问时继续？（保存{days}天）',
+            storageAccept: '保存',
+            storageDecline: '不保存',
+            teaserClose: '关闭'
+        },
+        ko: {
+            title: 'AzenFlow 고객지원',
+            statuses: {
+                available: '온라인 · 상담원 연결 가능',
+                away: '온라인 · AI 상담 중',
+                closed: '영업시간 외 · AI 상담 중'
+            },
+            handoffButton: '상담원과 대화하기',
+            placeholder: '메시지를 입력하세요... (450자)',
+            resumePrompt: '이전 대화를 이어서 하시겠습니까?',
+            resumeContinue: '이어서 하기',
+            resumeNew: '새로 시작',
+            storagePrompt: '이 기기에 대화를 저장하여 다른 탭이나 다음 방문 시에도 이어서 대화하시겠습니까? ({days}일간 보관)',
+            storageAccept: '저장',
+            storageDecline: '저장 안 함',
+            teaserClose: '닫기'
+        },
+        fr: {
+            title: 'Support AzenFlow',
+            statuses: {
+                available: 'En ligne · Conseiller disponible',
+                away: 'En ligne · Assistant IA',
+                closed: 'Hors horaires · Assistant IA'
+            },
+            handoffButton: 'Parler à un conseiller',
+            placeholder: 'Votre message... (450 caractères)',
+            resumePrompt: 'Voulez-vous reprendre votre conversation précédente ?',
+            resumeContinue: 'Reprendre',
+            resumeNew: 'Recommencer',
+            storagePrompt: 'Enregistrer cette conversation sur cet appareil pour la retrouver dans d\'autres onglets ou lors de votre prochaine visite ? (conservée {days} jours)',
+            storageAccept: 'Enregistrer',
+            storageDecline: 'Ne pas enregistrer',
+            teaserClose: 'Fermer'
+        }
+    };
+
+    // =============================================
+    // HUMAN HANDOFF STRINGS
+    // =============================================
+
+    const handoffStrings = {
+        ja: {
+            offer: '担当者におつなぎしましょうか？',
+            offerYes: '担当者と話す',
+            offerNo: '結構です',
+            intro: {
+                available: '担当者におつなぎします。ご連絡先をご入力ください。会話の内容も担当者に共有されます。',
+                away: 'ただいま担当者が対応できません。ご連絡先をいただければ、担当者から折り返しご連絡します。',
+                closed: '現在営業時間外です（平日 9:00-18:00 JST）。ご連絡先をいただければ、翌営業日に担当者からご連絡します。'
+            },
+            name: 'お名前',
+            email: 'メールアドレス',
+            phone: '電話番号（任意）',
+            note: 'ご相談内容（任意）',
+            consent: '<a href="privacy-policy.html" target="_blank" rel="noopener noreferrer">プライバシーポリシー</a>に同意します',
+            submit: '送信する',
+            cancel: 'キャンセル',
+            invalid: 'お名前、正しいメールアドレス、プライバシーポリシーへの同意が必要です。',
+            sent: {
+                available: 'ありがとうございます。担当者に会話の内容をお送りしました。まもなくご連絡します。',
+                away: 'ありがとうございます。担当者に会話の内容をお送りしました。折り返しご連絡します。',
+                closed: 'ありがとうございます。担当者に会話の内容をお送りしました。翌営業日にご連絡します。'
+            },
+            cancelled: '承知しました。引き続きAIアシスタントがお答えします。',
+            rateLimit: '送信回数が多すぎます。しばらくしてから再度お試しください。',
+            error: '送信できませんでした。お手数ですが contact@azenflow.com までご連絡ください。'
+        },
+        en: {
+            offer: 'Would you like to talk to a person?',
+            offerYes: 'Talk to a person',
+            offerNo: 'No, thanks',
+            intro: {
+                available: 'Let me connect you with our team. Please leave your contact details; this conversation will be shared with them.',
+                away: 'Our team is not available right now. Leave your contact details and we will get back to you.',
+                closed: 'We are currently outside business hours (weekdays 9:00-18:00 JST). Leave your contact details and we will get back to you on the next business day.'
+            },
+            name: 'Name',
+            email: 'Email address',
+            phone: 'Phone (optional)',
+            note: 'How can we help? (optional)',
+            consent: 'I agree to the <a href="privacy-policy.html" target="_blank" rel="noopener noreferrer">privacy policy</a>',
+            submit: 'Send',
+            cancel: 'Cancel',
+            invalid: 'Please enter your name, a valid email address and accept the privacy policy.',
+            sent: {
+                available: 'Thank you! We have sent this conversation to our team. Someone will contact you shortly.',
+                away: 'Thank you! We have sent this conversation to our team and will get back to you.',
+                closed: 'Thank you! We have sent this conversation to our team and will contact you on the next business day.'
+            },
+            cancelled: 'No problem. The AI assistant is still here to help.',
+            rateLimit: 'Too many requests. Please try again a little later.',
+            error: 'We could not send your request. Please email us at contact@azenflow.com.'
+        },
+        zh: {
+            offer: '需要为您转接人工客服吗？',
+            offerYes: '联系人工客服',
+            offerNo: '不用了',
+            intro: {
+                available: '正在为您转接客服。请留下您的联系方式，本次对话内容将一并转给客服。',
+                away: '客服暂时无法接待。请留下您的联系方式，我们会尽快回复您。',
+                closed: '现在是非营业时间（工作日 9:00-18:00 日本时间）。请留下您的联系方式，我们将在下一个工作日联系您。'
+            },
+            name: '姓名',
+            email: '电子邮箱',
+            phone: '电话（选填）',
+            note: '咨询内容（选填）',
+            consent: '我同意<a href="privacy-policy.html" target="_blank" rel="noopener noreferrer">隐私政策</a>',
+            submit: '发送',
+            cancel: '取消',
+            invalid: '请填写姓名和有效的电子邮箱，并同意隐私政策。',
+            sent: {
+                available: '谢谢！对话内容已转给客服，我们会尽快与您联系。',
+                away: '谢谢！对话内容已转给客服，我们会回复您。',
+                closed: '谢谢！对话内容已转给客服，我们将在下一个工作日与您联系。'
+            },
+            cancelled: '好的，AI助手将继续为您解答。',
+            rateLimit: '提交次数过多，请稍后再试。',
+            error: '发送失败。请发送邮件至 contact@azenflow.com 联系我们。'
+        },
+        ko: {
+            offer: '상담원을 연결해 드릴까요?',
+            offerYes: '상담원과 대화하기',
+            offerNo: '괜찮습니다',
+            intro: {
+                available: '상담원에게 연결해 드리겠습니다. 연락처를 입력해 주세요. 대화 내용도 상담원에게 전달됩니다.',
+                away: '지금은 상담원이 응대할 수 없습니다. 연락처를 남겨 주시면 상담원이 연락드리겠습니다.',
+                closed: '현재 영업시간 외입니다(평일 9:00-18:00 일본 시간). 연락처를 남겨 주시면 다음 영업일에 연락드리겠습니다.'
+            },
+            name: '이름',
+            email: '이메일 주소',
+            phone: '전화번호(선택)',
+            note: '문의 내용(선택)',
+            consent: '<a href="privacy-policy.html" target="_blank" rel="noopener noreferrer">개인정보 처리방침</a>에 동의합니다',
+            submit: '보내기',
+            cancel: '취소',
+            invalid: '이름, 올바른 이메일 주소, 개인정보 처리방침 동의가 필요합니다.',
+            sent: {
+                available: '감사합니다! 대화 내용을 상담원에게 전달했습니다. 곧 연락드리겠습니다.',
+                away: '감사합니다! 대화 내용을 상담원에게 전달했습니다. 연락드리겠습니다.',
+                closed: '감사합니다! 대화 내용을 상담원에게 전달했습니다. 다음 영업일에 연락드리겠습니다.'
+            },
+            cancelled: '알겠습니다. AI 어시스턴트가 계속 도와드리겠습니다.',
+            rateLimit: '요청이 너무 많습니다. 잠시 후 다시 시도해 주세요.',
+            error: '전송하지 못했습니다. contact@azenflow.com 으로 연락해 주세요.'
+        },
+        fr: {
+            offer: 'Souhaitez-vous parler à un conseiller ?',
+            offerYes: 'Parler à un conseiller',
+            offerNo: 'Non merci',
+            intro: {
+                available: 'Je vous mets en relation avec notre équipe. Laissez-nous vos coordonnées ; cette conversation lui sera transmise.',
+                away: 'Notre équipe n\'est pas disponible pour le moment. Laissez-nous vos coordonnées et nous vous recontacterons.',
+                closed: 'Nous sommes actuellement fermés (du lundi au vendredi, 9h-18h heure du Japon). Laissez-nous vos coordonnées et nous vous recontacterons le jour ouvré suivant.'
+            },
+            name: 'Nom',
+            email: 'Adresse e-mail',
+            phone: 'Téléphone (facultatif)',
+            note: 'Votre demande (facultatif)',
+            consent: 'J\'accepte la <a href="privacy-policy.html" target="_blank" rel="noopener noreferrer">politique de confidentialité</a>',
+            submit: 'Envoyer',
+            cancel: 'Annuler',
+            invalid: 'Veuillez indiquer votre nom, une adresse e-mail valide et accepter la politique de confidentialité.',
+            sent: {
+                available: 'Merci ! Nous avons transmis cette conversation à notre équipe. Nous vous contactons très vite.',
+                away: 'Merci ! Nous avons transmis cette conversation à notre équipe et reviendrons vers vous.',
+                closed: 'Merci ! Nous avons transmis cette conversation à notre équipe et vous contacterons le jour ouvré suivant.'
+            },
+            cancelled: 'Entendu. L\'assistant IA reste à votre disposition.',
+            rateLimit: 'Trop de demandes. Veuillez réessayer un peu plus tard.',
+            error: 'Votre demande n\'a pas pu être envoyée. Écrivez-nous à contact@azenflow.com.'
+        }
+    };
+
+    // =============================================
+    // TRANSCRIPT STRINGS
+    // =============================================
+
+    const transcriptStrings = {
+        ja: {
+            menu: '会話を保存・送信',
+            txt: 'テキスト（.txt）',
+            md: 'Markdown（.md）',
+            pdf: 'PDF',
+            email: 'メールで送る',
+            title: 'AzenFlow チャット履歴',
+            user: 'あなた',
+            assistant: 'AzenFlow',
+            exportedAt: '出力日時',
+            empty: 'まだ保存できる会話がありません。',
+            emailPrompt: '会話の内容をお送りするメールアドレスを入力してください。',
+            emailPlaceholder: 'メールアドレス',
+            send: '送信する',
+            cancel: 'キャンセル',
+            invalid: '正しいメールアドレスを入力してください。',
+            sent: '{email} に会話の内容をお送りしました。',
+            rateLimit: '送信回数の上限に達しました。しばらくしてから再度お試しください。',
+            error: '送信できませんでした。ダウンロードをご利用ください。'
+        },
+        en: {
+            menu: 'Save or send chat',
+            txt: 'Text (.txt)',
+            md: 'Markdown (.md)',
+            pdf: 'PDF',
+            email: 'Email it to me',
+            title: 'AzenFlow chat transcript',
+            user: 'You',
+            assistant: 'AzenFlow',
+            exportedAt: 'Exported',
+            empty: 'There is no conversation to save yet.',
+            emailPrompt: 'Enter the email address to send this conversation to.',
+            emailPlaceholder: 'Email address',
+            send: 'Send',
+            cancel: 'Cancel',
+            invalid: 'Please enter a valid email address.',
+            sent: 'We sent this conversation to {email}.',
+            rateLimit: 'Sending limit reached. Please try again later.',
+            error: 'The email could not be sent. Please use a download instead.'
+        },
+        zh: {
+            menu: '保存或发送对话',
+            txt: '文本（.txt）',
+            md: 'Markdown（.md）',
+            pdf: 'PDF',
+            email: '发送到我的邮箱',
+            title: 'AzenFlow 聊天记录',
+            user: '您',
+            assistant: 'AzenFlow',
+            exportedAt: '导出时间',
+            empty: '目前还没有可保存的对话。',
+            emailPrompt: '请输入接收对话内容的邮箱地址。',
+            emailPlaceholder: '邮箱地址',
+            send: '发送',
+            cancel: '取消',
+            invalid: '请输入有效的邮箱地址。',
+            sent: '已将对话内容发送至 {email}。',
+            rateLimit: '已达到发送次数上限，请稍后再试。',
+            error: '发送失败。请改用下载。'
+        },
+        ko: {
+            menu: '대화 저장·보내기',
+            txt: '텍스트 (.txt)',
+            md: 'Markdown (.md)',
+            pdf: 'PDF',
+            email: '이메일로 받기',
+            title: 'AzenFlow 채팅 기록',
+            user: '나',
+            assistant: 'AzenFlow',
+            exportedAt: '내보낸 시각',
+            empty: '아직 저장할 대화가 없습니다.',
+            emailPrompt: '대화 내용을 받을 이메일 주소를 입력해 주세요.',
+            emailPlaceholder: '이메일 주소',
+            send: '보내기',
+            cancel: '취소',
+            invalid: '올바른 이메일 주소를 입력해 주세요.',
+            sent: '{email}(으)로 대화 내용을 보내드렸습니다.',
+            rateLimit: '전송 횟수 한도에 도달했습니다. 잠시 후 다시 시도해 주세요.',
+            error: '전송하지 못했습니다. 다운로드를 이용해 주세요.'
+        },
+        fr: {
+            menu: 'Enregistrer ou envoyer',
+            txt: 'Texte (.txt)',
+            md: 'Markdown (.md)',
+            pdf: 'PDF',
+            email: 'Me l\'envoyer par e-mail',
+            title: 'Conversation AzenFlow',
+            user: 'Vous',
+            assistant: 'AzenFlow',
+            exportedAt: 'Exportée le',
+            empty: 'Il n\'y a pas encore de conversation à enregistrer.',
+            emailPrompt: 'Saisissez l\'adresse e-mail à laquelle envoyer cette conversation.',
+            emailPlaceholder: 'Adresse e-mail',
+            send: 'Envoyer',
+            cancel: 'Annuler',
+            invalid: 'Veuillez saisir une adresse e-mail valide.',
+            sent: 'Nous avons envoyé cette conversation à {email}.',
+            rateLimit: 'Limite d\'envoi atteinte. Veuillez réessayer plus tard.',
+            error: 'L\'e-mail n\'a pas pu être envoyé. Utilisez plutôt un téléchargement.'
+        }
+    };
+
+    // =============================================
+    // FEEDBACK STRINGS
+    // =============================================
+
+    const feedbackStrings = {
+        ja: {
+            helpful: '役に立った',
+            notHelpful: '役に立たなかった',
+            commentPlaceholder: 'ご意見をお聞かせください（任意）',
+            commentSend: '送信',
+            thanks: 'ご評価ありがとうございます。',
+            error: '評価を送信できませんでした。'
+        },
+        en: {
+            helpful: 'Helpful',
+            notHelpful: 'Not helpful',
+            commentPlaceholder: 'Tell us more (optional)',
+            commentSend: 'Send',
+            thanks: 'Thanks for your feedback.',
+            error: 'Your rating could not be sent.'
+        },
+        zh: {
+            helpful: '有帮助',
+            notHelpful: '没有帮助',
+            commentPlaceholder: '请告诉我们您的意见（可选）',
+            commentSend: '发送',
+            thanks: '感谢您的反馈。',
+            error: '评价发送失败。'
+        },
+        ko: {
+            helpful: '도움이 됨',
+            notHelpful: '도움이 안 됨',
+            commentPlaceholder: '의견을 남겨 주세요 (선택)',
+            commentSend: '보내기',
+            thanks: '평가해 주셔서 감사합니다.',
+            error: '평가를 보내지 못했습니다.'
+        },
+        fr: {
+            helpful: 'Utile',
+            notHelpful: 'Pas utile',
+            commentPlaceholder: 'Dites-nous en plus (facultatif)',
+            commentSend: 'Envoyer',
+            thanks: 'Merci pour votre avis.',
+            error: 'Votre avis n\'a pas pu être envoyé.'
+        }
+    };
+
+    // =============================================
+    // ERROR MESSAGES (bilingual)
+    // =============================================
+
+    const errorMessages = {
+        network: {
+            ja: '接続エラーが発生しました。インターネット接続をご確認ください。',
+            en: 'Connection error occurred. Please check your internet connection.',
+            zh: '连接出错。请检查您的网络连接。',
+            ko: '연결 오류가 발생했습니다. 인터넷 연결을 확인해 주세요.',
+            fr: 'Erreur de connexion. Veuillez vérifier votre connexion Internet.'
+        },
+        timeout: {
+            ja: '応答に時間がかかっています。後でお試しください。',
+            en: 'Response is taking too long. Please try again later.',
+            zh: '响应时间过长。请稍后再试。',
+            ko: '응답에 시간이 걸리고 있습니다. 잠시 후 다시 시도해 주세요.',
+            fr: 'La réponse prend trop de temps. Veuillez réessayer plus tard.'
+        },
+        rateLimit: {
+            ja: 'しばらくお待ちください。リクエストが多すぎます。',
+            en: 'Please wait a moment. Too many requests.',
+            zh: '请稍候。请求过于频繁。',
+            ko: '잠시만 기다려 주세요. 요청이 너무 많습니다.',
+            fr: 'Veuillez patienter un instant. Trop de requêtes.'
+        },
+        serverError: {
+            ja: '申し訳ございません。サーバーエラーが発生しました。',
+            en: 'Sorry, a server error occurred.',
+            zh: '抱歉，服务器出现错误。',
+            ko: '죄송합니다. 서버 오류가 발생했습니다.',
+            fr: 'Désolé, une erreur serveur est survenue.'
+        },
+        invalidMessage: {
+            ja: 'メッセージが長すぎます（最大500文字）。',
+            en: 'Message is too long (max 500 characters).',
+            zh: '消息过长（最多500字）。',
+            ko: '메시지가 너무 깁니다(최대 500자).',
+            fr: 'Message trop long (500 caractères maximum).'
+        },
+        degraded: {
+            ja: '現在AIアシスタントが一時的にご利用いただけません。ご連絡先をお残しいただければ、担当者よりご返信いたします。',
+            en: 'Our AI assistant is temporarily unavailable. Leave your contact details and a team member will get back to you.',
+            zh: 'AI助手暂时无法使用。请留下您的联系方式，工作人员会尽快回复您。',
+            ko: 'AI 어시스턴트를 일시적으로 사용할 수 없습니다. 연락처를 남겨 주시면 담당자가 답변드리겠습니다.',
+            fr: 'Notre assistant IA est momentanément indisponible. Laissez vos coordonnées et un membre de l’équipe vous recontactera.'
+        },
+        default: {
+            ja: '申し訳ございません。後でお試しください。',
+            en: 'Sorry, please try again later.',
+            zh: '抱歉，请稍后再试。',
+            ko: '죄송합니다. 잠시 후 다시 시도해 주세요.',
+            fr: 'Désolé, veuillez réessayer plus tard.'
+        }
+    };
+
+    // Introduction of an FAQ answer given while the AI is unavailable
+    const faqFallbackIntro = {
+        ja: 'AIアシスタントが一時的にご利用いただけないため、よくあるご質問からお答えします。',
+        en: 'Our AI assistant is temporarily unavailable, so here is the answer from our FAQ.',
+        zh: 'AI助手暂时无法使用，以下是常见问题中的解答。',
+        ko: 'AI 어시스턴트를 일시적으로 사용할 수 없어 자주 묻는 질문에서 답변드립니다.',
+        fr: 'Notre assistant IA est momentanément indisponible, voici la réponse de notre FAQ.'
+    };
+
+    // Link to the page an FAQ answer comes from ({title}: page title)
+    const faqSourceLabel = {
+        ja: '出典：{title}',
+        en: 'Source: {title}',
+        zh: '来源：{title}',
+        ko: '출처: {title}',
+        fr: 'Source : {title}'
+    };
+
+    // =============================================
+    // API COMMUNICATION
+    // =============================================
+
+    /**
+     * Get a request token for the Netlify Functions (cached until it expires)
+     * @returns {Promise<string>}
+     */
+    function getRequestToken() {
+        if (requestToken && requestToken.expiresAt - CONFIG.TOKEN_REFRESH_MARGIN > Date.now()) {
+            return Promise.resolve(requestToken.token);
+        }
+
+        // Concurrent calls share one request
+        if (!requestTokenPromise) {
+            requestTokenPromise = fetch(CONFIG.TOKEN_ENDPOINT, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) {
+                        console.error(`[Chatbot] Request token failed: HTTP ${response.status}`);
+                        throw new Error('SERVER_ERROR');
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    requestToken = { token: data.token, expiresAt: data.expiresAt };
+                    return data.token;
+                })
+                .finally(() => {
+                    requestTokenPromise = null;
+                });
+        }
+
+        return requestTokenPromise;
+    }
+
+    /**
+     * POST JSON to a Netlify Function with the request token
+     * A rejected token (expired, or the secret changed) is renewed once.
+     * @param {string} url - Function endpoint
+     * @param {Object} options - fetch options (method, headers, body, signal)
+     * @param {boolean} retried - Whether the token was already renewed
+     * @returns {Promise<Response>}
+     */
+    async function postWithToken(url, options, retried = false) {
+        const token = await getRequestToken();
+        const response = await fetch(url, {
+            method: 'POST',
+            ...options,
+            headers: { ...options.headers, 'X-Request-Token': token }
+        });
+
+        if (response.status === 401 && !retried) {
+            requestToken = null;
+            return postWithToken(url, options, true);
+        }
+
+        return response;
+    }
+
+    /**
+     * Get conversation history in API format
+     */
+    function getHistoryForAPI() {
+        return messageHistory
+            .filter(msg => msg.text)
+            .slice(-CONFIG.MAX_HISTORY_LENGTH)
+            .map(msg => ({
+                role: msg.isUser ? 'user' : 'assistant',
+                content: msg.text
+            }));
+    }
+
+    /**
+     * Check if the browser can read a streamed response body
+     */
+    function canStream() {
+        return CONFIG.STREAMING &&
+               typeof ReadableStream !== 'undefined' &&
+               typeof TextDecoder !== 'undefined';
+    }
+
+    /**
+     * Parse one Server-Sent Event block ("event: ...\ndata: ...")
+     * @param {string} block - Raw event text without the blank-line separator
+     * @returns {Object|null} { event: string, data: Object }
+     */
+    function parseSseEvent(block) {
+        let event = 'message';
+        const dataLines = [];
+
+        block.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+
+        if (dataLines.length === 0) return null;
+
+        try {
+            return { event, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            console.warn('[Chatbot] Ignoring malformed stream event:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Read a streamed (SSE) response from the proxy
+     * @param {Response} response - Fetch response with an event-stream body
+     * @param {Function} onToken - Called with each text token
+     * @param {Function} onActivity - Called whenever data arrives
+     * @returns {Promise<Object>} Reply { text, messages, handoff }
+     */
+    async function readEventStream(response, onToken, onActivity) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            onActivity();
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let separatorIndex;
+            while ((separatorIndex = buffer.search(/\r?\n\r?\n/)) !== -1) {
+                const block = buffer.slice(0, separatorIndex);
+                buffer = buffer.slice(separatorIndex).replace(/^\r?\n\r?\n/, '');
+
+                const parsed = parseSseEvent(block);
+                if (!parsed) continue;
+
+                if (parsed.event === 'token' && typeof parsed.data.text === 'string') {
+                    fullText += parsed.data.text;
+                    onToken(parsed.data.text);
+                } else if (parsed.event === 'done') {
+                    const reply = toReply({ ...parsed.data, response: parsed.data.response || fullText });
+                    if (!reply) {
+                        throw new Error('INVALID_RESPONSE');
+                    }
+                    return reply;
+                } else if (parsed.event === 'error') {
+                    throw new Error('STREAM_ERROR');
+                }
+            }
+        }
+
+        if (!fullText) {
+            throw new Error('INVALID_RESPONSE');
+        }
+
+        return toReply({ response: fullText });
+    }
+
+    /**
+     * Build a reply from the proxy's JSON body or "done" event
+     * @param {Object} data - { response, messages?, handoff? }
+     * @returns {Object|null} { text, messages, handoff }, null if empty
+     */
+    function toReply(data) {
+        const text = typeof data.response === 'string' ? data.response : '';
+        const messages = Array.isArray(data.messages) ? data.messages : [];
+
+        if (!text && messages.length === 0) return null;
+
+        return { text, messages, handoff: data.handoff === true };
+    }
+
+    /**
+     * Call AI API via Netlify Function
+     * @param {string} message - User message
+     * @param {number} retryCount - Current retry attempt
+     * @param {Function} onToken - Optional, receives streamed text tokens
+     * @returns {Promise<Object>} Reply { text, messages, handoff }
+     */
+    async function callAI(message, retryCount = 0, onToken = null) {
+        // The proxy said n8n is down: don't wait for it again before retryAfter
+        if (Date.now() < degradedUntil) {
+            throw new Error('DEGRADED');
+        }
+
+        const controller = new AbortController();
+        let timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+
+        // While streaming, the timeout restarts whenever data arrives
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+        };
+
+        const useStreaming = Boolean(onToken) && canStream();
+
+        try {
+            const response = await postWithToken(CONFIG.API_ENDPOINT, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': useStreaming ? 'text/event-stream, application/json' : 'application/json'
+                },
+                body: JSON.stringify({
+                    message: message,
+                    language: getCurrentLanguage(),
+                    sessionId: getSessionId(),
+                    history: getHistoryForAPI()
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                clearTimeout(timeoutId);
+
+                const errorData = await response.json().catch(() => ({}));
+
+                // Handle specific error codes
+                if (response.status === 503 && errorData.error === 'degraded') {
+                    degradedUntil = Date.now() + (errorData.retryAfter || CONFIG.DEGRADED_RETRY_AFTER) * 1000;
+                    throw new Error('DEGRADED');
+                } else if (response.status === 429) {
+                    throw new Error('RATE_LIMIT');
+                } else if (response.status === 504) {
+                    throw new Error('TIMEOUT');
+                } else if (response.status >= 500) {
+                    throw new Error('SERVER_ERROR');
+                } else {
+                    throw new Error('API_ERROR');
+                }
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (useStreaming && response.body && contentType.includes('text/event-stream')) {
+                const reply = await readEventStream(response, onToken, resetTimeout);
+                clearTimeout(timeoutId);
+                return reply;
+            }
+
+            clearTimeout(timeoutId);
+
+            // Single JSON response (upstream did not stream)
+            const data = await response.json();
+
+            // Validate response format (text and/or typed messages)
+            const reply = toReply(data);
+            if (!reply) {
+                throw new Error('INVALID_RESPONSE');
+            }
+
+            return reply;
+
+        } catch (error) {
+            clearTimeout(timeoutId);
 
             console.error('[Chatbot] API error:', error);
 
-            // Handle timeout
-            if (error.name === 'AbortError') {
-                throw new Error('TIMEOUT');
-            }
+            // Handle timeout
+            if (error.name === 'AbortError') {
+                throw new Error('TIMEOUT');
+            }
+
+            // Handle network errors
+            if (error instanceof TypeError && error.message.includes('fetch')) {
+                throw new Error('NETWORK_ERROR');
+            }
+
+            // Retry logic for transient errors
+            if (retryCount < CONFIG.RETRY_ATTEMPTS &&
+                (error.message === 'SERVER_ERROR' || error.message === 'API_ERROR')) {
+                console.log(`[Chatbot] Retrying... (${retryCount + 1}/${CONFIG.RETRY_ATTEMPTS})`);
+                await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
+                return callAI(message, retryCount + 1, onToken);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Get error message based on error type
+     */
+    function getErrorMessage(error) {
+        const lang = getCurrentLanguage();
+
+        if (error.message === 'RATE_LIMIT') {
+            return errorMessages.rateLimit[lang];
+        } else if (error.message === 'TIMEOUT') {
+            return errorMessages.timeout[lang];
+        } else if (error.message === 'NETWORK_ERROR') {
+            return errorMessages.network[lang];
+        } else if (error.message === 'SERVER_ERROR') {
+            return errorMessages.serverError[lang];
+        } else if (error.message === 'DEGRADED') {
+            return errorMessages.degraded[lang];
+        } else {
+            return errorMessages.default[lang];
+        }
+    }
+
+    // =============================================
+    // FAQ FALLBACK (AI unavailable)
+    // =============================================
+
+    // Common English words that say nothing about the topic
+    const FAQ_STOP_WORDS = ['the', 'and', 'for', 'you', 'your', 'are', 'can', 'how', 'what', 'does',
+        'with', 'about', 'is', 'do', 'to', 'of', 'in', 'it', 'my', 'me', 'we', 'our', 'an', 'or', 'be',
+        'which', 'have', 'has', 'this', 'that', 'from', 'will', 'any', 'there', 'on', 'at', 'by', 'if'];
+
+    // Index format and BM25 parameters of netlify/lib/search-index.js
+    const FAQ_INDEX_VERSION = 1;
+    const FAQ_BM25 = { k1: 1.2, b: 0.75 };
+
+    /**
+     * Terms of a text for FAQ search (same as searchTerms in
+     * netlify/lib/search-index.js, which built the index)
+     * Latin words, character bigrams of kanji, katakana and hangul runs
+     * (hiragana is mostly particles and endings, so it is left out), and
+     * each kanji on its own.
+     * @param {string} text
+     * @returns {string[]} Terms, in order and with repeats
+     */
+    function faqTerms(text) {
+        const normalized = String(text || '').normalize('NFKC').toLowerCase();
+        const terms = (normalized.match(/[a-z0-9]+/g) || [])
+            .filter(word => word.length > 1 && !FAQ_STOP_WORDS.includes(word))
+            .map(word => (/[^su]s$/.test(word) && word.length > 3 ? word.slice(0, -1) : word));
+
+        (normalized.match(/[\u3400-\u9fff\u30a0-\u30ff\uac00-\ud7af]+/g) || []).forEach(run => {
+            if (run.length === 1) {
+                terms.push(run);
+            }
+            for (let i = 0; i < run.length - 1; i++) {
+                terms.push(run.slice(i, i + 2));
+            }
+        });
+
+        return terms.concat(normalized.match(/[\u3400-\u9fff]/g) || []);
+    }
+
+    /**
+     * Find the FAQ entry answering a question
+     * Entries are ranked by BM25 over their question and answer (BM25F, see
+     * netlify/lib/search-index.js); the best one must also contain
+     * FAQ_MIN_SCORE of the visitor's terms.
+     * @param {string} text - Visitor's question
+     * @param {Object} index - FAQ index ({ documentCount, documentFrequency, fields, documents })
+     * @returns {Object|null} Best entry ({ question, answer, url, title })
+     */
+    function matchFaq(text, index) {
+        const terms = Array.from(new Set(faqTerms(text)));
+        if (terms.length === 0 || !index || !index.fields || !Array.isArray(index.documents)) return null;
+
+        const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+        let best = null;
+        let bestScore = 0;
+        let bestCoverage = 0;
+
+        index.documents.forEach(entry => {
+            let score = 0;
+            let matched = 0;
+
+            terms.forEach(term => {
+                let frequency = 0;
+                Object.keys(index.fields).forEach(field => {
+                    const { boost, averageLength } = index.fields[field];
+                    const norm = 1 - FAQ_BM25.b + FAQ_BM25.b * entry.lengths[field] / (averageLength || 1);
+                    frequency += boost * (has(entry.terms[field], term) ? entry.terms[field][term] : 0) / norm;
+                });
+                if (!frequency) return;
+
+                const documentFrequency = has(index.documentFrequency, term) ? index.documentFrequency[term] : 0;
+                const idf = Math.log(1 + (index.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+                score += idf * frequency * (FAQ_BM25.k1 + 1) / (frequency + FAQ_BM25.k1);
+                matched++;
+            });
+
+            if (score > bestScore) {
+                best = entry;
+                bestScore = score;
+                bestCoverage = matched / terms.length;
+            }
+        });
+
+        return bestCoverage >= CONFIG.FAQ_MIN_SCORE ? best : null;
+    }
+
+    /**
+     * Load the FAQ index of the current language (once per page)
+     * @returns {Promise<Object|null>} null when the index cannot be loaded
+     */
+    function loadFaqIndex() {
+        const url = CONFIG.FAQ_INDEXES[getCurrentLanguage()] || CONFIG.FAQ_INDEXES.en;
+
+        if (!faqIndexes[url]) {
+            faqIndexes[url] = fetch(url, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(index => {
+                    if (!index || index.version !== FAQ_INDEX_VERSION || !Array.isArray(index.documents)) {
+                        throw new Error('Unsupported index');
+                    }
+                    return index;
+                })
+                .catch(error => {
+                    console.warn('[Chatbot] FAQ unavailable:', error.message);
+                    delete faqIndexes[url];
+                    return null;
+                });
+        }
+
+        return faqIndexes[url];
+    }
+
+    /**
+     * Answer from the FAQ when the AI is off or unavailable
+     * @param {string} text - Visitor's question
+     * @param {string} intro - Line shown before the answer (optional)
+     * @returns {Promise<Object|null>} { text, messages } (link to the source page), null without a good match
+     */
+    async function getFaqFallback(text, intro) {
+        const entry = matchFaq(text, await loadFaqIndex());
+        if (!entry) return null;
+
+        const lang = getCurrentLanguage();
+        const answer = `**${entry.question}**\n\n${entry.answer}`;
+        const messages = entry.url
+            ? [{ type: 'button', label: faqSourceLabel[lang].replace('{title}', entry.title || entry.url), url: entry.url }]
+            : [];
+
+        return { text: intro ? `${intro}\n\n${answer}` : answer, messages: messages };
+    }
+
+    // =============================================
+    // PROACTIVE TRIGGERS (teaser bubble)
+    // =============================================
+
+    /**
+     * Page name matched by the triggers' pages
+     * @param {string} pathname - e.g. /en/chatbot-comparison.html
+     * @returns {string} File name without .html, 'index' for a directory
+     */
+    function getPageName(pathname) {
+        const file = String(pathname || '').split('/').pop() || 'index';
+        return file.replace(/\.html?$/, '');
+    }
+
+    /**
+     * Proactive triggers of a page
+     * @param {string} pathname - Page path
+     * @returns {Array<Object>}
+     */
+    function getTeaserTriggers(pathname) {
+        const page = getPageName(pathname);
+        return PROACTIVE_TRIGGERS.filter(trigger => !trigger.pages || trigger.pages.includes(page));
+    }
+
+    /**
+     * Frequency capping: one teaser a day, the same trigger once a week and
+     * none for a while after the visitor closed one
+     * @param {Object} trigger - Proactive trigger
+     * @param {Object} record - Stored teaser history { shown, lastShownAt, dismissedAt }
+     * @param {number} now - Timestamp
+     * @returns {boolean}
+     */
+    function isTeaserAllowed(trigger, record, now = Date.now()) {
+        if (!record) return true;
+        if (record.dismissedAt && now - record.dismissedAt < PROACTIVE.DISMISS_PAUSE) return false;
+        if (record.lastShownAt && now - record.lastShownAt < PROACTIVE.MIN_INTERVAL) return false;
+
+        const shownAt = record.shown && record.shown[trigger.id];
+        return !shownAt || now - shownAt >= PROACTIVE.TRIGGER_INTERVAL;
+    }
+
+    /**
+     * Time left before a teaser may be shown (MIN_TIME_ON_PAGE)
+     * @param {number} timeOnPage - Milliseconds since the page started loading
+     * @returns {number} Milliseconds to wait, 0 if the teaser may be shown now
+     */
+    function getTeaserDelay(timeOnPage) {
+        return Math.max(0, PROACTIVE.MIN_TIME_ON_PAGE - timeOnPage);
+    }
+
+    /**
+     * Teasers need the same consent as stored conversations (the widget's
+     * storage prompt, or the cookie banner if the visitor was not asked), even
+     * when PERSISTENCE is disabled
+     */
+    function hasProactiveConsent() {
+        if (!PROACTIVE.ENABLED) return false;
+
+        const consent = getStorageConsent();
+        if (consent) return consent === 'granted';
+
+        return !!(window.CookieConsent && window.CookieConsent.hasAnalyticsConsent());
+    }
+
+    /**
+     * Stored teaser history
+     * @returns {Object} { shown, lastShownAt, dismissedAt }, {} if none
+     */
+    function readTeaserRecord() {
+        try {
+            return JSON.parse(localStorage.getItem(PROACTIVE.STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Update the stored teaser history
+     * @param {Object} changes - Fields to replace
+     */
+    function updateTeaserRecord(changes) {
+        try {
+            localStorage.setItem(PROACTIVE.STORAGE_KEY, JSON.stringify({ ...readTeaserRecord(), ...changes }));
+        } catch (error) {
+            console.warn('[Chatbot] Failed to store teaser history:', error);
+        }
+    }
+
+    /**
+     * Watch the triggers of the current page (with consent, once per page view)
+     */
+    function startProactiveTriggers() {
+        if (stopTriggers || teaserShown || !hasProactiveConsent()) return;
+
+        const record = readTeaserRecord();
+        const triggers = getTeaserTriggers(window.location.pathname)
+            .filter(trigger => isTeaserAllowed(trigger, record));
+        if (triggers.length === 0) return;
+
+        const cleanups = [];
+
+        triggers.forEach(trigger => {
+            if (trigger.type === 'time') {
+                const timer = setTimeout(() => showTeaser(trigger), trigger.delay);
+                cleanups.push(() => clearTimeout(timer));
+            } else if (trigger.type === 'scroll') {
+                const handleScroll = () => {
+                    const height = document.documentElement.scrollHeight;
+                    if ((window.scrollY + window.innerHeight) / height * 100 >= trigger.percent) {
+                        showTeaser(trigger);
+                    }
+                };
+                window.addEventListener('scroll', handleScroll, { passive: true });
+                cleanups.push(() => window.removeEventListener('scroll', handleScroll));
+            } else if (trigger.type === 'exit') {
+                // Touch screens have no pointer leaving the window
+                if (!window.matchMedia || !window.matchMedia('(pointer: fine)').matches) return;
+
+                const handleMouseOut = (e) => {
+                    if (!e.relatedTarget && e.clientY <= 0) showTeaser(trigger);
+                };
+                document.addEventListener('mouseout', handleMouseOut);
+                cleanups.push(() => document.removeEventListener('mouseout', handleMouseOut));
+            } else if (trigger.type === 'section') {
+                const elements = document.querySelectorAll(trigger.selector);
+                if (elements.length === 0 || !('IntersectionObserver' in window)) return;
+
+                const observer = new IntersectionObserver((entries) => {
+                    if (entries.some(entry => entry.isIntersecting)) showTeaser(trigger);
+                }, { threshold: 0.5 });
+                elements.forEach(element => observer.observe(element));
+                cleanups.push(() => observer.disconnect());
+            }
+        });
+
+        stopTriggers = () => cleanups.forEach(cleanup => cleanup());
+    }
+
+    /**
+     * Stop watching the triggers
+     * @param {boolean} forget - Also hide the teaser and delete its history (consent withdrawn)
+     */
+    function stopProactiveTriggers(forget = false) {
+        if (stopTriggers) {
+            stopTriggers();
+            stopTriggers = null;
+        }
+        if (pendingTeaser) {
+            clearTimeout(pendingTeaser);
+            pendingTeaser = null;
+        }
+
+        if (forget) {
+            hideTeaser();
+            try {
+                localStorage.removeItem(PROACTIVE.STORAGE_KEY);
+            } catch (error) {
+                // Storage unavailable
+            }
+        }
+    }
+
+    /**
+     * Show the teaser of a trigger, unless the visitor is already chatting
+     * A trigger firing before MIN_TIME_ON_PAGE is shown once that time has
+     * passed (the first one to fire keeps its place)
+     * @param {Object} trigger - Proactive trigger that fired
+     */
+    function showTeaser(trigger) {
+        const teaserElement = document.getElementById('chatbotTeaser');
+        const messageElement = document.getElementById('chatbotTeaserMessage');
+        if (!teaserElement || !messageElement || teaserShown || pendingTeaser) return;
+        if (isOpen || messageHistory.length > 0 || sessionStorage.getItem('chatbot_history')) return;
+
+        const delay = window.performance ? getTeaserDelay(performance.now()) : 0;
+        if (delay > 0) {
+            pendingTeaser = setTimeout(() => {
+                pendingTeaser = null;
+                showTeaser(trigger);
+            }, delay);
+            return;
+        }
+
+        // Consent may have changed, or another tab shown a teaser
+        const record = readTeaserRecord();
+        if (!hasProactiveConsent() || !isTeaserAllowed(trigger, record)) return;
+
+        teaserShown = true;
+        stopProactiveTriggers();
+
+        // Forget triggers that can be shown again
+        const now = Date.now();
+        const shown = { [trigger.id]: now };
+        Object.entries(record.shown || {}).forEach(([id, shownAt]) => {
+            if (id !== trigger.id && now - shownAt < PROACTIVE.TRIGGER_INTERVAL) shown[id] = shownAt;
+        });
+        updateTeaserRecord({ shown, lastShownAt: now });
+
+        messageElement.textContent = trigger.message[getCurrentLanguage()] || trigger.message[DEFAULT_LANGUAGE];
+        teaserElement.hidden = false;
+        teaser = { trigger, timer: setTimeout(hideTeaser, PROACTIVE.HIDE_AFTER) };
+    }
+
+    /**
+     * Hide the teaser
+     */
+    function hideTeaser() {
+        if (!teaser) return;
+
+        clearTimeout(teaser.timer);
+        teaser = null;
+
+        const teaserElement = document.getElementById('chatbotTeaser');
+        if (teaserElement) teaserElement.hidden = true;
+    }
+
+    /**
+     * Open the widget from the teaser, greeting with its message
+     */
+    function openFromTeaser() {
+        if (!teaser) return;
+
+        const message = teaser.trigger.message;
+        openingMessage = message[getCurrentLanguage()] || message[DEFAULT_LANGUAGE];
+        hideTeaser();
+
+        if (!isOpen) toggleChatbot();
+    }
+
+    /**
+     * The visitor closed the teaser: pause the teasers
+     */
+    function dismissTeaser() {
+        if (!teaser) return;
+
+        updateTeaserRecord({ dismissedAt: Date.now() });
+        hideTeaser();
+    }
+
+    /**
+     * Start the triggers and follow consent changes (once)
+     */
+    function setupProactiveTriggers() {
+        if (proactiveInitialized) return;
+        proactiveInitialized = true;
+
+        window.addEventListener('cookieConsentChanged', () => {
+            if (hasProactiveConsent()) {
+                startProactiveTriggers();
+            } else {
+                stopProactiveTriggers(true);
+            }
+        });
+
+        if (hasProactiveConsent()) {
+            startProactiveTriggers();
+        } else {
+            // Drop a teaser history kept without (or beyond) consent
+            stopProactiveTriggers(true);
+        }
+    }
+
+    // =============================================
+    // UI FUNCTIONS
+    // =============================================
+
+    /**
+     * Toggle chatbot window
+     */
+    function toggleChatbot() {
+        const toggle = document.getElementById('chatbotToggle');
+        const chatWindow = document.getElementById('chatbotWindow');
+
+        if (!toggle || !chatWindow) return;
+
+        isOpen = !isOpen;
+        toggle.classList.toggle('active');
+        chatWindow.classList.toggle('active');
+
+        // Détection mobile
+        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || window.innerWidth <= 768;
+
+        // 🎯 Bloquer le scroll de la page et scroller vers le haut sur mobile
+        if (isOpen) {
+            // No teaser once the visitor has opened the widget
+            hideTeaser();
+            stopProactiveTriggers();
+
+            if (isMobile) {
+                // Scroller la page vers le haut pour que le widget soit visible
+                window.scrollTo(0, 0);
+
+                // Bloquer le scroll du body
+                document.body.style.overflow = 'hidden';
+                document.body.style.position = 'fixed';
+                document.body.style.width = '100%';
+                document.body.style.top = '0';
+            }
+
+            const input = chatWindow.querySelector('input');
+            if (input) setTimeout(() => input.focus(), 300);
+
+            refreshOperatorStatus();
+
+            // Load conversation history
+            if (messageHistory.length === 0) {
+                const previousConversation = loadConversation();
+                if (messageHistory.length === 0) {
+                    initGreeting(previousConversation ? () => showResumePrompt(previousConversation) : null);
+                }
+            }
+            openingMessage = null;
+        } else {
+            // 🎯 Restaurer le scroll quand on ferme le chatbot
+            if (isMobile) {
+                document.body.style.overflow = '';
+                document.body.style.position = '';
+                document.body.style.width = '';
+                document.body.style.top = '';
+            }
+        }
+    }
+
+    /**
+     * Add message to UI
+     * @param {number|null} feedbackIndex - History index of an AI answer, shows rating buttons
+     */
+    function addMessageToUI(text, isUser = false, animate = true, type = 'normal', feedbackIndex = null) {
+        const messagesContainer = document.getElementById('chatbotMessages');
+        if (!messagesContainer) return;
+
+        const messageDiv = document.createElement('div');
+
+        // Add appropriate class based on message type
+        if (type === 'warning') {
+            messageDiv.className = 'message warning-message';
+        } else {
+            messageDiv.className = `message ${isUser ? 'user-message' : 'bot-message'}`;
+        }
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+
+        // Render Markdown in bot messages (but not warnings or user messages)
+        if (!isUser && type === 'normal') {
+            contentDiv.innerHTML = renderMarkdown(text);
+        } else {
+            contentDiv.textContent = text;
+        }
+
+        messageDiv.appendChild(contentDiv);
+
+        if (feedbackIndex !== null && !isUser && type === 'normal') {
+            messageDiv.appendChild(createFeedbackControls(feedbackIndex));
+        }
+
+        messagesContainer.appendChild(messageDiv);
+
+        // 🎯 Scroll adaptatif selon l'état du clavier
+        const chatbotWindow = document.getElementById('chatbotWindow');
+        const isKeyboardActive = chatbotWindow && chatbotWindow.classList.contains('keyboard-active');
+
+        if (isKeyboardActive) {
+            // Clavier ouvert : Scroll immédiat et forcé (hauteur fixe)
+            setTimeout(() => {
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+                // Re-forcer après un court délai (sécurité)
+                setTimeout(() => {
+                    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+                }, 100);
+            }, 50);
+        } else {
+            // Clavier fermé : Scroll smooth
+            setTimeout(() => {
+                messagesContainer.scrollTo({
+                    top: messagesContainer.scrollHeight,
+                    behavior: 'smooth'
+                });
+            }, 100);
+        }
+
+        // Animate message
+        if (animate) {
+            setTimeout(() => {
+                messageDiv.style.opacity = '0';
+                messageDiv.style.transform = 'translateY(10px)';
+                messageDiv.style.transition = 'all 0.3s ease';
+
+                setTimeout(() => {
+                    messageDiv.style.opacity = '1';
+                    messageDiv.style.transform = 'translateY(0)';
+                }, 10);
+            }, 10);
+        }
+    }
+
+    /**
+     * Add message to history and UI
+     * @param {Array} rich - Typed messages shown after the text (bot replies)
+     * @param {boolean} rateable - AI answer the visitor can rate
+     */
+    function addMessage(text, isUser = false, type = 'normal', rich = [], rateable = false) {
+        if (text) {
+            addMessageToUI(text, isUser, true, type, rateable ? messageHistory.length : null);
+        }
+        if (rich.length > 0) {
+            renderRichMessages(rich);
+        }
+
+        // Only add to history if it's a normal message (not warnings)
+        if (type === 'normal') {
+            recordMessage(text, isUser, rich, rateable);
+        }
+    }
+
+    /**
+     * Add message to history only (UI already rendered)
+     */
+    function recordMessage(text, isUser, rich = [], rateable = false) {
+        const entry = { text, isUser, timestamp: new Date() };
+        if (rich.length > 0) entry.rich = rich;
+        if (rateable) entry.rateable = true;
+
+        messageHistory.push(entry);
+        // Store in sessionStorage
+        storeConversation();
+    }
+
+    // =============================================
+    // RICH MESSAGES (quick replies, cards, buttons)
+    // =============================================
+
+    /**
+     * Resolve a URL from a reply, allowing http(s) only by default
+     * @param {string} url - Absolute or site-relative URL
+     * @param {Array<string>} protocols - Allowed protocols
+     * @returns {URL|null}
+     */
+    function getSafeUrl(url, protocols = ['http:', 'https:']) {
+        if (typeof url !== 'string' || !url) return null;
+
+        try {
+            const parsed = new URL(url, window.location.href);
+            return protocols.includes(parsed.protocol) ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Create a link or payload button
+     * @param {Object} button - { label, url } or { label, payload }
+     * @returns {HTMLElement|null}
+     */
+    function createRichButton(button) {
+        if (!button || typeof button.label !== 'string') return null;
+
+        if (button.url) {
+            const url = getSafeUrl(button.url);
+            if (!url) return null;
+
+            const link = document.createElement('a');
+            link.className = 'rich-button';
+            link.href = url.href;
+            link.textContent = button.label;
+
+            // Other sites open in a new tab
+            if (url.origin !== window.location.origin) {
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+            }
+            return link;
+        }
+
+        const payloadButton = document.createElement('button');
+        payloadButton.type = 'button';
+        payloadButton.className = 'rich-button';
+        payloadButton.textContent = button.label;
+        payloadButton.addEventListener('click', () => {
+            sendMessage(typeof button.payload === 'string' && button.payload ? button.payload : button.label);
+        });
+        return payloadButton;
+    }
+
+    /**
+     * Create a card (image, title, text, buttons)
+     * @param {Object} card - { title, text?, image_url?, image_alt?, buttons? }
+     * @returns {HTMLElement|null}
+     */
+    function createCard(card) {
+        if (!card || typeof card.title !== 'string') return null;
+
+        const cardDiv = document.createElement('div');
+        cardDiv.className = 'rich-card';
+
+        const imageUrl = getSafeUrl(card.image_url);
+        if (imageUrl) {
+            const image = document.createElement('img');
+            image.className = 'rich-card-image';
+            image.src = imageUrl.href;
+            image.alt = typeof card.image_alt === 'string' ? card.image_alt : card.title;
+            image.loading = 'lazy';
+            cardDiv.appendChild(image);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'rich-card-body';
+
+        const title = document.createElement('h5');
+        title.className = 'rich-card-title';
+        title.textContent = card.title;
+        body.appendChild(title);
+
+        if (typeof card.text === 'string' && card.text) {
+            const text = document.createElement('p');
+            text.className = 'rich-card-text';
+            text.textContent = card.text;
+            body.appendChild(text);
+        }
+
+        const buttons = (Array.isArray(card.buttons) ? card.buttons : [])
+            .map(createRichButton)
+            .filter(Boolean);
+        if (buttons.length > 0) {
+            const buttonsDiv = document.createElement('div');
+            buttonsDiv.className = 'rich-card-buttons';
+            buttons.forEach(button => buttonsDiv.appendChild(button));
+            body.appendChild(buttonsDiv);
+        }
+
+        cardDiv.appendChild(body);
+        return cardDiv;
+    }
+
+    /**
+     * Create a horizontally scrolling row of cards
+     * @param {Object} carousel - { cards: [card] }
+     * @returns {HTMLElement|null}
+     */
+    function createCarousel(carousel) {
+        const cards = (Array.isArray(carousel.cards) ? carousel.cards : [])
+            .map(createCard)
+            .filter(Boolean);
+        if (cards.length === 0) return null;
+
+        const carouselDiv = document.createElement('div');
+        carouselDiv.className = 'rich-carousel';
+        cards.forEach(card => carouselDiv.appendChild(card));
+        return carouselDiv;
+    }
+
+    /**
+     * Create quick-reply chips; a tapped chip sends its payload as the next message
+     * @param {Object} quickReplies - { items: [{ label, payload? }] }
+     * @returns {HTMLElement|null}
+     */
+    function createQuickReplies(quickReplies) {
+        const items = (Array.isArray(quickReplies.items) ? quickReplies.items : [])
+            .filter(item => item && typeof item.label === 'string' && item.label);
+        if (items.length === 0) return null;
+
+        const chipsDiv = document.createElement('div');
+        chipsDiv.className = 'quick-replies';
+
+        items.forEach(item => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'quick-reply-chip';
+            chip.textContent = item.label;
+            chip.addEventListener('click', () => {
+                if (isProcessing) return;
+                sendMessage(typeof item.payload === 'string' && item.payload ? item.payload : item.label);
+            });
+            chipsDiv.appendChild(chip);
+        });
+
+        return chipsDiv;
+    }
+
+    /**
+     * Remove quick replies once the conversation moves on
+     */
+    function removeQuickReplies() {
+        document.querySelectorAll('#chatbotMessages .quick-replies').forEach(chips => {
+            chips.closest('.rich-message').remove();
+        });
+    }
+
+    /**
+     * Render typed messages below a bot reply
+     * Text items are already shown in the reply bubble; everything is built
+     * with DOM APIs and textContent, never from HTML strings.
+     * @param {Array} messages - Typed messages from the proxy
+     * @param {boolean} interactive - Show quick replies
+     */
+    function renderRichMessages(messages, interactive = true) {
+        const messagesContainer = document.getElementById('chatbotMessages');
+        if (!messagesContainer || !Array.isArray(messages)) return;
+
+        messages.forEach(message => {
+            if (!message || typeof message !== 'object') return;
+
+            let element = null;
+            switch (message.type) {
+                case 'quick_replies':
+                    element = interactive ? createQuickReplies(message) : null;
+                    break;
+                case 'button':
+                    element = createRichButton(message);
+                    break;
+                case 'card':
+                    element = createCard(message);
+                    break;
+                case 'carousel':
+                    element = createCarousel(message);
+                    break;
+                default:
+                    break;
+            }
+
+            if (!element) return;
+
+            const messageDiv = document.createElement('div');
+            messageDiv.className = `message bot-message rich-message rich-message-${message.type.replace('_', '-')}`;
+            messageDiv.appendChild(element);
+            messagesContainer.appendChild(messageDiv);
+        });
+
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    /**
+     * Create a bot bubble that is filled progressively while streaming
+     * Tokens are drawn as plain text; links are rendered once complete.
+     * @returns {Object} { append(text), finalize(text, feedbackIndex), remove() }
+     */
+    function createStreamingMessage() {
+        const messagesContainer = document.getElementById('chatbotMessages');
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message bot-message streaming-message';
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+
+        messageDiv.appendChild(contentDiv);
+
+        let text = '';
+        let attached = false;
+
+        return {
+            append(token) {
+                if (!messagesContainer) return;
+
+                if (!attached) {
+                    removeTypingIndicator();
+                    messagesContainer.appendChild(messageDiv);
+                    attached = true;
+                }
+
+                text += token;
+                contentDiv.textContent = text;
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            },
+            finalize(finalText, feedbackIndex = null) {
+                if (!attached) return false;
+
+                messageDiv.classList.remove('streaming-message');
+                contentDiv.innerHTML = renderMarkdown(finalText);
+                if (feedbackIndex !== null) {
+                    messageDiv.appendChild(createFeedbackControls(feedbackIndex));
+                }
+                return true;
+            },
+            remove() {
+                messageDiv.remove();
+            }
+        };
+    }
+
+    /**
+     * Show a bot bubble with action buttons (not kept in the history)
+     * @param {string} text - Question shown to the visitor
+     * @param {Array} actions - [{ label, primary, onClick }]
+     */
+    function showPrompt(text, actions) {
+        const messagesContainer = document.getElementById('chatbotMessages');
+        if (!messagesContainer) return;
+
+        const promptDiv = document.createElement('div');
+        promptDiv.className = 'message bot-message chatbot-prompt';
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+
+        const textP = document.createElement('p');
+        textP.textContent = text;
+        contentDiv.appendChild(textP);
+
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'chatbot-prompt-actions';
+
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `chatbot-prompt-btn${action.primary ? ' primary' : ''}`;
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                promptDiv.remove();
+                action.onClick();
+            });
+            actionsDiv.appendChild(button);
+        });
+
+        contentDiv.appendChild(actionsDiv);
+        promptDiv.appendChild(contentDiv);
+        messagesContainer.appendChild(promptDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    /**
+     * Show typing indicator
+     */
+    function showTypingIndicator() {
+        const messagesContainer = document.getElementById('chatbotMessages');
+        if (!messagesContainer) return null;
+
+        const typingDiv = document.createElement('div');
+        typingDiv.className = 'message bot-message typing-indicator';
+        typingDiv.id = 'typing-indicator';
+        typingDiv.innerHTML = '<div class="message-content"><span></span><span></span><span></span></div>';
+        messagesContainer.appendChild(typingDiv);
+
+        // Scroll to bottom
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+        // Add typing animation CSS if not exists
+        ensureTypingStyles();
+
+        return typingDiv;
+    }
+
+    /**
+     * Remove typing indicator
+     */
+    function removeTypingIndicator() {
+        const typingDiv = document.getElementById('typing-indicator');
+        if (typingDiv) {
+            typingDiv.remove();
+        }
+    }
+
+    /**
+     * Ensure typing animation styles are loaded
+     */
+    function ensureTypingStyles() {
+        if (!document.getElementById('typing-style')) {
+            const style = document.createElement('style');
+            style.id = 'typing-style';
+            style.textContent = `
+                .typing-indicator .message-content {
+                    display: flex;
+                    gap: 4px;
+                    padding: 12px 16px;
+                }
+                .typing-indicator span {
+                    width: 8px;
+                    height: 8px;
+                    background: #9CA3AF;
+                    border-radius: 50%;
+                    animation: typing 1.4s infinite;
+                }
+                .typing-indicator span:nth-child(2) {
+                    animation-delay: 0.2s;
+                }
+                .typing-indicator span:nth-child(3) {
+                    animation-delay: 0.4s;
+                }
+                @keyframes typing {
+                    0%, 60%, 100% {
+                        transform: translateY(0);
+                        opacity: 0.7;
+                    }
+                    30% {
+                        transform: translateY(-10px);
+                        opacity: 1;
+                    }
+                }
+                .user-message {
+                    display: flex;
+                    justify-content: flex-end;
+                }
+                .user-message .message-content {
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                    color: white;
+                }
+                .chatbot-input input:disabled,
+                .send-button:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+
+    /**
+     * Apply UI strings for the current language to the widget chrome
+     */
+    function applyUIStrings() {
+        const lang = getCurrentLanguage();
+        const strings = uiStrings[lang];
 
-            // Handle network errors
-            if (error instanceof TypeError && error.message.includes('fetch')) {
-                throw new Error('NETWORK_ERROR');
-            }
+        const chatWindow = document.getElementById('chatbotWindow');
+        if (chatWindow) chatWindow.setAttribute('lang', lang);
 
-            // Retry logic for transient errors
-            if (retryCount < CONFIG.RETRY_ATTEMPTS &&
-                (error.message === 'SERVER_ERROR' || error.message === 'API_ERROR')) {
-                console.log(`[Chatbot] Retrying... (${retryCount + 1}/${CONFIG.RETRY_ATTEMPTS})`);
-                await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-                return callAI(message, retryCount + 1);
-            }
+        const title = document.querySelector('.chatbot-info h4');
+        if (title) title.textContent = strings.title;
 
-            throw error;
+        const status = document.querySelector('.chatbot-status');
+        if (status) {
+            status.textContent = strings.statuses[getOperatorStatus()];
+            status.dataset.status = getOperatorStatus();
         }
+
+        const handoffButton = document.getElementById('chatbotHandoffBtn');
+        if (handoffButton) handoffButton.textContent = strings.handoffButton;
+
+        const teaserClose = document.getElementById('chatbotTeaserClose');
+        if (teaserClose) teaserClose.setAttribute('aria-label', strings.teaserClose);
+
+        const exportStrings = transcriptStrings[lang];
+        const menuButton = document.getElementById('chatbotMenuBtn');
+        if (menuButton) menuButton.textContent = exportStrings.menu;
+        document.querySelectorAll('#chatbotMenu [data-export]').forEach(item => {
+            item.textContent = exportStrings[item.dataset.export];
+        });
+
+        const input = document.querySelector('.chatbot-input input');
+        if (input) input.placeholder = strings.placeholder;
+
+        const languageSelect = document.getElementById('chatbotLanguage');
+        if (languageSelect) languageSelect.value = lang;
     }
 
     /**
-     * Get error message based on error type
+     * Disable input while processing
      */
-    function getErrorMessage(error) {
-        const lang = getCurrentLanguage();
+    function setInputEnabled(enabled) {
+        const input = document.querySelector('.chatbot-input input');
+        const sendButton = document.querySelector('.send-button');
 
-        if (error.message === 'RATE_LIMIT') {
-            return errorMessages.rateLimit[lang];
-        } else if (error.message === 'TIMEOUT') {
-            return errorMessages.timeout[lang];
-        } else if (error.message === 'NETWORK_ERROR') {
-            return errorMessages.network[lang];
-        } else if (error.message === 'SERVER_ERROR') {
-            return errorMessages.serverError[lang];
-        } else {
-            return errorMessages.default[lang];
-        }
+        if (input) input.disabled = !enabled;
+        if (sendButton) sendButton.disabled = !enabled;
+
+        isProcessing = !enabled;
     }
 
     // =============================================
-    // UI FUNCTIONS
+    // MESSAGE HANDLING
     // =============================================
 
     /**
-     * Toggle chatbot window
+     * Handle user message
      */
-    function toggleChatbot() {
-        const toggle = document.getElementById('chatbotToggle');
-        const chatWindow = document.getElementById('chatbotWindow');
+    async function sendMessage(text) {
+        if (!text.trim() || isProcessing) return;
 
-        if (!toggle || !chatWindow) return;
+        // Validate message length
+        if (text.length > CONFIG.MAX_MESSAGE_LENGTH) {
+            const lang = getCurrentLanguage();
+            alert(errorMessages.invalidMessage[lang]);
+            return;
+        }
 
-        isOpen = !isOpen;
-        toggle.classList.toggle('active');
-        chatWindow.classList.toggle('active');
+        // Check rate limiting
+        const rateLimitCheck = checkRateLimit();
+        if (!rateLimitCheck.allowed) {
+            // Display warning message to user
+            addMessage(rateLimitCheck.reason, false, 'warning');
+            return;
+        }
 
-        // Détection mobile
+        // Quick replies of the previous reply no longer apply
+        removeQuickReplies();
+
+        // Add user message
+        addMessage(text, true);
+
+        // 🎯 Fermer le clavier sur mobile après envoi
+        const input = document.querySelector('.chatbot-input input');
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || window.innerWidth <= 768;
+        if (input && isMobile) {
+            input.blur(); // Ferme le clavier
+        }
 
-        // 🎯 Bloquer le scroll de la page et scroller vers le haut sur mobile
-        if (isOpen) {
-            if (isMobile) {
-                // Scroller la page vers le haut pour que le widget soit visible
-                window.scrollTo(0, 0);
+        // Disable input
+        setInputEnabled(false);
 
-                // Bloquer le scroll du body
-                document.body.style.overflow = 'hidden';
-                document.body.style.position = 'fixed';
-                document.body.style.width = '100%';
-                document.body.style.top = '0';
-            }
+        // Show typing indicator
+        const typingIndicator = showTypingIndicator();
 
-            const input = chatWindow.querySelector('input');
-            if (input) setTimeout(() => input.focus(), 300);
+        try {
+            let response;
+            let richMessages = [];
+            let suggestHandoff = false;
+            let showContactForm = false;
+            let fromAI = false;
+            let streamedMessage = null;
 
-            // Load conversation history
-            if (messageHistory.length === 0) {
-                loadConversation();
-                if (messageHistory.length === 0) {
-                    initGreeting();
+            if (CONFIG.USE_AI) {
+                // Try to get AI response (drawn live into the bubble when streamed)
+                streamedMessage = createStreamingMessage();
+                try {
+                    const reply = await callAI(text, 0, (token) => streamedMessage.append(token));
+                    response = reply.text;
+                    richMessages = reply.messages;
+                    suggestHandoff = reply.handoff;
+                    fromAI = true;
+                    console.log('[Chatbot] AI response received');
+                } catch (error) {
+                    console.error('[Chatbot] AI failed, using error message:', error);
+                    streamedMessage.remove();
+                    streamedMessage = null;
+
+                    // Answer from the FAQ (not while rate limited); n8n down and
+                    // nothing found: go straight to the contact form
+                    const faqReply = error.message !== 'RATE_LIMIT'
+                        ? await getFaqFallback(text, faqFallbackIntro[getCurrentLanguage()])
+                        : null;
+                    response = faqReply ? faqReply.text : getErrorMessage(error);
+                    richMessages = faqReply ? faqReply.messages : [];
+                    showContactForm = error.message === 'DEGRADED' && !faqReply;
+
+                    // The AI can't help: offer a person instead (not for rate limits)
+                    suggestHandoff = error.message !== 'RATE_LIMIT';
                 }
+            } else {
+                // AI off: answer from the FAQ, or present the services
+                const faqReply = await getFaqFallback(text);
+                response = faqReply ? faqReply.text : fallbackResponses[getCurrentLanguage()].services;
+                richMessages = faqReply ? faqReply.messages : [];
             }
-        } else {
-            // 🎯 Restaurer le scroll quand on ferme le chatbot
-            if (isMobile) {
-                document.body.style.overflow = '';
-                document.body.style.position = '';
-                document.body.style.width = '';
-                document.body.style.top = '';
+
+            // Remove typing indicator
+            removeTypingIndicator();
+
+            // Add bot response (streamed bubbles are already on screen)
+            // AI answers with text can be rated
+            const rateable = fromAI && Boolean(response);
+            if (streamedMessage && response && streamedMessage.finalize(response, messageHistory.length)) {
+                renderRichMessages(richMessages);
+                recordMessage(response, false, richMessages, rateable);
+            } else {
+                if (streamedMessage) streamedMessage.remove();
+                addMessage(response, false, 'normal', richMessages, rateable);
+            }
+
+            // The AI asked for a human operator
+            if (showContactForm) {
+                startHandoff();
+            } else if (suggestHandoff) {
+                offerHandoff();
+            }
+
+        } catch (error) {
+            console.error('[Chatbot] Unexpected error:', error);
+            removeTypingIndicator();
+
+            const lang = getCurrentLanguage();
+            addMessage(fallbackResponses[lang].error, false);
+        } finally {
+            // Re-enable input
+            setInputEnabled(true);
+
+            // Another tab changed the conversation while the reply was drawn
+            if (renderPending) {
+                renderPending = false;
+                renderConversation();
+            }
+
+            maybeAskStorageConsent();
+
+            // Focus input SEULEMENT sur desktop (pas sur mobile pour éviter de rouvrir le clavier)
+            const input = document.querySelector('.chatbot-input input');
+            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || window.innerWidth <= 768;
+            if (input && !isMobile) {
+                setTimeout(() => input.focus(), 100);
             }
         }
     }
 
+    // =============================================
+    // OPERATOR STATUS & HUMAN HANDOFF
+    // =============================================
+
     /**
-     * Add message to UI
+     * Operator status from business hours only (chatbot-status unreachable)
+     * @returns {string} 'available' or 'closed'
+     */
+    function getLocalOperatorStatus() {
+        const jst = new Date(Date.now() + BUSINESS_HOURS.TIMEZONE_OFFSET_HOURS * 60 * 60 * 1000);
+        const hour = jst.getUTCHours();
+        const open = BUSINESS_HOURS.DAYS.includes(jst.getUTCDay()) &&
+                     hour >= BUSINESS_HOURS.OPENING_HOUR && hour < BUSINESS_HOURS.CLOSING_HOUR;
+        return open ? 'available' : 'closed';
+    }
+
+    /**
+     * Get the current operator status
+     * @returns {string} 'available', 'away' or 'closed'
+     */
+    function getOperatorStatus() {
+        return operatorStatus || getLocalOperatorStatus();
+    }
+
+    /**
+     * Fetch operator availability (at most every STATUS_REFRESH_INTERVAL)
+     */
+    async function refreshOperatorStatus() {
+        if (Date.now() - statusFetchedAt < CONFIG.STATUS_REFRESH_INTERVAL) return;
+        statusFetchedAt = Date.now();
+
+        try {
+            const response = await fetch(CONFIG.STATUS_ENDPOINT, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (OPERATOR_STATUSES.includes(data.status)) {
+                operatorStatus = data.status;
+                applyUIStrings();
+            }
+        } catch (error) {
+            console.warn('[Chatbot] Operator status unavailable, using business hours:', error.message);
+            operatorStatus = null;
+        }
+    }
+
+    /**
+     * Check whether the handoff form is on screen
+     */
+    function isHandoffOpen() {
+        return Boolean(document.querySelector('#chatbotMessages .chatbot-handoff'));
+    }
+
+    /**
+     * Ask whether the visitor wants a person (AI signal or AI failure)
      */
-    function addMessageToUI(text, isUser = false, animate = true, type = 'normal') {
+    function offerHandoff() {
+        if (isHandoffOpen()) return;
+
+        const strings = handoffStrings[getCurrentLanguage()];
+
+        showPrompt(strings.offer, [
+            { label: strings.offerYes, primary: true, onClick: startHandoff },
+            { label: strings.offerNo, onClick: () => {} }
+        ]);
+    }
+
+    /**
+     * Start the handoff: explain what happens and collect contact details
+     */
+    function startHandoff() {
+        if (isHandoffOpen()) return;
+
+        const strings = handoffStrings[getCurrentLanguage()];
+        addMessage(strings.intro[getOperatorStatus()], false);
+        showHandoffForm();
+    }
+
+    /**
+     * Contact form shown inside the conversation
+     */
+    function showHandoffForm() {
         const messagesContainer = document.getElementById('chatbotMessages');
         if (!messagesContainer) return;
 
-        const messageDiv = document.createElement('div');
+        const strings = handoffStrings[getCurrentLanguage()];
 
-        // Add appropriate class based on message type
-        if (type === 'warning') {
-            messageDiv.className = 'message warning-message';
-        } else {
-            messageDiv.className = `message ${isUser ? 'user-message' : 'bot-message'}`;
-        }
+        const formDiv = document.createElement('div');
+        formDiv.className = 'message bot-message chatbot-handoff';
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'message-content';
+        const form = document.createElement('form');
+        form.className = 'message-content chatbot-handoff-form';
+        form.noValidate = true;
 
-        // Apply linkify to bot messages (but not warnings or user messages)
-        if (!isUser && type === 'normal') {
-            contentDiv.innerHTML = linkifyText(text);
-        } else {
-            contentDiv.textContent = text;
-        }
+        // Anti-bot challenge for contact-form-proxy, requested as the form appears
+        const protection = window.FormProtection ? window.FormProtection.create() : null;
 
-        messageDiv.appendChild(contentDiv);
-        messagesContainer.appendChild(messageDiv);
+        const fields = [
+            { name: 'name', type: 'text', label: strings.name, maxLength: 100, autocomplete: 'name' },
+            { name: 'email', type: 'email', label: strings.email, maxLength: 200, autocomplete: 'email' },
+            { name: 'phone', type: 'tel', label: strings.phone, maxLength: 50, autocomplete: 'tel' }
+        ];
 
-        // 🎯 Scroll adaptatif selon l'état du clavier
-        const chatbotWindow = document.getElementById('chatbotWindow');
-        const isKeyboardActive = chatbotWindow && chatbotWindow.classList.contains('keyboard-active');
+        fields.forEach(field => {
+            const input = document.createElement('input');
+            input.type = field.type;
+            input.name = field.name;
+            input.placeholder = field.label;
+            input.setAttribute('aria-label', field.label);
+            input.maxLength = field.maxLength;
+            input.autocomplete = field.autocomplete;
+            form.appendChild(input);
+        });
 
-        if (isKeyboardActive) {
-            // Clavier ouvert : Scroll immédiat et forcé (hauteur fixe)
-            setTimeout(() => {
-                messagesContainer.scrollTop = messagesContainer.scrollHeight;
-                // Re-forcer après un court délai (sécurité)
-                setTimeout(() => {
-                    messagesContainer.scrollTop = messagesContainer.scrollHeight;
-                }, 100);
-            }, 50);
-        } else {
-            // Clavier fermé : Scroll smooth
-            setTimeout(() => {
-                messagesContainer.scrollTo({
-                    top: messagesContainer.scrollHeight,
-                    behavior: 'smooth'
-                });
-            }, 100);
-        }
+        const note = document.createElement('textarea');
+        note.name = 'message';
+        note.rows = 2;
+        note.maxLength = 1000;
+        note.placeholder = strings.note;
+        note.setAttribute('aria-label', strings.note);
+        form.appendChild(note);
+
+        // Consent label holds a fixed link from handoffStrings (no visitor input)
+        const consentLabel = document.createElement('label');
+        consentLabel.className = 'chatbot-handoff-consent';
+        const consent = document.createElement('input');
+        consent.type = 'checkbox';
+        consent.name = 'consent';
+        const consentText = document.createElement('span');
+        consentText.innerHTML = strings.consent;
+        consentLabel.appendChild(consent);
+        consentLabel.appendChild(consentText);
+        form.appendChild(consentLabel);
+
+        const errorP = document.createElement('p');
+        errorP.className = 'chatbot-handoff-error';
+        errorP.setAttribute('role', 'alert');
+        form.appendChild(errorP);
+
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'chatbot-prompt-actions';
+
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'chatbot-prompt-btn primary';
+        submitButton.textContent = strings.submit;
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'chatbot-prompt-btn';
+        cancelButton.textContent = strings.cancel;
+        cancelButton.addEventListener('click', () => {
+            formDiv.remove();
+            addMessage(strings.cancelled, false);
+        });
+
+        actionsDiv.appendChild(submitButton);
+        actionsDiv.appendChild(cancelButton);
+        form.appendChild(actionsDiv);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const contact = {
+                name: form.elements.name.value.trim(),
+                email: form.elements.email.value.trim(),
+                phone: form.elements.phone.value.trim(),
+                message: note.value.trim()
+            };
+
+            if (!contact.name || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email) || !consent.checked) {
+                errorP.textContent = strings.invalid;
+                return;
+            }
+
+            errorP.textContent = '';
+            submitButton.disabled = true;
+            cancelButton.disabled = true;
+
+            const result = await submitHandoff(contact, protection);
+
+            formDiv.remove();
+
+            if (result === 'sent') {
+                addMessage(strings.sent[getOperatorStatus()], false);
+            } else {
+                addMessage(result === 'rate_limited' ? strings.rateLimit : strings.error, false, 'warning');
+            }
+        });
+
+        formDiv.appendChild(form);
+        messagesContainer.appendChild(formDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+        const firstInput = form.querySelector('input');
+        if (firstInput) setTimeout(() => firstInput.focus(), 100);
+    }
+
+    /**
+     * Send the contact details and transcript to the contact pipeline
+     * @param {Object} contact - { name, email, phone, message }
+     * @param {Object|null} protection - FormProtection instance (scripts/form-protection.js)
+     * @returns {Promise<string>} 'sent', 'rate_limited' or 'error'
+     */
+    async function submitHandoff(contact, protection = null) {
+        const transcript = messageHistory
+            .slice(-CONFIG.HANDOFF_TRANSCRIPT_LENGTH)
+            .map(msg => ({
+                role: msg.isUser ? 'user' : 'assistant',
+                content: msg.text
+            }));
+
+        try {
+            const botFields = protection ? await protection.getFields(null) : {};
+            const response = await postWithToken(CONFIG.HANDOFF_ENDPOINT, {
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...botFields,
+                    ...contact,
+                    consent: true,
+                    language: getCurrentLanguage(),
+                    source: 'chatbot-handoff',
+                    sessionId: getSessionId(),
+                    transcript: transcript
+                })
+            });
 
-        // Animate message
-        if (animate) {
-            setTimeout(() => {
-                messageDiv.style.opacity = '0';
-                messageDiv.style.transform = 'translateY(10px)';
-                messageDiv.style.transition = 'all 0.3s ease';
+            if (response.status === 429) return 'rate_limited';
+            if (!response.ok) {
+                console.error(`[Chatbot] Handoff failed: HTTP ${response.status}`);
+                return 'error';
+            }
 
-                setTimeout(() => {
-                    messageDiv.style.opacity = '1';
-                    messageDiv.style.transform = 'translateY(0)';
-                }, 10);
-            }, 10);
+            console.log('[Chatbot] Handoff request sent');
+            return 'sent';
+        } catch (error) {
+            console.error('[Chatbot] Handoff failed:', error);
+            return 'error';
         }
     }
 
+    // =============================================
+    // TRANSCRIPT EXPORT
+    // =============================================
+
     /**
-     * Add message to history and UI
+     * Open or close the transcript menu
+     * @param {boolean} open - Show the menu
      */
-    function addMessage(text, isUser = false, type = 'normal') {
-        addMessageToUI(text, isUser, true, type);
+    function setTranscriptMenuOpen(open) {
+        const menuButton = document.getElementById('chatbotMenuBtn');
+        const menu = document.getElementById('chatbotMenu');
+        if (!menuButton || !menu) return;
 
-        // Only add to history if it's a normal message (not warnings)
-        if (type === 'normal') {
-            messageHistory.push({ text, isUser, timestamp: new Date() });
-            // Store in sessionStorage
-            storeConversation();
+        menu.hidden = !open;
+        menuButton.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            const firstItem = menu.querySelector('[data-export]');
+            if (firstItem) firstItem.focus();
         }
     }
 
     /**
-     * Show typing indicator
+     * Close the transcript menu when clicking elsewhere
      */
-    function showTypingIndicator() {
-        const messagesContainer = document.getElementById('chatbotMessages');
-        if (!messagesContainer) return null;
+    function handleOutsideMenuClick(e) {
+        if (!e.target.closest || !e.target.closest('.chatbot-menu')) {
+            setTranscriptMenuOpen(false);
+        }
+    }
 
-        const typingDiv = document.createElement('div');
-        typingDiv.className = 'message bot-message typing-indicator';
-        typingDiv.id = 'typing-indicator';
-        typingDiv.innerHTML = '<div class="message-content"><span></span><span></span><span></span></div>';
-        messagesContainer.appendChild(typingDiv);
+    /**
+     * Plain text of the typed items of a reply (links and cards)
+     * @param {Array} items - Typed messages of a history entry
+     * @returns {Array<string>} Lines
+     */
+    function richToText(items) {
+        const lines = [];
+        const addButton = (button) => {
+            if (button.label) lines.push(button.url ? `${button.label}: ${button.url}` : button.label);
+        };
+        const addCard = (card) => {
+            if (card.title) lines.push(card.text ? `${card.title} - ${card.text}` : card.title);
+            (card.buttons || []).forEach(addButton);
+        };
 
-        // Scroll to bottom
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        (items || []).forEach(item => {
+            if (item.type === 'button') addButton(item);
+            if (item.type === 'card') addCard(item);
+            if (item.type === 'carousel') (item.cards || []).forEach(addCard);
+        });
 
-        // Add typing animation CSS if not exists
-        ensureTypingStyles();
+        return lines;
+    }
 
-        return typingDiv;
+    /**
+     * Messages of the conversation as they should appear in a transcript
+     * @returns {Array<Object>} [{ role, text, time }]
+     */
+    function getTranscriptMessages() {
+        const lang = getCurrentLanguage();
+
+        return messageHistory
+            .map(msg => {
+                const text = [msg.text || ''].concat(richToText(msg.rich)).filter(Boolean).join('\n');
+                const time = msg.timestamp ? new Date(msg.timestamp) : null;
+
+                return {
+                    role: msg.isUser ? 'user' : 'assistant',
+                    text: text,
+                    time: time && !isNaN(time) ? time.toLocaleString(lang) : ''
+                };
+            })
+            .filter(msg => msg.text);
     }
 
     /**
-     * Remove typing indicator
+     * Format the conversation as plain text or Markdown
+     * @param {string} format - 'txt' or 'md'
+     * @returns {string}
      */
-    function removeTypingIndicator() {
-        const typingDiv = document.getElementById('typing-indicator');
-        if (typingDiv) {
-            typingDiv.remove();
+    function formatTranscript(format) {
+        const strings = transcriptStrings[getCurrentLanguage()];
+        const exportedAt = `${strings.exportedAt}: ${new Date().toLocaleString(getCurrentLanguage())}`;
+
+        const blocks = getTranscriptMessages().map(msg => {
+            const speaker = msg.role === 'user' ? strings.user : strings.assistant;
+            const heading = msg.time ? `${speaker} (${msg.time})` : speaker;
+
+            return format === 'md'
+                ? `**${heading}**\n\n${msg.text}`
+                : `[${heading}]\n${msg.text}`;
+        });
+
+        const header = format === 'md'
+            ? `# ${strings.title}\n\n${exportedAt}`
+            : `${strings.title}\n${exportedAt}`;
+
+        return [header].concat(blocks).join(format === 'md' ? '\n\n---\n\n' : '\n\n') + '\n';
+    }
+
+    /**
+     * Download the conversation as a file
+     * @param {string} content - File content
+     * @param {string} extension - 'txt' or 'md'
+     */
+    function downloadFile(content, extension) {
+        const types = { txt: 'text/plain', md: 'text/markdown' };
+        const blob = new Blob([content], { type: `${types[extension]};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `azenflow-chat-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Print the conversation from a hidden frame
+     * The browser's "Save as PDF" produces the PDF: it handles Japanese
+     * text without shipping fonts with the widget.
+     */
+    function printTranscript() {
+        const lang = getCurrentLanguage();
+        const strings = transcriptStrings[lang];
+
+        const messagesHtml = getTranscriptMessages().map(msg => {
+            const speaker = msg.role === 'user' ? strings.user : strings.assistant;
+            const body = msg.role === 'user'
+                ? `<p>${escapeHtml(msg.text).replace(/\n/g, '<br>')}</p>`
+                : renderMarkdown(msg.text);
+
+            return `<section class="${msg.role}"><h2>${escapeHtml(speaker)} <span>${escapeHtml(msg.time)}</span></h2>${body}</section>`;
+        }).join('');
+
+        const html = `<!DOCTYPE html><html lang="${lang}"><head><meta charset="utf-8">` +
+            `<title>${escapeHtml(strings.title)}</title><style>` +
+            'body{font-family:"Noto Sans JP","Hiragino Sans","Yu Gothic",sans-serif;color:#1F2937;margin:2rem;font-size:11pt;line-height:1.6}' +
+            'h1{font-size:16pt;color:#8B6F47;margin:0}.meta{color:#6B7280;margin:0 0 1.5rem}' +
+            'section{border-top:1px solid #E5E7EB;padding:0.5rem 0;break-inside:avoid}' +
+            'h2{font-size:10pt;margin:0 0 0.25rem}h2 span{color:#6B7280;font-weight:normal}' +
+            'section.user h2{color:#8B6F47}p{margin:0 0 0.5rem}table{border-collapse:collapse}' +
+            'th,td{border:1px solid #E5E7EB;padding:0.2rem 0.5rem}a{color:#8B6F47}' +
+            '</style></head><body>' +
+            `<h1>${escapeHtml(strings.title)}</h1>` +
+            `<p class="meta">${escapeHtml(strings.exportedAt)}: ${escapeHtml(new Date().toLocaleString(lang))}</p>` +
+            `${messagesHtml}</body></html>`;
+
+        const frame = document.createElement('iframe');
+        frame.className = 'chatbot-print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden';
+        frame.onload = () => {
+            const printWindow = frame.contentWindow;
+            printWindow.addEventListener('afterprint', () => frame.remove());
+            printWindow.focus();
+            printWindow.print();
+        };
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+
+    /**
+     * Export the conversation
+     * @param {string} format - 'txt', 'md' or 'pdf'
+     * @returns {boolean} false when there is nothing to export
+     */
+    function exportTranscript(format) {
+        if (!messageHistory.some(msg => msg.isUser)) {
+            addMessage(transcriptStrings[getCurrentLanguage()].empty, false, 'warning');
+            return false;
         }
+
+        if (format === 'pdf') {
+            printTranscript();
+        } else {
+            downloadFile(formatTranscript(format === 'md' ? 'md' : 'txt'), format === 'md' ? 'md' : 'txt');
+        }
+
+        console.log(`[Chatbot] Transcript exported (${format})`);
+        return true;
     }
 
     /**
-     * Ensure typing animation styles are loaded
+     * Ask for the address to email the conversation to
      */
-    function ensureTypingStyles() {
-        if (!document.getElementById('typing-style')) {
-            const style = document.createElement('style');
-            style.id = 'typing-style';
-            style.textContent = `
-                .typing-indicator .message-content {
-                    display: flex;
-                    gap: 4px;
-                    padding: 12px 16px;
-                }
-                .typing-indicator span {
-                    width: 8px;
-                    height: 8px;
-                    background: #9CA3AF;
-                    border-radius: 50%;
-                    animation: typing 1.4s infinite;
-                }
-                .typing-indicator span:nth-child(2) {
-                    animation-delay: 0.2s;
-                }
-                .typing-indicator span:nth-child(3) {
-                    animation-delay: 0.4s;
-                }
-                @keyframes typing {
-                    0%, 60%, 100% {
-                        transform: translateY(0);
-                        opacity: 0.7;
-                    }
-                    30% {
-                        transform: translateY(-10px);
-                        opacity: 1;
-                    }
-                }
-                .user-message {
-                    display: flex;
-                    justify-content: flex-end;
-                }
-                .user-message .message-content {
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    color: white;
-                }
-                .chatbot-input input:disabled,
-                .send-button:disabled {
-                    opacity: 0.5;
-                    cursor: not-allowed;
-                }
-            `;
-            document.head.appendChild(style);
+    function showTranscriptEmailForm() {
+        const messagesContainer = document.getElementById('chatbotMessages');
+        if (!messagesContainer) return;
+
+        const strings = transcriptStrings[getCurrentLanguage()];
+
+        if (!messageHistory.some(msg => msg.isUser)) {
+            addMessage(strings.empty, false, 'warning');
+            return;
         }
+
+        // Only one form at a time
+        const existing = messagesContainer.querySelector('.chatbot-email');
+        if (existing) existing.remove();
+
+        const formDiv = document.createElement('div');
+        formDiv.className = 'message bot-message chatbot-email';
+
+        const form = document.createElement('form');
+        form.className = 'message-content chatbot-email-form';
+        form.noValidate = true;
+
+        const prompt = document.createElement('p');
+        prompt.textContent = strings.emailPrompt;
+        form.appendChild(prompt);
+
+        const input = document.createElement('input');
+        input.type = 'email';
+        input.name = 'email';
+        input.placeholder = strings.emailPlaceholder;
+        input.setAttribute('aria-label', strings.emailPlaceholder);
+        input.maxLength = 200;
+        input.autocomplete = 'email';
+        form.appendChild(input);
+
+        const errorP = document.createElement('p');
+        errorP.className = 'chatbot-email-error';
+        errorP.setAttribute('role', 'alert');
+        form.appendChild(errorP);
+
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'chatbot-prompt-actions';
+
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'chatbot-prompt-btn primary';
+        submitButton.textContent = strings.send;
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'chatbot-prompt-btn';
+        cancelButton.textContent = strings.cancel;
+        cancelButton.addEventListener('click', () => formDiv.remove());
+
+        actionsDiv.appendChild(submitButton);
+        actionsDiv.appendChild(cancelButton);
+        form.appendChild(actionsDiv);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const email = input.value.trim();
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                errorP.textContent = strings.invalid;
+                return;
+            }
+
+            errorP.textContent = '';
+            submitButton.disabled = true;
+            cancelButton.disabled = true;
+
+            const result = await emailTranscript(email);
+
+            if (result === 'sent') {
+                formDiv.remove();
+                addMessageToUI(strings.sent.replace('{email}', email), false, true, 'normal');
+            } else {
+                errorP.textContent = result === 'rate_limited' ? strings.rateLimit : strings.error;
+                submitButton.disabled = false;
+                cancelButton.disabled = false;
+            }
+        });
+
+        formDiv.appendChild(form);
+        messagesContainer.appendChild(formDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        input.focus();
     }
 
     /**
-     * Disable input while processing
+     * Send the conversation to the transcript function, which emails it
+     * @param {string} email - Recipient (the visitor)
+     * @returns {Promise<string>} 'sent', 'rate_limited' or 'error'
      */
-    function setInputEnabled(enabled) {
-        const input = document.querySelector('.chatbot-input input');
-        const sendButton = document.querySelector('.send-button');
+    async function emailTranscript(email) {
+        const transcript = getTranscriptMessages().map(msg => ({
+            role: msg.role,
+            content: msg.text
+        }));
 
-        if (input) input.disabled = !enabled;
-        if (sendButton) sendButton.disabled = !enabled;
+        try {
+            const response = await postWithToken(CONFIG.TRANSCRIPT_ENDPOINT, {
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: email,
+                    language: getCurrentLanguage(),
+                    sessionId: getSessionId(),
+                    transcript: transcript
+                })
+            });
 
-        isProcessing = !enabled;
+            if (response.status === 429) return 'rate_limited';
+            if (!response.ok) {
+                console.error(`[Chatbot] Transcript email failed: HTTP ${response.status}`);
+                return 'error';
+            }
+
+            console.log('[Chatbot] Transcript emailed');
+            return 'sent';
+        } catch (error) {
+            console.error('[Chatbot] Transcript email failed:', error);
+            return 'error';
+        }
     }
 
     // =============================================
-    // MESSAGE HANDLING
+    // ANSWER FEEDBACK
     // =============================================
 
     /**
-     * Handle user message
+     * Create the thumbs up/down buttons shown under an AI answer
+     * A rating is sent right away; a short comment form then lets the
+     * visitor add details (sent as an updated rating).
+     * @param {number} index - Index of the answer in messageHistory
+     * @returns {HTMLElement}
      */
-    async function sendMessage(text) {
-        if (!text.trim() || isProcessing) return;
+    function createFeedbackControls(index) {
+        const strings = feedbackStrings[getCurrentLanguage()] || feedbackStrings.ja;
+        const entry = messageHistory[index];
+
+        const feedbackDiv = document.createElement('div');
+        feedbackDiv.className = 'message-feedback';
+
+        const buttons = [
+            { rating: 'up', icon: '👍', label: strings.helpful },
+            { rating: 'down', icon: '👎', label: strings.notHelpful }
+        ].map(({ rating, icon, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'feedback-btn';
+            button.dataset.rating = rating;
+            button.textContent = icon;
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.setAttribute('aria-pressed', String(Boolean(entry && entry.feedback === rating)));
+            return button;
+        });
 
-        // Validate message length
-        if (text.length > CONFIG.MAX_MESSAGE_LENGTH) {
-            const lang = getCurrentLanguage();
-            alert(errorMessages.invalidMessage[lang]);
-            return;
-        }
+        const status = document.createElement('span');
+        status.className = 'feedback-status';
+        status.setAttribute('aria-live', 'polite');
 
-        // Check rate limiting
-        const rateLimitCheck = checkRateLimit();
-        if (!rateLimitCheck.allowed) {
-            // Display warning message to user
-            addMessage(rateLimitCheck.reason, false, 'warning');
-            return;
-        }
+        buttons.forEach(button => {
+            button.addEventListener('click', async () => {
+                const rating = button.dataset.rating;
+                buttons.forEach(other => other.setAttribute('aria-pressed', String(other === button)));
 
-        // Add user message
-        addMessage(text, true);
+                const sent = await submitFeedback(index, rating);
+                status.textContent = sent ? strings.thanks : strings.error;
 
-        // 🎯 Fermer le clavier sur mobile après envoi
-        const input = document.querySelector('.chatbot-input input');
-        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || window.innerWidth <= 768;
-        if (input && isMobile) {
-            input.blur(); // Ferme le clavier
-        }
+                if (sent && !feedbackDiv.querySelector('.feedback-comment')) {
+                    feedbackDiv.appendChild(createFeedbackCommentForm(index, strings, status));
+                }
+            });
+            feedbackDiv.appendChild(button);
+        });
 
-        // Disable input
-        setInputEnabled(false);
+        feedbackDiv.appendChild(status);
+        return feedbackDiv;
+    }
 
-        // Show typing indicator
-        const typingIndicator = showTypingIndicator();
+    /**
+     * Create the optional comment form of a rated answer
+     * @param {number} index - Index of the answer in messageHistory
+     * @param {Object} strings - feedbackStrings of the current language
+     * @param {HTMLElement} status - Status text next to the buttons
+     * @returns {HTMLElement}
+     */
+    function createFeedbackCommentForm(index, strings, status) {
+        const form = document.createElement('form');
+        form.className = 'feedback-comment';
 
-        try {
-            let response;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = CONFIG.FEEDBACK_COMMENT_LENGTH;
+        input.placeholder = strings.commentPlaceholder;
+        input.setAttribute('aria-label', strings.commentPlaceholder);
 
-            if (CONFIG.USE_AI) {
-                // Try to get AI response
-                try {
-                    response = await callAI(text);
-                    console.log('[Chatbot] AI response received');
-                } catch (error) {
-                    console.error('[Chatbot] AI failed, using error message:', error);
-                    response = getErrorMessage(error);
-                }
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.textContent = strings.commentSend;
+
+        form.appendChild(input);
+        form.appendChild(submit);
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+
+            const comment = input.value.trim();
+            if (!comment) return;
+
+            const entry = messageHistory[index];
+            submit.disabled = true;
+
+            const sent = await submitFeedback(index, entry && entry.feedback, comment);
+            status.textContent = sent ? strings.thanks : strings.error;
+
+            if (sent) {
+                form.remove();
             } else {
-                // Use fallback
-                const lang = getCurrentLanguage();
-                response = fallbackResponses[lang].services;
+                submit.disabled = false;
             }
+        });
 
-            // Remove typing indicator
-            removeTypingIndicator();
+        return form;
+    }
 
-            // Add bot response
-            addMessage(response, false);
+    /**
+     * Send a rating of an AI answer to the feedback function
+     * @param {number} index - Index of the answer in messageHistory
+     * @param {string} rating - 'up' or 'down'
+     * @param {string} comment - Optional comment
+     * @returns {Promise<boolean>} Whether the rating was recorded
+     */
+    async function submitFeedback(index, rating, comment = '') {
+        const entry = messageHistory[index];
+        if (!entry || !rating) return false;
 
-        } catch (error) {
-            console.error('[Chatbot] Unexpected error:', error);
-            removeTypingIndicator();
+        // Remember the rating so re-rendered answers keep it
+        entry.feedback = rating;
+        storeConversation();
 
-            const lang = getCurrentLanguage();
-            addMessage(fallbackResponses[lang].error, false);
-        } finally {
-            // Re-enable input
-            setInputEnabled(true);
+        // The question that led to this answer
+        const question = messageHistory.slice(0, index).reverse().find(msg => msg.isUser);
 
-            // Focus input SEULEMENT sur desktop (pas sur mobile pour éviter de rouvrir le clavier)
-            const input = document.querySelector('.chatbot-input input');
-            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || window.innerWidth <= 768;
-            if (input && !isMobile) {
-                setTimeout(() => input.focus(), 100);
+        try {
+            const response = await postWithToken(CONFIG.FEEDBACK_ENDPOINT, {
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sessionId: getSessionId(),
+                    messageIndex: index,
+                    rating: rating,
+                    comment: comment,
+                    language: getCurrentLanguage(),
+                    message: entry.text,
+                    question: question ? question.text : ''
+                })
+            });
+
+            if (!response.ok) {
+                console.error(`[Chatbot] Feedback failed: HTTP ${response.status}`);
+                return false;
             }
+
+            console.log('[Chatbot] Feedback sent');
+            return true;
+        } catch (error) {
+            console.error('[Chatbot] Feedback failed:', error);
+            return false;
         }
     }
 
@@ -938,6 +3919,52 @@
             }
         }
 
+        // Language toggle in the widget header
+        const languageSelect = document.getElementById('chatbotLanguage');
+        if (languageSelect) {
+            languageSelect.onchange = () => setLanguage(languageSelect.value);
+        }
+
+        // "Talk to a person" action
+        const handoffButton = document.getElementById('chatbotHandoffBtn');
+        if (handoffButton) {
+            handoffButton.onclick = () => startHandoff();
+        }
+
+        // Proactive teaser next to the toggle
+        const teaserMessage = document.getElementById('chatbotTeaserMessage');
+        if (teaserMessage) {
+            teaserMessage.onclick = () => openFromTeaser();
+        }
+        const teaserClose = document.getElementById('chatbotTeaserClose');
+        if (teaserClose) {
+            teaserClose.onclick = () => dismissTeaser();
+        }
+
+        // Transcript menu (download or email the conversation)
+        const menuButton = document.getElementById('chatbotMenuBtn');
+        const menu = document.getElementById('chatbotMenu');
+        if (menuButton && menu) {
+            menuButton.onclick = (e) => {
+                e.stopPropagation();
+                setTranscriptMenuOpen(menu.hidden);
+            };
+            menu.onclick = (e) => {
+                const item = e.target.closest('[data-export]');
+                if (!item) return;
+
+                setTranscriptMenuOpen(false);
+                if (item.dataset.export === 'email') {
+                    showTranscriptEmailForm();
+                } else {
+                    exportTranscript(item.dataset.export);
+                }
+            };
+
+            document.removeEventListener('click', handleOutsideMenuClick);
+            document.addEventListener('click', handleOutsideMenuClick);
+        }
+
         // Close on escape key
         const handleEscapeKey = (e) => {
             if (e.key === 'Escape' && isOpen) {
@@ -955,16 +3982,20 @@
 
     /**
      * Initialize greeting message
+     * @param {Function} onShown - Called after the greeting is displayed
      */
-    function initGreeting() {
+    function initGreeting(onShown = null) {
+        const opening = openingMessage;
+
         setTimeout(() => {
             const lang = getCurrentLanguage();
-            const greeting = fallbackResponses[lang].greeting;
+            const greeting = opening || fallbackResponses[lang].greeting;
 
             const messagesContainer = document.getElementById('chatbotMessages');
             if (messagesContainer && messageHistory.length === 0) {
                 messagesContainer.innerHTML = '';
                 addMessage(greeting, false);
+                if (onShown) onShown();
             }
         }, 500);
     }
@@ -975,8 +4006,12 @@
      */
     function init() {
         console.log('[Chatbot] Initializing...');
+        applyUIStrings();
         setupEventListeners();
         setupMobileKeyboardDetection();
+        setupConversationSync();
+        refreshOperatorStatus();
+        setupProactiveTriggers();
         // Don't init greeting here, wait for window to open
     }
 
@@ -997,6 +4032,7 @@
 
             if (toggle && window) {
                 console.log('✅ Chatbot: Éléments trouvés, réattachement des listeners');
+                applyUIStrings();
                 setupEventListeners();
                 setupMobileKeyboardDetection();
             } else {
@@ -1015,6 +4051,18 @@
         sendMessage: sendMessage,
         getHistory: () => messageHistory,
         clearHistory: clearHistory,
+        getLanguage: getCurrentLanguage,
+        setLanguage: setLanguage,
+        setStorageConsent: setStorageConsent,
+        startHandoff: startHandoff,
+        exportTranscript: exportTranscript,
+        emailTranscript: emailTranscript,
+        renderMarkdown: renderMarkdown,
+        matchFaq: matchFaq,
+        faqTerms: faqTerms,
+        getTeaserTriggers: getTeaserTriggers,
+        isTeaserAllowed: isTeaserAllowed,
+        getTeaserDelay: getTeaserDelay,
         setAIEnabled: (enabled) => { CONFIG.USE_AI = enabled; }
     };
 
@@ -6,6 +6,31 @@
 (function() {
     'use strict';
 
+    // Langues du site : le japonais est servi à la racine, les autres sous /<locale>/
+    // (pages et composants générés par i18n/build.js)
+    const SUPPORTED_LOCALES = ['ja', 'en'];
+    const DEFAULT_LOCALE = 'ja';
+
+    // Lien du sélecteur de langue, selon la langue de la page courante
+    const LANGUAGE_SWITCH = {
+        ja: { target: 'en', label: 'EN', title: 'English' },
+        en: { target: 'ja', label: 'JP', title: '日本語' }
+    };
+
+    // Langue de la page, d'après <html lang>
+    function getPageLocale() {
+        const lang = (document.documentElement.lang || '').toLowerCase().split('-')[0];
+        return SUPPORTED_LOCALES.includes(lang) ? lang : DEFAULT_LOCALE;
+    }
+
+    // Chemin d'un composant pour la langue de la page
+    function getComponentPath(name, locale = getPageLocale()) {
+        if (locale === DEFAULT_LOCALE) {
+            return `components/${name}.html`;
+        }
+        return `../components/${locale}/${name}.html`;
+    }
+
     // Fonction pour charger un composant HTML
     async function loadComponent(elementId, componentPath) {
         try {
@@ -60,31 +85,65 @@
         }, 100);
     }
 
+    // Fonction pour pointer le sélecteur de langue vers la même page dans l'autre langue
+    // Le sélecteur reste masqué si la page n'a pas d'alternate hreflang pour cette langue
+    // (i18n/build.js ne publie que les pages dont la traduction est suffisante)
+    function setLanguageSwitch() {
+        const link = document.getElementById('langSwitcher');
+        if (!link) return;
+
+        const locale = getPageLocale();
+        const config = LANGUAGE_SWITCH[locale];
+        if (!document.querySelector(`link[rel="alternate"][hreflang="${config.target}"]`)) {
+            link.hidden = true;
+            return;
+        }
+        const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+        const page = currentPage.endsWith('.html') ? currentPage : `${currentPage}.html`;
+
+        // ja: /page.html -> en/page.html ; en: /en/page.html -> ../page.html
+        link.href = config.target === DEFAULT_LOCALE
+            ? `../${page}${window.location.hash}`
+            : `${config.target}/${page}${window.location.hash}`;
+        link.hreflang = config.target;
+        link.lang = config.target;
+        link.title = config.title;
+
+        const code = link.querySelector('.lang-code');
+        if (code) {
+            code.textContent = config.label;
+        }
+        link.hidden = false;
+    }
+
     // Initialiser le chargement des composants
     async function initComponents() {
         // Charger le header
-        const headerLoaded = await loadComponent('header-placeholder', 'components/header.html');
+        const headerLoaded = await loadComponent('header-placeholder', getComponentPath('header'));
 
         // Charger le footer
-        const footerLoaded = await loadComponent('footer-placeholder', 'components/footer.html');
+        const footerLoaded = await loadComponent('footer-placeholder', getComponentPath('footer'));
 
         // Charger la bulle flottante CTA
-        const floatingCtaLoaded = await loadComponent('floating-cta-placeholder', 'components/floating-cta.html');
+        const floatingCtaLoaded = await loadComponent('floating-cta-placeholder', getComponentPath('floating-cta'));
 
         // Charger le bouton back-to-top
-        const backToTopLoaded = await loadComponent('back-to-top-placeholder', 'components/back-to-top.html');
+        const backToTopLoaded = await loadComponent('back-to-top-placeholder', getComponentPath('back-to-top'));
 
         // Charger le chatbot widget
-        const chatbotLoaded = await loadComponent('chatbot-widget-placeholder', 'components/chatbot-widget.html');
+        const chatbotLoaded = await loadComponent('chatbot-widget-placeholder', getComponentPath('chatbot-widget'));
 
         // Charger la bannière de cookies
-        const cookieBannerLoaded = await loadComponent('cookie-banner-placeholder', 'components/cookie-banner.html');
+        const cookieBannerLoaded = await loadComponent('cookie-banner-placeholder', getComponentPath('cookie-banner'));
 
         // Si tous sont chargés, initialiser les fonctionnalités
         if (headerLoaded && footerLoaded && floatingCtaLoaded && backToTopLoaded && chatbotLoaded && cookieBannerLoaded) {
             // Définir le lien actif
             setActiveNavLink();
 
+            // Lien vers l'autre langue
+            setLanguageSwitch();
+
             // Réinitialiser les event listeners (ils seront ajoutés par main.js)
             // Dispatch un événement personnalisé pour signaler que les composants sont chargés
             document.dispatchEvent(new CustomEvent('componentsLoaded'));
@@ -103,6 +162,8 @@
     // Export pour utilisation externe si nécessaire
     window.ComponentLoader = {
         loadComponent,
+        getPageLocale,
+        getComponentPath,
         reload: initComponents
     };
 })();
\ No newline at end of file
@@ -11,12 +11,17 @@
     const CONFIG = {
         SLIDER_THRESHOLD: 95, // Pourcentage pour considérer le slider complété
         MIN_MESSAGE_LENGTH: 10,
-        MAX_MESSAGE_LENGTH: 1000
+        MAX_MESSAGE_LENGTH: 1000,
+        ENDPOINT: '/.netlify/functions/contact-form-proxy',
+        TOKEN_ENDPOINT: '/.netlify/functions/request-token'
     };
 
     // ==================== STATE ====================
 
     let sliderVerified = false;
+    let sliderSolving = false; // Preuve de travail en cours (voir form-protection.js)
+    let protection = null;
+    let pendingSubmission = null; // { key, fingerprint } de la dernière soumission non confirmée
     let isDragging = false;
     let startX = 0;
     let currentX = 0;
@@ -34,8 +39,40 @@
 
     // ==================== UTILITY FUNCTIONS ====================
 
+    // Jeton de requête (courte durée), exigé par contact-form-proxy
+    async function getRequestToken() {
+        const response = await fetch(CONFIG.TOKEN_ENDPOINT, {
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`Request token unavailable (HTTP ${response.status})`);
+        }
+        const data = await response.json();
+        return data.token;
+    }
+
+    // Clé d'idempotence : la même soumission renvoyée (erreur réseau, timeout) garde
+    // sa clé, contact-form-proxy renvoie alors la première réponse sans second lead
+    function getIdempotencyKey(submission) {
+        const fingerprint = JSON.stringify(submission);
+        if (!pendingSubmission || pendingSubmission.fingerprint !== fingerprint) {
+            pendingSubmission = { key: createIdempotencyKey(), fingerprint };
+        }
+        return pendingSubmission.key;
+    }
+
+    function createIdempotencyKey() {
+        if (typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
     function getCurrentLanguage() {
-        return 'ja';
+        // Langue de la page (<html lang>), les pages /en/ sont générées par i18n/build.js
+        const lang = (document.documentElement.lang || '').toLowerCase().split('-')[0];
+        return lang === 'en' ? 'en' : 'ja';
     }
 
     function showError(inputElement, errorMessage) {
@@ -300,14 +337,15 @@
             return newPosition;
         }
 
-        // Fonction de complétion
+        // Fonction de complétion : le slider n'est validé qu'une fois la
+        // preuve de travail obtenue (vérifiée par contact-form-proxy)
         function completeSlider() {
-            if (sliderVerified) return;
+            if (sliderVerified || sliderSolving) return;
 
-            sliderVerified = true;
+            sliderSolving = true;
             isDraggingLocal = false;
 
-            console.log('✅ Slider verified!');
+            console.log('✅ Slider completed, solving challenge...');
 
             // Verrouiller à 100%
             const trackRect = sliderTrack.getBoundingClientRect();
@@ -319,8 +357,14 @@
             sliderThumb.classList.add('verified');
             sliderThumb.style.cursor = 'default';
 
-            // Afficher succès
-            setTimeout(() => {
+            const solved = protection ? protection.solve() : Promise.reject(new Error('Form protection not loaded'));
+            const animation = new Promise(resolve => setTimeout(resolve, 300));
+
+            Promise.all([solved, animation]).then(() => {
+                sliderVerified = true;
+                console.log('✅ Slider verified!');
+
+                // Afficher succès
                 sliderTrack.style.display = 'none';
                 if (sliderText) sliderText.style.display = 'none';
                 if (verificationSuccess) {
@@ -330,13 +374,22 @@
 
                 // Activer le bouton
                 checkFormValidity();
-            }, 300);
+            }).catch(() => {
+                // Pas de preuve : remettre le slider à zéro
+                sliderThumb.style.left = '0px';
+                sliderProgress.style.width = '0%';
+                sliderThumb.classList.remove('verified');
+                sliderThumb.style.cursor = '';
+                showNotification('network-error');
+            }).finally(() => {
+                sliderSolving = false;
+            });
         }
 
         // --- EVENT HANDLERS ---
 
         function handleStart(e) {
-            if (sliderVerified) return;
+            if (sliderVerified || sliderSolving) return;
 
             console.log('🟢 DRAG START:', e.type);
 
@@ -355,7 +408,7 @@
         }
 
         function handleMove(e) {
-            if (!isDraggingLocal || sliderVerified) return;
+            if (!isDraggingLocal || sliderVerified || sliderSolving) return;
 
             console.log('🟡 DRAGGING');
 
@@ -380,7 +433,7 @@
             document.body.style.userSelect = '';
 
             // Si pas complété, revenir à 0
-            if (!sliderVerified) {
+            if (!sliderVerified && !sliderSolving) {
                 sliderThumb.style.transition = 'all 0.3s ease';
                 sliderProgress.style.transition = 'all 0.3s ease';
 
@@ -515,6 +568,10 @@
             'validation-error': {
                 ja: '⚠️ 入力内容に誤りがあります。フォームを確認してください。',
                 en: '⚠️ Validation error. Please check the form fields.'
+            },
+            'verification-error': {
+                ja: '⚠️ セキュリティ確認に失敗しました。もう一度スライダーを動かしてください。',
+                en: '⚠️ Security check failed. Please complete the slider again.'
             }
         };
 
@@ -566,7 +623,8 @@
             'rate-limit': '⏱️',
             'timeout': '⏳',
             'network-error': '🌐',
-            'validation-error': '⚠️'
+            'validation-error': '⚠️',
+            'verification-error': '⚠️'
         };
         return icons[type] || '❌';
     }
@@ -614,6 +672,13 @@
 
         console.log('✅ [Contact Form] Form found');
 
+        // Challenge anti-bot demandé dès l'affichage (durée minimale de saisie)
+        if (window.FormProtection) {
+            protection = window.FormProtection.create();
+        } else {
+            console.error('❌ Form protection not loaded');
+        }
+
         // Masquer le slider par défaut
         if (securityVerification) {
             securityVerification.style.display = 'none';
@@ -682,27 +747,42 @@
 
             // Envoyer
             try {
-                const response = await fetch('/.netlify/functions/contact-form-proxy', {
+                const token = await getRequestToken();
+                const botFields = protection ? await protection.getFields(form) : {};
+                const submission = {
+                    name: capturedData.name.trim(),
+                    email: capturedData.email.trim().toLowerCase(),
+                    company: capturedData.company.trim(),
+                    phone: capturedData.phone.trim(),
+                    service: capturedData.service,
+                    message: capturedData.message.trim(),
+                    consent: capturedData.consent,
+                    language: getCurrentLanguage(),
+                    source: 'website-contact-form'
+                };
+                const response = await fetch(CONFIG.ENDPOINT, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Request-Token': token,
+                        'Idempotency-Key': getIdempotencyKey(submission)
+                    },
                     body: JSON.stringify({
-                        name: capturedData.name.trim(),
-                        email: capturedData.email.trim().toLowerCase(),
-                        company: capturedData.company.trim(),
-                        phone: capturedData.phone.trim(),
-                        service: capturedData.service,
-                        message: capturedData.message.trim(),
-                        consent: capturedData.consent,
-                        language: getCurrentLanguage(),
+                        ...submission,
                         timestamp: new Date().toISOString(),
-                        source: 'website-contact-form'
+                        ...botFields
                     })
                 });
 
                 const result = await response.json();
 
+                // Un challenge ne sert qu'une fois
+                if (protection) protection.reset();
+
                 if (response.ok && result.success) {
-                    console.log('✅✅✅ SUCCESS - Data sent to n8n!');
+                    // Reçu (transmis à n8n ou en file d'attente côté serveur)
+                    console.log(result.queued ? '✅ Received - queued for delivery' : '✅✅✅ SUCCESS - Data sent to n8n!');
+                    pendingSubmission = null;
                     showNotification('success');
                     form.reset();
                     sliderVerified = false;
@@ -711,6 +791,10 @@
                     const progress = document.getElementById('sliderProgress');
                     if (thumb) thumb.style.left = '0px';
                     if (progress) progress.style.width = '0%';
+                } else if (result.error === 'Verification failed') {
+                    console.warn('❌ Bot check failed:', result.reason);
+                    resetForm();
+                    showNotification('verification-error', result);
                 } else {
                     console.error('❌ Error:', result);
                     showNotification('error', result);
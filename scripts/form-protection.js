@@ -0,0 +1,153 @@
+/**
+ * Form Protection - proof of work for the forms sent to contact-form-proxy
+ * AzenFlow - used by the contact form, the brochure form and the chatbot handoff
+ *
+ * The server (netlify/lib/bot-protection.js) only accepts a submission with
+ * a solved challenge from form-challenge, issued a few seconds before, and
+ * an empty honeypot field. Captcha tokens from Turnstile or hCaptcha widgets
+ * in the form are sent along when present.
+ *
+ * Usage:
+ *   const protection = FormProtection.create();   // when the form is shown
+ *   await protection.solve();                      // e.g. when the slider completes
+ *   const fields = await protection.getFields(form);
+ *   // { botCheck: { challenge, solution, captchaToken }, website }
+ *   protection.reset();                            // after a submission
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        CHALLENGE_ENDPOINT: '/.netlify/functions/form-challenge',
+        BATCH_SIZE: 256, // Hashes computed in parallel
+        HONEYPOT_FIELD: 'website',
+        CAPTCHA_FIELDS: ['cf-turnstile-response', 'h-captcha-response']
+    };
+
+    /**
+     * Fetch a challenge
+     * @returns {Promise<Object>} { challenge, difficulty, expiresAt }
+     */
+    async function fetchChallenge() {
+        const response = await fetch(CONFIG.CHALLENGE_ENDPOINT, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Challenge unavailable (HTTP ${response.status})`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Count the leading zero bits of a digest
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     */
+    function leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            bits += Math.clz32(byte) - 24;
+            break;
+        }
+        return bits;
+    }
+
+    /**
+     * Find the smallest n such that SHA-256(`${challenge}.${n}`) starts
+     * with `difficulty` zero bits
+     * @param {string} challenge
+     * @param {number} difficulty
+     * @returns {Promise<number>}
+     */
+    async function findSolution(challenge, difficulty) {
+        const encoder = new TextEncoder();
+
+        for (let start = 0; ; start += CONFIG.BATCH_SIZE) {
+            const candidates = Array.from({ length: CONFIG.BATCH_SIZE }, (_, i) => start + i);
+            const digests = await Promise.all(candidates.map(n =>
+                crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}.${n}`))
+            ));
+
+            const index = digests.findIndex(digest => leadingZeroBits(new Uint8Array(digest)) >= difficulty);
+            if (index !== -1) {
+                return candidates[index];
+            }
+        }
+    }
+
+    /**
+     * Create the protection for one form
+     * The challenge is requested right away: its issue time starts the
+     * minimum time to submit checked by the server.
+     * @returns {Object} { solve, getFields, reset }
+     */
+    function create() {
+        let challengePromise = null;
+        let solutionPromise = null;
+
+        function reset() {
+            challengePromise = fetchChallenge();
+            solutionPromise = null;
+            // Errors surface in solve()
+            challengePromise.catch(() => {});
+        }
+
+        /**
+         * Solve the current challenge (once)
+         * @returns {Promise<Object>} { challenge, solution }
+         */
+        function solve() {
+            if (!solutionPromise) {
+                solutionPromise = challengePromise
+                    .then(async ({ challenge, difficulty }) => ({
+                        challenge,
+                        solution: await findSolution(challenge, difficulty)
+                    }))
+                    .catch(error => {
+                        // Try a fresh challenge next time
+                        console.error('[Form Protection] Proof of work failed:', error);
+                        reset();
+                        throw error;
+                    });
+            }
+            return solutionPromise;
+        }
+
+        /**
+         * Fields to add to the submitted JSON
+         * @param {HTMLFormElement} form - Form with the honeypot and captcha fields
+         * @returns {Promise<Object>} { botCheck, website }
+         */
+        async function getFields(form) {
+            const { challenge, solution } = await solve();
+            const field = (name) => {
+                const input = form && form.querySelector(`[name="${name}"]`);
+                return input ? input.value : '';
+            };
+
+            return {
+                botCheck: {
+                    challenge,
+                    solution,
+                    captchaToken: CONFIG.CAPTCHA_FIELDS.map(field).find(Boolean) || ''
+                },
+                website: field(CONFIG.HONEYPOT_FIELD)
+            };
+        }
+
+        reset();
+
+        return { solve, getFields, reset };
+    }
+
+    // Public API
+    window.FormProtection = { create };
+})();
@@ -0,0 +1,491 @@
+/**
+ * Search Build - site content for the chatbot
+ *
+ * FAQ index, for the widget's offline answers when the AI is off or
+ * unavailable. The questions and answers of every page (the visible
+ * .faq-item accordions and the FAQPage JSON-LD) go into one BM25 index per
+ * locale (netlify/lib/search-index.js), next to the published pages:
+ * - dist/faq-index.json           Japanese pages (read from the site root)
+ * - dist/<locale>/faq-index.json  pages rendered by i18n/build.js (run it first)
+ *
+ * A question found on several pages is kept once, from the first page
+ * (faq.html, then the others in alphabetical order); its JSON-LD answer is
+ * preferred to the accordion text. Each entry links to its page, and to
+ * the page's FAQ section when it has an id.
+ *
+ * Site passages, for the context chatbot-proxy gives the AI
+ * (netlify/lib/site-context.js): the text of every page in every locale,
+ * cut at its h1-h3 headings into passages of at most 600 characters, and
+ * the sections of llms.txt, written to search/site-passages.json (bundled
+ * with the function). Navigation, header, footer and forms are left out;
+ * a passage already seen (e.g. an untranslated one) is kept once.
+ *
+ * Usage:
+ *   node search/build.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OUTPUT_DIR, tokenize, getAttribute, normalizeText } = require('../i18n/build');
+const { buildSearchIndex } = require('../netlify/lib/search-index');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT_DIR, 'i18n', 'locales');
+
+const CONFIG = {
+    DEFAULT_LOCALE: 'ja',
+    INDEX_FILE: 'faq-index.json',
+    PASSAGES_FILE: path.join(__dirname, 'site-passages.json'),
+    LLMS_FILE: 'llms.txt',
+    FIRST_PAGE: 'faq.html',
+    MAX_PASSAGE_LENGTH: 600,
+    MIN_PASSAGE_LENGTH: 20,
+    // A match in the question counts three times as much as in the answer
+    FIELDS: { question: 3, answer: 1 }
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Elements whose end starts a new line in an answer
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'li', 'ul', 'ol', 'h3', 'h4', 'h5']);
+
+// Elements whose text is not site content (and decorative icons, e.g. "+" of the accordions)
+const SKIPPED_ELEMENTS = new Set(['nav', 'header', 'footer', 'form', 'noscript', 'svg', 'template', 'select']);
+const SKIPPED_CLASS = /(^|\s|-)icon(\s|$)/;
+
+// Headings that start a passage
+const PASSAGE_HEADINGS = new Set(['h1', 'h2', 'h3']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+// =============================================
+// EXTRACTION
+// =============================================
+
+/**
+ * Decode HTML character references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[name.toLowerCase()] || match;
+    });
+}
+
+/**
+ * Collapse whitespace within lines and drop empty lines
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanText(text) {
+    return text.split('\n').map(normalizeText).filter(Boolean).join('\n');
+}
+
+/**
+ * Read the .faq-item accordions of a page
+ * The question is the .question-text span (faq.html) or the heading of the
+ * item (service pages); the answer is the .faq-answer or .faq-answer-wrapper.
+ * @param {string} html - Page source
+ * @returns {Array<object>} [{ question, answer, section }] (section: id of the enclosing <section>)
+ */
+function extractFaqItems(html) {
+    const items = [];
+    const stack = [];
+    let item = null;
+
+    const partOf = () => {
+        const inside = stack.slice(item.depth);
+        if (inside.some(element => element.classes.includes('faq-answer') || element.classes.includes('faq-answer-wrapper'))) {
+            return 'answer';
+        }
+        if (inside.some(element => element.classes.includes('question-text') || /^h[2-6]$/.test(element.tagName))) {
+            return 'question';
+        }
+        return null;
+    };
+
+    for (const token of tokenize(html)) {
+        if (token.type === 'text') {
+            const part = item && partOf();
+            if (part) item[part] += decodeEntities(token.value);
+            continue;
+        }
+        if (token.type !== 'tag' || !token.tagName) continue;
+
+        if (token.closing) {
+            const index = stack.map(element => element.tagName).lastIndexOf(token.tagName);
+            if (index === -1) continue;
+
+            if (item && BLOCK_ELEMENTS.has(token.tagName) && partOf() === 'answer') {
+                item.answer += '\n';
+            }
+            stack.length = index;
+
+            if (item && stack.length < item.depth) {
+                const question = normalizeText(item.question);
+                const answer = cleanText(item.answer);
+                if (question && answer) items.push({ question, answer, section: item.section });
+                item = null;
+            }
+            continue;
+        }
+
+        if (token.tagName === 'br') {
+            if (item && partOf() === 'answer') item.answer += '\n';
+            continue;
+        }
+        if (VOID_ELEMENTS.has(token.tagName) || token.value.endsWith('/>')) continue;
+
+        const element = {
+            tagName: token.tagName,
+            classes: (getAttribute(token.value, 'class') || '').split(/\s+/),
+            id: getAttribute(token.value, 'id')
+        };
+        stack.push(element);
+
+        if (!item && element.classes.includes('faq-item')) {
+            const section = stack.slice().reverse().find(open => open.tagName === 'section' && open.id);
+            item = { depth: stack.length, question: '', answer: '', section: section ? section.id : null };
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Read the FAQPage JSON-LD of a page
+ * @param {string} html - Page source
+ * @returns {Array<object>} [{ question, answer }]
+ */
+function extractJsonLdFaq(html) {
+    const entries = [];
+
+    for (const token of tokenize(html)) {
+        if (token.type !== 'raw' || !/application\/ld\+json/i.test(token.openTag)) continue;
+
+        let data;
+        try {
+            data = JSON.parse(token.value);
+        } catch (error) {
+            continue;
+        }
+
+        const nodes = [].concat(data).flatMap(node => (node && Array.isArray(node['@graph']) ? node['@graph'] : [node]));
+        for (const node of nodes) {
+            if (!node || node['@type'] !== 'FAQPage' || !Array.isArray(node.mainEntity)) continue;
+
+            for (const entry of node.mainEntity) {
+                const answer = entry && entry.acceptedAnswer && entry.acceptedAnswer.text;
+                if (typeof entry.name === 'string' && typeof answer === 'string') {
+                    entries.push({
+                        question: normalizeText(entry.name),
+                        answer: cleanText(decodeEntities(answer.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')))
+                    });
+                }
+            }
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Short title of a page (the <title> before its first separator)
+ * @param {string} html - Page source
+ * @returns {string}
+ */
+function pageTitle(html) {
+    const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return match ? normalizeText(decodeEntities(match[1]).split(/[｜|]/)[0]) : '';
+}
+
+/**
+ * Questions and answers of a page
+ * @param {string} html - Page source
+ * @param {string} url - Site-relative URL of the page
+ * @returns {Array<object>} [{ question, answer, url, title }]
+ */
+function collectPageFaq(html, url) {
+    const title = pageTitle(html);
+    const structured = new Map(extractJsonLdFaq(html).map(entry => [entry.question, entry.answer]));
+    const entries = [];
+    const seen = new Set();
+
+    for (const item of extractFaqItems(html)) {
+        if (seen.has(item.question)) continue;
+        seen.add(item.question);
+        entries.push({
+            question: item.question,
+            answer: structured.get(item.question) || item.answer,
+            url: item.section ? `${url}#${item.section}` : url,
+            title
+        });
+    }
+
+    // Questions only given to search engines
+    for (const [question, answer] of structured) {
+        if (seen.has(question)) continue;
+        seen.add(question);
+        entries.push({ question, answer, url, title });
+    }
+
+    return entries;
+}
+
+/**
+ * Cut a text into pieces of at most maxLength characters, at line ends
+ * (or anywhere for a longer line)
+ * @param {string} text - Cleaned text
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function splitText(text, maxLength) {
+    const pieces = [];
+    let current = '';
+
+    for (const line of text.split('\n')) {
+        for (let start = 0; start < line.length; start += maxLength) {
+            const part = line.slice(start, start + maxLength);
+            if (current && current.length + 1 + part.length > maxLength) {
+                pieces.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${part}` : part;
+        }
+    }
+
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+/**
+ * Passages of a page: its text, cut at each h1-h3 heading
+ * @param {string} html - Page source
+ * @param {string} url - Site-relative URL of the page
+ * @returns {Array<object>} [{ title, heading, text, url }] (url: with the enclosing section's id)
+ */
+function extractPassages(html, url) {
+    const title = pageTitle(html);
+    const passages = [];
+    const stack = [];
+    let current = { heading: '', text: '', section: null };
+    let inHeading = false;
+
+    const flush = () => {
+        const heading = normalizeText(current.heading);
+        for (const text of splitText(cleanText(current.text), CONFIG.MAX_PASSAGE_LENGTH)) {
+            if (text.length < CONFIG.MIN_PASSAGE_LENGTH) continue;
+            passages.push({ title, heading, text, url: current.section ? `${url}#${current.section}` : url });
+        }
+    };
+    const skipped = () => stack.some(element => SKIPPED_ELEMENTS.has(element.tagName) || SKIPPED_CLASS.test(element.className));
+
+    for (const token of tokenize(html.replace(/^[\s\S]*?<body[^>]*>/i, ''))) {
+        if (token.type === 'text') {
+            if (!skipped()) current[inHeading ? 'heading' : 'text'] += decodeEntities(token.value);
+            continue;
+        }
+        if (token.type !== 'tag' || !token.tagName) continue;
+
+        if (token.closing) {
+            const index = stack.map(element => element.tagName).lastIndexOf(token.tagName);
+            if (index === -1) continue;
+
+            stack.length = index;
+            if (PASSAGE_HEADINGS.has(token.tagName)) {
+                inHeading = false;
+            } else if (BLOCK_ELEMENTS.has(token.tagName) && !inHeading) {
+                current.text += '\n';
+            }
+            continue;
+        }
+
+        if (token.tagName === 'br') {
+            current[inHeading ? 'heading' : 'text'] += inHeading ? ' ' : '\n';
+            continue;
+        }
+        if (VOID_ELEMENTS.has(token.tagName) || token.value.endsWith('/>')) continue;
+
+        stack.push({ tagName: token.tagName, id: getAttribute(token.value, 'id'), className: getAttribute(token.value, 'class') || '' });
+
+        if (PASSAGE_HEADINGS.has(token.tagName) && !skipped()) {
+            flush();
+            const section = stack.slice().reverse().find(open => open.tagName === 'section' && open.id);
+            current = { heading: '', text: '', section: section ? section.id : null };
+            inHeading = true;
+        }
+    }
+
+    flush();
+    return passages;
+}
+
+/**
+ * Passages of llms.txt (Markdown): one per heading, cut like page passages
+ * @param {string} text - File content
+ * @param {string} url - URL of the file
+ * @returns {Array<object>} [{ title, heading, text, url }]
+ */
+function parseLlmsTxt(text, url) {
+    const passages = [];
+    let title = '';
+    let heading = '';
+    let lines = [];
+
+    const flush = () => {
+        for (const piece of splitText(cleanText(lines.join('\n')), CONFIG.MAX_PASSAGE_LENGTH)) {
+            if (piece.length < CONFIG.MIN_PASSAGE_LENGTH) continue;
+            passages.push({ title: title || CONFIG.LLMS_FILE, heading, text: piece, url });
+        }
+        lines = [];
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^(#{1,3})\s+(.*)$/);
+        if (!match) {
+            lines.push(line.replace(/^>\s?/, ''));
+            continue;
+        }
+
+        flush();
+        if (match[1] === '#' && !title) {
+            title = normalizeText(match[2]);
+            heading = '';
+        } else {
+            heading = normalizeText(match[2]);
+        }
+    }
+
+    flush();
+    return passages;
+}
+
+// =============================================
+// BUILD
+// =============================================
+
+/**
+ * List the pages of a locale directory, faq.html first
+ * @param {string} dir - Locale directory
+ * @returns {string[]}
+ */
+function listPages(dir) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.html'))
+        .sort((a, b) => (a === CONFIG.FIRST_PAGE ? -1 : b === CONFIG.FIRST_PAGE ? 1 : a.localeCompare(b)));
+}
+
+/**
+ * Build the FAQ index of a locale directory
+ * @param {string} dir - Directory holding the locale's pages
+ * @param {string} urlPrefix - URL of the directory ('/' or '/en/')
+ * @returns {object} Index (documents: { question, answer, url, title })
+ */
+function buildFaqIndex(dir, urlPrefix) {
+    const documents = [];
+    const seen = new Set();
+
+    for (const page of listPages(dir)) {
+        const html = fs.readFileSync(path.join(dir, page), 'utf8');
+        for (const entry of collectPageFaq(html, urlPrefix + (page === 'index.html' ? '' : page))) {
+            const key = entry.question.normalize('NFKC');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            documents.push(entry);
+        }
+    }
+
+    return buildSearchIndex(documents, CONFIG.FIELDS);
+}
+
+/**
+ * Collect the passages of a locale directory's pages
+ * @param {string} dir - Directory holding the locale's pages
+ * @param {string} urlPrefix - URL of the directory ('/' or '/en/')
+ * @param {string} locale - Locale of the pages
+ * @returns {Array<object>} [{ title, heading, text, url, locale }]
+ */
+function collectSitePassages(dir, urlPrefix, locale) {
+    return listPages(dir).flatMap(page => {
+        const html = fs.readFileSync(path.join(dir, page), 'utf8');
+        return extractPassages(html, urlPrefix + (page === 'index.html' ? '' : page))
+            .map(passage => ({ ...passage, locale }));
+    });
+}
+
+/**
+ * Build the FAQ index and the site passages of every locale
+ * @param {object} options - { write: boolean }
+ * @returns {object} { faq: index per locale, passages }
+ */
+function build({ write = true } = {}) {
+    const locales = [CONFIG.DEFAULT_LOCALE].concat(fs.readdirSync(LOCALES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json')));
+    const faq = {};
+    const passages = [];
+    const seen = new Set();
+
+    const addPassages = (list) => {
+        for (const passage of list) {
+            if (seen.has(passage.text)) continue;
+            seen.add(passage.text);
+            passages.push(passage);
+        }
+    };
+
+    for (const locale of locales) {
+        const isDefault = locale === CONFIG.DEFAULT_LOCALE;
+        const dir = isDefault ? ROOT_DIR : path.join(OUTPUT_DIR, locale);
+        const urlPrefix = isDefault ? '/' : `/${locale}/`;
+
+        if (!fs.existsSync(dir)) {
+            console.warn(`[search] ${locale}: pages not rendered, run "npm run build:i18n" first`);
+            continue;
+        }
+
+        const index = buildFaqIndex(dir, urlPrefix);
+        faq[locale] = index;
+        addPassages(collectSitePassages(dir, urlPrefix, locale));
+
+        if (write) {
+            const outputDir = isDefault ? OUTPUT_DIR : dir;
+            fs.mkdirSync(outputDir, { recursive: true });
+            fs.writeFileSync(path.join(outputDir, CONFIG.INDEX_FILE), JSON.stringify(index));
+            console.log(`[search] ${locale}: ${index.documentCount} questions in ${path.relative(ROOT_DIR, path.join(outputDir, CONFIG.INDEX_FILE))}`);
+        }
+    }
+
+    const llmsPath = path.join(ROOT_DIR, CONFIG.LLMS_FILE);
+    if (fs.existsSync(llmsPath)) {
+        addPassages(parseLlmsTxt(fs.readFileSync(llmsPath, 'utf8'), `/${CONFIG.LLMS_FILE}`));
+    }
+
+    if (write) {
+        fs.writeFileSync(CONFIG.PASSAGES_FILE, JSON.stringify({ version: 1, passages }));
+        console.log(`[search] ${passages.length} site passages in ${path.relative(ROOT_DIR, CONFIG.PASSAGES_FILE)}`);
+    }
+
+    return { faq, passages };
+}
+
+if (require.main === module) {
+    build();
+}
+
+module.exports = {
+    build,
+    buildFaqIndex,
+    collectPageFaq,
+    extractFaqItems,
+    extractPassages,
+    parseLlmsTxt,
+    splitText,
+    extractJsonLdFaq,
+    decodeEntities
+};
@@ -0,0 +1,274 @@
+/**
+ * form-challenge handler and the bot protection checks
+ */
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { TEST_ORIGIN, TEST_POW_DIFFICULTY, loadFunction, invoke } = require('./support/functions');
+const {
+    getChallengeSecret,
+    issueChallenge,
+    isValidSolution,
+    solveChallenge,
+    createCaptchaVerifier,
+    createBotProtection
+} = require('../netlify/lib/bot-protection');
+
+const ENV = { REQUEST_TOKEN_SECRET: 'secret', BOT_POW_DIFFICULTY: String(TEST_POW_DIFFICULTY) };
+const NOW = Date.UTC(2026, 0, 1);
+
+/**
+ * Submission fields for a challenge issued `issuedAgo` ms before NOW
+ */
+function solvedFields(protection, { issuedAgo = 10 * 1000, secret = protection.secret } = {}) {
+    const { challenge } = issueChallenge(secret, { now: NOW - issuedAgo, difficulty: protection.difficulty });
+    return {
+        botCheck: { challenge, solution: solveChallenge(challenge, protection.difficulty) },
+        website: ''
+    };
+}
+
+describe('form-challenge', () => {
+    before(() => {
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => mock.restoreAll());
+
+    test('issues a challenge for allowed origins', async () => {
+        const { handler } = loadFunction('form-challenge');
+
+        const res = await invoke(handler, { method: 'GET', token: null });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['Access-Control-Allow-Origin'], TEST_ORIGIN);
+        assert.equal(res.headers['Cache-Control'], 'no-store');
+        assert.equal(res.json.difficulty, TEST_POW_DIFFICULTY);
+        assert.ok(res.json.expiresAt > Date.now());
+        assert.match(res.json.challenge, /^[\w-]+\.[\w-]+$/);
+    });
+
+    test('refuses other origins', async () => {
+        const { handler } = loadFunction('form-challenge');
+
+        const res = await invoke(handler, { method: 'GET', origin: 'https://evil.example', token: null });
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.json.challenge, undefined);
+    });
+
+    test('only accepts GET', async () => {
+        const { handler } = loadFunction('form-challenge');
+        assert.equal((await invoke(handler, { method: 'POST', token: null })).statusCode, 405);
+    });
+
+    test('returns 500 without a secret', async () => {
+        const { handler } = loadFunction('form-challenge', { REQUEST_TOKEN_SECRET: undefined });
+
+        const res = await invoke(handler, { method: 'GET', token: null });
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(res.json.error, 'not_configured');
+    });
+
+    test('is rate limited per IP', async () => {
+        const { handler } = loadFunction('form-challenge', {
+            RATE_LIMIT_POLICIES: JSON.stringify({ challenge: { limit: 1, windowMs: 60 * 1000 } })
+        });
+
+    test('logs the client IP hashed', async () => {
+        const { handler } = loadFunction('form-challenge', {
+            RATE_LIMIT_POLICIES: JSON.stringify({ challenge: { limit: 1, windowMs: 60 * 1000 } })
+        });
+        await invoke(handler, { method: 'GET', token: null, ip: '198.51.100.7' });
+        console.warn.mock.resetCalls();
+
+        assert.equal((await invoke(handler, { method: 'GET', token: null, ip: '198.51.100.7' })).statusCode, 429);
+
+        const [entry] = console.warn.mock.calls.map(call => JSON.parse(call.arguments[0]));
+        assert.equal(entry.msg, 'Rate limit exceeded');
+        assert.match(entry.ip, /^hash:/);
+        assert.ok(!JSON.stringify(console.warn.mock.calls).includes('198.51.100.7'));
+    });
+
+        assert.equal((await invoke(handler, { method: 'GET', token: null })).statusCode, 200);
+        assert.equal((await invoke(handler, { method: 'GET', token: null })).statusCode, 429);
+        assert.equal((await invoke(handler, { method: 'GET', token: null, ip: '203.0.113.2' })).statusCode, 200);
+    });
+});
+
+describe('proof of work', () => {
+    test('derives the challenge secret from the request token secret', () => {
+        assert.match(getChallengeSecret({ REQUEST_TOKEN_SECRET: 'secret' }), /^[0-9a-f]{64}$/);
+        assert.notEqual(getChallengeSecret({ REQUEST_TOKEN_SECRET: 'secret' }), 'secret');
+        assert.equal(getChallengeSecret({}), null);
+    });
+
+    test('checks solutions against the difficulty', () => {
+        const { challenge } = issueChallenge('secret', { now: NOW, difficulty: 8 });
+        const solution = solveChallenge(challenge, 8);
+
+        assert.equal(isValidSolution(challenge, solution, 8), true);
+        assert.equal(isValidSolution(`${challenge}x`, solution, 8), false);
+        assert.equal(isValidSolution(challenge, String(solution), 8), false);
+        assert.equal(isValidSolution(challenge, -1, 8), false);
+    });
+});
+
+describe('createBotProtection', () => {
+    const create = (env = {}) => createBotProtection({ env: { ...ENV, ...env } });
+
+    test('accepts a solved challenge once', async () => {
+        const protection = create();
+        const fields = solvedFields(protection);
+
+        assert.deepEqual(await protection.verify(fields, { now: NOW }), { ok: true });
+        assert.deepEqual(await protection.verify(fields, { now: NOW }), { ok: false, reason: 'challenge_reused' });
+    });
+
+    test('flags a filled honeypot', async () => {
+        const protection = create();
+        const result = await protection.verify({ ...solvedFields(protection), website: 'https://spam.example' }, { now: NOW });
+
+        assert.deepEqual(result, { ok: false, reason: 'honeypot', honeypot: true });
+    });
+
+    test('rejects missing, forged and expired challenges', async () => {
+        const protection = create();
+        const reason = async (fields) => (await protection.verify(fields, { now: NOW })).reason;
+
+        assert.equal(await reason({}), 'invalid_challenge');
+        assert.equal(await reason(solvedFields(protection, { secret: 'attacker' })), 'invalid_challenge');
+        assert.equal(await reason(solvedFields(protection, { issuedAgo: 2 * 60 * 60 * 1000 })), 'expired_challenge');
+    });
+
+    test('rejects a changed payload', async () => {
+        const protection = create();
+        const fields = solvedFields(protection);
+        const [, signature] = fields.botCheck.challenge.split('.');
+        const payload = Buffer.from(JSON.stringify({ n: 'x', iat: 0, exp: 9999999999 })).toString('base64url');
+
+        const result = await protection.verify({ botCheck: { ...fields.botCheck, challenge: `${payload}.${signature}` } }, { now: NOW });
+        assert.equal(result.reason, 'invalid_challenge');
+    });
+
+    test('rejects a signature with non-ASCII characters', async () => {
+        const protection = create();
+        const fields = solvedFields(protection);
+        const [payload, signature] = fields.botCheck.challenge.split('.');
+        const challenge = `${payload}.Ã${signature.slice(1)}`;
+
+        const result = await protection.verify({ ...fields, botCheck: { ...fields.botCheck, challenge } }, { now: NOW });
+        assert.equal(result.reason, 'invalid_challenge');
+    });
+
+    test('rejects submissions faster than BOT_MIN_SUBMIT_SECONDS', async () => {
+        const protection = create({ BOT_MIN_SUBMIT_SECONDS: '5' });
+
+        assert.equal((await protection.verify(solvedFields(protection, { issuedAgo: 4000 }), { now: NOW })).reason, 'too_fast');
+        assert.equal((await protection.verify(solvedFields(protection, { issuedAgo: 5000 }), { now: NOW })).ok, true);
+    });
+
+    test('rejects a wrong solution without using the challenge', async () => {
+        const protection = create();
+        const fields = solvedFields(protection);
+        const wrong = { ...fields, botCheck: { ...fields.botCheck, solution: 'abc' } };
+
+        assert.equal((await protection.verify(wrong, { now: NOW })).reason, 'invalid_solution');
+        assert.equal((await protection.verify(fields, { now: NOW })).ok, true);
+    });
+
+    test('reports a missing secret', async () => {
+        const protection = create({ REQUEST_TOKEN_SECRET: undefined });
+        assert.deepEqual(await protection.verify({}, { now: NOW }), { ok: false, reason: 'not_configured' });
+    });
+});
+
+describe('createCaptchaVerifier', () => {
+    let server;
+    let verifyUrl;
+    let received;
+    let answer;
+
+    before(async () => {
+        mock.method(console, 'error', () => {});
+
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push(new URLSearchParams(body));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(answer));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        verifyUrl = `http://127.0.0.1:${server.address().port}/siteverify`;
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const turnstile = (env = {}) => createCaptchaVerifier({
+        CAPTCHA_PROVIDER: 'turnstile',
+        CAPTCHA_SECRET: 'captcha-secret',
+        CAPTCHA_VERIFY_URL: verifyUrl,
+        ...env
+    });
+
+    test('is off without a provider', () => {
+        assert.equal(createCaptchaVerifier({}), null);
+        assert.equal(createCaptchaVerifier({ CAPTCHA_PROVIDER: 'none' }), null);
+        assert.throws(() => createCaptchaVerifier({ CAPTCHA_PROVIDER: 'other' }), /Unknown CAPTCHA_PROVIDER/);
+    });
+
+    test('the stub accepts its token only', async () => {
+        const stub = createCaptchaVerifier({ CAPTCHA_PROVIDER: 'stub', CAPTCHA_STUB_TOKEN: 'ok' });
+
+        assert.deepEqual(await stub.verify('ok'), { success: true });
+        assert.deepEqual(await stub.verify('stub-pass'), { success: false, reason: 'captcha_failed' });
+    });
+
+    test('sends the token, secret and IP to the provider', async () => {
+        received = [];
+        answer = { success: true };
+
+        assert.deepEqual(await turnstile().verify('token', '198.51.100.7'), { success: true });
+        assert.equal(received[0].get('secret'), 'captcha-secret');
+        assert.equal(received[0].get('response'), 'token');
+        assert.equal(received[0].get('remoteip'), '198.51.100.7');
+    });
+
+    test('fails on a rejected or missing token', async () => {
+        received = [];
+        answer = { success: false, 'error-codes': ['invalid-input-response'] };
+
+        assert.deepEqual(await turnstile().verify('token'), { success: false, reason: 'captcha_failed' });
+        assert.deepEqual(await turnstile().verify(''), { success: false, reason: 'captcha_missing' });
+        assert.equal(received.length, 1);
+    });
+
+    test('fails when the provider is unreachable or not configured', async () => {
+        const unreachable = turnstile({ CAPTCHA_VERIFY_URL: 'http://127.0.0.1:1/siteverify' });
+
+        assert.equal((await unreachable.verify('token')).reason, 'captcha_unavailable');
+        assert.equal((await turnstile({ CAPTCHA_SECRET: '' }).verify('token')).reason, 'captcha_not_configured');
+    });
+
+    test('runs after the proof of work', async () => {
+        received = [];
+        answer = { success: false };
+        const protection = createBotProtection({ env: ENV, captchaVerifier: turnstile() });
+
+        const fields = solvedFields(protection);
+        const result = await protection.verify({ ...fields, botCheck: { ...fields.botCheck, captchaToken: 'token' } }, { now: NOW });
+
+        assert.deepEqual(result, { ok: false, reason: 'captcha_failed' });
+        assert.equal((await protection.verify({}, { now: NOW })).reason, 'invalid_challenge');
+        assert.equal(received.length, 1);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * FAQ fallback of the chatbot widget (scripts/chatbot-widget.js): answers
+ * given from the FAQ index (search/build.js) when the AI is off or unavailable
+ *
+ * Loaded in the same sandbox as the Markdown renderer tests.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { buildFaqIndex } = require('../search/build');
+const { searchTerms, buildSearchIndex } = require('../netlify/lib/search-index');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const WIDGET_PATH = path.join(ROOT_DIR, 'scripts', 'chatbot-widget.js');
+
+function loadWidget() {
+    const noop = () => {};
+    const window = {
+        location: { href: 'https://azenflow.jp/faq.html', origin: 'https://azenflow.jp' },
+        addEventListener: noop
+    };
+    const context = vm.createContext({
+        window,
+        document: { readyState: 'loading', addEventListener: noop },
+        console: { log: noop, warn: noop, error: noop },
+        URL
+    });
+
+    vm.runInContext(fs.readFileSync(WIDGET_PATH, 'utf8'), context);
+    return window.ChatbotWidget;
+}
+
+const { matchFaq, faqTerms } = loadWidget();
+const index = buildFaqIndex(ROOT_DIR, '/');
+
+describe('faqTerms', () => {
+    test('splits text like the index build', () => {
+        for (const entry of index.documents) {
+            const text = `${entry.question}\n${entry.answer}`;
+            assert.deepEqual(Array.from(faqTerms(text)), searchTerms(text), entry.question);
+        }
+        assert.deepEqual(Array.from(faqTerms('How much does the ＬＩＮＥ bot cost? 料金')), searchTerms('How much does the ＬＩＮＥ bot cost? 料金'));
+    });
+});
+
+describe('matchFaq', () => {
+    test('finds the entry of a Japanese question', () => {
+        assert.equal(matchFaq('LINEチャットボットの料金を教えてください', index).question,
+            '日本でのLINEチャットボットの料金はいくらですか？');
+        assert.equal(matchFaq('無料トライアルはありますか', index).question,
+            'AzenFlowのどのサービスに無料トライアルがありますか？');
+    });
+
+    test('answers with the page it comes from', () => {
+        const entry = matchFaq('翻訳ボットは何言語に対応していますか', index);
+
+        assert.match(entry.url, /^\/[a-z-]+\.html(#[a-z-]+)?$/);
+        assert.ok(entry.title);
+        assert.ok(entry.answer);
+    });
+
+    test('finds the entry of an English question', () => {
+        const english = buildSearchIndex([
+            { question: 'How much does a LINE chatbot cost in Japan?', answer: 'Plans start at ¥19,990 per month.' },
+            { question: 'Can I cancel at any time?', answer: 'Yes, without any cancellation fee.' }
+        ], { question: 2, answer: 1 });
+
+        assert.equal(matchFaq('What is the cost of your LINE chatbot?', english).question, english.documents[0].question);
+        assert.equal(matchFaq('cancellation fee?', english).question, english.documents[1].question);
+    });
+
+    test('no answer rather than an unrelated one', () => {
+        assert.equal(matchFaq('明日の天気は？', index), null);
+        assert.equal(matchFaq('こんにちは', index), null);
+        assert.equal(matchFaq('', index), null);
+        assert.equal(matchFaq('料金', null), null);
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * chatbot-feedback handler against the mock n8n server
+ */
+
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFunction, invoke } = require('./support/functions');
+const { createMockN8n } = require('./support/mock-n8n');
+
+const VALID_RATING = {
+    sessionId: ' session-1 ',
+    messageIndex: 3,
+    rating: 'down',
+    comment: ' 料金が違います ',
+    language: 'en',
+    message: '月額9,990円です。',
+    question: '料金は？'
+};
+
+describe('chatbot-feedback', () => {
+    const n8n = createMockN8n({ secret: 'test-secret' });
+    let handler;
+
+    const configured = (env = {}) => loadFunction('chatbot-feedback', {
+        CHATBOT_FEEDBACK_WEBHOOK_URL: n8n.url('/webhook/feedback'),
+        N8N_WEBHOOK_SECRET: 'test-secret',
+        ...env
+    }).handler;
+
+    before(async () => {
+        await n8n.start();
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await n8n.stop();
+    });
+
+    beforeEach(() => {
+        n8n.reset();
+        console.warn.mock.resetCalls();
+        handler = configured();
+    });
+
+    describe('forwarding', () => {
+        test('sends the signed, sanitized rating to the webhook', async () => {
+            const res = await invoke(handler, { body: VALID_RATING });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.json.success, true);
+
+            assert.equal(n8n.requests.length, 1);
+            const [request] = n8n.requests;
+            assert.equal(request.path, '/webhook/feedback');
+            assert.deepEqual(request.signature, { valid: true });
+            assert.equal(request.json.sessionId, 'session-1');
+            assert.equal(request.json.messageIndex, 3);
+            assert.equal(request.json.rating, 'down');
+            assert.equal(request.json.comment, '料金が違います');
+            assert.equal(request.json.language, 'en');
+            assert.equal(request.json.source, 'chatbot-feedback');
+        });
+
+        test('signs with CHATBOT_FEEDBACK_WEBHOOK_SECRET when set', async () => {
+            handler = configured({ CHATBOT_FEEDBACK_WEBHOOK_SECRET: 'feedback-secret' });
+
+            await invoke(handler, { body: VALID_RATING });
+
+            assert.equal(n8n.requests[0].signature.valid, false);
+        });
+
+        test('answers 502 when the webhook fails', async () => {
+            n8n.reply({ status: 500, json: { error: 'boom' } });
+
+            const res = await invoke(handler, { body: VALID_RATING });
+
+            assert.equal(res.statusCode, 502);
+            assert.equal(res.json.message, 'Failed to record feedback');
+        });
+
+        test('returns 500 without a webhook URL', async () => {
+            handler = configured({ CHATBOT_FEEDBACK_WEBHOOK_URL: undefined });
+
+            const res = await invoke(handler, { body: VALID_RATING });
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(n8n.requests.length, 0);
+        });
+    });
+
+    describe('validation', () => {
+        const rejects = async (body, message) => {
+            const res = await invoke(handler, { body });
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.json.error, 'validation_error');
+            assert.match(res.json.message, message);
+        };
+
+        test('accepts only up and down ratings', async () => {
+            for (const rating of ['up', 'down']) {
+                assert.equal((await invoke(handler, { body: { ...VALID_RATING, rating } })).statusCode, 200);
+            }
+            for (const rating of ['UP', 'meh', 1, undefined]) {
+                await rejects({ ...VALID_RATING, rating }, /^Rating must be one of: up, down$/);
+            }
+        });
+
+        test('requires a message index between 0 and 1000', async () => {
+            assert.equal((await invoke(handler, { body: { ...VALID_RATING, messageIndex: 0 } })).statusCode, 200);
+            assert.equal((await invoke(handler, { body: { ...VALID_RATING, messageIndex: 1000 } })).statusCode, 200);
+
+            for (const messageIndex of [-1, 1001, 1.5, '3', undefined]) {
+                await rejects({ ...VALID_RATING, messageIndex }, /^Message index/);
+            }
+        });
+
+        test('caps the comment at 500 characters', async () => {
+            assert.equal((await invoke(handler, { body: { ...VALID_RATING, comment: 'a'.repeat(500) } })).statusCode, 200);
+
+            await rejects({ ...VALID_RATING, comment: 'a'.repeat(501) }, /^Comment too long/);
+            await rejects({ ...VALID_RATING, comment: 42 }, /^Comment must be a string$/);
+        });
+
+        test('requires a session ID', async () => {
+            await rejects({ ...VALID_RATING, sessionId: '' }, /^Session ID is required$/);
+            await rejects({ ...VALID_RATING, sessionId: 'x'.repeat(101) }, /^Session ID is required$/);
+        });
+
+        test('rejects invalid JSON', async () => {
+            const res = await invoke(handler, { body: '{"rating": ' });
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.json.error, 'invalid_json');
+            assert.equal(n8n.requests.length, 0);
+        });
+    });
+
+    describe('rate limiting', () => {
+        test('limits ratings per client IP and logs the IP hashed', async () => {
+            handler = configured({ FEEDBACK_RATE_LIMIT_PER_MINUTE: '2' });
+
+            assert.equal((await invoke(handler, { body: VALID_RATING, ip: '198.51.100.7' })).statusCode, 200);
+            assert.equal((await invoke(handler, { body: VALID_RATING, ip: '198.51.100.7, 10.0.0.1' })).statusCode, 200);
+            console.warn.mock.resetCalls();
+
+            const res = await invoke(handler, { body: VALID_RATING, ip: '198.51.100.7' });
+            assert.equal(res.statusCode, 429);
+            assert.equal(res.json.error, 'rate_limit_exceeded');
+            assert.ok(res.headers['Retry-After']);
+
+            const [entry] = console.warn.mock.calls.map(call => JSON.parse(call.arguments[0]));
+            assert.equal(entry.msg, 'Rate limit exceeded');
+            assert.match(entry.ip, /^hash:/);
+            assert.ok(!JSON.stringify(console.warn.mock.calls).includes('198.51.100.7'));
+
+            assert.equal((await invoke(handler, { body: VALID_RATING, ip: '198.51.100.8' })).statusCode, 200);
+            assert.equal(n8n.requests.length, 3);
+        });
+    });
+});
@@ -0,0 +1,252 @@
+/**
+ * Markdown renderer of the chatbot widget (scripts/chatbot-widget.js)
+ *
+ * The widget is a browser script, so it is evaluated in a small sandbox that
+ * only provides what it touches while loading. init() waits for
+ * DOMContentLoaded, which never fires here.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WIDGET_PATH = path.join(__dirname, '..', 'scripts', 'chatbot-widget.js');
+
+function loadRenderer() {
+    const noop = () => {};
+    const window = {
+        location: { href: 'https://azenflow.jp/faq.html', origin: 'https://azenflow.jp' },
+        addEventListener: noop
+    };
+    const context = vm.createContext({
+        window,
+        document: { readyState: 'loading', addEventListener: noop },
+        console: { log: noop, warn: noop, error: noop },
+        URL
+    });
+
+    vm.runInContext(fs.readFileSync(WIDGET_PATH, 'utf8'), context);
+    return window.ChatbotWidget.renderMarkdown;
+}
+
+const renderMarkdown = loadRenderer();
+
+// Tags and attributes the renderer is allowed to produce
+const ALLOWED_TAGS = ['p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'ul', 'ol', 'li', 'a',
+    'div', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'hr'];
+const ALLOWED_ATTRIBUTES = ['href', 'target', 'rel', 'class', 'start', 'style'];
+
+/**
+ * Fail if the HTML contains anything the renderer should never produce
+ */
+function assertSafe(html) {
+    const tags = html.match(/<[^>]*>/g) || [];
+
+    tags.forEach(tag => {
+        const match = tag.match(/^<\/?([a-z0-9]+)((?:\s+[a-z-]+="[^"<>]*")*)\s*>$/);
+        assert.ok(match, `malformed tag: ${tag}`);
+        assert.ok(ALLOWED_TAGS.includes(match[1]), `unexpected tag: ${tag}`);
+
+        const attributes = [...match[2].matchAll(/\s([a-z-]+)="/g)].map(attribute => attribute[1]);
+        attributes.forEach(name => {
+            assert.ok(ALLOWED_ATTRIBUTES.includes(name), `unexpected attribute: ${tag}`);
+        });
+
+        const href = tag.match(/href="([^"]*)"/);
+        if (href) {
+            assert.match(href[1], /^(https?:|mailto:|tel:)/, `unsafe href: ${tag}`);
+        }
+
+        const style = tag.match(/style="([^"]*)"/);
+        if (style) {
+            assert.match(style[1], /^text-align: (left|center|right)$/, `unexpected style: ${tag}`);
+        }
+    });
+
+    // Text between tags must not hide markup either
+    assert.doesNotMatch(html.replace(/<[^>]*>/g, ''), /[<>"]/);
+}
+
+describe('renderMarkdown', () => {
+    test('keeps plain text and line breaks', () => {
+        assert.equal(renderMarkdown('こんにちは'), '<p>こんにちは</p>');
+        assert.equal(renderMarkdown('1行目\n2行目\n\n次の段落'), '<p>1行目<br>2行目</p><p>次の段落</p>');
+    });
+
+    test('renders emphasis, strikethrough and inline code', () => {
+        assert.equal(
+            renderMarkdown('**料金**は*月額*です ~~旧プラン~~ `npm test`'),
+            '<p><strong>料金</strong>は<em>月額</em>です <del>旧プラン</del> <code>npm test</code></p>'
+        );
+        assert.equal(renderMarkdown('__bold__ and _italic_'), '<p><strong>bold</strong> and <em>italic</em></p>');
+    });
+
+    test('leaves intra-word underscores and lone asterisks alone', () => {
+        assert.equal(renderMarkdown('snake_case_name'), '<p>snake_case_name</p>');
+        assert.equal(renderMarkdown('2 * 3 = 6'), '<p>2 * 3 = 6</p>');
+        assert.equal(renderMarkdown('\\*not italic\\*'), '<p>*not italic*</p>');
+    });
+
+    test('does not apply Markdown inside inline code', () => {
+        assert.equal(renderMarkdown('`**x** <b>`'), '<p><code>**x** &lt;b&gt;</code></p>');
+    });
+
+    test('renders headings as bold lines', () => {
+        assert.equal(renderMarkdown('## サービス'), '<p class="chatbot-heading"><strong>サービス</strong></p>');
+    });
+
+    test('renders bullet and numbered lists', () => {
+        assert.equal(renderMarkdown('- A\n- B'), '<ul><li>A</li><li>B</li></ul>');
+        assert.equal(renderMarkdown('1. 一\n2. 二'), '<ol><li>一</li><li>二</li></ol>');
+        assert.equal(renderMarkdown('3) 三\n4) 四'), '<ol start="3"><li>三</li><li>四</li></ol>');
+    });
+
+    test('nests lists by indentation and continues items', () => {
+        assert.equal(
+            renderMarkdown('- A\n  - A1\n  - A2\n- B\n  続き'),
+            '<ul><li>A<ul><li>A1</li><li>A2</li></ul></li><li>B<br>続き</li></ul>'
+        );
+        assert.equal(
+            renderMarkdown('- A\n1. B'),
+            '<ul><li>A</li></ul><ol><li>B</li></ol>'
+        );
+    });
+
+    test('caps list nesting depth', () => {
+        const deep = Array.from({ length: 10 }, (item, index) => `${' '.repeat(index * 2)}- ${index}`).join('\n');
+        const html = renderMarkdown(deep);
+        assertSafe(html);
+        assert.equal((html.match(/<ul>/g) || []).length, 4);
+        assert.equal((html.match(/<ul>/g) || []).length, (html.match(/<\/ul>/g) || []).length);
+    });
+
+    test('renders paragraphs around lists', () => {
+        assert.equal(
+            renderMarkdown('プラン:\n- ライト\n- プロ\n\nご質問はどうぞ。'),
+            '<p>プラン:</p><ul><li>ライト</li><li>プロ</li></ul><p>ご質問はどうぞ。</p>'
+        );
+    });
+
+    test('renders tables with alignment', () => {
+        assert.equal(
+            renderMarkdown('| プラン | 月額 |\n|:--|--:|\n| ライト | ¥9,800 |\n| プロ | **¥29,800** |'),
+            '<div class="chatbot-table"><table>' +
+            '<thead><tr><th style="text-align: left">プラン</th><th style="text-align: right">月額</th></tr></thead>' +
+            '<tbody><tr><td style="text-align: left">ライト</td><td style="text-align: right">¥9,800</td></tr>' +
+            '<tr><td style="text-align: left">プロ</td><td style="text-align: right"><strong>¥29,800</strong></td></tr></tbody>' +
+            '</table></div>'
+        );
+    });
+
+    test('pads short table rows and drops extra cells', () => {
+        assert.equal(
+            renderMarkdown('a | b\n--- | ---\n| 1 |\n1 | 2 | 3'),
+            '<div class="chatbot-table"><table><thead><tr><th>a</th><th>b</th></tr></thead>' +
+            '<tbody><tr><td>1</td><td></td></tr><tr><td>1</td><td>2</td></tr></tbody></table></div>'
+        );
+    });
+
+    test('renders fenced code blocks verbatim', () => {
+        assert.equal(renderMarkdown('```\n<div>**x**</div>\n```'), '<pre><code>&lt;div&gt;**x**&lt;/div&gt;</code></pre>');
+    });
+
+    test('links external URLs in a new tab with noopener', () => {
+        assert.equal(
+            renderMarkdown('[Netlify](https://www.netlify.com/)'),
+            '<p><a href="https://www.netlify.com/" target="_blank" rel="noopener noreferrer" class="chatbot-link">Netlify</a></p>'
+        );
+    });
+
+    test('keeps site links in the same tab', () => {
+        assert.equal(
+            renderMarkdown('[お問い合わせ](/contact.html)'),
+            '<p><a href="https://azenflow.jp/contact.html" class="chatbot-link">お問い合わせ</a></p>'
+        );
+        assert.equal(
+            renderMarkdown('[mail](mailto:info@azenflow.jp)'),
+            '<p><a href="mailto:info@azenflow.jp" class="chatbot-link">mail</a></p>'
+        );
+    });
+
+    test('links bare URLs without swallowing punctuation or Japanese text', () => {
+        assert.equal(
+            renderMarkdown('詳細はhttps://example.com/a?b=1&c=2からご覧ください。'),
+            '<p>詳細は<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer" class="chatbot-link">' +
+            'https://example.com/a?b=1&amp;c=2</a>からご覧ください。</p>'
+        );
+        assert.equal(
+            renderMarkdown('(www.example.com).'),
+            '<p>(<a href="https://www.example.com/" target="_blank" rel="noopener noreferrer" class="chatbot-link">www.example.com</a>).</p>'
+        );
+    });
+});
+
+describe('renderMarkdown with hostile input', () => {
+    const payloads = [
+        '<script>alert(1)</script>',
+        '<img src=x onerror=alert(1)>',
+        '"><svg onload=alert(1)>',
+        '[x](javascript:alert(1))',
+        '[x](JaVaScRiPt:alert(1))',
+        '[x](\u0001javascript:alert(1))',
+        '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+        '[x](vbscript:msgbox(1))',
+        '[x](//evil.example/)',
+        '[x](https://example.com/"onmouseover="alert(1))',
+        '[x](https://example.com/\'onmouseover=\'alert(1))',
+        'https://example.com/"onmouseover="alert(1)',
+        'https://example.com/<script>alert(1)</script>',
+        '[<img src=x onerror=alert(1)>](https://example.com)',
+        '**<b onclick=alert(1)>x</b>**',
+        '`<script>`</script>',
+        '```\n</code></pre><script>alert(1)</script>\n```',
+        '| <script> | a |\n|---|---|\n| <img src=x onerror=alert(1)> | [x](javascript:alert(1)) |',
+        '| a |\n|:-:|\n| b |\n\n| style |\n|---|\n| " style="x |',
+        '- <iframe src=javascript:alert(1)>\n  - [x](javascript:alert(1))',
+        '# <h1 onmouseover=alert(1)>',
+        '\u00000\u0000 placeholder markers \u00001\u0000',
+        '&lt;script&gt; &#60;script&#62; &amp;',
+        '[[x](javascript:alert(1))](https://example.com)',
+        '<a href="javascript:alert(1)">x</a>'
+    ];
+
+    payloads.forEach(payload => {
+        test(`renders safely: ${JSON.stringify(payload).slice(0, 60)}`, () => {
+            const html = renderMarkdown(payload);
+            assertSafe(html);
+        });
+    });
+
+    test('drops unsafe link targets but keeps the label', () => {
+        assert.equal(renderMarkdown('[クリック](javascript:alert(1))'), '<p>クリック</p>');
+    });
+
+    test('escapes entities instead of decoding them', () => {
+        assert.equal(renderMarkdown('&lt;b&gt;'), '<p>&amp;lt;b&amp;gt;</p>');
+    });
+
+    test('handles non-string and empty input', () => {
+        assert.equal(renderMarkdown(''), '');
+        assert.equal(renderMarkdown(null), '');
+        assert.equal(renderMarkdown(undefined), '');
+    });
+
+    test('stays fast on pathological input', () => {
+        const inputs = [
+            '*'.repeat(5000),
+            '_a'.repeat(5000),
+            '['.repeat(5000) + ']('.repeat(5000),
+            '|'.repeat(5000) + '\n' + '|-'.repeat(2500),
+            '- '.repeat(5000),
+            'https://' + 'a'.repeat(5000) + ')'.repeat(5000)
+        ];
+
+        inputs.forEach(input => {
+            const started = Date.now();
+            assertSafe(renderMarkdown(input));
+            assert.ok(Date.now() - started < 1000, `slow input: ${input.slice(0, 20)}`);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Proactive triggers of the chatbot widget (scripts/chatbot-widget.js):
+ * triggers of each page, the frequency capping and the minimum time on the
+ * page before the teaser
+ *
+ * Loaded in the same sandbox as the FAQ fallback tests.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WIDGET_PATH = path.join(__dirname, '..', 'scripts', 'chatbot-widget.js');
+
+function loadWidget() {
+    const noop = () => {};
+    const window = {
+        location: { href: 'https://azenflow.jp/', origin: 'https://azenflow.jp' },
+        addEventListener: noop
+    };
+    const context = vm.createContext({
+        window,
+        document: { readyState: 'loading', addEventListener: noop },
+        console: { log: noop, warn: noop, error: noop },
+        URL
+    });
+
+    vm.runInContext(fs.readFileSync(WIDGET_PATH, 'utf8'), context);
+    return window.ChatbotWidget;
+}
+
+const { getTeaserTriggers, isTeaserAllowed, getTeaserDelay } = loadWidget();
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('getTeaserTriggers', () => {
+    const ids = (pathname) => Array.from(getTeaserTriggers(pathname), trigger => trigger.id);
+
+    test('page-specific triggers only on their page, in every locale', () => {
+        assert.ok(ids('/chatbot-comparison.html').includes('comparison'));
+        assert.ok(ids('/en/chatbot-comparison.html').includes('comparison'));
+        assert.ok(ids('/chatbot-comparison').includes('comparison'));
+        assert.ok(!ids('/faq.html').includes('comparison'));
+
+        assert.ok(ids('/').includes('pricing'));
+        assert.ok(ids('/en/index.html').includes('pricing'));
+        assert.ok(!ids('/line-chatbot.html').includes('pricing'));
+    });
+
+    test('behavior triggers on every page', () => {
+        for (const pathname of ['/', '/faq.html', '/en/contact.html']) {
+            for (const id of ['time', 'scroll', 'exit']) {
+                assert.ok(ids(pathname).includes(id), `${id} on ${pathname}`);
+            }
+        }
+    });
+
+    test('every trigger has a known type and a message in each language', () => {
+        const triggers = getTeaserTriggers('/').concat(getTeaserTriggers('/chatbot-comparison.html'));
+
+        for (const trigger of triggers) {
+            assert.ok(['time', 'scroll', 'exit', 'section'].includes(trigger.type), trigger.id);
+            assert.deepEqual(Object.keys(trigger.message).sort(), ['en', 'fr', 'ja', 'ko', 'zh'], trigger.id);
+        }
+    });
+});
+
+describe('isTeaserAllowed', () => {
+    const trigger = { id: 'pricing' };
+    const now = Date.UTC(2026, 0, 15);
+
+    test('allowed without history', () => {
+        assert.equal(isTeaserAllowed(trigger, null, now), true);
+        assert.equal(isTeaserAllowed(trigger, {}, now), true);
+    });
+
+    test('one teaser a day, all triggers together', () => {
+        assert.equal(isTeaserAllowed(trigger, { lastShownAt: now - 2 * HOUR, shown: { time: now - 2 * HOUR } }, now), false);
+        assert.equal(isTeaserAllowed(trigger, { lastShownAt: now - 25 * HOUR, shown: { time: now - 25 * HOUR } }, now), true);
+    });
+
+    test('the same trigger once a week', () => {
+        assert.equal(isTeaserAllowed(trigger, { lastShownAt: now - 3 * DAY, shown: { pricing: now - 3 * DAY } }, now), false);
+        assert.equal(isTeaserAllowed(trigger, { lastShownAt: now - 8 * DAY, shown: { pricing: now - 8 * DAY } }, now), true);
+    });
+
+    test('paused after the visitor closed a teaser', () => {
+        assert.equal(isTeaserAllowed(trigger, { dismissedAt: now - 10 * DAY }, now), false);
+        assert.equal(isTeaserAllowed(trigger, { dismissedAt: now - 15 * DAY }, now), true);
+    });
+});
+
+describe('getTeaserDelay', () => {
+    test('a trigger firing early waits for the minimum time on the page', () => {
+        assert.equal(getTeaserDelay(0), 5000);
+        assert.equal(getTeaserDelay(1200), 3800);
+    });
+
+    test('no wait once the minimum time has passed', () => {
+        assert.equal(getTeaserDelay(5000), 0);
+        assert.equal(getTeaserDelay(60000), 0);
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * chatbot-status handler: CORS limited to allowed origins
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_ORIGIN, loadFunction, invoke } = require('./support/functions');
+
+describe('chatbot-status', () => {
+    test('returns the operator status to allowed origins', async () => {
+        const { handler } = loadFunction('chatbot-status');
+
+        const res = await invoke(handler, { method: 'GET', token: null });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['Access-Control-Allow-Origin'], TEST_ORIGIN);
+        assert.equal(res.headers['Vary'], 'Origin');
+        assert.ok(['available', 'away', 'closed'].includes(res.json.status));
+    });
+
+    test('no wildcard or foreign origin in the CORS headers', async () => {
+        const { handler } = loadFunction('chatbot-status');
+
+        for (const method of ['GET', 'OPTIONS']) {
+            const res = await invoke(handler, { method, origin: 'https://evil.example', token: null });
+            assert.equal(res.headers['Access-Control-Allow-Origin'], undefined, method);
+        }
+    });
+});
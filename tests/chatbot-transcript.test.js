@@ -0,0 +1,163 @@
+/**
+ * chatbot-transcript handler against the mock n8n server
+ */
+
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFunction, invoke } = require('./support/functions');
+const { createMockN8n } = require('./support/mock-n8n');
+
+const VALID_REQUEST = {
+    email: '  Taro@Example.JP ',
+    language: 'ja',
+    sessionId: 'session-1',
+    transcript: [
+        { role: 'user', content: '料金を教えてください' },
+        { role: 'assistant', content: '月額29,990円です。' }
+    ]
+};
+
+describe('chatbot-transcript', () => {
+    const n8n = createMockN8n({ secret: 'test-secret' });
+    let handler;
+
+    const configured = (env = {}) => loadFunction('chatbot-transcript', {
+        N8N_TRANSCRIPT_WEBHOOK_URL: n8n.url('/webhook/transcript'),
+        N8N_WEBHOOK_SECRET: 'test-secret',
+        ...env
+    }).handler;
+
+    const logEntries = (method) => method.mock.calls.map(call => JSON.parse(call.arguments[0]));
+
+    before(async () => {
+        await n8n.start();
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await n8n.stop();
+    });
+
+    beforeEach(() => {
+        n8n.reset();
+        console.warn.mock.resetCalls();
+        console.error.mock.resetCalls();
+        handler = configured();
+    });
+
+    describe('forwarding', () => {
+        test('sends the signed, sanitized transcript to n8n', async () => {
+            const res = await invoke(handler, { body: VALID_REQUEST });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.json.success, true);
+
+            assert.equal(n8n.requests.length, 1);
+            const [request] = n8n.requests;
+            assert.equal(request.path, '/webhook/transcript');
+            assert.deepEqual(request.signature, { valid: true });
+            assert.equal(request.json.email, 'taro@example.jp');
+            assert.equal(request.json.source, 'chatbot-transcript');
+            assert.deepEqual(request.json.transcript, VALID_REQUEST.transcript);
+        });
+
+        test('answers a plain 502 when n8n fails', async () => {
+            n8n.reply({ status: 500, json: { error: 'SMTP password rejected for smtp.internal' } });
+
+            const res = await invoke(handler, { body: VALID_REQUEST });
+
+            assert.equal(res.statusCode, 502);
+            assert.deepEqual(res.json, { error: 'Failed to send transcript' });
+
+            const [entry] = logEntries(console.error);
+            assert.equal(entry.msg, 'n8n error response');
+            assert.equal(entry.status, 500);
+            assert.ok(!JSON.stringify(console.error.mock.calls).includes('SMTP'));
+        });
+
+        test('returns 500 without a webhook URL', async () => {
+            handler = configured({ N8N_TRANSCRIPT_WEBHOOK_URL: undefined });
+
+            const res = await invoke(handler, { body: VALID_REQUEST });
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(n8n.requests.length, 0);
+        });
+    });
+
+    describe('validation', () => {
+        test('requires an email address', async () => {
+            const res = await invoke(handler, { body: { ...VALID_REQUEST, email: '' } });
+
+            assert.equal(res.statusCode, 400);
+            assert.deepEqual(res.json.details, ['Missing or invalid field: email']);
+            assert.equal(n8n.requests.length, 0);
+        });
+
+        test('rejects malformed email addresses', async () => {
+            for (const email of ['taro', 'taro@', 'taro@example', 'taro @example.jp']) {
+                const res = await invoke(handler, { body: { ...VALID_REQUEST, email } });
+
+                assert.equal(res.statusCode, 400, email);
+                assert.deepEqual(res.json.details, ['Invalid email format'], email);
+            }
+            assert.equal(n8n.requests.length, 0);
+        });
+
+        test('rejects an empty or malformed transcript', async () => {
+            const empty = await invoke(handler, { body: { ...VALID_REQUEST, transcript: [] } });
+            assert.deepEqual(empty.json.details, ['Transcript is empty']);
+
+            const malformed = await invoke(handler, { body: { ...VALID_REQUEST, transcript: [{ role: 'system', content: 'x' }] } });
+            assert.deepEqual(malformed.json.details, ['Invalid transcript format']);
+        });
+
+        test('rejects invalid JSON', async () => {
+            const res = await invoke(handler, { body: '{"email": ' });
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.json.error, 'Invalid JSON format');
+        });
+    });
+
+    describe('rate limiting', () => {
+        test('limits requests per client IP (first forwarded address)', async () => {
+            handler = configured({
+                RATE_LIMIT_POLICIES: JSON.stringify({ transcript: { limit: 1, windowMs: 60 * 1000 } })
+            });
+
+            assert.equal((await invoke(handler, { body: VALID_REQUEST, ip: '198.51.100.7, 10.0.0.1' })).statusCode, 200);
+            console.warn.mock.resetCalls();
+
+            // Same client behind another proxy hop
+            const res = await invoke(handler, { body: VALID_REQUEST, ip: '198.51.100.7, 10.0.0.2' });
+            assert.equal(res.statusCode, 429);
+            assert.ok(res.headers['Retry-After']);
+
+            const [entry] = logEntries(console.warn);
+            assert.equal(entry.msg, 'Rate limit exceeded');
+            assert.match(entry.ip, /^hash:/);
+            assert.ok(!JSON.stringify(console.warn.mock.calls).includes('198.51.100.7'));
+
+            assert.equal((await invoke(handler, { body: VALID_REQUEST, ip: '198.51.100.8' })).statusCode, 200);
+        });
+
+        test('limits emails per recipient across client IPs', async () => {
+            handler = configured({
+                RATE_LIMIT_POLICIES: JSON.stringify({ transcriptRecipient: { limit: 1, windowMs: 60 * 1000 } })
+            });
+
+            assert.equal((await invoke(handler, { body: VALID_REQUEST, ip: '198.51.100.7' })).statusCode, 200);
+
+            const res = await invoke(handler, { body: { ...VALID_REQUEST, email: 'taro@example.jp' }, ip: '198.51.100.8' });
+            assert.equal(res.statusCode, 429);
+            assert.equal(n8n.requests.length, 1);
+
+            const other = await invoke(handler, { body: { ...VALID_REQUEST, email: 'hanako@example.jp' }, ip: '198.51.100.8' });
+            assert.equal(other.statusCode, 200);
+        });
+    });
+});
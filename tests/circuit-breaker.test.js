@@ -0,0 +1,124 @@
+/**
+ * Circuit breaker: closed, open and half-open states
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCircuitBreaker } = require('../netlify/lib/circuit-breaker');
+
+describe('circuit breaker', () => {
+    let clock;
+    let changes;
+
+    const create = (options = {}) => createCircuitBreaker({
+        failureThreshold: 3,
+        openDuration: 10000,
+        now: () => clock,
+        onStateChange: (state, previous) => changes.push(`${previous}>${state}`),
+        ...options
+    });
+
+    const fail = (breaker, times) => {
+        for (let i = 0; i < times; i++) breaker.recordFailure();
+    };
+
+    beforeEach(() => {
+        clock = 1000000;
+        changes = [];
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    test('stays closed below the threshold', () => {
+        const breaker = create();
+        fail(breaker, 2);
+
+        assert.deepEqual(breaker.check(), { allowed: true, state: 'closed' });
+        assert.deepEqual(breaker.getState(), { state: 'closed', failures: 2 });
+    });
+
+    test('opens after consecutive failures, with the time left', () => {
+        const breaker = create();
+        fail(breaker, 3);
+        clock += 2500;
+
+        assert.deepEqual(breaker.check(), { allowed: false, state: 'open', retryAfter: 8 });
+        assert.deepEqual(changes, ['closed>open']);
+    });
+
+    test('a success resets the count', () => {
+        const breaker = create();
+        fail(breaker, 2);
+        breaker.recordSuccess();
+        fail(breaker, 2);
+
+        assert.equal(breaker.check().allowed, true);
+    });
+
+    test('lets a single probe through once the delay is over', () => {
+        const breaker = create();
+        fail(breaker, 3);
+        clock += 10000;
+
+        assert.deepEqual(breaker.check(), { allowed: true, state: 'half_open', probe: true });
+        assert.equal(breaker.check().allowed, false);
+        assert.deepEqual(changes, ['closed>open', 'open>half_open']);
+    });
+
+    test('a successful probe closes the circuit', () => {
+        const breaker = create();
+        fail(breaker, 3);
+        clock += 10000;
+        breaker.check();
+        breaker.recordSuccess();
+
+        assert.deepEqual(breaker.check(), { allowed: true, state: 'closed' });
+        assert.deepEqual(breaker.getState(), { state: 'closed', failures: 0 });
+        assert.deepEqual(changes, ['closed>open', 'open>half_open', 'half_open>closed']);
+    });
+
+    test('a failed probe opens it for another delay', () => {
+        const breaker = create();
+        fail(breaker, 3);
+        clock += 10000;
+        breaker.check();
+        breaker.recordFailure();
+        clock += 5000;
+
+        assert.deepEqual(breaker.check(), { allowed: false, state: 'open', retryAfter: 5 });
+    });
+
+    test('a probe that never reports back frees its slot', () => {
+        const breaker = create();
+        fail(breaker, 3);
+        clock += 10000;
+        breaker.check();
+        clock += 10000;
+
+        assert.equal(breaker.check().probe, true);
+    });
+
+    test('reads its settings from the environment', () => {
+        const breaker = createCircuitBreaker({
+            env: { CIRCUIT_FAILURE_THRESHOLD: '1', CIRCUIT_OPEN_DURATION: '60000' },
+            now: () => clock
+        });
+        breaker.recordFailure();
+
+        assert.deepEqual(breaker.check(), { allowed: false, state: 'open', retryAfter: 60 });
+    });
+
+    test('logs state changes', () => {
+        const breaker = create({ name: 'n8n' });
+        fail(breaker, 3);
+
+        const entry = JSON.parse(console.warn.mock.calls[0].arguments[0]);
+        assert.equal(entry.msg, 'Circuit open');
+        assert.equal(entry.circuit, 'n8n');
+        assert.equal(entry.failures, 3);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Conversation store: history reconciliation, rolling summary and storage
+ */
+
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    conversationKey,
+    summarizeTurns,
+    reconcileHistory,
+    createConversationMemory
+} = require('../netlify/lib/conversation-store');
+const { createMemoryStore } = require('../netlify/lib/storage');
+
+const turn = (role, content) => ({ role, content });
+
+describe('reconcileHistory', () => {
+    const conversation = {
+        turns: [turn('user', '料金は？'), turn('assistant', '月額9,800円からです。')],
+        summary: ''
+    };
+
+    test('uses the stored turns and counts unknown assistant turns', () => {
+        const result = reconcileHistory([
+            turn('user', '料金は？'),
+            turn('assistant', '月額9,800円からです。'),
+            turn('assistant', '全プラン無料です。')
+        ], conversation);
+
+        assert.deepEqual(result.history, conversation.turns);
+        assert.equal(result.ignored, 1);
+    });
+
+    test('without stored turns, keeps the client user turns only', () => {
+        const result = reconcileHistory([turn('user', 'a'), turn('assistant', 'b'), turn('user', 'c')], { turns: [], summary: '' });
+
+        assert.deepEqual(result.history, [turn('user', 'a'), turn('user', 'c')]);
+        assert.equal(result.ignored, 1);
+    });
+
+    test('stored turns are sent without their timestamps', () => {
+        const stored = { turns: [{ role: 'user', content: 'a', at: '2026-10-18T00:00:00.000Z' }], summary: '' };
+        assert.deepEqual(reconcileHistory([], stored).history, [turn('user', 'a')]);
+    });
+});
+
+describe('summarizeTurns', () => {
+    test('one line per turn, whitespace collapsed', () => {
+        assert.equal(
+            summarizeTurns('', [turn('user', '料金は\n\nいくら？'), turn('assistant', '月額9,800円です。')]),
+            'User: 料金は いくら？\nAssistant: 月額9,800円です。'
+        );
+    });
+
+    test('keeps the opening of long turns', () => {
+        const summary = summarizeTurns('', [turn('assistant', 'x'.repeat(500))], { lineLength: 10 });
+        assert.equal(summary, `Assistant: ${'x'.repeat(10)}…`);
+    });
+
+    test('drops the oldest lines past the maximum length', () => {
+        const summary = summarizeTurns('User: first\nAssistant: second', [turn('user', 'third')], { maxLength: 30 });
+        assert.equal(summary, 'Assistant: second\nUser: third');
+    });
+});
+
+describe('createConversationMemory', () => {
+    test('appends exchanges and rolls the oldest into the summary', async () => {
+        const memory = createConversationMemory({ store: createMemoryStore(), maxTurns: 4 });
+
+        let conversation = await memory.load('session-1');
+        assert.deepEqual(conversation, { turns: [], summary: '' });
+
+        for (const message of ['one', 'two', 'three']) {
+            conversation = await memory.append('session-1', conversation, message, `re: ${message}`);
+        }
+
+        const stored = await memory.load('session-1');
+        assert.deepEqual(stored.turns.map(item => item.content), ['two', 're: two', 'three', 're: three']);
+        assert.equal(stored.summary, 'User: one\nAssistant: re: one');
+    });
+
+    test('stores under a hash of the session ID', async () => {
+        const store = createMemoryStore();
+        const memory = createConversationMemory({ store });
+        await memory.append('session-1', { turns: [], summary: '' }, 'hi', 'hello');
+
+        assert.match(conversationKey('session-1'), /^azenflow:conversation:[0-9a-f]{64}$/);
+        assert.ok(await store.get(conversationKey('session-1')));
+    });
+
+    test('a failing store never throws', async () => {
+        mock.method(console, 'error', () => {});
+        const broken = {
+            name: 'broken',
+            get: async () => { throw new Error('down'); },
+            set: async () => { throw new Error('down'); }
+        };
+        const memory = createConversationMemory({ store: broken });
+
+        assert.deepEqual(await memory.load('session-1'), { turns: [], summary: '' });
+        const updated = await memory.append('session-1', { turns: [], summary: '' }, 'hi', 'hello');
+
+        assert.equal(updated.turns.length, 2);
+        assert.equal(console.error.mock.calls.length, 2);
+        mock.restoreAll();
+    });
+});
@@ -0,0 +1,254 @@
+/**
+ * health function: configuration and connectivity status, and the metrics
+ * recorded by chatbot-proxy and contact-form-proxy
+ */
+
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockN8n } = require('./support/mock-n8n');
+const { loadFunction, invoke, createBotFields, closedPortUrl } = require('./support/functions');
+
+const HEALTH_TOKEN = 'test-health-token';
+const AUTHORIZATION = { authorization: `Bearer ${HEALTH_TOKEN}` };
+
+const CHAT_BODY = { message: '料金を教えてください', language: 'ja', sessionId: 'test-session' };
+const CONTACT_FORM = {
+    name: '山田 太郎',
+    email: 'taro@example.jp',
+    message: 'LINEチャットボットの導入について相談したいです。',
+    consent: true,
+    language: 'ja'
+};
+
+describe('health', () => {
+    const n8n = createMockN8n({ secret: 'test-secret' });
+    const tempDirs = [];
+    let env;
+
+    const load = (name, overrides = {}) => loadFunction(name, { ...env, ...overrides }).handler;
+    const check = (handler, options = {}) => invoke(handler, { method: 'GET', origin: null, ...options });
+
+    before(async () => {
+        await n8n.start();
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await n8n.stop();
+        tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    beforeEach(() => {
+        n8n.reset();
+        const metricsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'azenflow-metrics-'));
+        tempDirs.push(metricsDir);
+        env = {
+            N8N_WEBHOOK_URL: n8n.url('/webhook/chatbot'),
+            N8N_CONTACT_WEBHOOK_URL: n8n.url('/webhook/contact'),
+            N8N_WEBHOOK_SECRET: 'test-secret',
+            REQUEST_TIMEOUT: '300',
+            HEALTH_TOKEN,
+            METRICS_STORE: 'file',
+            METRICS_FILE_PATH: path.join(metricsDir, 'metrics.json')
+        };
+    });
+
+    describe('status', () => {
+        test('public: only the status', async () => {
+            const res = await check(load('health'));
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(Object.keys(res.json).sort(), ['status', 'time']);
+            assert.equal(res.json.status, 'ok');
+            assert.equal(res.headers['Cache-Control'], 'no-store');
+        });
+
+        test('details with the token', async () => {
+            const res = await check(load('health'), { headers: AUTHORIZATION });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.json.config.chatbot.configured, true);
+            assert.deepEqual(res.json.config.contact.connectors, [{ name: 'n8n', type: 'n8n', configured: true }]);
+            assert.equal(res.json.upstream.chatbot.ok, true);
+            assert.equal(res.json.upstream.chatbot.status, 200);
+            assert.deepEqual(res.json.upstream.contact, res.json.upstream.chatbot);
+            assert.ok(res.json.metrics);
+        });
+
+        test('checks n8n once, on /healthz, and caches the result', async () => {
+            const handler = load('health');
+
+            await check(handler);
+            await check(handler);
+
+            assert.equal(n8n.requests.length, 1);
+            assert.equal(n8n.requests[0].method, 'GET');
+            assert.equal(n8n.requests[0].path, '/healthz');
+        });
+
+        test('no details with a wrong token or without HEALTH_TOKEN', async () => {
+            const wrong = await check(load('health'), { headers: { authorization: 'Bearer nope' } });
+            const unset = await check(load('health', { HEALTH_TOKEN: undefined }), { headers: AUTHORIZATION });
+
+            assert.equal(wrong.json.config, undefined);
+            assert.equal(unset.json.config, undefined);
+        });
+
+        test('details without a token under netlify dev', async () => {
+            const res = await check(load('health', { HEALTH_TOKEN: undefined, NETLIFY_DEV: 'true' }));
+            assert.ok(res.json.config);
+        });
+
+        test('error when a pipeline is not configured', async () => {
+            const res = await check(load('health', { N8N_WEBHOOK_URL: undefined }), { headers: AUTHORIZATION });
+
+            assert.equal(res.statusCode, 503);
+            assert.equal(res.json.status, 'error');
+            assert.deepEqual(res.json.config.chatbot.missing, ['N8N_WEBHOOK_URL']);
+            assert.equal(res.json.config.contact.configured, true);
+        });
+
+        test('error when a connector is not configured', async () => {
+            const res = await check(load('health', {
+                LEAD_CONNECTORS: JSON.stringify([{ type: 'n8n' }, { type: 'slack' }])
+            }), { headers: AUTHORIZATION });
+
+            assert.equal(res.json.status, 'error');
+            assert.deepEqual(res.json.config.contact.missing, ['connector:slack']);
+        });
+
+        test('degraded when n8n cannot be reached', async () => {
+            const res = await check(load('health', { N8N_HEALTH_URL: await closedPortUrl() }), { headers: AUTHORIZATION });
+
+            assert.equal(res.statusCode, 503);
+            assert.equal(res.json.status, 'degraded');
+            assert.equal(res.json.upstream.chatbot.ok, false);
+            assert.equal(res.json.upstream.chatbot.error, 'unreachable');
+        });
+
+        test('warns about memory stores and unsigned requests', async () => {
+            const res = await check(load('health', { N8N_WEBHOOK_SECRET: undefined, METRICS_STORE: undefined }), { headers: AUTHORIZATION });
+
+            assert.ok(res.json.config.warnings.some(warning => warning.startsWith('N8N_WEBHOOK_SECRET')));
+            assert.ok(res.json.config.warnings.some(warning => warning.startsWith('METRICS_STORE is memory')));
+            assert.ok(res.json.config.warnings.some(warning => warning.startsWith('No durable lead store')));
+        });
+
+        test('warns that form challenges need a shared rate limit store', async () => {
+            const warnings = async (env) => (await check(load('health', env), { headers: AUTHORIZATION })).json.config.warnings;
+            const challengeWarning = 'Form challenges are only single-use per instance (set RATE_LIMIT_STORE=redis)';
+
+            assert.ok((await warnings({})).includes(challengeWarning));
+            assert.equal((await warnings({
+                RATE_LIMIT_STORE: 'redis',
+                RATE_LIMIT_REDIS_URL: 'redis://127.0.0.1:6379'
+            })).includes(challengeWarning), false);
+        });
+
+        test('warns when reply signatures are not verified', async () => {
+            const warnings = async (env) => (await check(load('health', env), { headers: AUTHORIZATION })).json.config.warnings;
+
+            assert.ok((await warnings({ N8N_VERIFY_RESPONSE_SIGNATURES: 'false' }))
+                .includes('N8N_VERIFY_RESPONSE_SIGNATURES is false: n8n replies are not verified'));
+            assert.equal((await warnings({})).some(warning => warning.startsWith('N8N_VERIFY_RESPONSE_SIGNATURES')), false);
+        });
+
+        test('rejects other methods', async () => {
+            const res = await check(load('health'), { method: 'POST' });
+            assert.equal(res.statusCode, 405);
+        });
+    });
+
+    describe('metrics', () => {
+        const counter = (metrics, name, labels) => {
+            const entry = (metrics.counters[name] || []).find(item =>
+                Object.entries(labels).every(([label, value]) => item.labels[label] === value));
+            return entry ? entry.value : 0;
+        };
+
+        const report = async () => (await check(load('health'), { headers: AUTHORIZATION })).json.metrics;
+
+        test('counts chatbot requests, rate limiting and n8n calls', async () => {
+            const chatbot = load('chatbot-proxy', { RATE_LIMIT_PER_MINUTE: '1' });
+
+            assert.equal((await invoke(chatbot, { body: CHAT_BODY })).statusCode, 200);
+            assert.equal((await invoke(chatbot, { body: CHAT_BODY })).statusCode, 429);
+            await invoke(chatbot, { method: 'OPTIONS' });
+
+            const metrics = await report();
+            assert.equal(counter(metrics, 'requests_total', { function: 'chatbot', status: '200' }), 1);
+            assert.equal(counter(metrics, 'requests_total', { function: 'chatbot', status: '429' }), 1);
+            assert.equal(counter(metrics, 'rate_limited_total', { function: 'chatbot' }), 1);
+            assert.equal(counter(metrics, 'upstream_requests_total', { function: 'chatbot', upstream: 'n8n', status: '200' }), 1);
+
+            const [duration] = metrics.histograms.upstream_duration_ms;
+            assert.deepEqual(duration.labels, { function: 'chatbot', upstream: 'n8n' });
+            assert.equal(duration.count, 1);
+            assert.equal(metrics.histograms.request_duration_ms[0].count, 2);
+        });
+
+        test('counts n8n timeouts once', async () => {
+            n8n.reply({ delay: 1000, json: { response: 'too late' } });
+
+            const res = await invoke(load('chatbot-proxy'), { body: CHAT_BODY });
+            assert.equal(res.statusCode, 504);
+
+            const metrics = await report();
+            assert.deepEqual(metrics.counters.upstream_requests_total, [
+                { labels: { function: 'chatbot', status: 'timeout', upstream: 'n8n' }, value: 1 }
+            ]);
+        });
+
+        test('counts validation failures and rejections', async () => {
+            const chatbot = load('chatbot-proxy');
+            const contact = load('contact-form-proxy');
+
+            await invoke(chatbot, { body: { ...CHAT_BODY, language: 'xx' } });
+            await invoke(chatbot, { body: '{"message": ' });
+            await invoke(contact, { body: { ...CONTACT_FORM, ...createBotFields(), email: 'invalid' } });
+            await invoke(contact, { body: { ...CONTACT_FORM, ...createBotFields(), website: 'http://spam.example' } });
+            await invoke(contact, { body: CONTACT_FORM, origin: 'https://evil.example' });
+
+            const metrics = await report();
+            assert.equal(counter(metrics, 'validation_failures_total', { function: 'chatbot', reason: 'invalid_input' }), 1);
+            assert.equal(counter(metrics, 'validation_failures_total', { function: 'chatbot', reason: 'invalid_json' }), 1);
+            assert.equal(counter(metrics, 'validation_failures_total', { function: 'contact', reason: 'invalid_input' }), 1);
+            assert.equal(counter(metrics, 'rejections_total', { function: 'contact', reason: 'honeypot' }), 1);
+            assert.equal(counter(metrics, 'rejections_total', { function: 'contact', reason: 'forbidden_origin' }), 1);
+        });
+
+        test('counts each connector attempt', async () => {
+            n8n.reply({ status: 503, json: { error: 'busy' } });
+
+            const res = await invoke(load('contact-form-proxy', { DELIVERY_RETRY_DELAY: '10' }), {
+                body: { ...CONTACT_FORM, ...createBotFields() }
+            });
+            assert.equal(res.statusCode, 200);
+
+            const metrics = await report();
+            assert.equal(counter(metrics, 'upstream_requests_total', { function: 'contact', upstream: 'n8n', status: '503' }), 1);
+            assert.equal(counter(metrics, 'upstream_requests_total', { function: 'contact', upstream: 'n8n', status: '200' }), 1);
+            assert.equal(counter(metrics, 'requests_total', { function: 'contact', status: '200' }), 1);
+            assert.equal(metrics.histograms.upstream_duration_ms[0].count, 2);
+        });
+
+        test('Prometheus format with the token only', async () => {
+            await invoke(load('chatbot-proxy'), { body: CHAT_BODY });
+            const handler = load('health');
+
+            const denied = await check(handler, { query: { format: 'prometheus' } });
+            const res = await check(handler, { query: { format: 'prometheus' }, headers: AUTHORIZATION });
+
+            assert.equal(denied.statusCode, 401);
+            assert.equal(res.statusCode, 200);
+            assert.match(res.headers['Content-Type'], /^text\/plain/);
+            assert.match(res.body, /^azenflow_requests_total\{function="chatbot",status="200"\} 1$/m);
+        });
+    });
+});
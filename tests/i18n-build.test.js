@@ -0,0 +1,141 @@
+/**
+ * i18n build: catalog lookup, coverage, link rewriting and hreflang
+ * alternates
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createTranslator,
+    getCoverage,
+    renderHtml,
+    rewriteUrl,
+    buildAlternates,
+    applyAlternates
+} = require('../i18n/build');
+
+const catalog = {
+    locale: 'en',
+    htmlLang: 'en',
+    ogLocale: 'en_US',
+    messages: {
+        'よくある質問': 'FAQ',
+        '料金 & プラン': 'Pricing <& plans>',
+        '未翻訳': ''
+    }
+};
+
+const HEAD = `<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <link rel="canonical" href="https://azenflow.jp/faq.html">
+    <title>よくある質問</title>
+</head>`;
+
+describe('createTranslator', () => {
+    test('looks up whitespace-collapsed text and keeps the surrounding whitespace', () => {
+        const translator = createTranslator(catalog.messages);
+
+        assert.equal(translator.translate('\n    料金   &\n    プラン  '), '\n    Pricing &lt;&amp; plans&gt;  ');
+        assert.equal(translator.translate('お問い合わせ'), 'お問い合わせ');
+        assert.deepEqual([...translator.translated], ['料金 & プラン']);
+        assert.deepEqual([...translator.missing], ['お問い合わせ']);
+    });
+
+    test('escapes translations for HTML unless asked not to', () => {
+        const translator = createTranslator(catalog.messages);
+
+        assert.equal(translator.translate('料金 & プラン'), 'Pricing &lt;&amp; plans&gt;');
+        assert.equal(translator.translate('料金 & プラン', false), 'Pricing <& plans>');
+    });
+
+    test('leaves text without Japanese alone, counts empty translations as missing', () => {
+        const translator = createTranslator(catalog.messages);
+
+        assert.equal(translator.translate('AzenFlow 2025'), 'AzenFlow 2025');
+        assert.equal(translator.translate('   '), '   ');
+        assert.equal(translator.translate('未翻訳'), '未翻訳');
+        assert.deepEqual([...translator.missing], ['未翻訳']);
+    });
+});
+
+describe('getCoverage', () => {
+    test('is the share of the distinct strings met that are translated', () => {
+        const translator = createTranslator(catalog.messages);
+        renderHtml('<h1>よくある質問</h1><p>料金 & プラン</p><p>未翻訳</p><p>未翻訳</p>', catalog, translator, null);
+
+        assert.equal(getCoverage(translator), 2 / 3);
+    });
+
+    test('is complete for a page without Japanese text', () => {
+        const translator = createTranslator(catalog.messages);
+        renderHtml('<p>AzenFlow</p>', catalog, translator, null);
+
+        assert.equal(getCoverage(translator), 1);
+    });
+});
+
+describe('rewriteUrl', () => {
+    test('moves relative assets up one directory', () => {
+        assert.equal(rewriteUrl('styles/main.css', 'en'), '../styles/main.css');
+        assert.equal(rewriteUrl('images/logo.png?v=2', 'en'), '../images/logo.png?v=2');
+    });
+
+    test('keeps links to other pages inside the locale', () => {
+        assert.equal(rewriteUrl('contact.html', 'en'), 'contact.html');
+        assert.equal(rewriteUrl('faq.html#pricing', 'en'), 'faq.html#pricing');
+    });
+
+    test('points absolute links to our pages at the locale version', () => {
+        assert.equal(rewriteUrl('https://azenflow.jp/', 'en'), 'https://azenflow.jp/en/');
+        assert.equal(rewriteUrl('https://azenflow.jp/faq.html#q1', 'en'), 'https://azenflow.jp/en/faq.html#q1');
+        assert.equal(rewriteUrl('https://azenflow.jp/images/og.png', 'en'), 'https://azenflow.jp/images/og.png');
+    });
+
+    test('leaves root-relative, anchor and external URLs alone', () => {
+        for (const url of ['/api/chat', '#services', 'https://example.com/page.html', 'mailto:info@azenflow.jp']) {
+            assert.equal(rewriteUrl(url, 'en'), url);
+        }
+    });
+});
+
+describe('hreflang alternates', () => {
+    test('lists the published locales and the default as x-default', () => {
+        assert.equal(buildAlternates('index.html', ['ja', 'en']), [
+            '<!-- i18n:alternates -->',
+            '    <link rel="alternate" hreflang="ja" href="https://azenflow.jp/">',
+            '    <link rel="alternate" hreflang="en" href="https://azenflow.jp/en/">',
+            '    <link rel="alternate" hreflang="x-default" href="https://azenflow.jp/">',
+            '    <!-- /i18n:alternates -->'
+        ].join('\n'));
+    });
+
+    test('are inserted after the canonical link, then replaced in place', () => {
+        const inserted = applyAlternates(HEAD, 'faq.html', ['ja', 'en']);
+
+        assert.match(inserted, /canonical" href="https:\/\/azenflow\.jp\/faq\.html">\n {4}<!-- i18n:alternates -->\n/);
+        assert.match(inserted, /hreflang="en" href="https:\/\/azenflow\.jp\/en\/faq\.html"/);
+        assert.equal(applyAlternates(inserted, 'faq.html', ['ja', 'en']), inserted);
+
+        const replaced = applyAlternates(inserted, 'faq.html', ['ja', 'en', 'fr']);
+        assert.match(replaced, /hreflang="fr" href="https:\/\/azenflow\.jp\/fr\/faq\.html"/);
+        assert.equal(replaced.match(/<!-- i18n:alternates -->/g).length, 1);
+    });
+
+    test('are left out of pages only published in the default locale', () => {
+        const inserted = applyAlternates(HEAD, 'faq.html', ['ja', 'en']);
+
+        assert.equal(applyAlternates(inserted, 'faq.html', ['ja']), HEAD);
+        assert.equal(applyAlternates(HEAD, 'faq.html', ['ja']), HEAD);
+    });
+
+    test('are kept as is in rendered pages', () => {
+        const source = applyAlternates(HEAD, 'faq.html', ['ja', 'en']);
+        const output = renderHtml(source, catalog, createTranslator(catalog.messages), 'faq.html');
+
+        assert.match(output, /<html lang="en">/);
+        assert.match(output, /<title>FAQ<\/title>/);
+        assert.match(output, /hreflang="ja" href="https:\/\/azenflow\.jp\/faq\.html"/);
+        assert.match(output, /rel="canonical" href="https:\/\/azenflow\.jp\/en\/faq\.html"/);
+    });
+});
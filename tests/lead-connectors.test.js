@@ -0,0 +1,293 @@
+/**
+ * Lead connectors (n8n, webhook, Slack, LINE Notify, SMTP) and the SMTP client
+ */
+
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockN8n } = require('./support/mock-n8n');
+const { createMockSmtp } = require('./support/mock-smtp');
+const { closedPortUrl } = require('./support/functions');
+const {
+    formatLead,
+    formatSubject,
+    createN8nConnector,
+    createWebhookConnector,
+    createSlackConnector,
+    createLineNotifyConnector,
+    createSmtpConnector,
+    createConnectorsFromEnv
+} = require('../netlify/lib/lead-connectors');
+const { verifyRequest } = require('../netlify/lib/webhook-signature');
+const { sendMail, buildMessage } = require('../netlify/lib/smtp-client');
+
+const LEAD = {
+    name: '山田 太郎',
+    email: 'taro@example.jp',
+    company: '株式会社テスト',
+    phone: '03-1234-5678',
+    service: 'line-chatbot',
+    message: 'LINEチャットボットの導入について相談したいです。',
+    source: 'website-contact-form',
+    spamScore: 0,
+    spamReasons: [],
+    quarantined: false
+};
+const OPTIONS = { timeout: 1000 };
+
+describe('formatting', () => {
+    test('summarizes a lead', () => {
+        const text = formatLead(LEAD);
+
+        assert.match(text, /^新しいお問い合わせ \/ New lead（お問い合わせフォーム）/);
+        assert.match(text, /お名前: 山田 太郎/);
+        assert.match(text, /会社名: 株式会社テスト/);
+        assert.match(text, /スパムスコア: 0\n/);
+        assert.ok(text.endsWith(LEAD.message));
+    });
+
+    test('flags quarantined leads', () => {
+        const lead = { ...LEAD, quarantined: true, spamScore: 60, spamReasons: ['urls:3', 'no_japanese'] };
+
+        assert.match(formatLead(lead), /^⚠️ 要確認/);
+        assert.match(formatLead(lead), /スパムスコア: 60 \(urls:3, no_japanese\)/);
+        assert.equal(formatSubject(lead), '[AzenFlow][要確認] お問い合わせ: 山田 太郎 (株式会社テスト)');
+    });
+
+    test('skips empty fields', () => {
+        const text = formatLead({ ...LEAD, company: '', phone: '' });
+
+        assert.doesNotMatch(text, /会社名|電話/);
+        assert.equal(formatSubject({ ...LEAD, company: '' }), '[AzenFlow] お問い合わせ: 山田 太郎');
+    });
+});
+
+describe('HTTP connectors', () => {
+    const server = createMockN8n({ secret: 'test-secret' });
+
+    before(async () => {
+        await server.start();
+        mock.method(console, 'error', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await server.stop();
+    });
+
+    beforeEach(() => server.reset());
+
+    test('n8n: signed JSON with the idempotency key and the legacy API key', async () => {
+        const connector = createN8nConnector({ url: server.url('/webhook/contact'), secrets: ['test-secret'], apiKey: 'legacy-key' });
+
+        assert.deepEqual(await connector.send(LEAD, 'key-0001', OPTIONS), { ok: true, status: 200 });
+
+        const [request] = server.requests;
+        assert.equal(request.signature.valid, true);
+        assert.equal(request.headers['x-api-key'], 'legacy-key');
+        assert.deepEqual(request.json, { ...LEAD, idempotencyKey: 'key-0001' });
+    });
+
+    test('webhook: extra headers and an optional signature', async () => {
+        const connector = createWebhookConnector({
+            url: server.url('/crm'),
+            headers: { 'Authorization': 'Bearer crm-token' },
+            secret: 'crm-secret'
+        });
+
+        await connector.send(LEAD, 'key-0001', OPTIONS);
+
+        const [request] = server.requests;
+        assert.equal(request.headers.authorization, 'Bearer crm-token');
+        assert.equal(request.headers['idempotency-key'], 'key-0001');
+        assert.equal(verifyRequest(request.body, request.headers, ['crm-secret']).valid, true);
+        assert.equal(createWebhookConnector({ url: server.url('/crm') }).configured, true);
+    });
+
+    test('slack: text message', async () => {
+        await createSlackConnector({ url: server.url('/slack') }).send(LEAD, 'key-0001', OPTIONS);
+
+        assert.deepEqual(server.requests[0].json, { text: formatLead(LEAD) });
+    });
+
+    test('line-notify: bearer token and form-encoded message', async () => {
+        const connector = createLineNotifyConnector({ token: 'line-token', url: server.url('/api/notify') });
+
+        await connector.send({ ...LEAD, message: 'あ'.repeat(2000) }, 'key-0001', OPTIONS);
+
+        const [request] = server.requests;
+        assert.equal(request.headers.authorization, 'Bearer line-token');
+        assert.equal(request.headers['content-type'], 'application/x-www-form-urlencoded');
+        const message = new URLSearchParams(request.body).get('message');
+        assert.equal(message.length, 1000);
+        assert.ok(message.startsWith('\n新しいお問い合わせ'));
+        assert.equal(createLineNotifyConnector({}).configured, false);
+    });
+
+    test('reports HTTP errors, timeouts and unreachable hosts', async () => {
+        const connector = createSlackConnector({ url: server.url('/slack') });
+
+        server.reply({ status: 404, body: 'no_service' });
+        assert.deepEqual(await connector.send(LEAD, 'key-0001', OPTIONS), { ok: false, status: 404, error: 'HTTP 404', retryable: false });
+
+        server.reply({ status: 503, body: 'busy' });
+        assert.equal((await connector.send(LEAD, 'key-0001', OPTIONS)).retryable, true);
+
+        server.reply({ delay: 500 });
+        assert.equal((await connector.send(LEAD, 'key-0001', { timeout: 100 })).error, 'timeout');
+
+        const unreachable = createSlackConnector({ url: await closedPortUrl() });
+        assert.equal((await unreachable.send(LEAD, 'key-0001', OPTIONS)).error, 'unreachable');
+    });
+});
+
+describe('SMTP', () => {
+    const smtp = createMockSmtp({ user: 'leads', password: 'p@ss word' });
+
+    const connector = (options = {}) => createSmtpConnector({
+        url: smtp.url(),
+        from: 'noreply@azenflow.jp',
+        to: ['sales@azenflow.jp', 'ops@azenflow.jp'],
+        ...options
+    });
+
+    before(async () => {
+        await smtp.start();
+        mock.method(console, 'error', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await smtp.stop();
+    });
+
+    beforeEach(() => smtp.reset());
+
+    test('emails the lead with the visitor as Reply-To', async () => {
+        assert.deepEqual(await connector().send(LEAD, 'key-0001', OPTIONS), { ok: true, status: 250 });
+
+        const [message] = smtp.messages;
+        assert.equal(message.user, 'leads');
+        assert.equal(message.from, 'noreply@azenflow.jp');
+        assert.deepEqual(message.to, ['sales@azenflow.jp', 'ops@azenflow.jp']);
+        assert.equal(message.headers['reply-to'], 'taro@example.jp');
+        assert.equal(message.headers.subject, '[AzenFlow] お問い合わせ: 山田 太郎 (株式会社テスト)');
+        assert.ok(message.text.startsWith(formatLead(LEAD)));
+        assert.match(message.text, /ID: key-0001$/);
+    });
+
+    test('retries temporary failures, not permanent ones', async () => {
+        smtp.failNext('RCPT', 451);
+        assert.deepEqual(await connector().send(LEAD, 'key-0001', OPTIONS), { ok: false, status: 503, error: 'SMTP 451', retryable: true });
+
+        smtp.failNext('DATA-END', 554);
+        assert.deepEqual(await connector().send(LEAD, 'key-0001', OPTIONS), { ok: false, status: 502, error: 'SMTP 554', retryable: false });
+
+        assert.equal(smtp.messages.length, 0);
+    });
+
+    test('reports wrong credentials and unreachable servers', async () => {
+        const wrongPassword = smtp.url().replace('p%40ss%20word', 'wrong');
+        assert.equal((await connector({ url: wrongPassword }).send(LEAD, 'key-0001', OPTIONS)).error, 'SMTP 535');
+
+        const unreachable = (await closedPortUrl()).replace('http:', 'smtp:');
+        assert.equal((await connector({ url: unreachable }).send(LEAD, 'key-0001', OPTIONS)).error, 'unreachable');
+    });
+
+    test('falls back to AUTH LOGIN', async () => {
+        const loginOnly = createMockSmtp({ user: 'leads', password: 'secret', auth: 'LOGIN' });
+        await loginOnly.start();
+        try {
+            const result = await sendMail(loginOnly.url(), { from: 'noreply@azenflow.jp', to: 'sales@azenflow.jp', subject: 'Test', text: 'Body' });
+            assert.deepEqual(result.accepted, ['sales@azenflow.jp']);
+            assert.equal(loginOnly.messages[0].user, 'leads');
+        } finally {
+            await loginOnly.stop();
+        }
+    });
+
+    test('refuses header injection', async () => {
+        await assert.rejects(
+            sendMail(smtp.url(), { from: 'noreply@azenflow.jp', to: 'sales@azenflow.jp\r\nBcc: x@evil.example', text: '' }),
+            /Invalid email address/
+        );
+        await assert.rejects(
+            sendMail(smtp.url(), { from: 'noreply@azenflow.jp', to: 'sales@azenflow.jp', replyTo: 'a@b.c>\r\nBcc: x@evil.example', text: '' }),
+            /Invalid email address/
+        );
+        assert.equal(smtp.messages.length, 0);
+    });
+
+    test('encodes non-ASCII subjects and wraps the body', () => {
+        const message = buildMessage({ from: 'a@azenflow.jp', to: ['b@azenflow.jp'], subject: 'お問い合わせ', text: 'あ'.repeat(100) });
+
+        assert.match(message, /^Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/m);
+        const body = message.split('\r\n\r\n')[1];
+        assert.ok(body.split('\r\n').every(line => line.length <= 76));
+    });
+});
+
+describe('createConnectorsFromEnv', () => {
+    before(() => mock.method(console, 'error', () => {}));
+    after(() => mock.restoreAll());
+
+    test('defaults to the n8n contact webhook', () => {
+        const [connector, ...others] = createConnectorsFromEnv({
+            N8N_CONTACT_WEBHOOK_URL: 'https://n8n.example/webhook/contact',
+            N8N_WEBHOOK_SECRET: 'secret'
+        });
+
+        assert.equal(others.length, 0);
+        assert.equal(connector.name, 'n8n');
+        assert.equal(connector.configured, true);
+        assert.equal(connector.required, true);
+    });
+
+    test('n8n is required and the others optional, unless the spec says otherwise', () => {
+        const connectors = createConnectorsFromEnv({
+            N8N_CONTACT_WEBHOOK_URL: 'https://n8n.example/webhook/contact',
+            N8N_WEBHOOK_SECRET: 'secret',
+            LEAD_CONNECTORS: JSON.stringify([
+                { type: 'n8n' },
+                { type: 'slack', url: 'https://hooks.slack.example/T000' },
+                { type: 'webhook', name: 'crm', url: 'https://crm.example/leads', required: true },
+                { type: 'n8n', name: 'archive', required: false }
+            ])
+        });
+
+        assert.deepEqual(connectors.map(connector => [connector.name, connector.required]), [
+            ['n8n', true],
+            ['slack', false],
+            ['crm', true],
+            ['archive', false]
+        ]);
+    });
+
+    test('reads LEAD_CONNECTORS with env: references', () => {
+        const connectors = createConnectorsFromEnv({
+            N8N_CONTACT_WEBHOOK_URL: 'https://n8n.example/webhook/contact',
+            N8N_WEBHOOK_SECRET: 'secret',
+            SLACK_URL: 'https://hooks.slack.example/T000',
+            LEAD_CONNECTORS: JSON.stringify([
+                { type: 'n8n' },
+                { type: 'slack', url: 'env:SLACK_URL' },
+                { type: 'slack', url: 'env:MISSING' },
+                { type: 'smtp', url: 'smtps://u:p@mail.example', from: 'noreply@azenflow.jp', to: 'sales@azenflow.jp' },
+                { type: 'line-notify', name: 'line', token: 'token' }
+            ])
+        });
+
+        assert.deepEqual(connectors.map(connector => [connector.name, connector.type, connector.configured]), [
+            ['n8n', 'n8n', true],
+            ['slack', 'slack', true],
+            ['slack-3', 'slack', false],
+            ['smtp', 'smtp', true],
+            ['line', 'line-notify', true]
+        ]);
+    });
+
+    test('marks invalid configuration as not configured', () => {
+        assert.equal(createConnectorsFromEnv({ LEAD_CONNECTORS: '{not json' })[0].configured, false);
+        assert.equal(createConnectorsFromEnv({ LEAD_CONNECTORS: '{}' })[0].configured, false);
+        assert.equal(createConnectorsFromEnv({ LEAD_CONNECTORS: '[{"type":"fax"}]' })[0].configured, false);
+    });
+});
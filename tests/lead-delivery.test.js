@@ -0,0 +1,325 @@
+/**
+ * Lead delivery: store settings, idempotency, retries, fan-out, dead-letter queue and replay
+ */
+
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockN8n } = require('./support/mock-n8n');
+const { closedPortUrl } = require('./support/functions');
+const {
+    readLeadStoreConfig,
+    createLeadStore,
+    readIdempotencyKey,
+    createIdempotencyStore,
+    createDeadLetterQueue,
+    createLeadDelivery,
+    replayDeadLetters
+} = require('../netlify/lib/lead-delivery');
+const { createMemoryStore, createFileStore } = require('../netlify/lib/storage');
+const { createN8nConnector, createWebhookConnector } = require('../netlify/lib/lead-connectors');
+const { main, parseArgs } = require('../netlify/tools/replay-leads');
+
+const LEAD = { name: '山田 太郎', email: 'taro@example.jp', message: '導入の相談です。' };
+
+// Temp dirs of the file stores, removed once the file's tests are done
+const tempDirs = [];
+const tempFile = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'azenflow-leads-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'leads.json');
+};
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+describe('lead store', () => {
+    before(() => mock.method(console, 'warn', () => {}));
+    after(() => mock.restoreAll());
+
+    test('reads the LEAD_STORE variables', () => {
+        const filePath = tempFile();
+        const store = createLeadStore({ LEAD_STORE: 'file', LEAD_STORE_FILE_PATH: filePath });
+
+        assert.equal(store.name, 'file');
+        assert.equal(store.durable, true);
+        assert.equal(readLeadStoreConfig({ LEAD_STORE: 'redis', LEAD_STORE_REDIS_URL: 'redis://leads.internal' }).redisUrl,
+            'redis://leads.internal');
+    });
+
+    test('durable only with redis or a file path', () => {
+        const durable = (env) => readLeadStoreConfig(env).durable;
+
+        assert.equal(durable({}), false);
+        assert.equal(durable({ LEAD_STORE: 'file' }), false);
+        assert.equal(durable({ LEAD_STORE: 'redis' }), false);
+        assert.equal(durable({ LEAD_STORE: 'file', LEAD_STORE_FILE_PATH: '/data/leads.json' }), true);
+        assert.equal(durable({ LEAD_STORE: 'redis', RATE_LIMIT_REDIS_URL: 'redis://cache.internal' }), true);
+        assert.equal(createLeadStore({ LEAD_STORE: 'file' }).durable, false);
+    });
+});
+
+describe('idempotency', () => {
+    before(() => mock.method(console, 'error', () => {}));
+    after(() => mock.restoreAll());
+
+    test('reads the Idempotency-Key header', () => {
+        assert.deepEqual(readIdempotencyKey({}), { key: null, valid: true });
+        assert.deepEqual(readIdempotencyKey({ 'idempotency-key': 'c0ffee00-0000-4000-8000-000000000000' }),
+            { key: 'c0ffee00-0000-4000-8000-000000000000', valid: true });
+        assert.equal(readIdempotencyKey({ 'idempotency-key': 'short' }).valid, false);
+        assert.equal(readIdempotencyKey({ 'idempotency-key': 'has spaces in it' }).valid, false);
+    });
+
+    test('claims a key once and remembers the response', async () => {
+        const idempotency = createIdempotencyStore(createMemoryStore());
+
+        assert.equal(await idempotency.lookup('key-0001'), null);
+        assert.equal(await idempotency.claim('key-0001'), true);
+        assert.equal(await idempotency.claim('key-0001'), false);
+        assert.deepEqual(await idempotency.lookup('key-0001'), { state: 'pending' });
+
+        await idempotency.complete('key-0001', { statusCode: 200, body: '{}' });
+        assert.deepEqual(await idempotency.lookup('key-0001'), { state: 'done', response: { statusCode: 200, body: '{}' } });
+    });
+
+    test('releases a key', async () => {
+        const idempotency = createIdempotencyStore(createMemoryStore());
+
+        await idempotency.claim('key-0001');
+        await idempotency.release('key-0001');
+
+        assert.equal(await idempotency.claim('key-0001'), true);
+    });
+
+    test('lets submissions through when the store fails', async () => {
+        const broken = { name: 'broken', get: async () => { throw new Error('down'); }, setIfAbsent: async () => { throw new Error('down'); } };
+        const idempotency = createIdempotencyStore(broken);
+
+        assert.equal(await idempotency.lookup('key-0001'), null);
+        assert.equal(await idempotency.claim('key-0001'), true);
+    });
+});
+
+describe('createLeadDelivery', () => {
+    const n8n = createMockN8n({ secret: 'test-secret' });
+    let delays;
+
+    const n8nConnector = (url = n8n.url('/webhook/contact')) => createN8nConnector({ url, secrets: ['test-secret'] });
+
+    const create = (options = {}) => createLeadDelivery({
+        connectors: [n8nConnector()],
+        timeout: 300,
+        retryDelay: 100,
+        sleep: async (ms) => { delays.push(ms); },
+        ...options
+    });
+
+    before(async () => {
+        await n8n.start();
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await n8n.stop();
+    });
+
+    beforeEach(() => {
+        n8n.reset();
+        delays = [];
+    });
+
+    test('sends a signed lead with its idempotency key', async () => {
+        const result = await create().deliver(LEAD, 'key-0001');
+
+        assert.deepEqual(result, { delivered: true, results: { n8n: { delivered: true, attempts: 1, status: 200 } }, failed: [], failedRequired: [] });
+        assert.equal(n8n.requests[0].signature.valid, true);
+        assert.equal(n8n.requests[0].headers['idempotency-key'], 'key-0001');
+        assert.deepEqual(n8n.requests[0].json, { ...LEAD, idempotencyKey: 'key-0001' });
+    });
+
+    test('backs off exponentially between attempts', async () => {
+        n8n.reply({ status: 500, body: 'boom' });
+        n8n.reply({ status: 429, body: 'slow down' });
+
+        const result = await create().deliver(LEAD, 'key-0001');
+
+        assert.deepEqual(result.results.n8n, { delivered: true, attempts: 3, status: 200 });
+        assert.equal(delays.length, 2);
+        assert.ok(delays[0] >= 100 && delays[0] <= 125);
+        assert.ok(delays[1] >= 200 && delays[1] <= 250);
+    });
+
+    test('gives up after maxAttempts', async () => {
+        for (let i = 0; i < 2; i++) {
+            n8n.reply({ status: 502, body: 'Bad gateway' });
+        }
+
+        const result = await create({ maxAttempts: 2 }).deliver(LEAD, 'key-0001');
+
+        assert.equal(result.delivered, false);
+        assert.deepEqual(result.failed, ['n8n']);
+        assert.deepEqual(result.results.n8n, { delivered: false, attempts: 2, status: 502, error: 'HTTP 502' });
+    });
+
+    test('does not retry client errors', async () => {
+        n8n.reply({ status: 400, body: 'Bad request' });
+
+        const result = await create().deliver(LEAD, 'key-0001');
+
+        assert.equal(result.results.n8n.attempts, 1);
+        assert.equal(n8n.requests.length, 1);
+    });
+
+    test('stops retrying when the budget is spent', async () => {
+        n8n.reply({ status: 500, body: 'boom' });
+
+        const result = await create({ retryDelay: 1000, budget: 500 }).deliver(LEAD, 'key-0001');
+
+        assert.equal(result.delivered, false);
+        assert.equal(result.results.n8n.attempts, 1);
+        assert.deepEqual(delays, []);
+    });
+
+    test('classifies timeouts and unreachable hosts', async () => {
+        n8n.reply({ delay: 1000 });
+        const timedOut = await create({ maxAttempts: 1 }).deliver(LEAD, 'key-0001');
+        assert.deepEqual(timedOut.results.n8n, { delivered: false, attempts: 1, status: 504, error: 'timeout' });
+
+        const unreachable = await create({ connectors: [n8nConnector(await closedPortUrl())], maxAttempts: 1 }).deliver(LEAD, 'key-0001');
+        assert.deepEqual(unreachable.results.n8n, { delivered: false, attempts: 1, status: 503, error: 'unreachable' });
+    });
+
+    test('fans out to every connector, a failing one does not block the others', async () => {
+        const crm = createWebhookConnector({ name: 'crm', url: await closedPortUrl() });
+        const broken = { name: 'broken', configured: true, send: async () => { throw new Error('boom'); } };
+
+        const result = await create({ connectors: [crm, n8nConnector(), broken] }).deliver(LEAD, 'key-0001');
+
+        assert.equal(result.delivered, false);
+        assert.deepEqual(result.failed, ['crm', 'broken']);
+        assert.equal(result.results.n8n.delivered, true);
+        assert.equal(result.results.crm.error, 'unreachable');
+        assert.equal(result.results.broken.error, 'boom');
+    });
+
+    test('is delivered once the required connectors are, optional failures aside', async () => {
+        const required = (name, ok) => ({ name, configured: true, required: true, send: async () => ({ ok, status: ok ? 200 : 500 }) });
+        const optional = (name, ok) => ({ ...required(name, ok), required: false });
+
+        const mixed = await create({ connectors: [required('n8n', true), optional('slack', false), optional('smtp', true)] })
+            .deliver(LEAD, 'key-0001');
+        assert.equal(mixed.delivered, true);
+        assert.deepEqual(mixed.failed, ['slack']);
+        assert.deepEqual(mixed.failedRequired, []);
+
+        const missed = await create({ connectors: [required('n8n', false), optional('slack', true)], maxAttempts: 1 })
+            .deliver(LEAD, 'key-0001');
+        assert.equal(missed.delivered, false);
+        assert.deepEqual(missed.failedRequired, ['n8n']);
+
+        // Without a required connector, every one is
+        const none = await create({ connectors: [optional('slack', true), optional('smtp', false)], maxAttempts: 1 })
+            .deliver(LEAD, 'key-0001');
+        assert.equal(none.delivered, false);
+        assert.deepEqual(none.failedRequired, ['smtp']);
+    });
+
+    test('delivers to the `only` connectors', async () => {
+        const crm = createWebhookConnector({ name: 'crm', url: n8n.url('/crm') });
+
+        const result = await create({ connectors: [n8nConnector(), crm] }).deliver(LEAD, 'key-0001', { only: ['crm'] });
+
+        assert.deepEqual(Object.keys(result.results), ['crm']);
+        assert.deepEqual(n8n.requests.map(request => request.path), ['/crm']);
+    });
+
+    test('is configured when every connector is', () => {
+        assert.equal(create().configured, true);
+        assert.equal(create({ connectors: [] }).configured, false);
+        assert.equal(create({ connectors: [createN8nConnector({ url: n8n.url() })] }).configured, false);
+    });
+
+    describe('replay', () => {
+        test('resends queued leads and keeps the ones that fail again', async () => {
+            const queue = createDeadLetterQueue(createMemoryStore());
+            await queue.add({ id: 'lead-0001', payload: LEAD, connectors: ['n8n'], results: {} });
+            await queue.add({ id: 'lead-0002', payload: { ...LEAD, email: 'b@example.jp' }, connectors: ['n8n'], results: {} });
+            n8n.reply({ json: { success: true } });
+            n8n.reply({ status: 400, body: 'Bad request' });
+
+            const summary = await replayDeadLetters({ queue, delivery: create() });
+
+            assert.deepEqual(summary, { delivered: ['lead-0001'], failed: [{ id: 'lead-0002', connectors: ['n8n'] }], pending: [] });
+            assert.equal(n8n.requests[0].json.idempotencyKey, 'lead-0001');
+
+            const [remaining] = await queue.list();
+            assert.equal(remaining.id, 'lead-0002');
+            assert.equal(remaining.replays, 1);
+            assert.equal(remaining.results.n8n.error, 'HTTP 400');
+            assert.ok(remaining.lastReplayAt);
+        });
+
+        test('only resends to the connectors that failed', async () => {
+            const queue = createDeadLetterQueue(createMemoryStore());
+            const crm = createWebhookConnector({ name: 'crm', url: n8n.url('/crm') });
+            await queue.add({ id: 'lead-0001', payload: LEAD, connectors: ['crm'], results: {} });
+
+            const summary = await replayDeadLetters({ queue, delivery: create({ connectors: [n8nConnector(), crm] }) });
+
+            assert.deepEqual(summary.delivered, ['lead-0001']);
+            assert.deepEqual(n8n.requests.map(request => request.path), ['/crm']);
+        });
+
+        test('keeps a lead until its optional connectors took it too', async () => {
+            const queue = createDeadLetterQueue(createMemoryStore());
+            const n8nRequired = { ...n8nConnector(), required: true };
+            const crm = createWebhookConnector({ name: 'crm', url: await closedPortUrl() });
+            await queue.add({ id: 'lead-0001', payload: LEAD, connectors: ['n8n', 'crm'], results: {} });
+
+            const summary = await replayDeadLetters({ queue, delivery: create({ connectors: [n8nRequired, crm], maxAttempts: 1 }) });
+
+            assert.deepEqual(summary.failed, [{ id: 'lead-0001', connectors: ['crm'] }]);
+            assert.deepEqual((await queue.list())[0].connectors, ['crm']);
+        });
+
+        test('dry run and selection by id', async () => {
+            const queue = createDeadLetterQueue(createMemoryStore());
+            await queue.add({ id: 'lead-0001', payload: LEAD, connectors: ['n8n'], results: {} });
+            await queue.add({ id: 'lead-0002', payload: LEAD, connectors: ['n8n'], results: {} });
+
+            const summary = await replayDeadLetters({ queue, delivery: create(), ids: ['lead-0002'], dryRun: true });
+
+            assert.deepEqual(summary.pending, ['lead-0002']);
+            assert.equal(n8n.requests.length, 0);
+            assert.equal((await queue.list()).length, 2);
+        });
+
+        test('the replay command reads the queue from the configured store', async () => {
+            const filePath = tempFile();
+            const env = {
+                LEAD_STORE: 'file',
+                LEAD_STORE_FILE_PATH: filePath,
+                N8N_CONTACT_WEBHOOK_URL: n8n.url('/webhook/contact'),
+                N8N_WEBHOOK_SECRET: 'test-secret'
+            };
+            await createDeadLetterQueue(createFileStore(filePath)).add({ id: 'lead-0001', payload: LEAD, connectors: ['n8n'], results: {} });
+            mock.method(console, 'log', () => {});
+
+            assert.equal(await main([], env), 0);
+
+            assert.equal(n8n.requests.length, 1);
+            assert.equal(n8n.requests[0].signature.valid, true);
+            assert.deepEqual(await createDeadLetterQueue(createFileStore(filePath)).list(), []);
+        });
+
+        test('the replay command refuses the memory store and bad arguments', async () => {
+            assert.equal(await main([], {}), 2);
+            assert.equal(await main(['--unknown'], { LEAD_STORE: 'file' }), 2);
+            assert.deepEqual(parseArgs(['--dry-run', '--id', 'a', '--id', 'b']), { list: false, dryRun: true, ids: ['a', 'b'] });
+        });
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * Structured logger: JSON lines, levels, request IDs and redaction
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createLogger,
+    getRequestId,
+    withRequestId,
+    currentRequestId,
+    hashValue
+} = require('../netlify/lib/logger');
+
+const ENV = { LOG_HASH_SALT: 'test-salt' };
+
+describe('logger', () => {
+    let lines;
+
+    beforeEach(() => {
+        lines = [];
+        for (const method of ['log', 'warn', 'error']) {
+            mock.method(console, method, (line) => lines.push({ method, entry: JSON.parse(line) }));
+        }
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('output', () => {
+        test('writes one JSON object per line', () => {
+            createLogger('Test', { env: ENV }).info('Hello', { status: 200, stream: false });
+
+            assert.equal(lines.length, 1);
+            const { entry } = lines[0];
+            assert.equal(entry.level, 'info');
+            assert.equal(entry.component, 'Test');
+            assert.equal(entry.msg, 'Hello');
+            assert.equal(entry.status, 200);
+            assert.equal(entry.stream, false);
+            assert.ok(!Number.isNaN(Date.parse(entry.time)));
+        });
+
+        test('uses the console method of the level', () => {
+            const logger = createLogger('Test', { env: { ...ENV, LOG_LEVEL: 'debug' } });
+
+            logger.debug('a');
+            logger.info('b');
+            logger.warn('c');
+            logger.error('d');
+
+            assert.deepEqual(lines.map(line => line.method), ['log', 'log', 'warn', 'error']);
+        });
+
+        test('drops lines below LOG_LEVEL', () => {
+            const logger = createLogger('Test', { env: { ...ENV, LOG_LEVEL: 'warn' } });
+
+            logger.debug('a');
+            logger.info('b');
+            logger.warn('c');
+            logger.error('d');
+
+            assert.deepEqual(lines.map(line => line.entry.msg), ['c', 'd']);
+        });
+
+        test('info by default, nothing when silent', () => {
+            createLogger('Test', { env: ENV }).debug('hidden');
+            createLogger('Test', { env: { ...ENV, LOG_LEVEL: 'nonsense' } }).debug('hidden');
+            createLogger('Test', { env: { ...ENV, LOG_LEVEL: 'silent' } }).error('hidden');
+
+            assert.equal(lines.length, 0);
+        });
+
+        test('fields cannot replace the standard ones', () => {
+            createLogger('Test', { env: ENV }).info('Hello', { level: 'error', msg: 'forged' });
+
+            assert.equal(lines[0].entry.level, 'info');
+            assert.equal(lines[0].entry.msg, 'Hello');
+        });
+
+        test('serializes errors', () => {
+            const error = new Error('Connection refused by 198.51.100.7');
+            error.code = 'ECONNREFUSED';
+
+            createLogger('Test', { env: ENV }).error('Failed', { error });
+
+            const logged = lines[0].entry.error;
+            assert.equal(logged.name, 'Error');
+            assert.equal(logged.code, 'ECONNREFUSED');
+            assert.match(logged.message, /^Connection refused by \[ip hash:[0-9a-f]{12}\]$/);
+            assert.ok(!logged.stack.includes('198.51.100.7'));
+        });
+    });
+
+    describe('redaction', () => {
+        const log = (fields, msg = 'Test') => {
+            createLogger('Test', { env: ENV }).info(msg, fields);
+            return lines[lines.length - 1].entry;
+        };
+
+        test('hashes IP addresses and emails in fields', () => {
+            const entry = log({ ip: '203.0.113.1', email: 'Taro@Example.jp' });
+
+            assert.equal(entry.ip, hashValue('203.0.113.1', 'test-salt'));
+            assert.equal(entry.email, hashValue('taro@example.jp', 'test-salt'));
+            assert.match(entry.ip, /^hash:[0-9a-f]{12}$/);
+        });
+
+        test('the same value gives the same hash, another salt another hash', () => {
+            assert.equal(log({ ip: '203.0.113.1' }).ip, log({ ip: '203.0.113.1' }).ip);
+            assert.notEqual(hashValue('203.0.113.1', 'test-salt'), hashValue('203.0.113.1', 'other-salt'));
+        });
+
+        test('without LOG_HASH_SALT, loggers of an instance share one key', () => {
+            createLogger('First', { env: {} }).info('Test', { ip: '203.0.113.1' });
+            createLogger('Second', { env: {} }).info('Test', { ip: '203.0.113.1' });
+
+            const [first, second] = lines.slice(-2).map(line => line.entry);
+            assert.equal(first.ip, second.ip);
+            assert.notEqual(first.ip, hashValue('203.0.113.1', 'test-salt'));
+        });
+
+        test('masks names and phone numbers', () => {
+            const entry = log({ name: '山田 太郎', phone: '03-1234-5678', company: '' });
+
+            assert.equal(entry.name, '[redacted]');
+            assert.equal(entry.phone, '[redacted]');
+            assert.equal(entry.company, '');
+        });
+
+        test('replaces message content by its length', () => {
+            const entry = log({
+                message: '導入の相談です。',
+                transcript: [{ role: 'user', content: 'こんにちは' }],
+                body: '{"error":"taro@example.jp is invalid"}'
+            });
+
+            assert.equal(entry.message, '[redacted: 8 chars]');
+            assert.equal(entry.transcript, '[redacted: 1 items]');
+            assert.equal(entry.body, '[redacted: 38 chars]');
+        });
+
+        test('redacts nested fields', () => {
+            const entry = log({ lead: { email: 'taro@example.jp', message: 'secret', source: 'pdf-download' } });
+
+            assert.match(entry.lead.email, /^hash:/);
+            assert.equal(entry.lead.message, '[redacted: 6 chars]');
+            assert.equal(entry.lead.source, 'pdf-download');
+        });
+
+        test('scrubs emails, IPs and phone numbers in free text', () => {
+            const entry = log(
+                { reason: 'Sent from 2001:db8::1 by +81 90-1234-5678' },
+                'Lead from taro@example.jp (203.0.113.1)'
+            );
+
+            assert.match(entry.msg, /^Lead from \[email hash:[0-9a-f]{12}\] \(\[ip hash:[0-9a-f]{12}\]\)$/);
+            assert.match(entry.reason, /^Sent from \[ip hash:[0-9a-f]{12}\] by \[phone\]$/);
+        });
+
+        test('leaves IDs, dates and counters alone', () => {
+            const text = 'Lead 550e8400-e29b-41d4-a716-446655440000 at 2026-10-18T09:30:00.000Z after 3 attempt(s), retry in 1000 ms (12:30:45)';
+            assert.equal(log({}, text).msg, text);
+        });
+
+        test('truncates long strings', () => {
+            const entry = log({ reason: 'x'.repeat(5000) });
+            assert.ok(entry.reason.length < 1100);
+            assert.match(entry.reason, /\(5000 chars\)$/);
+        });
+    });
+
+    describe('request IDs', () => {
+        test('uses the Netlify request ID when present', () => {
+            assert.equal(getRequestId({ headers: { 'x-nf-request-id': '01HF8Z3K9QW2XJ7T' } }), '01HF8Z3K9QW2XJ7T');
+        });
+
+        test('generates one otherwise (or for an unusable header)', () => {
+            const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+            assert.match(getRequestId({ headers: {} }), uuid);
+            assert.match(getRequestId({ headers: { 'x-nf-request-id': 'bad id\n{"level":"error"}' } }), uuid);
+            assert.notEqual(getRequestId({ headers: {} }), getRequestId({ headers: {} }));
+        });
+
+        test('every line logged within withRequestId carries the ID, across awaits', async () => {
+            const logger = createLogger('Test', { env: ENV });
+
+            logger.info('outside');
+            await withRequestId('request-1234', async () => {
+                logger.info('before');
+                await new Promise(resolve => setTimeout(resolve, 5));
+                assert.equal(currentRequestId(), 'request-1234');
+                logger.info('after');
+            });
+
+            assert.equal(lines[0].entry.requestId, undefined);
+            assert.equal(lines[1].entry.requestId, 'request-1234');
+            assert.equal(lines[2].entry.requestId, 'request-1234');
+            assert.equal(currentRequestId(), null);
+        });
+
+        test('concurrent requests keep their own ID', async () => {
+            const logger = createLogger('Test', { env: ENV });
+            const run = (id, delay) => withRequestId(id, async () => {
+                await new Promise(resolve => setTimeout(resolve, delay));
+                logger.info(id);
+            });
+
+            await Promise.all([run('request-slow', 20), run('request-fast', 1)]);
+
+            for (const { entry } of lines) {
+                assert.equal(entry.requestId, entry.msg);
+            }
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Metrics: series, counters, histograms, stores and output formats
+ */
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    seriesKey,
+    parseSeriesKey,
+    createTotalsStore,
+    createMetrics,
+    summarize,
+    formatPrometheus
+} = require('../netlify/lib/metrics');
+const storage = require('../netlify/lib/storage');
+
+const createMemoryStore = () => createTotalsStore(storage.createMemoryStore());
+const createFileStore = (filePath) => createTotalsStore(storage.createFileStore(filePath));
+
+// Temp dirs of the file stores, removed once the file's tests are done
+const tempDirs = [];
+const tempFile = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'azenflow-metrics-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'metrics.json');
+};
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+describe('series', () => {
+    test('sorts labels and round-trips', () => {
+        const key = seriesKey('requests_total', { status: 200, function: 'chatbot' });
+
+        assert.equal(key, 'azenflow_requests_total{function="chatbot",status="200"}');
+        assert.deepEqual(parseSeriesKey(key), { name: 'requests_total', labels: { function: 'chatbot', status: '200' } });
+        assert.equal(seriesKey('rate_limited_total'), 'azenflow_rate_limited_total');
+    });
+
+    test('label values cannot break the format', () => {
+        const key = seriesKey('upstream_requests_total', { upstream: 'crm",x="1},{' });
+
+        assert.deepEqual(parseSeriesKey(key).labels, { upstream: 'crm__x__1___' });
+    });
+});
+
+describe('createMetrics', () => {
+    test('buffers until flush', async () => {
+        const store = createMemoryStore();
+        const metrics = createMetrics('chatbot', { store });
+
+        metrics.increment('requests_total', { status: 200 });
+        metrics.increment('requests_total', { status: 200 });
+        metrics.increment('rate_limited_total');
+        assert.deepEqual(await store.read(), {});
+
+        await metrics.flush();
+        await metrics.flush();
+
+        assert.deepEqual(await store.read(), {
+            'azenflow_requests_total{function="chatbot",status="200"}': 2,
+            'azenflow_rate_limited_total{function="chatbot"}': 1
+        });
+    });
+
+    test('records durations in cumulative buckets', async () => {
+        const store = createMemoryStore();
+        const metrics = createMetrics('contact', { store });
+
+        metrics.observe('upstream_duration_ms', 80, { upstream: 'n8n' });
+        metrics.observe('upstream_duration_ms', 300, { upstream: 'n8n' });
+        metrics.observe('upstream_duration_ms', 45000, { upstream: 'n8n' });
+        await metrics.flush();
+
+        const { histograms } = summarize(await store.read());
+        const [entry] = histograms.upstream_duration_ms;
+
+        assert.deepEqual(entry.labels, { function: 'contact', upstream: 'n8n' });
+        assert.equal(entry.count, 3);
+        assert.equal(entry.sum, 45380);
+        assert.equal(entry.mean, 15127);
+        assert.equal(entry.buckets['50'], undefined);
+        assert.equal(entry.buckets['100'], 1);
+        assert.equal(entry.buckets['500'], 2);
+        assert.equal(entry.buckets['30000'], 2);
+        assert.equal(entry.buckets['+Inf'], 3);
+        assert.equal(entry.p50, 500);
+        assert.equal(entry.p95, null);
+    });
+
+    test('a failing store never throws', async () => {
+        mock.method(console, 'error', () => {});
+        const metrics = createMetrics('chatbot', {
+            store: { name: 'broken', add: async () => { throw new Error('down'); } }
+        });
+
+        metrics.increment('requests_total', { status: 200 });
+        await metrics.flush();
+
+        assert.equal(console.error.mock.calls.length, 1);
+        mock.restoreAll();
+    });
+
+    test('file store: totals shared between instances', async () => {
+        const filePath = tempFile();
+
+        const first = createMetrics('chatbot', { store: createFileStore(filePath) });
+        const second = createMetrics('contact', { store: createFileStore(filePath) });
+        first.increment('requests_total', { status: 200 });
+        second.increment('requests_total', { status: 200 });
+        second.increment('requests_total', { status: 200 });
+        await first.flush();
+        await second.flush();
+
+        const { counters } = summarize(await createFileStore(filePath).read());
+        assert.deepEqual(counters.requests_total, [
+            { labels: { function: 'chatbot', status: '200' }, value: 1 },
+            { labels: { function: 'contact', status: '200' }, value: 2 }
+        ]);
+    });
+});
+
+describe('formatPrometheus', () => {
+    let text;
+
+    before(async () => {
+        const store = createMemoryStore();
+        const metrics = createMetrics('chatbot', { store });
+        metrics.increment('requests_total', { status: 429 });
+        metrics.observe('request_duration_ms', 120);
+        await metrics.flush();
+        text = formatPrometheus(await store.read());
+    });
+
+    test('types each metric once', () => {
+        assert.equal(text.match(/# TYPE azenflow_request_duration_ms histogram/g).length, 1);
+        assert.equal(text.match(/# TYPE azenflow_requests_total counter/g).length, 1);
+    });
+
+    test('writes one line per series', () => {
+        assert.match(text, /^azenflow_requests_total\{function="chatbot",status="429"\} 1$/m);
+        assert.match(text, /^azenflow_request_duration_ms_bucket\{function="chatbot",le="250"\} 1$/m);
+        assert.match(text, /^azenflow_request_duration_ms_sum\{function="chatbot"\} 120$/m);
+        assert.match(text, /^azenflow_request_duration_ms_count\{function="chatbot"\} 1$/m);
+        assert.ok(!/le="100"/.test(text));
+    });
+});
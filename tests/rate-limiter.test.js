@@ -0,0 +1,203 @@
+/**
+ * Rate limiter: policies, sliding window and window stores (memory, file,
+ * redis over a fake socket)
+ */
+
+const { test, describe, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {
+    createRateLimiter,
+    createWindowStore,
+    mergePolicies,
+    slideWindow,
+    DEFAULT_POLICIES
+} = require('../netlify/lib/rate-limiter');
+const storage = require('../netlify/lib/storage');
+const { createFakeRedis } = require('./support/fake-redis');
+
+// Temp dirs of the file stores, removed once the file's tests are done
+const tempDirs = [];
+const tempFile = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'azenflow-rate-limit-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'rate-limit.json');
+};
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const MINUTE = 60 * 1000;
+
+const createMemoryStore = () => createWindowStore(storage.createMemoryStore());
+const createFileStore = (filePath) => createWindowStore(storage.createFileStore(filePath));
+const createRedisStore = (redisUrl) => createWindowStore(storage.createRedisStore(redisUrl));
+
+beforeEach(() => {
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('policies', () => {
+    test('an override keeps the fields it does not set', () => {
+        const limiter = createRateLimiter({
+            store: createMemoryStore(),
+            env: { RATE_LIMIT_POLICIES: JSON.stringify({ chatbot: { limit: 20 }, contact: { windowMs: MINUTE } }) }
+        });
+
+        assert.deepEqual(limiter.policies.chatbot, { limit: 20, windowMs: DEFAULT_POLICIES.chatbot.windowMs });
+        assert.deepEqual(limiter.policies.contact, { limit: DEFAULT_POLICIES.contact.limit, windowMs: MINUTE });
+    });
+
+    test('merges the function policies, then RATE_LIMIT_POLICIES, route by route', () => {
+        const policies = mergePolicies(
+            DEFAULT_POLICIES,
+            { token: { limit: 30, windowMs: MINUTE } },
+            { token: { limit: 5 } }
+        );
+
+        assert.deepEqual(policies.token, { limit: 5, windowMs: MINUTE });
+        assert.deepEqual(policies.chatbot, DEFAULT_POLICIES.chatbot);
+    });
+
+    test('ignores values that are not positive integers', () => {
+        const policies = mergePolicies(DEFAULT_POLICIES, {
+            chatbot: { limit: 0, windowMs: '60000' },
+            contact: { limit: NaN, windowMs: -1 },
+            token: { limit: 1.5, windowMs: MINUTE },
+            broken: null
+        });
+
+        assert.deepEqual(policies.chatbot, DEFAULT_POLICIES.chatbot);
+        assert.deepEqual(policies.contact, DEFAULT_POLICIES.contact);
+        assert.equal(policies.token, undefined);
+        assert.equal(policies.broken, undefined);
+    });
+
+    test('ignores RATE_LIMIT_POLICIES that is not a JSON object', () => {
+        for (const value of ['{', '[1]', '"chatbot"', 'null']) {
+            const limiter = createRateLimiter({ store: createMemoryStore(), env: { RATE_LIMIT_POLICIES: value } });
+            assert.deepEqual(limiter.policies, DEFAULT_POLICIES, value);
+        }
+    });
+
+    test('rejects unknown routes', async () => {
+        const limiter = createRateLimiter({ store: createMemoryStore(), env: {} });
+        await assert.rejects(limiter.check('unknown', '203.0.113.1'), /Unknown rate limit policy/);
+    });
+});
+
+describe('slideWindow', () => {
+    test('counts the requests inside the window only', () => {
+        const options = { now: 10 * MINUTE, windowMs: MINUTE, limit: 2 };
+
+        assert.deepEqual(slideWindow([8 * MINUTE, 9.5 * MINUTE], options),
+            { allowed: true, count: 2, oldest: 9.5 * MINUTE, timestamps: [9.5 * MINUTE, 10 * MINUTE] });
+        assert.equal(slideWindow([9.5 * MINUTE, 9.8 * MINUTE], options).allowed, false);
+    });
+});
+
+describe('createRateLimiter', () => {
+    test('rejects past the limit with Retry-After, per client', async () => {
+        const limiter = createRateLimiter({ store: createMemoryStore(), policies: { token: { limit: 2, windowMs: MINUTE } }, env: {} });
+
+        assert.equal((await limiter.check('token', 'a')).remaining, 1);
+        assert.equal((await limiter.check('token', 'a')).remaining, 0);
+
+        const rejected = await limiter.check('token', 'a');
+        assert.equal(rejected.allowed, false);
+        assert.ok(rejected.retryAfter > 0 && rejected.retryAfter <= 60);
+
+        assert.equal((await limiter.check('token', 'b')).allowed, true);
+    });
+
+    test('allows requests when the store fails', async () => {
+        const store = { name: 'broken', hit: async () => { throw new Error('down'); } };
+        const limiter = createRateLimiter({ store, env: {} });
+
+        const result = await limiter.check('chatbot', 'a');
+        assert.equal(result.allowed, true);
+        assert.equal(result.remaining, DEFAULT_POLICIES.chatbot.limit);
+    });
+});
+
+describe('file store', () => {
+    const options = (now) => ({ now, windowMs: MINUTE, limit: 2 });
+
+    test('is shared by the instances using the same file', async () => {
+        const filePath = tempFile();
+        const first = createFileStore(filePath);
+        const second = createFileStore(filePath);
+
+        assert.deepEqual(await first.hit('key', options(1000)), { allowed: true, count: 1, oldest: 1000 });
+        assert.deepEqual(await second.hit('key', options(2000)), { allowed: true, count: 2, oldest: 1000 });
+        assert.deepEqual(await first.hit('key', options(3000)), { allowed: false, count: 2, oldest: 1000 });
+
+        // The window slid past the first request
+        assert.equal((await second.hit('key', options(1000 + MINUTE))).allowed, true);
+    });
+
+    test('drops expired keys and leaves no temporary file', async () => {
+        const filePath = tempFile();
+        const store = createFileStore(filePath);
+
+        // Keys expire once their window is over
+        await store.hit('old', { now: Date.now(), windowMs: 20, limit: 2 });
+        await new Promise(resolve => setTimeout(resolve, 30));
+        await store.hit('new', options(Date.now()));
+
+        assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8'))), ['new']);
+        assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['rate-limit.json']);
+    });
+
+    test('starts over from an unreadable file', async () => {
+        const filePath = tempFile();
+        fs.writeFileSync(filePath, '{ not json');
+
+        assert.deepEqual(await createFileStore(filePath).hit('key', options(1000)), { allowed: true, count: 1, oldest: 1000 });
+    });
+});
+
+describe('redis store', () => {
+    let urls = 0;
+    const uniqueUrl = () => `redis://rate-limit-${++urls}.internal:6379`;
+
+    test('evaluates the sliding window on the server', async () => {
+        const redis = createFakeRedis(() => [1, 3, 1000]);
+        mock.method(net, 'connect', redis.connect);
+
+        const store = createRedisStore(uniqueUrl());
+        const result = await store.hit('azenflow:ratelimit:chatbot:a', { now: 5000, windowMs: MINUTE, limit: 10 });
+
+        assert.deepEqual(result, { allowed: true, count: 3, oldest: 1000 });
+
+        const [command] = redis.commands;
+        assert.equal(command[0], 'EVAL');
+        assert.match(command[1], /ZREMRANGEBYSCORE/);
+        assert.deepEqual(command.slice(2, 7), ['1', 'azenflow:ratelimit:chatbot:a', '5000', '60000', '10']);
+        assert.match(command[7], /^5000-[0-9a-z]+$/);
+    });
+
+    test('reports rejected requests', async () => {
+        const redis = createFakeRedis(() => [0, 10, 1000]);
+        mock.method(net, 'connect', redis.connect);
+
+        const limiter = createRateLimiter({ store: createRedisStore(uniqueUrl()), env: {} });
+        const result = await limiter.check('chatbot', 'a');
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.remaining, 0);
+    });
+
+    test('lets the limiter fail open on server errors', async () => {
+        const redis = createFakeRedis(() => new Error('NOSCRIPT'));
+        mock.method(net, 'connect', redis.connect);
+
+        const limiter = createRateLimiter({ store: createRedisStore(uniqueUrl()), env: {} });
+
+        assert.equal((await limiter.check('chatbot', 'a')).allowed, true);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * request-token handler and the request guard
+ */
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_ORIGIN, TEST_TOKEN_SECRET, loadFunction, invoke } = require('./support/functions');
+const {
+    getAllowedOrigins,
+    getTokenSecret,
+    getRequestOrigin,
+    issueToken,
+    verifyToken
+} = require('../netlify/lib/request-guard');
+
+describe('request-token', () => {
+    before(() => {
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => mock.restoreAll());
+
+    test('issues a token for allowed origins', async () => {
+        const { handler } = loadFunction('request-token');
+
+        const res = await invoke(handler, { method: 'GET', token: null });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['Access-Control-Allow-Origin'], TEST_ORIGIN);
+        assert.equal(res.headers['Cache-Control'], 'no-store');
+        assert.ok(res.json.expiresAt > Date.now());
+        assert.deepEqual(verifyToken(res.json.token, TEST_ORIGIN, TEST_TOKEN_SECRET), { valid: true });
+    });
+
+    test('refuses other origins', async () => {
+        const { handler } = loadFunction('request-token');
+
+        const res = await invoke(handler, { method: 'GET', origin: 'https://evil.example', token: null });
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.json.token, undefined);
+    });
+
+    test('only accepts GET', async () => {
+        const { handler } = loadFunction('request-token');
+        assert.equal((await invoke(handler, { method: 'POST', token: null })).statusCode, 405);
+    });
+
+    test('returns 500 without a secret', async () => {
+        const { handler } = loadFunction('request-token', { REQUEST_TOKEN_SECRET: undefined });
+
+        const res = await invoke(handler, { method: 'GET', token: null });
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(res.json.error, 'not_configured');
+    });
+
+    test('is rate limited per IP', async () => {
+        const { handler } = loadFunction('request-token', {
+            RATE_LIMIT_POLICIES: JSON.stringify({ token: { limit: 2, windowMs: 60 * 1000 } })
+        });
+
+        assert.equal((await invoke(handler, { method: 'GET', token: null })).statusCode, 200);
+        assert.equal((await invoke(handler, { method: 'GET', token: null })).statusCode, 200);
+        assert.equal((await invoke(handler, { method: 'GET', token: null })).statusCode, 429);
+        assert.equal((await invoke(handler, { method: 'GET', token: null, ip: '203.0.113.2' })).statusCode, 200);
+    });
+
+    test('logs the client IP hashed', async () => {
+        const { handler } = loadFunction('request-token', {
+            RATE_LIMIT_POLICIES: JSON.stringify({ token: { limit: 1, windowMs: 60 * 1000 } })
+        });
+        await invoke(handler, { method: 'GET', token: null, ip: '198.51.100.7' });
+        console.warn.mock.resetCalls();
+
+        assert.equal((await invoke(handler, { method: 'GET', token: null, ip: '198.51.100.7' })).statusCode, 429);
+
+        const [entry] = console.warn.mock.calls.map(call => JSON.parse(call.arguments[0]));
+        assert.equal(entry.msg, 'Rate limit exceeded');
+        assert.match(entry.ip, /^hash:/);
+        assert.ok(!JSON.stringify(console.warn.mock.calls).includes('198.51.100.7'));
+    });
+});
+
+describe('request guard', () => {
+    test('allows the site and the Netlify deploy URLs by default', () => {
+        assert.deepEqual(getAllowedOrigins({
+            URL: 'https://azenflow.jp',
+            DEPLOY_PRIME_URL: 'https://deploy-preview-12--azenflow.netlify.app'
+        }), [
+            'https://azenflow.jp',
+            'https://www.azenflow.jp',
+            'https://deploy-preview-12--azenflow.netlify.app'
+        ]);
+    });
+
+    test('reads ALLOWED_ORIGINS and adds localhost under netlify dev', () => {
+        assert.deepEqual(getAllowedOrigins({
+            ALLOWED_ORIGINS: 'https://a.example/, https://b.example:8443, not a url',
+            NETLIFY_DEV: 'true'
+        }), ['https://a.example', 'https://b.example:8443', 'http://localhost:8888']);
+    });
+
+    test('derives the token secret from the n8n secret', () => {
+        assert.equal(getTokenSecret({ REQUEST_TOKEN_SECRET: 'explicit', N8N_WEBHOOK_SECRET: 'n8n' }), 'explicit');
+        assert.match(getTokenSecret({ N8N_WEBHOOK_SECRET: 'n8n' }), /^[0-9a-f]{64}$/);
+        assert.notEqual(getTokenSecret({ N8N_WEBHOOK_SECRET: 'n8n' }), 'n8n');
+        assert.equal(getTokenSecret({}), null);
+    });
+
+    test('reads the origin from Origin, then Referer', () => {
+        assert.equal(getRequestOrigin({ origin: 'https://azenflow.jp' }), 'https://azenflow.jp');
+        assert.equal(getRequestOrigin({ referer: 'https://azenflow.jp/contact.html?x=1' }), 'https://azenflow.jp');
+        assert.equal(getRequestOrigin({ origin: 'null' }), null);
+        assert.equal(getRequestOrigin({ referer: 'file:///index.html' }), null);
+        assert.equal(getRequestOrigin({}), null);
+    });
+
+    test('verifies tokens', () => {
+        const now = Date.UTC(2026, 0, 1);
+        const { token, expiresAt } = issueToken(TEST_ORIGIN, 'secret', { now });
+
+        assert.equal(expiresAt, now + 15 * 60 * 1000);
+        assert.equal(verifyToken(token, TEST_ORIGIN, 'secret', { now }).valid, true);
+        assert.equal(verifyToken(token, TEST_ORIGIN, 'other', { now }).valid, false);
+        assert.equal(verifyToken(token, 'https://evil.example', 'secret', { now }).valid, false);
+        assert.equal(verifyToken(token, TEST_ORIGIN, 'secret', { now: expiresAt }).valid, false);
+        assert.equal(verifyToken(undefined, TEST_ORIGIN, 'secret', { now }).valid, false);
+        assert.equal(verifyToken('abc.def', TEST_ORIGIN, 'secret', { now }).valid, false);
+
+        // Right character count, more bytes: must not reach timingSafeEqual
+        const signature = token.split('.')[1];
+        const nonAscii = `${token.split('.')[0]}.Ã${signature.slice(1)}`;
+        assert.deepEqual(verifyToken(nonAscii, TEST_ORIGIN, 'secret', { now }), { valid: false, reason: 'Invalid token signature' });
+    });
+
+    test('rejects a payload changed after signing', () => {
+        const { token } = issueToken('https://evil.example', 'secret');
+        const [, signature] = token.split('.');
+        const payload = Buffer.from(JSON.stringify({ o: TEST_ORIGIN, exp: 9999999999, n: 'x' })).toString('base64url');
+
+        assert.equal(verifyToken(`${payload}.${signature}`, TEST_ORIGIN, 'secret').valid, false);
+    });
+});
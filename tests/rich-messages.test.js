@@ -0,0 +1,163 @@
+/**
+ * Rich messages: typed reply sanitization
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    sanitizeMessages,
+    messagesToText,
+    messagesVisibleText,
+    LIMITS
+} = require('../netlify/lib/rich-messages');
+
+describe('rich messages', () => {
+    describe('types', () => {
+        test('keeps every supported type', () => {
+            const messages = sanitizeMessages([
+                { type: 'text', text: ' こんにちは ' },
+                { type: 'quick_replies', items: [{ label: '料金' }, { label: '導入', payload: 'setup' }] },
+                { type: 'button', label: 'お問い合わせ', url: '/contact.html' },
+                { type: 'card', title: 'Web Chatbot', subtitle: '月額29,990円', image_url: 'https://azenflow.jp/images/a.png' },
+                { type: 'carousel', cards: [{ title: 'A' }, { title: 'B' }] }
+            ]);
+
+            assert.deepEqual(messages, [
+                { type: 'text', text: 'こんにちは' },
+                { type: 'quick_replies', items: [{ label: '料金', payload: '料金' }, { label: '導入', payload: 'setup' }] },
+                { type: 'button', label: 'お問い合わせ', url: '/contact.html' },
+                {
+                    type: 'card',
+                    title: 'Web Chatbot',
+                    text: '月額29,990円',
+                    image_url: 'https://azenflow.jp/images/a.png',
+                    image_alt: 'Web Chatbot'
+                },
+                { type: 'carousel', cards: [{ type: 'card', title: 'A' }, { type: 'card', title: 'B' }] }
+            ]);
+        });
+
+        test('drops unknown types and malformed items', () => {
+            const messages = sanitizeMessages([
+                { type: 'html', html: '<script>alert(1)</script>' },
+                { type: 'TEXT', text: 'shouting' },
+                { text: 'no type' },
+                null,
+                'text',
+                { type: 'text', text: '   ' },
+                { type: 'quick_replies', items: [{ payload: 'no label' }, null] },
+                { type: 'card', text: 'no title' },
+                { type: 'carousel', cards: 'not an array' },
+                { type: 'text', text: 'kept' }
+            ]);
+
+            assert.deepEqual(messages, [{ type: 'text', text: 'kept' }]);
+        });
+
+        test('returns an empty array for anything but an array', () => {
+            for (const value of [undefined, null, 'text', { type: 'text', text: 'x' }]) {
+                assert.deepEqual(sanitizeMessages(value), []);
+            }
+        });
+    });
+
+    describe('URLs', () => {
+        const buttonUrl = (url) => sanitizeMessages([{ type: 'button', label: 'Open', url }])[0];
+
+        test('keeps http(s) URLs and site-relative paths', () => {
+            for (const url of ['https://azenflow.jp/pricing', 'HTTP://example.com', '/contact.html', 'contact.html', '#faq']) {
+                assert.equal(buttonUrl(url).url, url);
+            }
+        });
+
+        test('turns javascript:, data: and other schemes into payload buttons', () => {
+            for (const url of [
+                'javascript:alert(1)',
+                ' JavaScript:alert(1)',
+                'data:text/html;base64,PHNjcmlwdD4=',
+                'vbscript:msgbox(1)',
+                'file:///etc/passwd',
+                '//evil.example/phish'
+            ]) {
+                assert.deepEqual(buttonUrl(url), { type: 'button', label: 'Open', payload: 'Open' }, url);
+            }
+        });
+
+        test('drops unsafe card images', () => {
+            for (const image_url of ['javascript:alert(1)', 'data:image/svg+xml,<svg onload=alert(1)>']) {
+                const [card] = sanitizeMessages([{ type: 'card', title: 'Card', image_url, image_alt: 'x' }]);
+                assert.deepEqual(card, { type: 'card', title: 'Card' });
+            }
+        });
+
+        test('caps URLs at the length limit', () => {
+            const url = 'https://azenflow.jp/' + 'a'.repeat(LIMITS.URL_LENGTH);
+            assert.equal(buttonUrl(url).url, url.substring(0, LIMITS.URL_LENGTH));
+        });
+    });
+
+    describe('limits', () => {
+        test('caps labels, titles, payloads and texts', () => {
+            const [text, replies, card] = sanitizeMessages([
+                { type: 'text', text: 'a'.repeat(LIMITS.TEXT_LENGTH + 1) },
+                { type: 'quick_replies', items: [{ label: 'b'.repeat(100), payload: 'c'.repeat(LIMITS.PAYLOAD_LENGTH + 1) }] },
+                {
+                    type: 'card',
+                    title: 'd'.repeat(LIMITS.TITLE_LENGTH + 1),
+                    text: 'e'.repeat(LIMITS.CARD_TEXT_LENGTH + 1),
+                    buttons: [{ label: 'f'.repeat(LIMITS.LABEL_LENGTH + 1) }]
+                }
+            ]);
+
+            assert.equal(text.text.length, LIMITS.TEXT_LENGTH);
+            assert.equal(replies.items[0].label, 'b'.repeat(LIMITS.LABEL_LENGTH));
+            assert.equal(replies.items[0].payload.length, LIMITS.PAYLOAD_LENGTH);
+            assert.equal(card.title.length, LIMITS.TITLE_LENGTH);
+            assert.equal(card.text.length, LIMITS.CARD_TEXT_LENGTH);
+            assert.equal(card.buttons[0].label.length, LIMITS.LABEL_LENGTH);
+            assert.equal(card.buttons[0].payload, card.buttons[0].label);
+        });
+
+        test('caps the number of messages and items', () => {
+            const many = (count, make) => Array.from({ length: count }, (_, i) => make(i));
+
+            assert.equal(sanitizeMessages(many(LIMITS.MAX_MESSAGES + 5, i => ({ type: 'text', text: `m${i}` }))).length, LIMITS.MAX_MESSAGES);
+
+            const [replies, card, carousel] = sanitizeMessages([
+                { type: 'quick_replies', items: many(LIMITS.MAX_QUICK_REPLIES + 5, i => ({ label: `q${i}` })) },
+                { type: 'card', title: 'Card', buttons: many(LIMITS.MAX_CARD_BUTTONS + 2, i => ({ label: `b${i}` })) },
+                { type: 'carousel', cards: many(LIMITS.MAX_CARDS + 2, i => ({ title: `c${i}` })) }
+            ]);
+
+            assert.equal(replies.items.length, LIMITS.MAX_QUICK_REPLIES);
+            assert.equal(card.buttons.length, LIMITS.MAX_CARD_BUTTONS);
+            assert.equal(carousel.cards.length, LIMITS.MAX_CARDS);
+        });
+
+        test('counts the message limit after invalid items are dropped', () => {
+            const messages = [{ type: 'unknown' }, ...Array.from({ length: LIMITS.MAX_MESSAGES }, (_, i) => ({ type: 'text', text: `m${i}` }))];
+
+            const sanitized = sanitizeMessages(messages);
+
+            assert.equal(sanitized.length, LIMITS.MAX_MESSAGES);
+            assert.equal(sanitized[0].text, 'm0');
+        });
+    });
+
+    describe('text', () => {
+        const messages = sanitizeMessages([
+            { type: 'text', text: '一行目' },
+            { type: 'card', title: 'Card', text: 'Card text', buttons: [{ label: 'Go', url: '/go' }] },
+            { type: 'quick_replies', items: [{ label: 'Yes' }] },
+            { type: 'text', text: '二行目' }
+        ]);
+
+        test('messagesToText joins the text messages only', () => {
+            assert.equal(messagesToText(messages), '一行目\n\n二行目');
+        });
+
+        test('messagesVisibleText collects every visible string', () => {
+            assert.equal(messagesVisibleText(messages), '一行目\nCard text\nCard\nGo\nYes\n二行目');
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Search index: Japanese tokenization, BM25F ranking, the FAQ index and
+ * the site passages build
+ */
+
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { searchTerms, buildSearchIndex, searchIndex } = require('../netlify/lib/search-index');
+const {
+    build,
+    collectPageFaq,
+    extractFaqItems,
+    extractJsonLdFaq,
+    extractPassages,
+    parseLlmsTxt,
+    splitText,
+    decodeEntities
+} = require('../search/build');
+
+const FIELDS = { question: 3, answer: 1 };
+
+describe('searchTerms', () => {
+    test('kanji, katakana and hangul bigrams plus single kanji', () => {
+        assert.deepEqual(searchTerms('料金はいくら'), ['料金', '料', '金']);
+        assert.deepEqual(searchTerms('トライアル'), ['トラ', 'ライ', 'イア', 'アル']);
+        assert.deepEqual(searchTerms('가격'), ['가격']);
+        assert.deepEqual(searchTerms('何'), ['何', '何']);
+    });
+
+    test('Latin words: normalized, without stop words, plural s dropped', () => {
+        assert.deepEqual(searchTerms('How much are the ＬＩＮＥ Plans?'), ['much', 'line', 'plan']);
+        assert.deepEqual(searchTerms('business status'), ['business', 'status']);
+    });
+
+    test('hiragana alone gives no terms', () => {
+        assert.deepEqual(searchTerms('こんにちは'), []);
+    });
+});
+
+describe('searchIndex', () => {
+    const index = buildSearchIndex([
+        { question: '料金はいくらですか？', answer: '月額19,990円です。' },
+        { question: '解約はできますか？', answer: 'いつでも解約できます。料金の日割りはありません。' },
+        { question: '対応している言語は何ですか？', answer: '100以上の言語に対応しています。' }
+    ], FIELDS);
+
+    test('a match in the question ranks first', () => {
+        const results = searchIndex(index, '料金を教えて');
+
+        assert.equal(results[0].document.question, '料金はいくらですか？');
+        assert.equal(results[1].document.question, '解約はできますか？');
+        assert.ok(results[0].score > results[1].score);
+    });
+
+    test('single kanji match reordered words', () => {
+        assert.equal(searchIndex(index, '何言語に対応？')[0].document.question, '対応している言語は何ですか？');
+    });
+
+    test('coverage, minimum coverage and limit', () => {
+        const [best] = searchIndex(index, '解約の方法');
+        assert.equal(best.coverage, 0.5);   // 解約 解 約 of 解約 解 約 方法 方 法
+
+        assert.equal(searchIndex(index, '解約の方法', { minCoverage: 0.6 }).length, 0);
+        assert.equal(searchIndex(index, '料金', { limit: 1 }).length, 1);
+    });
+
+    test('no results for unknown terms or an empty query', () => {
+        assert.deepEqual(searchIndex(index, '天気'), []);
+        assert.deepEqual(searchIndex(index, 'constructor toString'), []);
+        assert.deepEqual(searchIndex(index, ''), []);
+    });
+
+    test('the index survives a JSON round trip', () => {
+        const loaded = JSON.parse(JSON.stringify(index));
+        assert.deepEqual(
+            searchIndex(loaded, '料金').map(result => result.score),
+            searchIndex(index, '料金').map(result => result.score)
+        );
+    });
+});
+
+describe('FAQ index build', () => {
+    test('reads both accordion markups', () => {
+        const html = `
+            <section id="faq"><div class="faq-items">
+                <div class="faq-item">
+                    <button class="faq-question"><span class="question-text">料金は？</span><span class="faq-icon">+</span></button>
+                    <div class="faq-answer"><p><strong>月額19,990円</strong>。<br>• 初期費用0円</p></div>
+                </div>
+                <div class="faq-item">
+                    <div class="faq-question-header"><h4>解約 &amp; 返金</h4><span class="faq-question-icon">+</span></div>
+                    <div class="faq-answer-wrapper"><div><p>いつでも&nbsp;可能です。</p></div></div>
+                </div>
+            </div></section>
+            <div class="faq-item"><h4>Question without answer</h4></div>`;
+
+        assert.deepEqual(extractFaqItems(html), [
+            { question: '料金は？', answer: '月額19,990円。\n• 初期費用0円', section: 'faq' },
+            { question: '解約 & 返金', answer: 'いつでも 可能です。', section: 'faq' }
+        ]);
+    });
+
+    test('reads FAQPage JSON-LD, alone or in a graph', () => {
+        const html = `
+            <script type="application/ld+json">{"@context": "https://schema.org", "@graph": [{"@type": "Organization"},
+                {"@type": "FAQPage", "mainEntity": [{"@type": "Question", "name": "料金は？",
+                    "acceptedAnswer": {"@type": "Answer", "text": "月額19,990円<br>初期費用0円"}}]}]}</script>
+            <script type="application/ld+json">{"@type": </script>`;
+
+        assert.deepEqual(extractJsonLdFaq(html), [{ question: '料金は？', answer: '月額19,990円\n初期費用0円' }]);
+    });
+
+    test('prefers the JSON-LD answer and keeps JSON-LD only questions', () => {
+        const html = `<title>よくある質問｜AzenFlow</title>
+            <div class="faq-item"><span class="question-text">料金は？</span><div class="faq-answer">表示用の回答</div></div>
+            <script type="application/ld+json">{"@type": "FAQPage", "mainEntity": [
+                {"name": "料金は？", "acceptedAnswer": {"text": "構造化データの回答"}},
+                {"name": "解約は？", "acceptedAnswer": {"text": "いつでも可能です。"}}]}</script>`;
+
+        assert.deepEqual(collectPageFaq(html, '/faq.html'), [
+            { question: '料金は？', answer: '構造化データの回答', url: '/faq.html', title: 'よくある質問' },
+            { question: '解約は？', answer: 'いつでも可能です。', url: '/faq.html', title: 'よくある質問' }
+        ]);
+    });
+
+    test('decodes character references', () => {
+        assert.equal(decodeEntities('&lt;a&gt; &#12354; &#x3042; &unknown;'), '<a> あ あ &unknown;');
+    });
+
+    test('indexes the FAQ of the site pages once per question', () => {
+        mock.method(console, 'warn', () => {});   // Locale pages may not be rendered
+        const { faq: { ja } } = build({ write: false });
+        mock.restoreAll();
+
+        const questions = ja.documents.map(document => document.question);
+        const pages = new Set(ja.documents.map(document => document.url.split('#')[0]));
+
+        assert.ok(ja.documentCount >= 50);
+        assert.equal(new Set(questions).size, questions.length);
+        assert.equal(ja.documents[0].url, '/faq.html');
+        assert.ok(pages.has('/line-chatbot.html') && pages.has('/translation-chatbot.html'));
+        assert.ok(ja.documents.every(document => document.question && document.answer && document.title));
+    });
+});
+
+describe('site passages build', () => {
+    test('one passage per heading, without navigation, footer, forms or icons', () => {
+        const html = `<html><head><title>LINEチャットボット｜AzenFlow</title></head><body>
+            <nav><a href="/">ホーム</a></nav>
+            <section class="hero"><h1>LINE公式アカウントの自動応答</h1><p>24時間365日、AIが問い合わせに回答します。</p></section>
+            <section id="pricing">
+                <h2>料金<span class="faq-icon">+</span></h2>
+                <div class="price">月額19,990円（税抜）<br>初期費用0円、2週間無料トライアル</div>
+                <form><label>お名前を入力してください</label></form>
+            </section>
+            <footer>© AzenFlow Japan — すべての権利を保有しています</footer>
+        </body></html>`;
+
+        assert.deepEqual(extractPassages(html, '/line-chatbot.html'), [
+            { title: 'LINEチャットボット', heading: 'LINE公式アカウントの自動応答', text: '24時間365日、AIが問い合わせに回答します。', url: '/line-chatbot.html' },
+            { title: 'LINEチャットボット', heading: '料金', text: '月額19,990円（税抜）\n初期費用0円、2週間無料トライアル', url: '/line-chatbot.html#pricing' }
+        ]);
+    });
+
+    test('long sections are cut at line ends', () => {
+        assert.deepEqual(splitText('aaaa\nbbbb\ncc', 9), ['aaaa\nbbbb', 'cc']);
+        assert.deepEqual(splitText('a'.repeat(12), 5), ['aaaaa', 'aaaaa', 'aa']);
+    });
+
+    test('llms.txt sections', () => {
+        const passages = parseLlmsTxt([
+            '# AzenFlow',
+            '> AI chatbots for Japanese businesses (LINE, web, email).',
+            '',
+            '## Pricing',
+            '- LINE chatbot: ¥19,990 per month, no setup fee',
+            '## Short',
+            'Too short'
+        ].join('\n'), '/llms.txt');
+
+        assert.deepEqual(passages, [
+            { title: 'AzenFlow', heading: '', text: 'AI chatbots for Japanese businesses (LINE, web, email).', url: '/llms.txt' },
+            { title: 'AzenFlow', heading: 'Pricing', text: '- LINE chatbot: ¥19,990 per month, no setup fee', url: '/llms.txt' }
+        ]);
+    });
+
+    test('the site passages include the current prices, once each', () => {
+        mock.method(console, 'warn', () => {});
+        const { passages } = build({ write: false });
+        mock.restoreAll();
+
+        const texts = passages.map(passage => passage.text);
+        assert.equal(new Set(texts).size, texts.length);
+        assert.ok(passages.some(passage => passage.url.startsWith('/line-chatbot.html') && passage.text.includes('19,990')));
+        assert.ok(passages.every(passage => passage.text.length <= 600 && passage.title && passage.locale));
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Site context: passages retrieved for the AI, limits and configuration
+ */
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSiteContext, loadSitePassages } = require('../netlify/lib/site-context');
+
+const PASSAGES = [
+    { title: 'LINEチャットボット', heading: '料金プラン', text: '月額19,990円（税抜）、初期費用0円、2週間無料トライアル。', url: '/line-chatbot.html#pricing' },
+    { title: 'Webチャットボット', heading: '料金プラン', text: '月額29,990円〜、初期費用19,000円〜49,000円。', url: '/web-chatbot.html#pricing' },
+    { title: 'メールAIアシスタント', heading: '導入の流れ', text: 'Gmail・Outlookと連携し、最短1週間で導入できます。', url: '/email-assistant.html' },
+    { title: 'AzenFlow', heading: 'Pricing', text: 'The LINE chatbot costs ¥19,990 per month with no setup fee.', url: '/en/line-chatbot.html#pricing' }
+];
+
+describe('site context', () => {
+    before(() => {
+        mock.method(console, 'warn', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    test('best passages first, with their page', () => {
+        const context = createSiteContext({ env: {}, passages: PASSAGES }).retrieve('LINEチャットボットの料金');
+
+        assert.equal(context[0].url, '/line-chatbot.html#pricing');
+        assert.equal(context[0].title, 'LINEチャットボット');
+        assert.equal(context[0].heading, '料金プラン');
+        assert.ok(context.every((passage, index) => index === 0 || passage.score <= context[index - 1].score));
+    });
+
+    test('English messages find English passages', () => {
+        const context = createSiteContext({ env: {}, passages: PASSAGES }).retrieve('How much is the LINE chatbot per month?');
+        assert.equal(context[0].url, '/en/line-chatbot.html#pricing');
+    });
+
+    test('passage count, coverage and length limits', () => {
+        const message = '料金プランと初期費用';
+
+        assert.equal(createSiteContext({ env: { SITE_CONTEXT_PASSAGES: '1' }, passages: PASSAGES }).retrieve(message).length, 1);
+        assert.equal(createSiteContext({ env: { SITE_CONTEXT_MIN_COVERAGE: '0.99' }, passages: PASSAGES }).retrieve('料金と天気').length, 0);
+
+        const short = createSiteContext({ env: { SITE_CONTEXT_MAX_LENGTH: '40' }, passages: PASSAGES }).retrieve(message);
+        assert.equal(short.length, 1);
+        assert.ok(short[0].text.length <= 40);
+    });
+
+    test('nothing for unrelated messages or when disabled', () => {
+        assert.deepEqual(createSiteContext({ env: {}, passages: PASSAGES }).retrieve('こんにちは'), []);
+
+        const disabled = createSiteContext({ env: { SITE_CONTEXT_ENABLED: 'false' }, passages: PASSAGES });
+        assert.deepEqual(disabled.retrieve('LINEチャットボットの料金'), []);
+        assert.equal(disabled.size(), 0);
+    });
+
+    test('reads SITE_CONTEXT_FILE; an unreadable file gives no passages', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'azenflow-passages-'));
+        after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+        const file = path.join(dir, 'site-passages.json');
+        fs.writeFileSync(file, JSON.stringify({ version: 1, passages: PASSAGES }));
+
+        assert.equal(createSiteContext({ env: { SITE_CONTEXT_FILE: file } }).size(), PASSAGES.length);
+        assert.deepEqual(loadSitePassages(`${file}.missing`), []);
+        assert.equal(console.warn.mock.calls.length, 1);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Spam scoring of contact submissions
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    countUrls,
+    isDisposableEmail,
+    findScriptAnomalies,
+    createSpamScorer
+} = require('../netlify/lib/spam-scoring');
+
+const LEAD = {
+    name: '山田 太郎',
+    email: 'taro@example.jp',
+    company: '株式会社テスト',
+    message: 'LINEチャットボットの導入について相談したいです。',
+    language: 'ja'
+};
+
+describe('signals', () => {
+    test('counts links', () => {
+        assert.equal(countUrls('詳細は https://azenflow.jp/faq.html と www.example.com を参照'), 2);
+        assert.equal(countUrls('メールは info@azenflow.jp まで'), 0);
+    });
+
+    test('recognizes disposable domains and their subdomains', () => {
+        assert.equal(isDisposableEmail('a@mailinator.com'), true);
+        assert.equal(isDisposableEmail('a@eu.mailinator.com'), true);
+        assert.equal(isDisposableEmail('a@notmailinator.com'), false);
+        assert.equal(isDisposableEmail('a@example.jp'), false);
+    });
+
+    test('accepts the scripts of our visitors', () => {
+        assert.deepEqual(findScriptAnomalies('お問い合わせ 咨询 문의 Contact us, iPhone & JavaScript 👍'), []);
+    });
+
+    test('flags other scripts, invisible characters and gibberish', () => {
+        assert.deepEqual(findScriptAnomalies('Здравствуйте'), ['unexpected_script']);
+        assert.deepEqual(findScriptAnomalies('cheap\u200Bpills'), ['invisible_characters']);
+        assert.deepEqual(findScriptAnomalies('asdkjhgfsd'), ['gibberish']);
+        assert.deepEqual(findScriptAnomalies('hElLoWoRlD'), ['gibberish']);
+        assert.deepEqual(findScriptAnomalies('x'.repeat(30)), ['gibberish']);
+    });
+
+    test('keeps links out of the gibberish check', () => {
+        assert.deepEqual(findScriptAnomalies('https://example.com/aXbYcZdWqwrtzplkjh'), []);
+    });
+});
+
+describe('createSpamScorer', () => {
+    test('accepts a normal lead', async () => {
+        const scorer = createSpamScorer({ env: {} });
+        assert.deepEqual(await scorer.score(LEAD), { spamScore: 0, reasons: [], action: 'accept' });
+    });
+
+    test('adds up the signals', async () => {
+        const scorer = createSpamScorer({ env: {} });
+
+        const result = await scorer.score({
+            ...LEAD,
+            email: 'lead@yopmail.com',
+            message: `${LEAD.message} https://a.example`
+        });
+
+        assert.deepEqual(result, { spamScore: 50, reasons: ['urls:1', 'disposable_email'], action: 'quarantine' });
+    });
+
+    test('caps the score and rejects past the threshold', async () => {
+        const scorer = createSpamScorer({ env: {} });
+
+        const result = await scorer.score({
+            name: 'SEO https://seo.example',
+            email: 'x@mailinator.com',
+            company: '',
+            message: 'Лучшие ссылки https://a.example https://b.example https://c.example',
+            language: 'ja'
+        });
+
+        assert.equal(result.spamScore, 100);
+        assert.equal(result.action, 'reject');
+        assert.deepEqual(result.reasons, ['urls:3', 'url_in_name', 'disposable_email', 'unexpected_script', 'no_japanese']);
+    });
+
+    test('counts repeated submissions per email', async () => {
+        const scorer = createSpamScorer({ env: {} });
+        const scores = [];
+        for (let i = 0; i < 5; i++) {
+            scores.push((await scorer.score(LEAD)).spamScore);
+        }
+
+        assert.deepEqual(scores, [0, 0, 20, 20, 40]);
+        assert.equal((await scorer.score({ ...LEAD, email: 'other@example.jp' })).spamScore, 0);
+    });
+
+    test('only expects Japanese from the Japanese site', async () => {
+        const scorer = createSpamScorer({ env: {} });
+        const english = { ...LEAD, name: 'Taro Yamada', company: 'Test Inc.', message: 'We would like a LINE chatbot.' };
+
+        assert.deepEqual((await scorer.score(english)).reasons, ['no_japanese']);
+        assert.deepEqual((await scorer.score({ ...english, email: 'b@example.jp', language: 'en' })).reasons, []);
+    });
+
+    test('reads the thresholds and extra domains from the environment', async () => {
+        const scorer = createSpamScorer({
+            env: { SPAM_QUARANTINE_THRESHOLD: '30', SPAM_REJECT_THRESHOLD: '40', SPAM_DISPOSABLE_DOMAINS: 'Spam.Example, ' }
+        });
+
+        assert.equal(scorer.quarantineThreshold, 30);
+        assert.equal((await scorer.score({ ...LEAD, email: 'a@spam.example' })).action, 'reject');
+        assert.equal((await scorer.score({ ...LEAD, email: 'b@example.jp', message: `${LEAD.message} https://a.example https://b.example` })).action, 'accept');
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * Storage: memory, file and redis adapters (redis over a fake socket), and
+ * the store selected by each prefix's variables
+ */
+
+const { test, describe, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {
+    createMemoryStore,
+    createFileStore,
+    createRedisStore,
+    readStoreConfig,
+    createStoreFromEnv
+} = require('../netlify/lib/storage');
+const { createFakeRedis } = require('./support/fake-redis');
+
+// Temp dirs of the file stores, removed once the file's tests are done
+const tempDirs = [];
+const tempFile = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'azenflow-storage-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'store.json');
+};
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Fake Redis server keeping string values (GET, SET with NX and PX, DEL,
+ * SCAN, MGET), expiry left out
+ */
+function createFakeRedisServer() {
+    const values = new Map();
+
+    return createFakeRedis(([command, ...args]) => {
+        switch (command) {
+            case 'GET':
+                return values.has(args[0]) ? values.get(args[0]) : null;
+            case 'SET':
+                if (args.includes('NX') && values.has(args[0])) return null;
+                values.set(args[0], args[1]);
+                return 'OK';
+            case 'DEL':
+                return values.delete(args[0]) ? 1 : 0;
+            case 'SCAN': {
+                const prefix = args[2].slice(0, -1);
+                return ['0', [...values.keys()].filter(key => key.startsWith(prefix))];
+            }
+            case 'MGET':
+                return args.map(key => (values.has(key) ? values.get(key) : null));
+            default:
+                return new Error(`ERR unknown command '${command}'`);
+        }
+    });
+}
+
+let redisUrls = 0;
+const uniqueRedisUrl = () => `redis://storage-${++redisUrls}.internal:6379`;
+
+describe('adapters', () => {
+    afterEach(() => mock.restoreAll());
+
+    const adapters = [
+        ['memory', () => createMemoryStore()],
+        ['file', () => createFileStore(tempFile())],
+        ['redis', () => {
+            mock.method(net, 'connect', createFakeRedisServer().connect);
+            return createRedisStore(uniqueRedisUrl());
+        }]
+    ];
+
+    for (const [name, create] of adapters) {
+        test(`${name}: stores, lists and deletes values`, async () => {
+            const store = create();
+
+            await store.set('a:1', { n: 1 });
+            await store.set('a:2', { n: 2 });
+            await store.set('b:1', { n: 3 });
+
+            assert.deepEqual(await store.get('a:1'), { n: 1 });
+            assert.deepEqual((await store.list('a:')).map(item => item.value.n).sort(), [1, 2]);
+
+            await store.delete('a:1');
+            assert.equal(await store.get('a:1'), null);
+        });
+
+        test(`${name}: setIfAbsent`, async () => {
+            const store = create();
+
+            assert.equal(await store.setIfAbsent('k', 1), true);
+            assert.equal(await store.setIfAbsent('k', 2), false);
+            assert.equal(await store.get('k'), 1);
+        });
+    }
+
+    for (const [name, create] of adapters.slice(0, 2)) {
+        test(`${name}: values expire after ttlMs`, async () => {
+            const store = create();
+
+            await store.set('k', 1, { ttlMs: 20 });
+            await store.set('kept', 2);
+            await new Promise(resolve => setTimeout(resolve, 30));
+
+            assert.equal(await store.get('k'), null);
+            assert.equal(await store.setIfAbsent('k', 3), true);
+            assert.deepEqual((await store.list('')).map(item => item.key).sort(), ['k', 'kept']);
+        });
+    }
+
+    test('redis: expiry is left to the server', async () => {
+        const redis = createFakeRedisServer();
+        mock.method(net, 'connect', redis.connect);
+        const store = createRedisStore(uniqueRedisUrl());
+
+        await store.set('k', { n: 1 }, { ttlMs: 5000 });
+        await store.setIfAbsent('lock', 1, { ttlMs: 60000 });
+
+        assert.deepEqual(redis.commands, [
+            ['SET', 'k', '{"n":1}', 'PX', '5000'],
+            ['SET', 'lock', '1', 'NX', 'PX', '60000']
+        ]);
+    });
+
+    test('file: shared between instances, no temporary file left', async () => {
+        const filePath = tempFile();
+
+        await createFileStore(filePath).set('lead', { id: 'x' });
+
+        assert.deepEqual(await createFileStore(filePath).get('lead'), { id: 'x' });
+        assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['store.json']);
+    });
+
+    test('durable unless in memory or in a per-instance file', () => {
+        assert.equal(createMemoryStore().durable, false);
+        assert.equal(createFileStore(tempFile()).durable, true);
+        assert.equal(createFileStore(tempFile(), { durable: false }).durable, false);
+        assert.equal(createRedisStore(uniqueRedisUrl()).durable, true);
+    });
+});
+
+describe('readStoreConfig', () => {
+    test('reads the variables of a prefix', () => {
+        const config = readStoreConfig('METRICS', {
+            env: { METRICS_STORE: 'Redis', METRICS_REDIS_URL: 'redis://metrics.internal', RATE_LIMIT_REDIS_URL: 'redis://other' }
+        });
+
+        assert.equal(config.type, 'redis');
+        assert.equal(config.redisUrl, 'redis://metrics.internal');
+        assert.equal(config.durable, true);
+        assert.deepEqual(config.variables, { type: 'METRICS_STORE', filePath: 'METRICS_FILE_PATH', redisUrl: 'METRICS_REDIS_URL' });
+    });
+
+    test('redis defaults to RATE_LIMIT_REDIS_URL, memory without any URL', () => {
+        assert.equal(readStoreConfig('METRICS', { env: { METRICS_STORE: 'redis', RATE_LIMIT_REDIS_URL: 'redis://shared' } }).redisUrl,
+            'redis://shared');
+
+        const config = readStoreConfig('METRICS', { env: { METRICS_STORE: 'redis' } });
+        assert.equal(config.type, 'memory');
+        assert.equal(config.requested, 'redis');
+        assert.equal(config.durable, false);
+    });
+
+    test('a file is durable only at a configured path', () => {
+        assert.equal(readStoreConfig('CONVERSATION', { env: { CONVERSATION_STORE: 'file' } }).durable, false);
+        assert.equal(readStoreConfig('CONVERSATION', {
+            env: { CONVERSATION_STORE: 'file', CONVERSATION_FILE_PATH: '/data/conversations.json' }
+        }).durable, true);
+    });
+
+    test('unknown backends are memory', () => {
+        assert.equal(readStoreConfig('METRICS', { env: { METRICS_STORE: 'postgres' } }).type, 'memory');
+    });
+});
+
+describe('createStoreFromEnv', () => {
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('uses a per-instance temp file named after the prefix', async () => {
+        const tempDir = path.dirname(tempFile());
+        mock.method(os, 'tmpdir', () => tempDir);
+
+        const store = createStoreFromEnv('RATE_LIMIT', { env: { RATE_LIMIT_STORE: 'file' } });
+        await store.set('key', 1);
+
+        assert.equal(store.name, 'file');
+        assert.equal(store.durable, false);
+        assert.deepEqual(fs.readdirSync(tempDir), ['azenflow-rate-limit.json']);
+
+        const [line] = console.warn.mock.calls.map(call => JSON.parse(call.arguments[0]));
+        assert.match(line.msg, /^RATE_LIMIT_FILE_PATH not configured/);
+    });
+
+    test('falls back to memory without a redis URL', () => {
+        const store = createStoreFromEnv('LEAD', {
+            env: { LEAD_STORE: 'redis' },
+            variables: { redisUrl: 'LEAD_STORE_REDIS_URL' }
+        });
+
+        assert.equal(store.name, 'memory');
+        assert.match(JSON.parse(console.error.mock.calls[0].arguments[0]).msg, /^LEAD_STORE_REDIS_URL not configured/);
+    });
+
+    test('uses the given memory store', () => {
+        const shared = createMemoryStore();
+
+        assert.equal(createStoreFromEnv('METRICS', { env: {}, memoryStore: shared }), shared);
+        assert.notEqual(createStoreFromEnv('METRICS', { env: {} }), createStoreFromEnv('METRICS', { env: {} }));
+    });
+});
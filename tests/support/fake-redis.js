@@ -0,0 +1,97 @@
+/**
+ * Fake Redis connection
+ *
+ * Stands in for the TCP socket of ../../netlify/lib/redis-client, so the
+ * client and the Redis stores can be tested without a server. Replies are
+ * computed by a function of the received command:
+ *   const redis = createFakeRedis((args) => args[0] === 'GET' ? 'value' : 'OK');
+ *   mock.method(net, 'connect', redis.connect);
+ * Strings are sent as bulk strings, numbers as integers, Error objects as
+ * error replies, undefined sends nothing (the command hangs). Commands are
+ * recorded in redis.commands (arrays of strings), the connections made in
+ * redis.sockets.
+ */
+
+const { EventEmitter } = require('events');
+const { parseReply } = require('../../netlify/lib/redis-client');
+
+/**
+ * Encode a reply in RESP
+ * @param {*} value - string, number, null, Error or array of these
+ * @returns {string}
+ */
+function encodeReply(value) {
+    if (value === null) return '$-1\r\n';
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+
+    const text = String(value);
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+/**
+ * Create a fake Redis server reachable through net.connect
+ * @param {Function} respond - (args) => reply
+ * @returns {object} - { connect, commands, sockets }
+ */
+function createFakeRedis(respond = () => 'OK') {
+    const commands = [];
+    const sockets = [];
+
+    class FakeSocket extends EventEmitter {
+        constructor() {
+            super();
+            this.destroyed = false;
+            this.received = Buffer.alloc(0);
+        }
+
+        setTimeout() {}
+
+        write(data) {
+            this.received = Buffer.concat([this.received, Buffer.from(data)]);
+
+            let command;
+            while ((command = parseReply(this.received))) {
+                this.received = this.received.subarray(command.offset);
+                commands.push(command.value);
+
+                const reply = respond(command.value);
+                if (reply !== undefined) {
+                    process.nextTick(() => this.emit('data', Buffer.from(encodeReply(reply))));
+                }
+            }
+            return true;
+        }
+
+        destroy(error) {
+            if (this.destroyed) return;
+            this.destroyed = true;
+
+            // Like net.Socket, the events come after destroy() returned
+            process.nextTick(() => {
+                if (error) this.emit('error', error);
+                this.emit('close');
+            });
+        }
+
+        end() {
+            this.destroy();
+        }
+    }
+
+    return {
+        commands,
+        sockets,
+
+        connect(options, onConnect) {
+            const socket = new FakeSocket();
+            socket.options = options;
+            sockets.push(socket);
+            process.nextTick(onConnect);
+            return socket;
+        }
+    };
+}
+
+module.exports = { createFakeRedis, encodeReply };
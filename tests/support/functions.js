@@ -0,0 +1,196 @@
+/**
+ * Helpers to invoke the Netlify Functions in tests
+ *
+ * The functions read their configuration from process.env when they are
+ * loaded, so each test loads a fresh copy with its own environment (this
+ * also gives it a fresh in-memory rate limiter).
+ *
+ * Requests come from an allowed origin (TEST_ORIGIN) with a valid request
+ * token by default, as the widget and the contact form send them. Form
+ * submissions need the fields from createBotFields() (solved challenge).
+ */
+
+const path = require('path');
+const { issueToken } = require('../../netlify/lib/request-guard');
+const { getChallengeSecret, issueChallenge, solveChallenge } = require('../../netlify/lib/bot-protection');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', '..', 'netlify', 'functions');
+
+// Environment variables read by the functions and the shared libraries
+const FUNCTION_ENV_KEYS = [
+    'N8N_WEBHOOK_URL',
+    'N8N_WEBHOOK_SECRET',
+    'N8N_WEBHOOK_SECRET_PREVIOUS',
+    'N8N_VERIFY_RESPONSE_SIGNATURES',
+    'N8N_API_KEY',
+    'N8N_CONTACT_WEBHOOK_URL',
+    'N8N_TRANSCRIPT_WEBHOOK_URL',
+    'CHATBOT_FEEDBACK_WEBHOOK_URL',
+    'CHATBOT_FEEDBACK_WEBHOOK_SECRET',
+    'FEEDBACK_RATE_LIMIT_PER_MINUTE',
+    'RATE_LIMIT_PER_MINUTE',
+    'RATE_LIMIT_STORE',
+    'RATE_LIMIT_POLICIES',
+    'REQUEST_TIMEOUT',
+    'ALLOWED_ORIGINS',
+    'REQUEST_TOKEN_SECRET',
+    'URL',
+    'DEPLOY_PRIME_URL',
+    'DEPLOY_URL',
+    'NETLIFY_DEV',
+    'BOT_POW_DIFFICULTY',
+    'BOT_MIN_SUBMIT_SECONDS',
+    'CAPTCHA_PROVIDER',
+    'CAPTCHA_SECRET',
+    'CAPTCHA_VERIFY_URL',
+    'CAPTCHA_STUB_TOKEN',
+    'SPAM_QUARANTINE_THRESHOLD',
+    'SPAM_REJECT_THRESHOLD',
+    'SPAM_DISPOSABLE_DOMAINS',
+    'DELIVERY_MAX_ATTEMPTS',
+    'DELIVERY_RETRY_DELAY',
+    'DELIVERY_BUDGET',
+    'LEAD_STORE',
+    'LEAD_STORE_FILE_PATH',
+    'LEAD_STORE_REDIS_URL',
+    'RATE_LIMIT_REDIS_URL',
+    'LEAD_CONNECTORS',
+    'LOG_LEVEL',
+    'LOG_HASH_SALT',
+    'METRICS_STORE',
+    'METRICS_FILE_PATH',
+    'METRICS_REDIS_URL',
+    'HEALTH_TOKEN',
+    'N8N_HEALTH_URL',
+    'CIRCUIT_FAILURE_THRESHOLD',
+    'CIRCUIT_OPEN_DURATION',
+    'CONVERSATION_STORE',
+    'CONVERSATION_FILE_PATH',
+    'CONVERSATION_REDIS_URL',
+    'CONVERSATION_TTL',
+    'CONVERSATION_MAX_TURNS',
+    'MODERATION_ENABLED',
+    'MODERATION_RULES',
+    'MODERATION_ALLOWED_PRICES',
+    'MODERATION_ALLOWED_CONTACTS',
+    'SITE_CONTEXT_ENABLED',
+    'SITE_CONTEXT_FILE',
+    'SITE_CONTEXT_PASSAGES',
+    'SITE_CONTEXT_MIN_COVERAGE',
+    'SITE_CONTEXT_MAX_LENGTH'
+];
+
+// Allowed by default (see ../../netlify/lib/request-guard)
+const TEST_ORIGIN = 'https://azenflow.jp';
+const TEST_TOKEN_SECRET = 'test-token-secret';
+const TEST_POW_DIFFICULTY = 4; // Keeps the proof of work instant
+
+/**
+ * Load a function module with the given environment
+ * @param {string} name - Function name (file name without .js)
+ * @param {object} env - Environment variables (others listed above are unset,
+ *   REQUEST_TOKEN_SECRET defaults to TEST_TOKEN_SECRET and BOT_POW_DIFFICULTY
+ *   to TEST_POW_DIFFICULTY)
+ * @returns {object} Module exports
+ */
+function loadFunction(name, env = {}) {
+    const modulePath = require.resolve(path.join(FUNCTIONS_DIR, `${name}.js`));
+    const saved = {};
+    env = { REQUEST_TOKEN_SECRET: TEST_TOKEN_SECRET, BOT_POW_DIFFICULTY: String(TEST_POW_DIFFICULTY), ...env };
+
+    FUNCTION_ENV_KEYS.concat(Object.keys(env)).forEach(key => {
+        saved[key] = process.env[key];
+        delete process.env[key];
+    });
+    Object.entries(env).forEach(([key, value]) => {
+        if (value !== undefined) process.env[key] = value;
+    });
+
+    try {
+        delete require.cache[modulePath];
+        return require(modulePath);
+    } finally {
+        Object.keys(saved).forEach(key => {
+            if (saved[key] === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = saved[key];
+            }
+        });
+    }
+}
+
+/**
+ * Call a handler like Netlify does
+ * @param {Function} handler - exports.handler
+ * @param {object} options - { method, body, headers, query, ip, origin, token }
+ *   origin: Origin header (null to omit); token: X-Request-Token (null to
+ *   omit, defaults to a valid token for the origin)
+ * @returns {Promise<object>} Response, with the parsed JSON body in `json`
+ */
+async function invoke(handler, { method = 'POST', body, headers = {}, query = {}, ip = '203.0.113.1', origin = TEST_ORIGIN, token } = {}) {
+    if (token === undefined) {
+        token = origin ? issueToken(origin, TEST_TOKEN_SECRET).token : null;
+    }
+
+    const requestHeaders = { 'x-forwarded-for': ip };
+    if (origin) requestHeaders.origin = origin;
+    if (token) requestHeaders['x-request-token'] = token;
+
+    const response = await handler({
+        httpMethod: method,
+        headers: { ...requestHeaders, ...headers },
+        queryStringParameters: query,
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    }, {});
+
+    let json = null;
+    try {
+        json = JSON.parse(response.body);
+    } catch (error) {
+        json = null;
+    }
+
+    return { ...response, json };
+}
+
+/**
+ * Bot protection fields of a form submission (solved challenge, empty honeypot)
+ * @param {object} options - { issuedAgo: ms since the challenge was issued }
+ * @returns {object} - { botCheck: { challenge, solution }, website }
+ */
+function createBotFields({ issuedAgo = 10 * 1000 } = {}) {
+    const secret = getChallengeSecret({ REQUEST_TOKEN_SECRET: TEST_TOKEN_SECRET });
+    const { challenge } = issueChallenge(secret, { now: Date.now() - issuedAgo, difficulty: TEST_POW_DIFFICULTY });
+
+    return {
+        botCheck: { challenge, solution: solveChallenge(challenge, TEST_POW_DIFFICULTY) },
+        website: ''
+    };
+}
+
+/**
+ * A local URL nothing listens on (connection refused)
+ * @returns {Promise<string>}
+ */
+function closedPortUrl() {
+    const net = require('net');
+
+    return new Promise((resolve) => {
+        const server = net.createServer();
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(`http://127.0.0.1:${port}/webhook`));
+        });
+    });
+}
+
+module.exports = {
+    TEST_ORIGIN,
+    TEST_TOKEN_SECRET,
+    TEST_POW_DIFFICULTY,
+    loadFunction,
+    invoke,
+    createBotFields,
+    closedPortUrl
+};
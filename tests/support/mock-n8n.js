@@ -0,0 +1,256 @@
+/**
+ * Mock n8n webhook server
+ *
+ * Local stand-in for the n8n webhooks called by the Netlify Functions, so
+ * they can be exercised without a live n8n instance.
+ *
+ * In tests, replies are scripted in order with reply():
+ *   const n8n = createMockN8n();
+ *   await n8n.start();
+ *   n8n.reply({ json: { response: 'こんにちは' } });
+ *   n8n.reply({ status: 500, json: { error: 'boom' } });
+ *   n8n.reply({ delay: 500 });               // answer late (timeouts)
+ *   n8n.reply({ body: '{"response": ' });    // malformed JSON
+ *   n8n.reply({ chunks: ['data: {"text":"a"}\n\n'], headers: { 'Content-Type': 'text/event-stream' } });
+ *   n8n.reply({ destroy: true });            // drop the connection
+ * Requests are recorded in n8n.requests ({ method, path, headers, body, json,
+ * signature }). Unscripted requests get the default reply (echo of the message).
+ *
+ * With a secret (createMockN8n({ secret })), request signatures are checked
+ * (signature: { valid, reason }) and replies are signed like n8n should:
+ *   n8n.reply({ json: {...}, signed: false });         // unsigned reply
+ *   n8n.reply({ json: {...}, signWith: 'other-key' }); // wrong key
+ *
+ * Standalone (manual testing with `netlify dev`):
+ *   npm run mock:n8n -- [port]        (default 5678, signs with N8N_WEBHOOK_SECRET)
+ *   N8N_WEBHOOK_URL=http://localhost:5678/webhook/chatbot
+ *   N8N_CONTACT_WEBHOOK_URL=http://localhost:5678/webhook/contact
+ * Chat messages starting with a command script the reply:
+ *   /error 500, /delay 5000, /malformed, /stream, /handoff, /drop
+ */
+
+const http = require('http');
+const { verifyRequest, signResponse, createNonceCache } = require('../../netlify/lib/webhook-signature');
+
+/**
+ * Default reply: echo the chat message, acknowledge everything else
+ * @param {object} request - Recorded request
+ * @returns {object} Reply
+ */
+function defaultReply(request) {
+    const message = request.json && typeof request.json.message === 'string' ? request.json.message : null;
+    return message !== null
+        ? { json: { response: `Mock reply: ${message}` } }
+        : { json: { success: true } };
+}
+
+/**
+ * Reply scripted by a chat command (standalone mode)
+ * @param {object} request - Recorded request
+ * @returns {object} Reply
+ */
+function commandReply(request) {
+    const message = request.json && typeof request.json.message === 'string' ? request.json.message.trim() : '';
+    const [command, argument] = message.split(/\s+/);
+
+    switch (command) {
+        case '/error':
+            return { status: parseInt(argument || '500', 10), json: { error: 'Mock error' } };
+        case '/delay':
+            return { delay: parseInt(argument || '5000', 10), json: { response: `Mock reply after ${argument || 5000} ms` } };
+        case '/malformed':
+            return { body: '{"response": "unterminated' };
+        case '/stream':
+            return {
+                headers: { 'Content-Type': 'application/x-ndjson' },
+                chunks: ['Mock ', 'streamed ', 'reply.'].map(text => JSON.stringify({ type: 'item', content: text }) + '\n'),
+                chunkDelay: 200
+            };
+        case '/handoff':
+            return { json: { response: 'Mock reply asking for a person.', handoff: true } };
+        case '/drop':
+            return { destroy: true };
+        default:
+            return defaultReply(request);
+    }
+}
+
+/**
+ * Create a mock n8n server
+ * @param {object} options - { fallback(request) => reply, secret }
+ * @returns {object} - { start, stop, url, reply, reset, requests }
+ */
+function createMockN8n({ fallback = defaultReply, secret = null } = {}) {
+    const queue = [];
+    const requests = [];
+    const sockets = new Set();
+    const nonceCache = createNonceCache();
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            let json = null;
+            try {
+                json = JSON.parse(body);
+            } catch (error) {
+                json = null;
+            }
+
+            const signature = secret
+                ? verifyRequest(body, req.headers, [secret], { nonceCache })
+                : null;
+
+            const request = { method: req.method, path: req.url, headers: req.headers, body, json, signature };
+            requests.push(request);
+
+            const reply = queue.length > 0 ? queue.shift() : fallback(request);
+            respond(req, res, reply, req.headers['x-signature-nonce'] || '');
+        });
+    });
+
+    // Track sockets so stop() does not wait for keep-alive connections
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    /**
+     * Send a scripted reply
+     */
+    function respond(req, res, reply, nonce) {
+        const {
+            status = 200,
+            json,
+            body,
+            headers = {},
+            delay = 0,
+            chunks,
+            chunkDelay = 0,
+            destroy = false,
+            signed = true,
+            signWith = secret
+        } = reply;
+
+        // Signature headers over the whole body
+        const sign = (payload) => (signed && signWith ? signResponse(payload, nonce, signWith) : {});
+
+        setTimeout(() => {
+            if (destroy) {
+                req.socket.destroy();
+                return;
+            }
+
+            // The client gave up (e.g. timeout) while we were waiting
+            if (res.destroyed || req.socket.destroyed) return;
+
+            if (chunks) {
+                res.writeHead(status, { 'Content-Type': 'text/event-stream', ...sign(chunks.join('')), ...headers });
+                writeChunks(res, chunks, chunkDelay);
+                return;
+            }
+
+            const payload = body !== undefined ? body : JSON.stringify(json !== undefined ? json : {});
+            res.writeHead(status, { 'Content-Type': 'application/json', ...sign(payload), ...headers });
+            res.end(payload);
+        }, delay);
+    }
+
+    /**
+     * Write a streamed body chunk by chunk
+     */
+    function writeChunks(res, chunks, chunkDelay) {
+        const remaining = chunks.slice();
+
+        const next = () => {
+            if (res.destroyed) return;
+            if (remaining.length === 0) {
+                res.end();
+                return;
+            }
+            res.write(remaining.shift());
+            setTimeout(next, chunkDelay);
+        };
+
+        next();
+    }
+
+    return {
+        requests,
+
+        /**
+         * Start listening (port 0 picks a free port)
+         * @returns {Promise<number>} Port
+         */
+        start(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+            });
+        },
+
+        /**
+         * Stop listening and drop open connections
+         * @returns {Promise<void>}
+         */
+        stop() {
+            return new Promise((resolve) => {
+                sockets.forEach(socket => socket.destroy());
+                server.close(() => resolve());
+            });
+        },
+
+        /**
+         * URL of a webhook path on this server
+         * @param {string} path - Webhook path
+         * @returns {string}
+         */
+        url(path = '/webhook') {
+            return `http://127.0.0.1:${server.address().port}${path}`;
+        },
+
+        /**
+         * Queue replies for the next requests (in order)
+         * @param {...object} replies - { status, json, body, headers, delay, chunks, chunkDelay, destroy, signed, signWith }
+         */
+        reply(...replies) {
+            queue.push(...replies);
+        },
+
+        /**
+         * Forget scripted replies and recorded requests
+         */
+        reset() {
+            queue.length = 0;
+            requests.length = 0;
+        }
+    };
+}
+
+module.exports = { createMockN8n, defaultReply, commandReply };
+
+// Standalone mode
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.MOCK_N8N_PORT || '5678', 10);
+    const mock = createMockN8n({
+        secret: process.env.N8N_WEBHOOK_SECRET || null,
+        fallback: (request) => {
+            console.log(`[Mock n8n] ${request.method} ${request.path}`, request.body);
+            if (request.signature && !request.signature.valid) {
+                console.warn(`[Mock n8n] Invalid signature: ${request.signature.reason}`);
+                return { status: 401, json: { error: 'Invalid signature' } };
+            }
+            return commandReply(request);
+        }
+    });
+
+    mock.start(port).then(() => {
+        console.log(`[Mock n8n] Listening on http://127.0.0.1:${port}`);
+        console.log('[Mock n8n] Commands: /error 500, /delay 5000, /malformed, /stream, /handoff, /drop');
+    });
+
+    process.on('SIGINT', () => {
+        mock.stop().then(() => process.exit(0));
+    });
+}
@@ -0,0 +1,200 @@
+/**
+ * Mock SMTP server
+ *
+ * Local stand-in for a mail server, for the smtp lead connector. Plain
+ * connection (no STARTTLS), AUTH PLAIN and LOGIN.
+ *
+ *   const smtp = createMockSmtp({ user: 'u', password: 'p' });
+ *   createMockSmtp({ user, password, auth: 'LOGIN' });  // mechanisms offered
+ *   await smtp.start();
+ *   smtp.url()                        // smtp://u:p@127.0.0.1:<port>
+ *   smtp.failNext('RCPT', 550);       // next RCPT TO gets a 550
+ * Accepted messages are recorded in smtp.messages ({ from, to, data,
+ * headers, text, user }).
+ */
+
+const net = require('net');
+
+/**
+ * Decode a received message (headers and base64 body)
+ * @param {string} data - Raw DATA content
+ * @returns {object} - { headers, text }
+ */
+function parseMessage(data) {
+    const [head, ...rest] = data.split('\r\n\r\n');
+    const headers = {};
+    for (const line of head.split('\r\n')) {
+        const index = line.indexOf(':');
+        headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+    }
+
+    const subject = headers.subject || '';
+    const encoded = subject.match(/^=\?UTF-8\?B\?(.*)\?=$/);
+    if (encoded) {
+        headers.subject = Buffer.from(encoded[1], 'base64').toString('utf8');
+    }
+
+    return { headers, text: Buffer.from(rest.join('\r\n\r\n').replace(/\r\n/g, ''), 'base64').toString('utf8') };
+}
+
+/**
+ * Create a mock SMTP server
+ * @param {object} options - { user, password, auth }
+ * @returns {object} - { start, stop, url, failNext, reset, messages }
+ */
+function createMockSmtp({ user = null, password = null, auth = 'PLAIN LOGIN' } = {}) {
+    const messages = [];
+    const failures = [];
+    const sockets = new Set();
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+
+        const session = { from: null, to: [], user: null, inData: false, data: '', authStep: null, authUser: null };
+        let buffer = '';
+
+        const send = (line) => socket.write(`${line}\r\n`);
+
+        // Scripted failure for this command, if any
+        const failed = (command) => {
+            const index = failures.findIndex(failure => failure.command === command);
+            if (index === -1) return false;
+            const [{ code }] = failures.splice(index, 1);
+            send(`${code} Mock failure`);
+            return true;
+        };
+
+        function checkCredentials(login, secret) {
+            if (login === user && secret === password) {
+                session.user = login;
+                send('235 Authenticated');
+            } else {
+                send('535 Authentication failed');
+            }
+        }
+
+        function handle(line) {
+            if (session.inData) {
+                if (line === '.') {
+                    session.inData = false;
+                    if (failed('DATA-END')) return;
+                    messages.push({ from: session.from, to: session.to, data: session.data, user: session.user, ...parseMessage(session.data) });
+                    send('250 Queued');
+                } else {
+                    session.data += (session.data ? '\r\n' : '') + (line.startsWith('..') ? line.slice(1) : line);
+                }
+                return;
+            }
+
+            if (session.authStep === 'user') {
+                session.authUser = Buffer.from(line, 'base64').toString();
+                session.authStep = 'password';
+                send('334 UGFzc3dvcmQ6');
+                return;
+            }
+            if (session.authStep === 'password') {
+                session.authStep = null;
+                checkCredentials(session.authUser, Buffer.from(line, 'base64').toString());
+                return;
+            }
+
+            const [command] = line.split(' ');
+            if (failed(command.toUpperCase())) return;
+
+            switch (command.toUpperCase()) {
+                case 'EHLO':
+                    send('250-mock.smtp');
+                    send(user ? `250-AUTH ${auth}` : '250-8BITMIME');
+                    send('250 SIZE 1000000');
+                    break;
+                case 'AUTH': {
+                    const [, mechanism, initial] = line.split(' ');
+                    if (mechanism === 'PLAIN') {
+                        const [, login, secret] = Buffer.from(initial, 'base64').toString().split('\0');
+                        checkCredentials(login, secret);
+                    } else {
+                        session.authStep = 'user';
+                        send('334 VXNlcm5hbWU6');
+                    }
+                    break;
+                }
+                case 'MAIL':
+                    if (user && !session.user) {
+                        send('530 Authentication required');
+                        break;
+                    }
+                    session.from = line.match(/<(.*)>/)[1];
+                    send('250 OK');
+                    break;
+                case 'RCPT':
+                    session.to.push(line.match(/<(.*)>/)[1]);
+                    send('250 OK');
+                    break;
+                case 'DATA':
+                    session.inData = true;
+                    send('354 End data with <CR><LF>.<CR><LF>');
+                    break;
+                case 'QUIT':
+                    send('221 Bye');
+                    socket.end();
+                    break;
+                default:
+                    send('502 Command not implemented');
+            }
+        }
+
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                handle(line);
+            }
+        });
+        socket.on('error', () => {});
+
+        send('220 mock.smtp ESMTP');
+    });
+
+    return {
+        messages,
+
+        start() {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+            });
+        },
+
+        stop() {
+            return new Promise((resolve) => {
+                sockets.forEach(socket => socket.destroy());
+                server.close(() => resolve());
+            });
+        },
+
+        /**
+         * smtp:// URL of this server (with the credentials, if any)
+         */
+        url() {
+            const credentials = user ? `${encodeURIComponent(user)}:${encodeURIComponent(password)}@` : '';
+            return `smtp://${credentials}127.0.0.1:${server.address().port}`;
+        },
+
+        /**
+         * Answer the next `command` (MAIL, RCPT, DATA, DATA-END...) with `code`
+         */
+        failNext(command, code) {
+            failures.push({ command, code });
+        },
+
+        reset() {
+            messages.length = 0;
+            failures.length = 0;
+        }
+    };
+}
+
+module.exports = { createMockSmtp, parseMessage };
@@ -0,0 +1,135 @@
+/**
+ * HMAC signing of the requests to n8n and of its replies
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getSigningSecrets,
+    signRequest,
+    apiKeyHeaders,
+    verifyRequest,
+    signResponse,
+    verifyResponse,
+    createNonceCache
+} = require('../netlify/lib/webhook-signature');
+
+const BODY = JSON.stringify({ message: 'こんにちは', sessionId: 'test-session' });
+const NOW = Date.UTC(2026, 0, 1);
+
+describe('getSigningSecrets', () => {
+    test('lists the current secret first, then the previous one', () => {
+        assert.deepEqual(getSigningSecrets({ N8N_WEBHOOK_SECRET: 'new', N8N_WEBHOOK_SECRET_PREVIOUS: 'old' }), ['new', 'old']);
+    });
+
+    test('skips missing and duplicate secrets', () => {
+        assert.deepEqual(getSigningSecrets({}), []);
+        assert.deepEqual(getSigningSecrets({ N8N_WEBHOOK_SECRET_PREVIOUS: 'old' }), ['old']);
+        assert.deepEqual(getSigningSecrets({ N8N_WEBHOOK_SECRET: 'same', N8N_WEBHOOK_SECRET_PREVIOUS: 'same' }), ['same']);
+    });
+});
+
+describe('apiKeyHeaders', () => {
+    test('sends N8N_API_KEY as X-API-Key', () => {
+        assert.deepEqual(apiKeyHeaders({ N8N_API_KEY: 'legacy-key', N8N_WEBHOOK_SECRET: 'secret' }), { 'X-API-Key': 'legacy-key' });
+    });
+
+    test('never sends the signing secret', () => {
+        assert.deepEqual(apiKeyHeaders({ N8N_WEBHOOK_SECRET: 'secret' }), {});
+    });
+});
+
+describe('verifyRequest', () => {
+    const signed = (secrets = ['secret'], now = NOW) => signRequest(BODY, secrets, { now });
+
+    test('accepts a signed request', () => {
+        const { headers } = signed();
+        assert.deepEqual(verifyRequest(BODY, headers, ['secret'], { now: NOW }), { valid: true });
+    });
+
+    test('accepts lowercase header names', () => {
+        const { headers } = signed();
+        const lowercase = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+        assert.equal(verifyRequest(BODY, lowercase, ['secret'], { now: NOW }).valid, true);
+    });
+
+    test('rejects a tampered body', () => {
+        const { headers } = signed();
+        const result = verifyRequest(BODY.replace('こんにちは', 'hello'), headers, ['secret'], { now: NOW });
+        assert.deepEqual(result, { valid: false, reason: 'Signature mismatch' });
+    });
+
+    test('rejects another key', () => {
+        const { headers } = signed(['attacker']);
+        assert.equal(verifyRequest(BODY, headers, ['secret'], { now: NOW }).valid, false);
+    });
+
+    test('rejects a changed timestamp or nonce', () => {
+        const { headers } = signed();
+        const later = { ...headers, 'X-Signature-Timestamp': String(Number(headers['X-Signature-Timestamp']) + 1) };
+        const otherNonce = { ...headers, 'X-Signature-Nonce': 'ffff' };
+
+        assert.equal(verifyRequest(BODY, later, ['secret'], { now: NOW }).valid, false);
+        assert.equal(verifyRequest(BODY, otherNonce, ['secret'], { now: NOW }).valid, false);
+    });
+
+    test('rejects expired signatures', () => {
+        const { headers } = signed(['secret'], NOW - 6 * 60 * 1000);
+        assert.deepEqual(verifyRequest(BODY, headers, ['secret'], { now: NOW }), { valid: false, reason: 'Signature expired' });
+    });
+
+    test('rejects missing headers', () => {
+        assert.equal(verifyRequest(BODY, {}, ['secret'], { now: NOW }).valid, false);
+        assert.equal(verifyRequest(BODY, { 'X-Signature-Nonce': 'abc' }, ['secret'], { now: NOW }).valid, false);
+    });
+
+    test('rejects a replayed nonce', () => {
+        const nonceCache = createNonceCache();
+        const { headers } = signed();
+
+        assert.equal(verifyRequest(BODY, headers, ['secret'], { now: NOW, nonceCache }).valid, true);
+        assert.deepEqual(
+            verifyRequest(BODY, headers, ['secret'], { now: NOW, nonceCache }),
+            { valid: false, reason: 'Nonce already used' }
+        );
+    });
+
+    test('carries one signature per active secret during a rotation', () => {
+        const { headers } = signed(['new', 'old']);
+
+        assert.equal(headers['X-Signature'].split(', ').length, 2);
+        assert.equal(verifyRequest(BODY, headers, ['new'], { now: NOW }).valid, true);
+        assert.equal(verifyRequest(BODY, headers, ['old'], { now: NOW }).valid, true);
+    });
+});
+
+describe('verifyResponse', () => {
+    const reply = JSON.stringify({ response: '月額9,800円からです。' });
+
+    test('accepts a reply signed with the request nonce', () => {
+        const headers = signResponse(reply, 'nonce-1', 'secret', { now: NOW });
+        assert.equal(verifyResponse(reply, headers, 'nonce-1', ['secret'], { now: NOW }).valid, true);
+    });
+
+    test('accepts replies signed with the previous secret', () => {
+        const headers = signResponse(reply, 'nonce-1', 'old', { now: NOW });
+        assert.equal(verifyResponse(reply, headers, 'nonce-1', ['new', 'old'], { now: NOW }).valid, true);
+    });
+
+    test('rejects a reply to another request', () => {
+        const headers = signResponse(reply, 'nonce-1', 'secret', { now: NOW });
+        assert.equal(verifyResponse(reply, headers, 'nonce-2', ['secret'], { now: NOW }).valid, false);
+    });
+
+    test('rejects unsigned or tampered replies', () => {
+        const headers = signResponse(reply, 'nonce-1', 'secret', { now: NOW });
+
+        assert.equal(verifyResponse(reply, {}, 'nonce-1', ['secret'], { now: NOW }).valid, false);
+        assert.equal(verifyResponse(reply.replace('9,800', '0'), headers, 'nonce-1', ['secret'], { now: NOW }).valid, false);
+    });
+
+    test('rejects everything without a secret', () => {
+        const headers = signResponse(reply, 'nonce-1', 'secret', { now: NOW });
+        assert.equal(verifyResponse(reply, headers, 'nonce-1', [], { now: NOW }).valid, false);
+    });
+});